@@ -0,0 +1,278 @@
+import { CHARACTER_ABILITIES } from './CharacterManager.js';
+
+/**
+ * Character active abilities (R): Warrior taunt, Scout dash chain, Medic area heal,
+ * Engineer turret and Berserker rage (stats in CharacterManager.CHARACTER_ABILITIES)
+ * Offline the effects are applied here; in multiplayer the server applies them
+ * (CombatSimulation.useAbility) and this shows them and draws the server's turrets.
+ */
+
+// Abilities by key, for abilities other players use
+const ABILITIES_BY_KEY = Object.fromEntries(Object.values(CHARACTER_ABILITIES).map(ability => [ability.key, ability]));
+
+const ABILITY_SOUNDS = {
+    taunt: 'boss_roar',
+    dash_chain: 'player_dash',
+    area_heal: 'puzzle_solve',
+    turret: 'mechanism_activate',
+    rage: 'boss_roar'
+};
+
+const TURRET_SIZE = 24;
+const SHOT_FLASH_TIME = 0.15; // Seconds a turret's tracer stays visible
+
+export class AbilitySystem {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+
+        // Engineer turrets: simulated here offline, copied from the server in multiplayer
+        this.turrets = [];
+        this.nextTurretId = 1;
+
+        // Expanding rings shown where an ability went off
+        this.pulses = [];
+    }
+
+    /**
+     * Use the player's ability if it's off cooldown
+     */
+    tryActivate(player) {
+        const ability = player.ability;
+        if (!ability || !player.isAlive || player.abilityCooldown > 0) return false;
+
+        player.abilityCooldown = ability.cooldown;
+        player.abilityTime = ability.duration || 0;
+        player.sendAbilityAction();
+
+        this.activate(player, ability);
+        return true;
+    }
+
+    /**
+     * Apply an ability's effect and show it; with server-owned enemies only the local
+     * prediction (dash recharge) happens here, the server resolves the rest
+     */
+    activate(player, ability) {
+        const offline = !this.gameEngine.enemyManager.serverAuthoritative;
+
+        switch (ability.key) {
+            case 'area_heal':
+                if (offline) this.healAround(player, ability);
+                break;
+            case 'taunt':
+                if (offline) this.tauntAround(player, ability);
+                break;
+            case 'turret':
+                if (offline) this.deployTurret(player, ability);
+                break;
+            case 'dash_chain':
+                player.dashCooldown = 0;
+                break;
+        }
+
+        this.showAbility(player, ability);
+        console.log(`${player.id} used ${ability.name}`);
+    }
+
+    /**
+     * Another player used their ability (relayed by the server)
+     */
+    onRemoteAbility(player, abilityKey) {
+        const ability = ABILITIES_BY_KEY[abilityKey];
+        if (!ability) return;
+
+        player.ability = ability;
+        player.abilityCooldown = ability.cooldown;
+        player.abilityTime = ability.duration || 0;
+        this.showAbility(player, ability);
+    }
+
+    healAround(player, ability) {
+        const center = getCenter(player);
+
+        for (const other of this.gameEngine.players.values()) {
+            if (!other.isAlive) continue;
+
+            const otherCenter = getCenter(other);
+            if (Math.hypot(otherCenter.x - center.x, otherCenter.y - center.y) > ability.radius) continue;
+
+            const before = other.health;
+            other.heal(ability.amount);
+            if (other.health > before) {
+                this.gameEngine.combatSystem.createHealNumber(otherCenter.x, other.y, Math.round(other.health - before));
+            }
+        }
+    }
+
+    tauntAround(player, ability) {
+        const center = getCenter(player);
+
+        for (const enemy of this.gameEngine.enemyManager.getAliveEnemies()) {
+            const enemyCenter = getCenter(enemy);
+            if (Math.hypot(enemyCenter.x - center.x, enemyCenter.y - center.y) <= ability.radius) {
+                enemy.taunt(player, ability.duration);
+            }
+        }
+    }
+
+    deployTurret(player, ability) {
+        const center = getCenter(player);
+
+        this.turrets.push({
+            id: `turret_${this.nextTurretId++}`,
+            ownerId: player.id,
+            x: center.x,
+            y: center.y,
+            angle: 0,
+            timeLeft: ability.duration,
+            fireTimer: 0,
+            shotAt: null,
+            shotTime: 0
+        });
+    }
+
+    showAbility(player, ability) {
+        const center = getCenter(player);
+
+        this.pulses.push({
+            x: center.x,
+            y: center.y,
+            radius: ability.radius || 80,
+            color: ability.color,
+            time: 0,
+            duration: 0.6
+        });
+
+        this.gameEngine.visualEffectsManager?.createParticleEffect('energy', center.x, center.y, {
+            count: 20,
+            color: ability.color,
+            speed: 150,
+            lifetime: 0.8,
+            gravity: false
+        });
+
+        this.gameEngine.getAudioManager()?.playSFX(ABILITY_SOUNDS[ability.key], 0.8, ability.key === 'taunt' ? 1.4 : 1.0, center);
+    }
+
+    update(deltaTime) {
+        this.pulses = this.pulses.filter(pulse => {
+            pulse.time += deltaTime;
+            return pulse.time < pulse.duration;
+        });
+
+        for (const turret of this.turrets) {
+            turret.timeLeft -= deltaTime;
+            turret.shotTime = Math.max(0, turret.shotTime - deltaTime);
+        }
+
+        // Server turrets aim and fire on the server
+        if (!this.gameEngine.enemyManager.serverAuthoritative) {
+            for (const turret of this.turrets) {
+                this.updateTurret(turret, deltaTime);
+            }
+        }
+
+        this.turrets = this.turrets.filter(turret => turret.timeLeft > 0);
+    }
+
+    /**
+     * Shoot the nearest enemy in range every fire interval
+     */
+    updateTurret(turret, deltaTime) {
+        const ability = CHARACTER_ABILITIES.engineer;
+        turret.fireTimer -= deltaTime;
+
+        let target = null;
+        let closestDistance = ability.range;
+        for (const enemy of this.gameEngine.enemyManager.getAliveEnemies()) {
+            const center = getCenter(enemy);
+            const distance = Math.hypot(center.x - turret.x, center.y - turret.y);
+            if (distance <= closestDistance) {
+                target = enemy;
+                closestDistance = distance;
+            }
+        }
+
+        if (!target) return;
+
+        const targetCenter = getCenter(target);
+        turret.angle = Math.atan2(targetCenter.y - turret.y, targetCenter.x - turret.x);
+
+        if (turret.fireTimer <= 0) {
+            turret.fireTimer = ability.fireInterval;
+            turret.shotAt = targetCenter;
+            turret.shotTime = SHOT_FLASH_TIME;
+            this.gameEngine.combatSystem.damageEnemy(target, ability.damage, turret.x, turret.y);
+        }
+    }
+
+    /**
+     * Follow the server's turrets
+     */
+    applyServerTurrets(turretStates) {
+        this.turrets = turretStates.map(state => ({
+            ...state,
+            shotTime: state.shotAt ? SHOT_FLASH_TIME : 0
+        }));
+    }
+
+    clearAll() {
+        this.turrets = [];
+        this.pulses = [];
+    }
+
+    render(ctx) {
+        for (const pulse of this.pulses) {
+            const progress = pulse.time / pulse.duration;
+            ctx.save();
+            ctx.globalAlpha = 1 - progress;
+            ctx.strokeStyle = pulse.color;
+            ctx.lineWidth = 4;
+            ctx.beginPath();
+            ctx.arc(pulse.x, pulse.y, pulse.radius * progress, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        for (const turret of this.turrets) {
+            this.renderTurret(ctx, turret);
+        }
+    }
+
+    renderTurret(ctx, turret) {
+        const half = TURRET_SIZE / 2;
+
+        // Tracer to whatever it just shot
+        if (turret.shotTime > 0 && turret.shotAt) {
+            ctx.save();
+            ctx.globalAlpha = turret.shotTime / SHOT_FLASH_TIME;
+            ctx.strokeStyle = '#ffff88';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(turret.x, turret.y);
+            ctx.lineTo(turret.shotAt.x, turret.shotAt.y);
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        // Base, blinking in its last seconds
+        const blinking = turret.timeLeft < 2 && Math.floor(turret.timeLeft * 6) % 2 === 0;
+        ctx.fillStyle = blinking ? '#777744' : '#555555';
+        ctx.fillRect(turret.x - half, turret.y - half, TURRET_SIZE, TURRET_SIZE);
+        ctx.strokeStyle = CHARACTER_ABILITIES.engineer.color;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(turret.x - half, turret.y - half, TURRET_SIZE, TURRET_SIZE);
+
+        // Barrel
+        ctx.strokeStyle = '#cccccc';
+        ctx.lineWidth = 5;
+        ctx.beginPath();
+        ctx.moveTo(turret.x, turret.y);
+        ctx.lineTo(turret.x + Math.cos(turret.angle) * 18, turret.y + Math.sin(turret.angle) * 18);
+        ctx.stroke();
+    }
+}
+
+function getCenter(entity) {
+    return { x: entity.x + entity.width / 2, y: entity.y + entity.height / 2 };
+}
@@ -1,6 +1,16 @@
+import { AudioSynth, MUSIC_STEMS } from './AudioSynth.js';
+
+// Intensity range over which each music stem fades in (0: silent below from, full above to)
+const STEM_FADES = {
+    pulse: { from: 0.2, to: 0.5 },
+    drive: { from: 0.55, to: 0.9 }
+};
+const STEM_FADE_TIME = 0.8; // Seconds for a stem to move most of the way to its new level
+
 /**
  * AudioManager - Comprehensive audio system for the game
  * Handles background music, sound effects, volume controls, and audio loading
+ * Sounds whose files failed to load are synthesized instead (see AudioSynth)
  */
 export class AudioManager {
     constructor() {
@@ -24,6 +34,18 @@ export class AudioManager {
         this.currentMusic = null;
         this.musicFadeInterval = null;
 
+        // Adaptive music: 0 (calm) to 1 (all-out), fades the level music's stems in and out
+        this.musicIntensity = 0;
+
+        // Positional sound effects are panned and faded by distance from the listener
+        this.listener = null; // World position sounds are heard from
+        this.positionalConfig = {
+            fullVolumeDistance: 200, // Closer than this plays at full volume
+            maxDistance: 1400, // Silent beyond this
+            panDistance: 900, // Horizontal offset panned fully to one side
+            maxPan: 0.8
+        };
+
         // Audio loading state
         this.isLoading = false;
         this.loadedCount = 0;
@@ -32,6 +54,9 @@ export class AudioManager {
         // Initialize audio system
         this.initializeAudioContext();
         this.setupAudioNodes();
+
+        // Generated stand-ins for missing audio files (needs Web Audio)
+        this.synth = this.audioContext ? new AudioSynth(this.audioContext) : null;
     }
 
     /**
@@ -174,6 +199,19 @@ export class AudioManager {
 
         this.isLoading = false;
         console.log(`AudioManager: Loaded ${this.loadedCount}/${this.totalCount} audio assets`);
+        if (this.synth && this.loadedCount < this.totalCount) {
+            console.log(`AudioManager: The ${this.totalCount - this.loadedCount} missing assets will be synthesized`);
+        }
+    }
+
+    /**
+     * Web Audio buffer for a sound: the loaded file, else a synthesized stand-in
+     */
+    getBuffer(name) {
+        if (this.audioBuffers.has(name)) {
+            return this.audioBuffers.get(name).buffer;
+        }
+        return this.synth ? this.synth.getBuffer(name) : null;
     }
 
     /**
@@ -243,25 +281,27 @@ export class AudioManager {
 
         const musicName = musicMap[levelNumber];
         if (musicName) {
-            this.playMusic(musicName, true); // Loop level music
+            this.playMusic(musicName, true, 1.0, true); // Loop level music with its intensity stems
         }
     }
 
     /**
      * Play music with optional looping and fade in
+     * With adaptive set, the track's intensity stems play along (see setMusicIntensity)
      */
-    playMusic(name, loop = true, fadeInDuration = 1.0) {
+    playMusic(name, loop = true, fadeInDuration = 1.0, adaptive = false) {
         if (this.isMuted) return;
 
         // Stop current music first
         this.stopMusic();
 
         try {
-            if (this.audioContext && this.audioBuffers.has(name)) {
+            const buffer = this.audioContext ? this.getBuffer(name) : null;
+
+            if (buffer) {
                 // Use Web Audio API
-                const audioData = this.audioBuffers.get(name);
                 const source = this.audioContext.createBufferSource();
-                source.buffer = audioData.buffer;
+                source.buffer = buffer;
                 source.loop = loop;
                 source.connect(this.musicGainNode);
 
@@ -274,8 +314,11 @@ export class AudioManager {
                     );
                 }
 
-                source.start();
-                this.currentMusic = { source, name, type: 'webaudio' };
+                // Stems start on the same tick so they stay in time with the track
+                const startTime = this.audioContext.currentTime + 0.05;
+                source.start(startTime);
+                const stems = adaptive ? this.startMusicStems(name, loop, startTime) : [];
+                this.currentMusic = { source, stems, name, type: 'webaudio' };
 
             } else if (this.htmlAudioElements.has(name)) {
                 // Use HTML5 Audio
@@ -316,18 +359,18 @@ export class AudioManager {
 
         try {
             if (this.currentMusic.type === 'webaudio') {
+                // Stop this track's sources, not whatever is playing once the fade ends
+                const sources = [this.currentMusic.source, ...this.currentMusic.stems.map(stem => stem.source)];
                 if (fadeOutDuration > 0) {
                     this.musicGainNode.gain.linearRampToValueAtTime(
                         0,
                         this.audioContext.currentTime + fadeOutDuration
                     );
                     setTimeout(() => {
-                        if (this.currentMusic && this.currentMusic.source) {
-                            this.currentMusic.source.stop();
-                        }
+                        sources.forEach(source => source.stop());
                     }, fadeOutDuration * 1000);
                 } else {
-                    this.currentMusic.source.stop();
+                    sources.forEach(source => source.stop());
                 }
             } else if (this.currentMusic.type === 'html5') {
                 if (fadeOutDuration > 0) {
@@ -344,33 +387,123 @@ export class AudioManager {
         }
     }
 
+    /**
+     * Start a track's intensity stems, each on its own gain into the music bus
+     */
+    startMusicStems(name, loop, startTime) {
+        const stems = [];
+
+        for (const stemName of MUSIC_STEMS) {
+            const buffer = this.getBuffer(`${name}_${stemName}`);
+            if (!buffer) continue;
+
+            const source = this.audioContext.createBufferSource();
+            const gain = this.audioContext.createGain();
+            source.buffer = buffer;
+            source.loop = loop;
+            gain.gain.value = this.getStemLevel(stemName, this.musicIntensity);
+            source.connect(gain);
+            gain.connect(this.musicGainNode);
+            source.start(startTime);
+
+            stems.push({ name: stemName, source, gain });
+        }
+
+        return stems;
+    }
+
+    getStemLevel(stemName, intensity) {
+        const fade = STEM_FADES[stemName];
+        return Math.max(0, Math.min(1, (intensity - fade.from) / (fade.to - fade.from)));
+    }
+
+    /**
+     * Set how intense the action is (0-1); the level music's stems crossfade to match
+     */
+    setMusicIntensity(intensity) {
+        intensity = Math.max(0, Math.min(1, intensity));
+        if (Math.abs(intensity - this.musicIntensity) < 0.01) return;
+        this.musicIntensity = intensity;
+
+        if (this.currentMusic?.stems) {
+            for (const stem of this.currentMusic.stems) {
+                stem.gain.gain.setTargetAtTime(
+                    this.getStemLevel(stem.name, intensity),
+                    this.audioContext.currentTime,
+                    STEM_FADE_TIME / 3
+                );
+            }
+        }
+    }
+
+    /**
+     * Set the world position positional sounds are heard from (null: play them unplaced)
+     */
+    setListenerPosition(position) {
+        this.listener = position ? { x: position.x, y: position.y } : null;
+    }
+
+    /**
+     * Volume share and stereo pan (-1 left to 1 right) of a sound at a world position
+     */
+    getPlacement(position) {
+        if (!position || !this.listener) {
+            return { volume: 1, pan: 0 };
+        }
+
+        const { fullVolumeDistance, maxDistance, panDistance, maxPan } = this.positionalConfig;
+        const dx = position.x - this.listener.x;
+        const distance = Math.hypot(dx, position.y - this.listener.y);
+        const falloff = Math.max(0, Math.min(1, (distance - fullVolumeDistance) / (maxDistance - fullVolumeDistance)));
+
+        return {
+            volume: Math.pow(1 - falloff, 2),
+            pan: Math.max(-1, Math.min(1, dx / panDistance)) * maxPan
+        };
+    }
+
     /**
      * Play sound effect
+     * With a world position ({ x, y }) it is panned and quieter the further it is from the listener
      */
-    playSFX(name, volume = 1.0, pitch = 1.0) {
+    playSFX(name, volume = 1.0, pitch = 1.0, position = null) {
         if (this.isMuted) return;
 
         const sfxName = name.startsWith('sfx_') ? name : `sfx_${name}`;
+        const placement = this.getPlacement(position);
+        if (placement.volume <= 0) return; // Out of earshot
 
         try {
-            if (this.audioContext && this.audioBuffers.has(sfxName)) {
+            const buffer = this.audioContext ? this.getBuffer(sfxName) : null;
+
+            if (buffer) {
                 // Use Web Audio API for better control
-                const audioData = this.audioBuffers.get(sfxName);
                 const source = this.audioContext.createBufferSource();
                 const gainNode = this.audioContext.createGain();
 
-                source.buffer = audioData.buffer;
+                source.buffer = buffer;
                 source.playbackRate.value = pitch; // Pitch control
 
-                gainNode.gain.value = volume;
+                gainNode.gain.value = volume * placement.volume;
                 source.connect(gainNode);
-                gainNode.connect(this.sfxGainNode);
+
+                // Stereo panning where the browser supports it
+                let panner = null;
+                if (placement.pan !== 0 && this.audioContext.createStereoPanner) {
+                    panner = this.audioContext.createStereoPanner();
+                    panner.pan.value = placement.pan;
+                    gainNode.connect(panner);
+                    panner.connect(this.sfxGainNode);
+                } else {
+                    gainNode.connect(this.sfxGainNode);
+                }
 
                 source.start();
 
                 // Clean up after sound finishes
                 source.onended = () => {
                     gainNode.disconnect();
+                    panner?.disconnect();
                 };
 
             } else if (this.htmlAudioElements.has(sfxName)) {
@@ -378,7 +511,7 @@ export class AudioManager {
                 const audioData = this.htmlAudioElements.get(sfxName);
                 const audio = audioData.element.cloneNode();
 
-                audio.volume = volume * this.sfxVolume * this.masterVolume;
+                audio.volume = volume * placement.volume * this.sfxVolume * this.masterVolume;
                 audio.playbackRate = pitch;
 
                 const playPromise = audio.play();
@@ -399,14 +532,17 @@ export class AudioManager {
     setMasterVolume(volume) {
         this.masterVolume = Math.max(0, Math.min(1, volume));
 
-        if (this.masterGainNode) {
-            this.masterGainNode.gain.value = this.masterVolume;
-        }
+        // Stays silent while muted; unmuting restores the new volume
+        if (!this.isMuted) {
+            if (this.masterGainNode) {
+                this.masterGainNode.gain.value = this.masterVolume;
+            }
 
-        // Update HTML5 audio elements
-        for (const audioData of this.htmlAudioElements.values()) {
-            if (audioData.isMusic && this.currentMusic && this.currentMusic.element === audioData.element) {
-                audioData.element.volume = this.musicVolume * this.masterVolume;
+            // Update HTML5 audio elements
+            for (const audioData of this.htmlAudioElements.values()) {
+                if (audioData.isMusic && this.currentMusic && this.currentMusic.element === audioData.element) {
+                    audioData.element.volume = this.musicVolume * this.masterVolume;
+                }
             }
         }
 
@@ -424,7 +560,7 @@ export class AudioManager {
         }
 
         // Update current HTML5 music
-        if (this.currentMusic && this.currentMusic.type === 'html5') {
+        if (this.currentMusic && this.currentMusic.type === 'html5' && !this.isMuted) {
             this.currentMusic.element.volume = this.musicVolume * this.masterVolume;
         }
 
@@ -470,6 +606,12 @@ export class AudioManager {
         return this.isMuted;
     }
 
+    setMuted(muted) {
+        if (this.isMuted !== muted) {
+            this.toggleMute();
+        }
+    }
+
     /**
      * Fade in HTML5 audio element
      */
@@ -540,7 +682,7 @@ export class AudioManager {
      * Check if audio system is ready
      */
     isReady() {
-        return !this.isLoading && this.loadedCount > 0;
+        return !this.isLoading && (this.loadedCount > 0 || this.synth !== null);
     }
 
     /**
@@ -0,0 +1,337 @@
+/**
+ * AudioSynth - Generates the game's sounds when their audio files are missing
+ * Renders every named sound effect and a looping track per level from the parameter
+ * presets below into AudioBuffers, so AudioManager plays them like loaded files.
+ */
+
+/**
+ * Sound effects, by AudioManager name (without the sfx_ prefix)
+ * Each is a list of layers mixed together. A layer is a tone (sine, square, saw,
+ * triangle) or noise, sweeping from freq to freqEnd Hz over its duration (seconds),
+ * starting after delay, with a linear attack and a decay whose shape is curve
+ * (2: fades fast, 0.5: holds then drops). Noise can be low/high-pass filtered (Hz)
+ * and tones can wobble with vibrato { rate Hz, depth share of the frequency }.
+ */
+export const SFX_PRESETS = {
+    // Player actions
+    player_move: [
+        { wave: 'noise', duration: 0.06, volume: 0.25, lowpass: 700 }
+    ],
+    player_attack: [
+        { wave: 'noise', duration: 0.15, volume: 0.35, lowpass: 3000, highpass: 600 },
+        { wave: 'saw', freq: 420, freqEnd: 140, duration: 0.12, volume: 0.2 }
+    ],
+    player_dash: [
+        { wave: 'noise', duration: 0.25, volume: 0.3, attack: 0.05, lowpass: 2200, highpass: 400 },
+        { wave: 'sine', freq: 300, freqEnd: 900, duration: 0.2, volume: 0.2 }
+    ],
+    player_hurt: [
+        { wave: 'square', freq: 320, freqEnd: 120, duration: 0.25, volume: 0.3 }
+    ],
+    player_death: [
+        { wave: 'saw', freq: 420, freqEnd: 55, duration: 1.0, volume: 0.35, curve: 1 },
+        { wave: 'noise', duration: 0.6, volume: 0.2, lowpass: 800 }
+    ],
+
+    // Combat
+    enemy_hurt: [
+        { wave: 'square', freq: 200, freqEnd: 90, duration: 0.15, volume: 0.25 }
+    ],
+    enemy_death: [
+        { wave: 'saw', freq: 180, freqEnd: 40, duration: 0.6, volume: 0.35, curve: 1.5 },
+        { wave: 'noise', duration: 0.4, volume: 0.25, lowpass: 600 }
+    ],
+    boss_roar: [
+        { wave: 'saw', freq: 95, freqEnd: 50, duration: 1.2, volume: 0.45, attack: 0.1, curve: 1, vibrato: { rate: 9, depth: 0.08 } },
+        { wave: 'noise', duration: 1.2, volume: 0.35, attack: 0.1, curve: 1, lowpass: 500 }
+    ],
+    hit_impact: [
+        { wave: 'noise', duration: 0.08, volume: 0.4, lowpass: 1500 },
+        { wave: 'sine', freq: 130, freqEnd: 40, duration: 0.12, volume: 0.4 }
+    ],
+    super_attack: [
+        { wave: 'saw', freq: 200, freqEnd: 800, duration: 0.3, volume: 0.3 },
+        { wave: 'noise', duration: 0.4, volume: 0.3, delay: 0.2, lowpass: 2000 }
+    ],
+
+    // Interactions
+    button_press: [
+        { wave: 'square', freq: 880, duration: 0.05, volume: 0.2 },
+        { wave: 'square', freq: 1320, duration: 0.05, volume: 0.15, delay: 0.05 }
+    ],
+    door_open: [
+        { wave: 'noise', duration: 0.8, volume: 0.3, attack: 0.1, curve: 1, lowpass: 400 },
+        { wave: 'saw', freq: 60, freqEnd: 90, duration: 0.8, volume: 0.15, curve: 1 }
+    ],
+    elevator_move: [
+        { wave: 'saw', freq: 55, duration: 2.0, volume: 0.25, attack: 0.3, curve: 0.5, vibrato: { rate: 6, depth: 0.02 } },
+        { wave: 'sine', freq: 110, duration: 2.0, volume: 0.2, attack: 0.3, curve: 0.5 },
+        { wave: 'noise', duration: 2.0, volume: 0.1, attack: 0.3, curve: 0.5, lowpass: 300 }
+    ],
+    puzzle_solve: [
+        { wave: 'triangle', freq: 523, duration: 0.15, volume: 0.3 },
+        { wave: 'triangle', freq: 659, duration: 0.15, volume: 0.3, delay: 0.1 },
+        { wave: 'triangle', freq: 784, duration: 0.15, volume: 0.3, delay: 0.2 },
+        { wave: 'triangle', freq: 1047, duration: 0.4, volume: 0.3, delay: 0.3, curve: 1 }
+    ],
+    mechanism_activate: [
+        { wave: 'square', freq: 150, duration: 0.1, volume: 0.25 },
+        { wave: 'square', freq: 100, duration: 0.15, volume: 0.25, delay: 0.12 },
+        { wave: 'noise', duration: 0.3, volume: 0.15, lowpass: 1200 }
+    ],
+
+    // Environmental
+    falling_rock: [
+        { wave: 'noise', duration: 0.9, volume: 0.4, curve: 1.5, lowpass: 300 },
+        { wave: 'sine', freq: 60, freqEnd: 30, duration: 0.5, volume: 0.35 }
+    ],
+    radiation_ambient: [
+        { wave: 'noise', duration: 2.0, volume: 0.12, attack: 0.5, curve: 0.5, highpass: 2500 },
+        { wave: 'sine', freq: 60, duration: 2.0, volume: 0.08, attack: 0.5, curve: 0.5, vibrato: { rate: 3, depth: 0.05 } }
+    ],
+    blizzard_wind: [
+        { wave: 'noise', duration: 3.0, volume: 0.3, attack: 1.0, curve: 0.5, lowpass: 700 }
+    ],
+    reactor_shutdown: [
+        { wave: 'saw', freq: 220, freqEnd: 30, duration: 2.5, volume: 0.35, curve: 0.8 },
+        { wave: 'sine', freq: 440, freqEnd: 60, duration: 2.5, volume: 0.2, curve: 0.8 },
+        { wave: 'noise', duration: 2.5, volume: 0.15, curve: 1, lowpass: 400 }
+    ],
+
+    // UI
+    dialogue_type: [
+        { wave: 'square', freq: 1200, duration: 0.03, volume: 0.12 }
+    ],
+    level_complete: [
+        { wave: 'triangle', freq: 392, duration: 0.2, volume: 0.3 },
+        { wave: 'triangle', freq: 523, duration: 0.2, volume: 0.3, delay: 0.15 },
+        { wave: 'triangle', freq: 659, duration: 0.2, volume: 0.3, delay: 0.3 },
+        { wave: 'triangle', freq: 784, duration: 0.8, volume: 0.3, delay: 0.45, curve: 0.8 }
+    ],
+    sacrifice_moment: [
+        { wave: 'sine', freq: 220, duration: 2.5, volume: 0.25, attack: 0.6, curve: 0.7 },
+        { wave: 'sine', freq: 262, duration: 2.5, volume: 0.2, attack: 0.6, curve: 0.7 },
+        { wave: 'sine', freq: 330, duration: 2.5, volume: 0.2, attack: 0.6, curve: 0.7 }
+    ]
+};
+
+/**
+ * Level music loops, by AudioManager name (without the music_ prefix)
+ * A loop is one chord per bar of 4 beats: progression lists scale degrees (0 = root)
+ * of the key (MIDI note root, major or minor mode). The base track holds a pad chord
+ * every bar with the bass on bassBeats. Two intensity stems of the same length can be
+ * layered on top (AudioManager fades them in with the action): "pulse" adds a kick on
+ * kickBeats and off-beat hi-hats, "drive" adds snare hits and eighth-note arpeggios.
+ */
+export const MUSIC_PRESETS = {
+    menu: { tempo: 70, root: 57, mode: 'minor', progression: [0, 5, 3, 4], bassBeats: [0] },
+    level0: { tempo: 90, root: 60, mode: 'major', progression: [0, 4, 5, 3], bassBeats: [0, 2] },
+    level1: { tempo: 100, root: 57, mode: 'minor', progression: [0, 0, 5, 4], bassBeats: [0, 1, 2, 3], kickBeats: [0, 2] },
+    level2: { tempo: 140, root: 52, mode: 'minor', progression: [0, 5, 6, 4], bassBeats: [0, 1, 2, 3], kickBeats: [0, 1, 2, 3] },
+    level3: { tempo: 85, root: 62, mode: 'minor', progression: [0, 3, 5, 4], bassBeats: [0, 2] },
+    level4: { tempo: 60, root: 55, mode: 'minor', progression: [0, 5, 2, 4], bassBeats: [0] },
+    level5: { tempo: 130, root: 50, mode: 'minor', progression: [0, 6, 5, 4], bassBeats: [0, 1, 2, 3], kickBeats: [0, 2] },
+    ending: { tempo: 65, root: 60, mode: 'major', progression: [0, 5, 3, 4], bassBeats: [0] }
+};
+
+// Intensity stems every music preset can render, named music_<track>_<stem>
+export const MUSIC_STEMS = ['pulse', 'drive'];
+
+const SCALES = {
+    major: [0, 2, 4, 5, 7, 9, 11],
+    minor: [0, 2, 3, 5, 7, 8, 10]
+};
+
+const WAVES = {
+    sine: phase => Math.sin(2 * Math.PI * phase),
+    square: phase => (phase % 1 < 0.5 ? 1 : -1),
+    saw: phase => 2 * (phase % 1) - 1,
+    triangle: phase => 1 - 4 * Math.abs((phase % 1) - 0.5)
+};
+
+// Silence after the last layer so a sound doesn't end in a click
+const TAIL_SECONDS = 0.05;
+
+export class AudioSynth {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.sampleRate = audioContext.sampleRate;
+
+        // Rendered buffers, by AudioManager name (sfx_player_attack, music_level1, music_level1_pulse)
+        this.buffers = new Map();
+    }
+
+    /**
+     * Whether there is a preset for an AudioManager sound name
+     */
+    hasPreset(name) {
+        return this.getPreset(name) !== null;
+    }
+
+    /**
+     * Preset for a sound name: { layers } for effects, { music, stem } for music
+     */
+    getPreset(name) {
+        if (name.startsWith('sfx_')) {
+            const layers = SFX_PRESETS[name.slice(4)];
+            return layers ? { layers } : null;
+        }
+        if (name.startsWith('music_')) {
+            const [track, stem = 'base'] = name.slice(6).split('_');
+            const music = MUSIC_PRESETS[track];
+            return music && (stem === 'base' || MUSIC_STEMS.includes(stem)) ? { music, stem } : null;
+        }
+        return null;
+    }
+
+    /**
+     * Synthesized buffer for a sound name, rendered on first use; null without a preset
+     */
+    getBuffer(name) {
+        if (this.buffers.has(name)) {
+            return this.buffers.get(name);
+        }
+
+        const preset = this.getPreset(name);
+        if (!preset) return null;
+
+        const samples = preset.music ? this.renderMusic(preset.music, preset.stem) : this.renderLayers(preset.layers);
+        const buffer = this.audioContext.createBuffer(1, samples.length, this.sampleRate);
+        buffer.getChannelData(0).set(samples);
+
+        this.buffers.set(name, buffer);
+        console.log(`AudioSynth: Synthesized ${name} (${buffer.duration.toFixed(1)}s)`);
+        return buffer;
+    }
+
+    /**
+     * Mix a sound effect's layers
+     */
+    renderLayers(layers) {
+        const length = Math.max(...layers.map(layer => (layer.delay || 0) + layer.duration)) + TAIL_SECONDS;
+        const samples = new Float32Array(Math.ceil(length * this.sampleRate));
+
+        for (const layer of layers) {
+            this.renderLayer(samples, layer);
+        }
+        return clip(samples);
+    }
+
+    /**
+     * Render one loop of a music preset's base track (pad chords and bass) or of a stem
+     */
+    renderMusic(preset, stem = 'base') {
+        const beat = 60 / preset.tempo;
+        const barCount = preset.progression.length;
+        const samples = new Float32Array(Math.ceil(barCount * 4 * beat * this.sampleRate));
+
+        preset.progression.forEach((degree, bar) => {
+            const barStart = bar * 4 * beat;
+            const chord = [0, 2, 4].map(step => preset.root + scaleNote(preset.mode, degree + step));
+
+            if (stem === 'base') {
+                // Pad holding the chord through the bar
+                for (const note of chord) {
+                    this.renderLayer(samples, {
+                        wave: 'sine', freq: midiToFrequency(note), delay: barStart, duration: 4 * beat,
+                        volume: 0.08, attack: beat, curve: 0.5
+                    });
+                }
+
+                for (const beatIndex of preset.bassBeats || []) {
+                    this.renderLayer(samples, {
+                        wave: 'triangle', freq: midiToFrequency(chord[0] - 24), delay: barStart + beatIndex * beat,
+                        duration: beat * 0.9, volume: 0.3, curve: 1
+                    });
+                }
+            } else if (stem === 'pulse') {
+                for (const beatIndex of preset.kickBeats || [0, 2]) {
+                    this.renderLayer(samples, {
+                        wave: 'sine', freq: 120, freqEnd: 40, delay: barStart + beatIndex * beat,
+                        duration: 0.15, volume: 0.4
+                    });
+                }
+                for (let beatIndex = 0; beatIndex < 4; beatIndex++) {
+                    this.renderLayer(samples, {
+                        wave: 'noise', delay: barStart + (beatIndex + 0.5) * beat, duration: 0.04, volume: 0.08, highpass: 6000
+                    });
+                }
+            } else if (stem === 'drive') {
+                for (const beatIndex of [1, 3]) {
+                    this.renderLayer(samples, {
+                        wave: 'noise', delay: barStart + beatIndex * beat, duration: 0.12, volume: 0.2, lowpass: 4000, highpass: 800
+                    });
+                }
+                for (let eighth = 0; eighth < 8; eighth++) {
+                    this.renderLayer(samples, {
+                        wave: 'square', freq: midiToFrequency(chord[eighth % 3] + 12), delay: barStart + eighth * beat / 2,
+                        duration: beat / 2 * 0.8, volume: 0.05
+                    });
+                }
+            }
+        });
+
+        return clip(samples);
+    }
+
+    /**
+     * Add one tone or noise layer into the sample array (cut off at its end)
+     */
+    renderLayer(samples, layer) {
+        const sampleRate = this.sampleRate;
+        const start = Math.floor((layer.delay || 0) * sampleRate);
+        const length = Math.min(Math.floor(layer.duration * sampleRate), samples.length - start);
+        const attack = layer.attack || 0.005;
+        const curve = layer.curve ?? 2;
+        const volume = layer.volume ?? 0.3;
+        const wave = WAVES[layer.wave];
+
+        // One-pole filters for noise
+        const lowpass = layer.lowpass ? 1 - Math.exp(-2 * Math.PI * layer.lowpass / sampleRate) : 1;
+        const highpass = layer.highpass ? 1 - Math.exp(-2 * Math.PI * layer.highpass / sampleRate) : 0;
+        let low = 0;
+        let band = 0;
+
+        let phase = 0;
+        for (let i = 0; i < length; i++) {
+            const time = i / sampleRate;
+
+            let value;
+            if (wave) {
+                const sweep = layer.freqEnd ? Math.pow(layer.freqEnd / layer.freq, time / layer.duration) : 1;
+                const vibrato = layer.vibrato ? 1 + layer.vibrato.depth * Math.sin(2 * Math.PI * layer.vibrato.rate * time) : 1;
+                phase += layer.freq * sweep * vibrato / sampleRate;
+                value = wave(phase);
+            } else {
+                band += lowpass * (Math.random() * 2 - 1 - band);
+                low += highpass * (band - low);
+                value = band - low;
+            }
+
+            const envelope = time < attack ?
+                time / attack :
+                Math.pow(Math.max(0, 1 - (time - attack) / (layer.duration - attack)), curve);
+
+            samples[start + i] += value * envelope * volume;
+        }
+    }
+}
+
+function midiToFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+/**
+ * Semitones above the key's root for a scale degree (degrees past 6 go up an octave)
+ */
+function scaleNote(mode, degree) {
+    const scale = SCALES[mode] || SCALES.major;
+    return scale[degree % scale.length] + 12 * Math.floor(degree / scale.length);
+}
+
+function clip(samples) {
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = Math.max(-1, Math.min(1, samples[i]));
+    }
+    return samples;
+}
@@ -1,3 +1,38 @@
+// Facility colour themes; levels pick one in getLevelTheme
+const FACILITY_THEMES = {
+    normal: { 
+        base: '#2a2a2a', accent: '#3a3a3a', highlight: '#4a4a4a',
+        secondary: '#1a1a1a', light: '#5a5a5a', special: '#4a6a4a'
+    },
+    danger: { 
+        base: '#2a1a1a', accent: '#3a2a2a', highlight: '#4a3a3a',
+        secondary: '#1a0a0a', light: '#5a4a4a', special: '#6a2a2a'
+    },
+    toxic: { 
+        base: '#1a2a1a', accent: '#2a3a2a', highlight: '#3a4a3a',
+        secondary: '#0a1a0a', light: '#4a5a4a', special: '#2a6a2a'
+    },
+    cold: { 
+        base: '#1a1a2a', accent: '#2a2a3a', highlight: '#3a3a4a',
+        secondary: '#0a0a1a', light: '#4a4a5a', special: '#2a2a6a'
+    },
+    reactor: {
+        base: '#1a1a3a', accent: '#2a2a4a', highlight: '#3a3a5a',
+        secondary: '#0a0a2a', light: '#4a4a6a', special: '#2a4a6a'
+    },
+    underground: {
+        base: '#3a2a1a', accent: '#4a3a2a', highlight: '#5a4a3a',
+        secondary: '#2a1a0a', light: '#6a5a4a', special: '#6a4a2a'
+    }
+};
+
+// Hazard tile tint by type (matches the level's hazard zones)
+const HAZARD_TILE_COLORS = {
+    radiation: '#00ff00',
+    fire: '#ff6600',
+    electric: '#ffff00'
+};
+
 /**
  * BackgroundManager - Handles dynamic background generation and rendering
  * Creates atmospheric backgrounds for different levels
@@ -7,6 +42,7 @@ export class BackgroundManager {
         this.backgrounds = new Map();
         this.animatedElements = new Map();
         this.particleSystems = new Map();
+        this.tileLayers = new WeakMap(); // Pre-rendered walls and floor per TileMap
     }
 
     /**
@@ -18,35 +54,7 @@ export class BackgroundManager {
         canvas.height = height;
         const ctx = canvas.getContext('2d');
 
-        // Enhanced themes with more variety
-        const themes = {
-            normal: { 
-                base: '#2a2a2a', accent: '#3a3a3a', highlight: '#4a4a4a',
-                secondary: '#1a1a1a', light: '#5a5a5a', special: '#4a6a4a'
-            },
-            danger: { 
-                base: '#2a1a1a', accent: '#3a2a2a', highlight: '#4a3a3a',
-                secondary: '#1a0a0a', light: '#5a4a4a', special: '#6a2a2a'
-            },
-            toxic: { 
-                base: '#1a2a1a', accent: '#2a3a2a', highlight: '#3a4a3a',
-                secondary: '#0a1a0a', light: '#4a5a4a', special: '#2a6a2a'
-            },
-            cold: { 
-                base: '#1a1a2a', accent: '#2a2a3a', highlight: '#3a3a4a',
-                secondary: '#0a0a1a', light: '#4a4a5a', special: '#2a2a6a'
-            },
-            reactor: {
-                base: '#1a1a3a', accent: '#2a2a4a', highlight: '#3a3a5a',
-                secondary: '#0a0a2a', light: '#4a4a6a', special: '#2a4a6a'
-            },
-            underground: {
-                base: '#3a2a1a', accent: '#4a3a2a', highlight: '#5a4a3a',
-                secondary: '#2a1a0a', light: '#6a5a4a', special: '#6a4a2a'
-            }
-        };
-
-        const colors = themes[theme] || themes.normal;
+        const colors = FACILITY_THEMES[theme] || FACILITY_THEMES.normal;
 
         // Create gradient background for depth
         this.drawGradientBackground(ctx, width, height, colors);
@@ -462,38 +470,145 @@ export class BackgroundManager {
             return this.backgrounds.get(key);
         }
 
-        let background;
+        const background = this.createFacilityBackground(width, height, this.getLevelTheme(levelNumber));
+        this.backgrounds.set(key, background);
+        return background;
+    }
+
+    /**
+     * Facility theme of a level
+     */
+    getLevelTheme(levelNumber) {
         switch (levelNumber) {
             case 0:
                 // Tutorial - Clean facility entrance
-                background = this.createFacilityBackground(width, height, 'normal');
-                break;
+                return 'normal';
             case 1:
                 // Combat training - Emergency lighting and warnings
-                background = this.createFacilityBackground(width, height, 'danger');
-                break;
+                return 'danger';
             case 2:
                 // Boss fight - Reactor hall with emergency systems
-                background = this.createFacilityBackground(width, height, 'reactor');
-                break;
+                return 'reactor';
             case 3:
                 // Puzzle level - Control room with toxic contamination
-                background = this.createFacilityBackground(width, height, 'toxic');
-                break;
+                return 'toxic';
             case 4:
                 // Sacrifice level - Underground maintenance tunnels
-                background = this.createFacilityBackground(width, height, 'underground');
-                break;
+                return 'underground';
             case 5:
                 // Final level - Frozen reactor core chamber
-                background = this.createFacilityBackground(width, height, 'cold');
-                break;
+                return 'cold';
             default:
-                background = this.createFacilityBackground(width, height, 'normal');
+                return 'normal';
         }
+    }
 
-        this.backgrounds.set(key, background);
-        return background;
+    /**
+     * Draw a level's tile layer: walls and hazard floor from a cached image, doors live
+     * since they open and close
+     */
+    renderTileLayer(ctx, tileMap, levelNumber) {
+        if (!this.tileLayers.has(tileMap)) {
+            this.tileLayers.set(tileMap, this.createTileLayer(tileMap, this.getLevelTheme(levelNumber)));
+        }
+        ctx.drawImage(this.tileLayers.get(tileMap), 0, 0);
+
+        const colors = FACILITY_THEMES[this.getLevelTheme(levelNumber)];
+        const size = tileMap.tileSize;
+        for (const door of tileMap.getDoors()) {
+            for (const { column, row } of door.tiles) {
+                this.drawDoorTile(ctx, column * size, row * size, size, colors, door.open);
+            }
+        }
+    }
+
+    /**
+     * Pre-render walls and hazard floor of a tile map
+     */
+    createTileLayer(tileMap, theme) {
+        const size = tileMap.tileSize;
+        const canvas = document.createElement('canvas');
+        canvas.width = tileMap.columns * size;
+        canvas.height = tileMap.rows * size;
+        const ctx = canvas.getContext('2d');
+        const colors = FACILITY_THEMES[theme] || FACILITY_THEMES.normal;
+
+        tileMap.forEachTile((tile, column, row) => {
+            const x = column * size;
+            const y = row * size;
+
+            if (tile.type === 'wall') {
+                this.drawWallTile(ctx, x, y, size, colors, tileMap, column, row);
+            } else if (HAZARD_TILE_COLORS[tile.type]) {
+                this.drawHazardTile(ctx, x, y, size, HAZARD_TILE_COLORS[tile.type]);
+            }
+        });
+
+        return canvas;
+    }
+
+    /**
+     * Wall block with a lit edge where it faces open floor
+     */
+    drawWallTile(ctx, x, y, size, colors, tileMap, column, row) {
+        const gradient = ctx.createLinearGradient(x, y, x, y + size);
+        gradient.addColorStop(0, colors.highlight);
+        gradient.addColorStop(1, colors.secondary);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(x, y, size, size);
+
+        // Panel seams
+        ctx.strokeStyle = colors.accent;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x + 4, y + 4, size - 8, size - 8);
+
+        // Edges facing walkable tiles
+        ctx.fillStyle = colors.light;
+        if (tileMap.getTile(column, row - 1).type !== 'wall') ctx.fillRect(x, y, size, 3);
+        if (tileMap.getTile(column, row + 1).type !== 'wall') ctx.fillRect(x, y + size - 3, size, 3);
+        if (tileMap.getTile(column - 1, row).type !== 'wall') ctx.fillRect(x, y, 3, size);
+        if (tileMap.getTile(column + 1, row).type !== 'wall') ctx.fillRect(x + size - 3, y, 3, size);
+    }
+
+    /**
+     * Hazard floor: tinted with warning stripes
+     */
+    drawHazardTile(ctx, x, y, size, color) {
+        ctx.save();
+        ctx.globalAlpha = 0.25;
+        ctx.fillStyle = color;
+        ctx.fillRect(x, y, size, size);
+
+        ctx.beginPath();
+        ctx.rect(x, y, size, size);
+        ctx.clip();
+        ctx.globalAlpha = 0.35;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 4;
+        for (let offset = -size; offset < size; offset += 16) {
+            ctx.beginPath();
+            ctx.moveTo(x + offset, y + size);
+            ctx.lineTo(x + offset + size, y);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Door: closed shutter with hazard stripes, or an open frame
+     */
+    drawDoorTile(ctx, x, y, size, colors, isOpen) {
+        ctx.strokeStyle = colors.light;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x + 1, y + 1, size - 2, size - 2);
+        if (isOpen) return;
+
+        ctx.fillStyle = colors.accent;
+        ctx.fillRect(x + 3, y + 3, size - 6, size - 6);
+        ctx.fillStyle = '#aa8800';
+        for (let stripe = 8; stripe < size - 8; stripe += 12) {
+            ctx.fillRect(x + 6, y + stripe, size - 12, 5);
+        }
     }
 
     /**
@@ -503,6 +618,7 @@ export class BackgroundManager {
         this.backgrounds.clear();
         this.animatedElements.clear();
         this.particleSystems.clear();
+        this.tileLayers = new WeakMap();
     }
 
     /**
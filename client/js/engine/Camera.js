@@ -0,0 +1,224 @@
+/**
+ * World camera: follows the local player (or the group centroid), zooms, stays inside the
+ * level bounds and carries the screen shake from VisualEffectsManager
+ * World layers render between apply() and restore(); HUD layers render after it in screen space.
+ */
+
+// Follow targets the player can switch between (V)
+export const CAMERA_MODES = ['player', 'group'];
+
+export class Camera {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.canvas = gameEngine.canvas;
+
+        // Top-left corner of the view in world coordinates
+        this.x = 0;
+        this.y = 0;
+
+        // Screen pixels per world pixel
+        this.zoom = 1;
+        this.minZoom = 0.5;
+        this.maxZoom = 2;
+        this.zoomStep = 0.25;
+
+        this.mode = 'player';
+        this.followSpeed = 5;
+
+        // Jump straight to the focus on the first frame of every level
+        this.levelNumber = null;
+    }
+
+    /**
+     * Size of the current level; the canvas while no level is loaded
+     */
+    getBounds() {
+        const level = this.gameEngine.levelManager?.currentLevel;
+        return level?.bounds || { width: this.canvas.width, height: this.canvas.height };
+    }
+
+    /**
+     * Zoom at which the whole level fits on screen (never magnified)
+     */
+    getFitZoom() {
+        const bounds = this.getBounds();
+        return Math.min(1, this.canvas.width / bounds.width, this.canvas.height / bounds.height);
+    }
+
+    getZoom() {
+        if (this.gameEngine.levelEditor?.isActive) {
+            return this.getFitZoom();
+        }
+        if (this.gameEngine.spectatorManager?.isSpectating) {
+            return this.gameEngine.spectatorManager.getZoom();
+        }
+        return this.zoom;
+    }
+
+    setZoom(zoom) {
+        this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, zoom));
+    }
+
+    setMode(mode) {
+        if (CAMERA_MODES.includes(mode)) {
+            this.mode = mode;
+        }
+    }
+
+    /**
+     * World point the view centers on
+     */
+    getFocus() {
+        const bounds = this.getBounds();
+        const levelCenter = { x: bounds.width / 2, y: bounds.height / 2 };
+
+        if (this.gameEngine.levelEditor?.isActive) {
+            return levelCenter;
+        }
+
+        const spectator = this.gameEngine.spectatorManager;
+        if (spectator?.isSpectating) {
+            const target = spectator.getTarget();
+            return target ? getCenter(target) : levelCenter;
+        }
+
+        const localPlayer = this.gameEngine.getLocalPlayer();
+        if (this.mode === 'player' && localPlayer?.isAlive) {
+            return getCenter(localPlayer);
+        }
+
+        // Group centroid; also while the local player is down and before spectating starts
+        const living = Array.from(this.gameEngine.players.values()).filter(player => player.isAlive);
+        if (living.length > 0) {
+            const centers = living.map(getCenter);
+            return {
+                x: centers.reduce((sum, center) => sum + center.x, 0) / centers.length,
+                y: centers.reduce((sum, center) => sum + center.y, 0) / centers.length
+            };
+        }
+
+        return localPlayer ? getCenter(localPlayer) : levelCenter;
+    }
+
+    update(deltaTime) {
+        const levelNumber = this.gameEngine.levelManager?.currentLevelNumber ?? null;
+        const snap = levelNumber !== this.levelNumber;
+        this.levelNumber = levelNumber;
+
+        this.follow(deltaTime, snap);
+    }
+
+    /**
+     * Move towards the focus, clamped to the level; snap skips the easing
+     */
+    follow(deltaTime, snap = false) {
+        const zoom = this.getZoom();
+        const viewWidth = this.canvas.width / zoom;
+        const viewHeight = this.canvas.height / zoom;
+        const bounds = this.getBounds();
+        const focus = this.getFocus();
+
+        const desiredX = clampAxis(focus.x - viewWidth / 2, viewWidth, bounds.width);
+        const desiredY = clampAxis(focus.y - viewHeight / 2, viewHeight, bounds.height);
+
+        const t = snap ? 1 : Math.min(1, deltaTime * this.followSpeed);
+        this.x += (desiredX - this.x) * t;
+        this.y += (desiredY - this.y) * t;
+    }
+
+    snapToFocus() {
+        this.follow(0, true);
+    }
+
+    /**
+     * Apply zoom, scroll and screen shake to world rendering; pair with restore
+     */
+    apply(ctx) {
+        const zoom = this.getZoom();
+        const shake = this.gameEngine.visualEffectsManager?.getShakeOffset() || { x: 0, y: 0 };
+
+        ctx.save();
+        ctx.scale(zoom, zoom);
+        ctx.translate(-Math.round(this.x) + shake.x, -Math.round(this.y) + shake.y);
+    }
+
+    restore(ctx) {
+        ctx.restore();
+    }
+
+    /**
+     * The part of the level on screen, in world coordinates
+     */
+    getViewport() {
+        const zoom = this.getZoom();
+        return {
+            x: this.x,
+            y: this.y,
+            width: this.canvas.width / zoom,
+            height: this.canvas.height / zoom
+        };
+    }
+
+    /**
+     * Convert a mouse position to world coordinates
+     */
+    screenToWorld(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const canvasX = (clientX - rect.left) * (this.canvas.width / rect.width);
+        const canvasY = (clientY - rect.top) * (this.canvas.height / rect.height);
+
+        const zoom = this.getZoom();
+        return {
+            x: canvasX / zoom + this.x,
+            y: canvasY / zoom + this.y
+        };
+    }
+
+    /**
+     * Zoom keys (+/-/0); returns true when the key was handled
+     */
+    handleKeyDown(event) {
+        switch (event.code) {
+            case 'Equal':
+            case 'NumpadAdd':
+                this.setZoom(this.zoom + this.zoomStep);
+                return true;
+
+            case 'Minus':
+            case 'NumpadSubtract':
+                this.setZoom(this.zoom - this.zoomStep);
+                return true;
+
+            case 'Digit0':
+            case 'Numpad0':
+                this.setZoom(1);
+                return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Switch between following yourself and the group (the camera_follow action, V)
+     */
+    toggleMode() {
+        this.setMode(this.mode === 'player' ? 'group' : 'player');
+        this.gameEngine.hudManager.showNotification(
+            this.mode === 'player' ? 'Camera: following you' : 'Camera: following the group', 2000, '#aaaaff'
+        );
+    }
+}
+
+function getCenter(entity) {
+    return { x: entity.x + entity.width / 2, y: entity.y + entity.height / 2 };
+}
+
+/**
+ * Keep a view inside the level along one axis, centering it when the level is smaller
+ */
+function clampAxis(start, viewSize, levelSize) {
+    if (viewSize >= levelSize) {
+        return (levelSize - viewSize) / 2;
+    }
+    return Math.max(0, Math.min(start, levelSize - viewSize));
+}
@@ -1,3 +1,24 @@
+/**
+ * Active ability of each character, used with R (see AbilitySystem)
+ * Times are in seconds, distances in pixels. Mirrored for the server in server/CharacterStats.js.
+ */
+export const CHARACTER_ABILITIES = {
+    // Draws the attention of nearby enemies and shrugs off half their damage meanwhile
+    warrior: { key: 'taunt', name: 'Taunt', cooldown: 15, duration: 4, radius: 300, damageTaken: 0.5, color: '#ff4444' },
+    // Dashes recharge almost at once for a few seconds
+    scout: { key: 'dash_chain', name: 'Dash Chain', cooldown: 12, duration: 4, dashCooldown: 0.4, color: '#44ff44' },
+    // Heals every living player around the medic, the medic included
+    medic: { key: 'area_heal', name: 'Area Heal', cooldown: 12, radius: 160, amount: 50, color: '#44aaff' },
+    // Deploys a turret that shoots the nearest enemy in range until it powers down
+    engineer: {
+        key: 'turret', name: 'Turret', cooldown: 20, duration: 12, range: 260, damage: 25, fireInterval: 0.8, color: '#ffff44'
+    },
+    // Double damage for a while, but hits taken hurt more too
+    berserker: {
+        key: 'rage', name: 'Rage', cooldown: 20, duration: 6, damageMultiplier: 2, damageTaken: 1.25, color: '#ff44ff'
+    }
+};
+
 export class CharacterManager {
     constructor() {
         this.characterTypes = this.initializeCharacterTypes();
@@ -13,6 +34,7 @@ export class CharacterManager {
                 health: 6,   // 6/3 - 6 hearts (max health)
                 speed: 1,    // 1/3 - slower movement
                 color: '#ff4444',
+                sprite: 'player_tank', // SpriteLoader base name (the armored tank sprite)
                 advantages: ["High damage", "Maximum health", "Tank role"],
                 disadvantages: ["Slow movement", "Short range"]
             },
@@ -24,6 +46,7 @@ export class CharacterManager {
                 health: 4,   // 4/3 - 4 hearts
                 speed: 3,    // 3/3 - fastest movement
                 color: '#44ff44',
+                sprite: 'player_scout',
                 advantages: ["Fastest movement", "Good mobility", "Balanced stats"],
                 disadvantages: ["Medium damage", "Medium health"]
             },
@@ -35,6 +58,7 @@ export class CharacterManager {
                 health: 5,   // 5/3 - 5 hearts
                 speed: 2,    // 2/3 - normal speed
                 color: '#4444ff',
+                sprite: 'player_medic',
                 advantages: ["High health", "Healing abilities", "Support role"],
                 disadvantages: ["Low damage", "Relies on team"]
             },
@@ -46,6 +70,7 @@ export class CharacterManager {
                 health: 3,   // 3/3 - 3 hearts (minimum)
                 speed: 2,    // 2/3 - normal speed
                 color: '#ffff44',
+                sprite: 'player_engineer',
                 advantages: ["Balanced stats", "Technical abilities", "Versatile"],
                 disadvantages: ["Minimum health", "No specialization"]
             },
@@ -57,6 +82,7 @@ export class CharacterManager {
                 health: 3,   // 3/3 - 3 hearts (minimum)
                 speed: 2,    // 2/3 - normal speed
                 color: '#ff44ff',
+                sprite: 'player_berserker',
                 advantages: ["Maximum damage", "High risk/reward", "Aggressive"],
                 disadvantages: ["Minimum health", "High risk"]
             }
@@ -100,9 +126,12 @@ export class CharacterManager {
         player.baseSpeed = 200 * (character.speed / 2); // Scale speed (1-3 -> 100-300 pixels/sec)
         player.speed = player.baseSpeed;
         player.color = character.color;
+        player.spriteBaseName = character.sprite;
         
-        // Add character-specific abilities
-        player.characterAbilities = this.getCharacterAbilities(characterKey);
+        // Active ability, ready from the start
+        player.ability = this.getCharacterAbility(characterKey);
+        player.abilityCooldown = 0;
+        player.abilityTime = 0;
         
         console.log(`Applied ${character.name} stats to player ${player.id}:`, {
             strength: player.strength,
@@ -111,26 +140,8 @@ export class CharacterManager {
         });
     }
     
-    getCharacterAbilities(characterKey) {
-        switch (characterKey) {
-            case 'medic':
-                return {
-                    heal: {
-                        cooldown: 10.0, // 10 seconds
-                        amount: 50,     // 2 hearts worth
-                        range: 100
-                    }
-                };
-            case 'engineer':
-                return {
-                    repair: {
-                        cooldown: 15.0,
-                        effectiveness: 1.5
-                    }
-                };
-            default:
-                return {};
-        }
+    getCharacterAbility(characterKey) {
+        return CHARACTER_ABILITIES[characterKey] || null;
     }
     
     // Character selection UI methods
@@ -208,6 +219,14 @@ export class CharacterManager {
             }
             ctx.fillText(line, cardX, cardY + yOffset);
             
+            // Active ability
+            const ability = CHARACTER_ABILITIES[key];
+            if (ability) {
+                ctx.fillStyle = ability.color;
+                ctx.font = 'bold 13px monospace';
+                ctx.fillText(`[R] ${ability.name}`, cardX, cardY + cardHeight - 35);
+            }
+            
             // Number key hint
             ctx.fillStyle = '#ffff00';
             ctx.font = 'bold 16px monospace';
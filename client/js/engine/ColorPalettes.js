@@ -0,0 +1,56 @@
+/**
+ * Color palettes for the colors gameplay depends on telling apart: health bars,
+ * friend and foe on the minimap, and damage and heal numbers.
+ * The colorblind palettes swap red/green (and blue/yellow) pairs for ones that stay distinct.
+ */
+export const COLOR_PALETTES = {
+    default: {
+        name: 'Default',
+        health: '#00ff00',
+        healthBackground: '#ff0000',
+        lowHealth: '#ff0000',
+        criticalHealth: '#ff6400',
+        ally: '#00ff00',
+        enemy: '#ff0000',
+        dead: '#ff6666',
+        damageTaken: '#ff4444',
+        damageDealt: '#ffff44',
+        damageBlocked: '#88ccff',
+        heal: '#44ff88'
+    },
+    red_green: {
+        name: 'Red-green colorblind (deuteranopia, protanopia)',
+        health: '#3399ff',
+        healthBackground: '#ff9900',
+        lowHealth: '#ff9900',
+        criticalHealth: '#ffdd00',
+        ally: '#3399ff',
+        enemy: '#ff9900',
+        dead: '#999999',
+        damageTaken: '#ff9900',
+        damageDealt: '#ffff44',
+        damageBlocked: '#ffffff',
+        heal: '#66ccff'
+    },
+    tritanopia: {
+        name: 'Blue-yellow colorblind (tritanopia)',
+        health: '#00dddd',
+        healthBackground: '#ff3366',
+        lowHealth: '#ff3366',
+        criticalHealth: '#ff0000',
+        ally: '#00dddd',
+        enemy: '#ff3366',
+        dead: '#999999',
+        damageTaken: '#ff3366',
+        damageDealt: '#ffffff',
+        damageBlocked: '#00dddd',
+        heal: '#66ffff'
+    }
+};
+
+// Colors in use; renderers read these every frame, so switching palettes takes effect at once
+export const colors = { ...COLOR_PALETTES.default };
+
+export function setColorPalette(key) {
+    Object.assign(colors, COLOR_PALETTES[key] || COLOR_PALETTES.default);
+}
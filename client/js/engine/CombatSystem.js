@@ -1,3 +1,5 @@
+import { colors } from './ColorPalettes.js';
+
 export class CombatSystem {
     constructor(gameEngine) {
         this.gameEngine = gameEngine;
@@ -8,9 +10,6 @@ export class CombatSystem {
         this.config = {
             playerAttackRange: 80, // Increased range for swing attacks
             playerAttackCooldown: 0.7, // seconds
-            enemyAttackRange: 40,
-            enemyAttackDamage: 25, // 1 heart of damage (25 HP)
-            enemyAttackCooldown: 1.0,
             damageNumberDuration: 1.0, // seconds
             swingAngle: Math.PI / 3, // 60 degree swing arc
             swingWidth: 100 // Width of swing attack
@@ -35,38 +34,6 @@ export class CombatSystem {
             damageNumber.alpha = damageNumber.timeLeft / this.config.damageNumberDuration;
             return damageNumber.timeLeft > 0;
         });
-        
-        // Process boss area attacks
-        this.processBossAreaAttacks(deltaTime);
-    }
-    
-    processBossAreaAttacks(deltaTime) {
-        const currentLevel = this.gameEngine.getCurrentLevel();
-        if (!currentLevel || !currentLevel.effects) return;
-        
-        for (const effect of currentLevel.effects) {
-            if (effect.type === 'boss_area_attack' && !effect.damageDealt) {
-                // Check if warning time has passed
-                const elapsed = effect.maxTime - effect.timeLeft;
-                if (elapsed >= effect.warningTime) {
-                    // Deal damage to all players in range
-                    const players = Array.from(this.gameEngine.players.values());
-                    for (const player of players) {
-                        if (!player.isAlive) continue;
-                        
-                        const playerCenterX = player.x + player.width / 2;
-                        const playerCenterY = player.y + player.height / 2;
-                        const distance = this.getDistance(effect.x, effect.y, playerCenterX, playerCenterY);
-                        
-                        if (distance <= effect.radius) {
-                            this.damagePlayer(player, effect.damage, effect.x, effect.y);
-                        }
-                    }
-                    
-                    effect.damageDealt = true; // Prevent multiple damage applications
-                }
-            }
-        }
     }
     
     // Player attack system with swing mechanics
@@ -84,11 +51,11 @@ export class CombatSystem {
         
         // Play attack sound effect
         if (this.gameEngine.getAudioManager()) {
-            this.gameEngine.getAudioManager().playSFX('player_attack', 0.8);
+            this.gameEngine.getAudioManager().playSFX('player_attack', 0.8, 1.0, getCenter(player));
         }
         
-        // Calculate damage based on player strength (1 strength = 25 HP = 1 heart)
-        const damage = player.strength * 25;
+        // Calculate damage based on player strength (1 strength = 25 HP = 1 heart), doubled by rage
+        const damage = Math.round(player.strength * 25 * player.getDamageMultiplier());
         
         // Perform swing attack
         const hitEnemies = this.performSwingAttack(player, damage);
@@ -120,7 +87,10 @@ export class CombatSystem {
             if (!enemy.isAlive) continue;
             
             if (this.isInSwingRange(player, enemy)) {
-                this.damageEnemy(enemy, damage, player.x, player.y);
+                // Server resolves damage for its own enemies
+                if (!enemyManager.serverAuthoritative) {
+                    this.damageEnemy(enemy, damage, player.x + player.width / 2, player.y + player.height / 2);
+                }
                 hitCount++;
             }
         }
@@ -169,8 +139,11 @@ export class CombatSystem {
     tryEnemyAttack(enemy, targetPlayer) {
         if (!enemy.isAlive || !targetPlayer.isAlive) return false;
         
+        // Spitters and irradiated zombies hurt players through their own attacks
+        if (!enemy.hasMeleeAttack()) return false;
+        
         // Boss-specific behavior: don't attack if inactive or targeting wrong player
-        if (enemy.type === 'mutant_boss') {
+        if (enemy.archetype.isBoss) {
             if (enemy.isInactive) return false;
             if (enemy.selectedTarget && enemy.selectedTarget !== targetPlayer) return false;
         }
@@ -178,26 +151,23 @@ export class CombatSystem {
         // Check cooldown
         if (enemy.attackCooldown > 0) return false;
         
-        // Check range (boss has longer range)
-        const attackRange = enemy.type === 'mutant_boss' ? 60 : this.config.enemyAttackRange;
+        // Range, cooldown and damage come from the enemy's archetype
         const distance = this.getDistance(enemy.x, enemy.y, targetPlayer.x, targetPlayer.y);
-        if (distance > attackRange) return false;
+        if (distance > enemy.attackRange) return false;
         
-        // Set cooldown (boss attacks slower)
-        const cooldown = enemy.type === 'mutant_boss' ? 1.5 : this.config.enemyAttackCooldown;
-        enemy.attackCooldown = cooldown;
+        enemy.attackCooldown = enemy.attackCooldownMax;
         
         // Play enemy attack sound
         if (this.gameEngine.getAudioManager()) {
             if (enemy.type === 'mutant_boss') {
-                this.gameEngine.getAudioManager().playSFX('boss_roar', 0.9);
+                this.gameEngine.getAudioManager().playSFX('boss_roar', 0.9, 1.0, getCenter(enemy));
             } else {
-                this.gameEngine.getAudioManager().playSFX('enemy_hurt', 0.6); // Reuse for attack sound
+                this.gameEngine.getAudioManager().playSFX('enemy_hurt', 0.6, 1.0, getCenter(enemy)); // Reuse for attack sound
             }
         }
         
-        // Deal damage (boss does more damage)
-        const damage = enemy.type === 'mutant_boss' ? enemy.attackDamage : this.config.enemyAttackDamage;
+        // Deal damage
+        const damage = enemy.attackDamage;
         this.damagePlayer(targetPlayer, damage, enemy.x, enemy.y);
         
         // Create attack visual effect
@@ -215,15 +185,17 @@ export class CombatSystem {
     damagePlayer(player, damage, sourceX, sourceY) {
         if (!player.isAlive) return;
         
+        // Taunting warriors take less, raging berserkers more
+        damage = Math.round(damage * player.getDamageTakenMultiplier());
         player.takeDamage(damage);
         
         // Play player hurt sound effect
         if (this.gameEngine.getAudioManager()) {
-            this.gameEngine.getAudioManager().playSFX('player_hurt', 0.8);
+            this.gameEngine.getAudioManager().playSFX('player_hurt', 0.8, 1.0, getCenter(player));
         }
         
         // Create damage number
-        this.createDamageNumber(player.x + player.width / 2, player.y, damage, '#ff4444');
+        this.createDamageNumber(player.x + player.width / 2, player.y, damage, colors.damageTaken);
         
         // Create damage effect
         this.createDamageEffect(player.x + player.width / 2, player.y + player.height / 2);
@@ -246,15 +218,16 @@ export class CombatSystem {
     damageEnemy(enemy, damage, sourceX, sourceY) {
         if (!enemy.isAlive) return;
         
-        enemy.takeDamage(damage);
+        // Shields soak hits from the front
+        const dealt = enemy.takeDamage(damage, sourceX, sourceY);
         
         // Play hit sound effect
         if (this.gameEngine.getAudioManager()) {
-            this.gameEngine.getAudioManager().playSFX('hit_impact', 0.7);
+            this.gameEngine.getAudioManager().playSFX('hit_impact', 0.7, 1.0, getCenter(enemy));
         }
         
-        // Create damage number
-        this.createDamageNumber(enemy.x + enemy.width / 2, enemy.y, damage, '#ffff44');
+        // Create damage number (blue when the shield blocked part of it)
+        this.createDamageNumber(enemy.x + enemy.width / 2, enemy.y, dealt, dealt < damage ? colors.damageBlocked : colors.damageDealt);
         
         // Create damage effect
         this.createDamageEffect(enemy.x + enemy.width / 2, enemy.y + enemy.height / 2);
@@ -264,7 +237,7 @@ export class CombatSystem {
             this.gameEngine.visualEffectsManager.createCombatHit(
                 enemy.x + enemy.width / 2, 
                 enemy.y + enemy.height / 2, 
-                damage
+                dealt
             );
         }
         
@@ -286,6 +259,18 @@ export class CombatSystem {
         });
     }
     
+    createHealNumber(x, y, amount) {
+        this.damageNumbers.push({
+            x: x,
+            y: y,
+            damage: amount,
+            color: colors.heal,
+            isHeal: true,
+            timeLeft: this.config.damageNumberDuration,
+            alpha: 1.0
+        });
+    }
+    
     createSwingEffect(player) {
         // Create swing attack visual effect
         const effect = {
@@ -347,7 +332,7 @@ export class CombatSystem {
         
         // Play player death sound effect
         if (this.gameEngine.getAudioManager()) {
-            this.gameEngine.getAudioManager().playSFX('player_death', 1.0);
+            this.gameEngine.getAudioManager().playSFX('player_death', 1.0, 1.0, getCenter(player));
         }
         
         // Create death visual effects
@@ -368,9 +353,9 @@ export class CombatSystem {
         // Play death sound effect
         if (this.gameEngine.getAudioManager()) {
             if (enemy.type === 'mutant_boss') {
-                this.gameEngine.getAudioManager().playSFX('boss_roar', 1.0, 0.8); // Lower pitch for death
+                this.gameEngine.getAudioManager().playSFX('boss_roar', 1.0, 0.8, getCenter(enemy)); // Lower pitch for death
             } else {
-                this.gameEngine.getAudioManager().playSFX('enemy_death', 0.8);
+                this.gameEngine.getAudioManager().playSFX('enemy_death', 0.8, 1.0, getCenter(enemy));
             }
         }
         
@@ -426,7 +411,7 @@ export class CombatSystem {
             const newHealth = Math.min(player.maxHealth, player.health + healAmount);
             if (newHealth > player.health) {
                 player.health = newHealth;
-                this.createDamageNumber(player.x + player.width / 2, player.y, healAmount, '#00ff00');
+                this.createDamageNumber(player.x + player.width / 2, player.y, healAmount, colors.heal);
                 console.log(`Player ${player.id} healed for ${healAmount} HP`);
             }
         }
@@ -535,7 +520,7 @@ export class CombatSystem {
             ctx.fillStyle = damageNumber.color;
             ctx.font = 'bold 14px monospace';
             ctx.textAlign = 'center';
-            ctx.fillText(`-${damageNumber.damage}`, damageNumber.x, damageNumber.y);
+            ctx.fillText(`${damageNumber.isHeal ? '+' : '-'}${damageNumber.damage}`, damageNumber.x, damageNumber.y);
             ctx.restore();
         }
         
@@ -544,9 +529,9 @@ export class CombatSystem {
     }
     
     // Input handling
-    handleInput(keys) {
-        // Handle attack input (Space key)
-        if (keys['Space']) {
+    handleInput(input) {
+        // Handle held attack input
+        if (input.isDown('attack')) {
             const localPlayer = this.gameEngine.getLocalPlayer();
             if (localPlayer) {
                 // Attack in the direction the player is facing
@@ -555,4 +540,8 @@ export class CombatSystem {
             }
         }
     }
-}
\ No newline at end of file
+}
+
+function getCenter(entity) {
+    return { x: entity.x + entity.width / 2, y: entity.y + entity.height / 2 };
+}
@@ -47,9 +47,11 @@ export class DeathManager {
             currentLevel.gameOver = true;
         }
         
-        // Stop game engine after delay
+        // Stop game engine after delay (replays keep playing so the wipe can be reviewed)
         setTimeout(() => {
-            this.showGameOverScreen();
+            if (!this.gameEngine.replayPlayer?.isActive) {
+                this.showGameOverScreen();
+            }
         }, this.gameOverDuration * 1000);
     }
     
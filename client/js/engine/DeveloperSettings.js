@@ -1,3 +1,13 @@
+import { ENEMY_TYPE_NAMES } from './EnemyTypes.js';
+
+/**
+ * Whether developer mode was asked for (?dev=true or localStorage devMode)
+ */
+export function isDeveloperModeRequested() {
+    const urlParams = new URLSearchParams(window.location.search);
+    return urlParams.get('dev') === 'true' || localStorage.getItem('devMode') === 'true';
+}
+
 /**
  * Developer Settings System
  * Provides debugging and development tools for the game
@@ -8,6 +18,9 @@ export class DeveloperSettings {
         this.enabled = false;
         this.visible = false;
         
+        // Archetype spawned by "Spawn Test Enemy"
+        this.testEnemyType = 'zombie';
+        
         // Settings
         this.settings = {
             levelSkipping: true,
@@ -27,10 +40,7 @@ export class DeveloperSettings {
     
     init() {
         // Check if developer mode should be enabled (e.g., from URL parameter or localStorage)
-        const urlParams = new URLSearchParams(window.location.search);
-        const devMode = urlParams.get('dev') === 'true' || localStorage.getItem('devMode') === 'true';
-        
-        if (devMode) {
+        if (isDeveloperModeRequested()) {
             this.enabled = true;
             this.createUI();
             this.bindKeyboardShortcuts();
@@ -89,7 +99,7 @@ export class DeveloperSettings {
         if (!this.panel) return;
         
         const currentLevel = this.gameEngine.levelManager?.getCurrentLevelNumber() ?? 0;
-        const maxLevel = 5; // Adjust based on your game's max level
+        const levelNumbers = this.gameEngine.levelManager?.getLevelNumbers() ?? [];
         
         this.panel.innerHTML = `
             <h2 style="margin-top: 0; color: #ff6666;">🛠️ Developer Settings</h2>
@@ -98,7 +108,7 @@ export class DeveloperSettings {
                 <h3 style="color: #66ff66;">Level Control</h3>
                 <p>Current Level: <strong>${currentLevel}</strong></p>
                 <div style="display: flex; flex-wrap: wrap; gap: 5px; margin-bottom: 10px;">
-                    ${Array.from({length: maxLevel + 1}, (_, i) => 
+                    ${levelNumbers.map(i => 
                         `<button onclick="window.devSettings.goToLevel(${i})" 
                                 style="padding: 5px 10px; background: ${i === currentLevel ? '#666' : '#444'}; 
                                        color: white; border: 1px solid #777; cursor: pointer; border-radius: 3px;">
@@ -112,6 +122,14 @@ export class DeveloperSettings {
                 </button>
             </div>
             
+            <div style="margin-bottom: 20px;">
+                <h3 style="color: #66ff66;">Level Editor</h3>
+                <button onclick="window.devSettings.openLevelEditor()" 
+                        style="padding: 8px 15px; background: #3366aa; color: white; border: none; cursor: pointer; border-radius: 3px;">
+                    Edit Current Level (F4)
+                </button>
+            </div>
+            
             <div style="margin-bottom: 20px;">
                 <h3 style="color: #66ff66;">Player Settings</h3>
                 <label style="display: block; margin-bottom: 5px;">
@@ -150,6 +168,12 @@ export class DeveloperSettings {
                         style="padding: 5px 10px; background: #aa66ff; color: white; border: none; cursor: pointer; border-radius: 3px;">
                     Spawn Test Enemy
                 </button>
+                <select onchange="window.devSettings.testEnemyType = this.value"
+                        style="padding: 4px; background: #333; color: white; border: 1px solid #777; border-radius: 3px;">
+                    ${ENEMY_TYPE_NAMES.map(type => 
+                        `<option value="${type}" ${type === this.testEnemyType ? 'selected' : ''}>${type}</option>`
+                    ).join('')}
+                </select>
             </div>
             
             <div style="text-align: center; margin-top: 20px; padding-top: 15px; border-top: 1px solid #555;">
@@ -160,7 +184,7 @@ export class DeveloperSettings {
             </div>
             
             <div style="margin-top: 15px; font-size: 12px; color: #888; text-align: center;">
-                Press F1 to toggle this panel | Press F2 to toggle debug info
+                Press F1 to toggle this panel | Press F2 to toggle debug info | Press F4 for the level editor
             </div>
         `;
     }
@@ -199,6 +223,12 @@ export class DeveloperSettings {
                 e.preventDefault();
                 this.previewBackgrounds();
             }
+            
+            // F4 - Toggle level editor
+            if (e.key === 'F4') {
+                e.preventDefault();
+                this.toggleLevelEditor();
+            }
         });
         
         // Make functions globally accessible for HTML onclick handlers
@@ -261,6 +291,18 @@ export class DeveloperSettings {
         this.hide();
     }
     
+    openLevelEditor() {
+        this.hide();
+        this.gameEngine.levelEditor?.open();
+    }
+    
+    toggleLevelEditor() {
+        if (this.visible) {
+            this.hide();
+        }
+        this.gameEngine.levelEditor?.toggle();
+    }
+    
     restartCurrentLevel() {
         console.log('Developer: Restarting current level');
         if (this.gameEngine.levelManager) {
@@ -329,10 +371,10 @@ export class DeveloperSettings {
         console.log('Developer: Spawning test enemy');
         const enemyManager = this.gameEngine.getEnemyManager();
         if (enemyManager) {
-            // Spawn a zombie at a random position
+            // Spawn the selected archetype at a random position
             const x = 200 + Math.random() * 400;
             const y = 200 + Math.random() * 400;
-            enemyManager.spawnEnemy('zombie', x, y);
+            enemyManager.spawnEnemy(this.testEnemyType, x, y);
         }
     }
     
@@ -363,7 +405,7 @@ export class DeveloperSettings {
             ctx.fillText(`Backgrounds: ${progress.loaded}/${progress.total} (${progress.percentage}%)`, 15, 115);
         }
         
-        ctx.fillText('F1: Dev Panel | F2: Debug | F3: BG Preview', 15, 130);
+        ctx.fillText('F1: Dev Panel | F2: Debug | F3: BG Preview | F4: Editor', 15, 130);
         
         // Show player positions and health
         if (this.gameEngine.players) {
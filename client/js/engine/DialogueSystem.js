@@ -65,19 +65,33 @@ export class DialogueSystem {
     }
     
     /**
-     * Handle keyboard input for dialogue
+     * Handle keyboard input for dialogue: interact, attack or Enter continue, pause exits
      */
     handleKeyDown(event) {
         if (!this.isActive) return;
         
-        const currentTime = Date.now();
-        if (currentTime - this.lastInteractTime < this.interactCooldown) {
-            return;
+        const input = this.gameEngine.inputManager;
+        const action = event.code === 'Enter' || input.matches(event, 'interact') || input.matches(event, 'attack') ?
+            'interact' : input.matches(event, 'pause') ? 'pause' : null;
+        
+        if (action) {
+            event.preventDefault();
+            this.handleAction(action);
         }
+    }
+    
+    /**
+     * Handle an input action (also from the gamepad); returns true when the dialogue used it
+     */
+    handleAction(action) {
+        if (!this.isActive || !['interact', 'attack', 'pause'].includes(action)) return false;
         
         // Handle dialogue progression
-        if (event.code === 'KeyE' || event.code === 'Space' || event.code === 'Enter') {
-            event.preventDefault();
+        if (action === 'interact' || action === 'attack') {
+            const currentTime = Date.now();
+            if (currentTime - this.lastInteractTime < this.interactCooldown) {
+                return true;
+            }
             this.lastInteractTime = currentTime;
             
             if (this.isTyping) {
@@ -90,10 +104,11 @@ export class DialogueSystem {
         }
         
         // Handle dialogue exit
-        if (event.code === 'Escape') {
-            event.preventDefault();
+        if (action === 'pause') {
             this.endDialogue();
         }
+        
+        return true;
     }
     
     /**
@@ -124,7 +139,7 @@ export class DialogueSystem {
             if (!npc.isInteractable || !npc.isPlayerNearby) continue;
             
             // Check if any player pressed interact key
-            if (this.gameEngine.isKeyPressed('KeyE')) {
+            if (this.gameEngine.inputManager.isDown('interact')) {
                 const currentTime = Date.now();
                 if (currentTime - this.lastInteractTime >= this.interactCooldown) {
                     this.startDialogue(npc);
@@ -386,10 +401,11 @@ export class DialogueSystem {
         ctx.textAlign = 'left';
         
         // Show controls hint
+        const input = this.gameEngine.inputManager;
         ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
         ctx.font = '16px monospace';
         ctx.fillText(
-            'E/Space: Continue | Esc: Exit',
+            `${input.getKeyLabel('interact')}/${input.getKeyLabel('attack')}: Continue | ${input.getKeyLabel('pause')}: Exit`,
             box.x + box.padding,
             box.y + box.height - 10
         );
@@ -268,8 +268,9 @@ export class DialogueUI {
      * Draw interaction prompt
      */
     drawInteractionPrompt(ctx, x, y, width) {
+        const key = this.gameEngine.inputManager.getKeyLabel('interact');
         const promptText = this.dialogueQueue.length > 0 ? 
-            'Press E to continue...' : 'Press E to close';
+            `Press ${key} to continue...` : `Press ${key} to close`;
         
         ctx.fillStyle = '#aaaaaa';
         ctx.font = '12px monospace';
@@ -1,3 +1,8 @@
+import { PathfindingService } from '../shared/Pathfinding.js';
+import { getEnemyType } from './EnemyTypes.js';
+import { WaveDirector } from './WaveDirector.js';
+import { colors } from './ColorPalettes.js';
+
 export class Enemy {
     constructor(id, type, x, y) {
         this.id = id;
@@ -23,69 +28,45 @@ export class Enemy {
         this.stuckTimer = 0;
         this.lastPosition = { x: this.x, y: this.y };
 
-        // Pathfinding
+        // A taunting warrior overrides target selection for a while
+        this.tauntedBy = null;
+        this.tauntTime = 0;
+
+        // Pathfinding (routes come from the EnemyManager's shared PathfindingService)
+        this.pathfinder = null;
         this.path = [];
         this.pathIndex = 0;
         this.pathfindingCooldown = 0;
+        this.repathInterval = 0.5; // Seconds before asking for a fresh route to a moving target
 
         // Collision bounds
         this.collisionPadding = 2;
     }
 
     setupEnemyType(type) {
-        switch (type) {
-            case 'weak_zombie':
-                this.width = 28;
-                this.height = 28;
-                this.hearts = 1; // 1 heart
-                this.health = this.hearts * 25; // 25 HP per heart
-                this.maxHealth = this.health;
-                this.speed = 80; // pixels per second
-                this.attackDamage = 25; // 1 heart of damage
-                this.detectionRange = 150;
-                this.color = '#44aa44';
-                this.spriteBaseName = 'zombie_weak';
-                break;
-
-            case 'zombie':
-                this.width = 32;
-                this.height = 32;
-                this.hearts = 2; // 2 hearts
-                this.health = this.hearts * 25; // 50 HP
-                this.maxHealth = this.health;
-                this.speed = 100;
-                this.attackDamage = 25; // 1 heart of damage
-                this.detectionRange = 180;
-                this.color = '#66aa66';
-                this.spriteBaseName = 'zombie_normal';
-                break;
-
-            case 'mutant_boss':
-                this.width = 48;
-                this.height = 48;
-                this.hearts = 8; // 8 hearts (boss)
-                this.health = this.hearts * 25; // 200 HP
-                this.maxHealth = this.health;
-                this.speed = 1; // Very slow boss
-                this.attackDamage = 50; // 2 hearts of damage
-                this.detectionRange = 250;
-                this.color = '#aa4444';
-                this.spriteBaseName = 'mutant_boss';
-                break;
-
-            default:
-                // Default zombie
-                this.width = 32;
-                this.height = 32;
-                this.hearts = 2; // 2 hearts
-                this.health = this.hearts * 25; // 50 HP
-                this.maxHealth = this.health;
-                this.speed = 100;
-                this.attackDamage = 25; // 1 heart of damage
-                this.detectionRange = 180;
-                this.color = '#66aa66';
-                this.spriteBaseName = 'zombie_normal';
-        }
+        const archetype = getEnemyType(type);
+        this.archetype = archetype;
+
+        this.width = archetype.width;
+        this.height = archetype.height;
+        this.hearts = archetype.hearts;
+        this.health = this.hearts * 25; // 25 HP per heart
+        this.maxHealth = this.health;
+        this.speed = archetype.speed; // pixels per second
+        this.attackDamage = archetype.attackDamage;
+        this.attackRange = archetype.attackRange;
+        this.attackCooldownMax = archetype.attackCooldown;
+        this.detectionRange = archetype.detectionRange;
+        this.behavior = archetype.behavior;
+        this.color = archetype.color;
+        this.spriteBaseName = archetype.sprite;
+
+        // AI state machine; the states depend on the behavior (see updateAI)
+        this.state = 'idle';
+        this.stateTime = 0;
+
+        // Shielded enemies turn towards their target instead of snapping (radians, 0 = right)
+        this.facing = Math.PI / 2;
     }
 
     update(deltaTime, players, level) {
@@ -100,6 +81,10 @@ export class Enemy {
             this.pathfindingCooldown -= deltaTime;
         }
 
+        if (this.tauntTime > 0) {
+            this.tauntTime -= deltaTime;
+        }
+
         // Update AI
         this.updateAI(deltaTime, players, level);
 
@@ -122,41 +107,235 @@ export class Enemy {
             this.lastTargetUpdate = 0;
         }
 
-        // Behavior based on enemy type
-        switch (this.type) {
-            case 'weak_zombie':
-            case 'zombie':
-                this.basicZombieAI(deltaTime, players, level);
+        // Behavior based on the enemy's archetype
+        switch (this.behavior) {
+            case 'runner':
+                this.runnerAI(deltaTime, level);
+                break;
+            case 'ranged':
+                this.spitterAI(deltaTime, level);
+                break;
+            case 'exploder':
+                this.exploderAI(deltaTime, level);
                 break;
-            case 'mutant_boss':
+            case 'tank':
+                this.tankAI(deltaTime, players, level);
+                break;
+            case 'boss':
                 this.bossAI(deltaTime, players, level);
                 break;
+            default:
+                this.basicZombieAI(deltaTime, players, level);
         }
     }
 
-    basicZombieAI(deltaTime, players, level) {
-        if (!this.target) return;
+    setState(state) {
+        if (this.state !== state) {
+            this.state = state;
+            this.stateTime = 0;
+        }
+    }
 
-        const distanceToTarget = this.getDistanceToTarget();
+    /**
+     * States: idle (no target), chase, attack (in reach; CombatSystem lands the hit)
+     */
+    basicZombieAI(deltaTime, players, level) {
+        if (!this.target) {
+            this.setState('idle');
+            return;
+        }
 
-        // If close enough, try to attack
-        if (distanceToTarget <= 40 && this.attackCooldown <= 0) {
-            // Attack handled by combat system
+        // If close enough, stand and attack
+        if (this.getDistanceToTarget() <= this.attackRange) {
+            this.setState('attack');
+            this.stop();
             return;
         }
 
         // Move towards target
+        this.setState('chase');
         this.moveTowardsTarget(deltaTime, level);
     }
 
+    /**
+     * States: idle, chase, lunge (committed burst at the target), recover (winded, standing still)
+     */
+    runnerAI(deltaTime, level) {
+        const archetype = this.archetype;
+
+        if (this.state === 'lunge') {
+            if (this.stateTime < archetype.lungeDuration) return; // Keeps the lunge velocity
+            this.setState('recover');
+        }
+
+        if (this.state === 'recover') {
+            this.stop();
+            if (this.stateTime < archetype.recoverDuration) return;
+            this.setState('idle');
+        }
+
+        if (!this.target) {
+            this.setState('idle');
+            return;
+        }
+
+        const goal = getCenter(this.target);
+        if (this.getDistanceToTarget() <= archetype.lungeRange && this.canSee(goal)) {
+            this.setState('lunge');
+            this.setVelocityTowards(goal, archetype.lungeSpeed);
+            return;
+        }
+
+        this.setState('chase');
+        this.moveTowardsTarget(deltaTime, level);
+    }
+
+    /**
+     * States: idle, approach (into spitting range), hold (in range, waiting on the cooldown),
+     * aim (stands still for the wind-up, then spits), retreat (from players who get too close)
+     */
+    spitterAI(deltaTime, level) {
+        const archetype = this.archetype;
+
+        if (this.state === 'aim') {
+            this.stop();
+            if (this.stateTime < archetype.windUp) return;
+
+            if (this.target?.isAlive) {
+                this.getGameEngine()?.getEnemyManager()?.fireProjectile(this, getCenter(this.target));
+            }
+            this.attackCooldown = this.attackCooldownMax;
+            this.setState('hold');
+        }
+
+        if (!this.target) {
+            this.setState('idle');
+            return;
+        }
+
+        const center = this.getCenter();
+        const goal = getCenter(this.target);
+        const distance = this.getDistanceToTarget();
+
+        if (distance < archetype.fleeRange) {
+            this.setState('retreat');
+            this.setVelocityTowards({ x: center.x * 2 - goal.x, y: center.y * 2 - goal.y }, this.speed);
+            return;
+        }
+
+        const canSee = this.canSee(goal);
+        if (distance <= this.attackRange && canSee && this.attackCooldown <= 0) {
+            this.setState('aim');
+            this.stop();
+            this.updateDirection(goal.x - center.x, goal.y - center.y);
+            return;
+        }
+
+        if (distance > archetype.preferredRange || !canSee) {
+            this.setState('approach');
+            this.moveTowardsTarget(deltaTime, level);
+            return;
+        }
+
+        this.setState('hold');
+        this.stop();
+    }
+
+    /**
+     * States: idle, chase, prime (fuse burning, standing still; detonates when it runs out)
+     */
+    exploderAI(deltaTime, level) {
+        if (this.state === 'prime') {
+            this.stop();
+            if (this.stateTime >= this.archetype.fuseTime) {
+                this.explode();
+            }
+            return;
+        }
+
+        if (!this.target) {
+            this.setState('idle');
+            return;
+        }
+
+        if (this.getDistanceToTarget() <= this.attackRange) {
+            this.setState('prime');
+            this.stop();
+            return;
+        }
+
+        this.setState('chase');
+        this.moveTowardsTarget(deltaTime, level);
+    }
+
+    /**
+     * Blow up, hurting every player in the blast radius (EnemyManager.detonate)
+     */
+    explode() {
+        this.health = 0;
+        this.isAlive = false;
+        this.getGameEngine()?.getEnemyManager()?.detonate(this);
+    }
+
+    /**
+     * Melee states (idle, chase, attack), but the shield turns towards the target at a
+     * limited rate so players can get around it
+     */
+    tankAI(deltaTime, players, level) {
+        if (this.target) {
+            this.turnTowards(getCenter(this.target), deltaTime);
+        }
+
+        this.basicZombieAI(deltaTime, players, level);
+
+        // The sprite faces where the shield points, not where the tank walks
+        this.updateDirection(Math.cos(this.facing), Math.sin(this.facing));
+    }
+
+    turnTowards(point, deltaTime) {
+        const center = this.getCenter();
+        const desired = Math.atan2(point.y - center.y, point.x - center.x);
+        const difference = normalizeAngle(desired - this.facing);
+        const maxTurn = this.archetype.turnRate * deltaTime;
+
+        this.facing = normalizeAngle(this.facing + Math.max(-maxTurn, Math.min(maxTurn, difference)));
+    }
+
+    /**
+     * Whether a hit from this position lands on the shield
+     */
+    isShieldFacing(sourceX, sourceY) {
+        if (!this.archetype.shieldArc) return false;
+
+        const center = this.getCenter();
+        const angle = Math.atan2(sourceY - center.y, sourceX - center.x);
+        return Math.abs(normalizeAngle(angle - this.facing)) <= this.archetype.shieldArc / 2;
+    }
+
+    /**
+     * Spitters and irradiated zombies hurt players with globs and blasts instead of blows;
+     * the boss only swings while it's chasing
+     */
+    hasMeleeAttack() {
+        if (this.behavior === 'boss') return this.state === 'chase';
+        return this.behavior !== 'ranged' && this.behavior !== 'exploder';
+    }
+
+    /**
+     * Hunts one chosen player (inactive for good once that player dies) through the phases of
+     * its archetype. States: chase, windup (telegraphing the next attack), charging, vulnerable
+     * (recovering; takes extra damage), transition (changing phase; takes none), inactive
+     */
     bossAI(deltaTime, players, level) {
         // Initialize boss-specific properties if not set
         if (!this.bossInitialized) {
             this.bossInitialized = true;
             this.selectedTarget = null;
-            this.hasGrabbedTarget = false;
             this.isInactive = false; // Boss becomes inactive when target dies
-            this.originalSpeed = this.speed;
+            this.phaseIndex = 0;
+            this.attackIndex = 0;
+            this.attack = null;
+            this.attackTimer = this.archetype.phases[0].attackInterval;
 
             // Select one random target from alive players
             const alivePlayers = players.filter(p => p.isAlive);
@@ -166,20 +345,17 @@ export class Enemy {
             }
         }
 
-        // If boss is inactive (target died), stop all actions
-        if (this.isInactive) {
-            this.velocityX = 0;
-            this.velocityY = 0;
-            this.target = null;
-            return;
-        }
-
         // Check if selected target is still alive
-        if (this.selectedTarget && !this.selectedTarget.isAlive) {
+        if (!this.isInactive && this.selectedTarget && !this.selectedTarget.isAlive) {
             console.log(`Boss target ${this.selectedTarget.id} has died. Boss becomes inactive.`);
             this.isInactive = true;
-            this.velocityX = 0;
-            this.velocityY = 0;
+        }
+
+        // If boss is inactive (target died), stop all actions
+        if (this.isInactive) {
+            this.setState('inactive');
+            this.attack = null;
+            this.stop();
             this.target = null;
             return;
         }
@@ -187,24 +363,203 @@ export class Enemy {
         // Set target to selected target only
         this.target = this.selectedTarget;
 
-        if (!this.target) return;
+        if (this.checkBossPhase()) return;
+
+        switch (this.state) {
+            case 'transition':
+                this.stop();
+                if (this.stateTime >= this.archetype.transitionDuration) {
+                    this.setState('chase');
+                }
+                return;
+
+            case 'windup':
+                this.stop();
+                if (this.stateTime >= this.getBossAttack().windUp) {
+                    this.performBossAttack(level);
+                }
+                return;
 
-        const distanceToTarget = this.getDistanceToTarget();
+            case 'charging':
+                this.updateCharge();
+                return;
 
-        // Simple boss behavior - just move towards target and attack when close
-        if (distanceToTarget <= 60 && this.attackCooldown <= 0) {
-            // Attack the target
-            this.attackCooldown = 1.5; // Slower attack rate
+            case 'vulnerable':
+                this.stop();
+                if (this.stateTime >= this.recoverTime) {
+                    this.attack = null;
+                    this.setState('chase');
+                }
+                return;
+        }
+
+        if (!this.target) {
+            this.setState('idle');
+            this.stop();
             return;
         }
 
-        // Move towards the selected target (very slowly)
+        // Chase until the next attack in the phase's rotation is due and in reach
+        const phase = this.archetype.phases[this.phaseIndex];
+        this.attackTimer -= deltaTime;
+        if (this.attackTimer <= 0) {
+            const attackName = phase.attacks[this.attackIndex % phase.attacks.length];
+            if (this.isBossAttackInReach(attackName)) {
+                this.startBossAttack(attackName);
+                return;
+            }
+        }
+
+        this.setState('chase');
+        this.speed = phase.speed;
         this.moveTowardsTarget(deltaTime, level);
     }
 
+    /**
+     * Enter the phase for the current health; returns true when a new phase started
+     */
+    checkBossPhase() {
+        const phases = this.archetype.phases;
+        const healthRatio = this.health / this.maxHealth;
+
+        let phaseIndex = this.phaseIndex;
+        while (phaseIndex + 1 < phases.length && healthRatio <= phases[phaseIndex + 1].threshold) {
+            phaseIndex++;
+        }
+        if (phaseIndex === this.phaseIndex) return false;
+
+        this.phaseIndex = phaseIndex;
+        this.attackIndex = 0;
+        this.attack = null;
+        this.attackTimer = phases[phaseIndex].attackInterval / 2;
+        this.setState('transition');
+        this.stop();
+
+        this.getGameEngine()?.storyManager?.onBossPhaseChange(this, phases[phaseIndex]);
+        return true;
+    }
+
+    getBossAttack() {
+        return this.archetype.attacks[this.attack];
+    }
+
+    isBossAttackInReach(attackName) {
+        const attack = this.archetype.attacks[attackName];
+        const center = this.getCenter();
+        const goal = getCenter(this.target);
+
+        switch (attackName) {
+            case 'slam':
+                return this.getDistance(center.x, center.y, goal.x, goal.y) <= attack.range;
+            case 'charge':
+                return this.canSee(goal);
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Begin telegraphing an attack; the charge lane is locked in now
+     */
+    startBossAttack(attackName) {
+        this.attack = attackName;
+        this.attackIndex++;
+        this.setState('windup');
+        this.stop();
+
+        const center = this.getCenter();
+        const goal = getCenter(this.target);
+        this.facing = Math.atan2(goal.y - center.y, goal.x - center.x);
+        this.updateDirection(goal.x - center.x, goal.y - center.y);
+    }
+
+    performBossAttack(level) {
+        const attack = this.getBossAttack();
+        const enemyManager = this.getGameEngine()?.getEnemyManager();
+        const center = this.getCenter();
+
+        switch (this.attack) {
+            case 'slam':
+                enemyManager?.slam(this, center.x, center.y, attack.radius, attack.damage);
+                this.startBossRecovery(attack.recover);
+                break;
+
+            case 'charge':
+                this.chargeHits = new Set();
+                this.setState('charging');
+                this.velocityX = Math.cos(this.facing) * attack.speed;
+                this.velocityY = Math.sin(this.facing) * attack.speed;
+                break;
+
+            case 'summon':
+                for (let i = 0; i < attack.count; i++) {
+                    const angle = this.facing + Math.PI + (i - (attack.count - 1) / 2) * 0.8;
+                    const x = center.x + Math.cos(angle) * this.width;
+                    const y = center.y + Math.sin(angle) * this.height;
+                    enemyManager?.spawnEnemy(attack.type, x - 14, y - 14);
+                }
+                this.startBossRecovery(attack.recover);
+                break;
+        }
+
+        this.attackTimer = this.archetype.phases[this.phaseIndex].attackInterval;
+    }
+
+    /**
+     * Keep rushing along the lane, trampling each player once
+     */
+    updateCharge() {
+        const attack = this.getBossAttack();
+
+        for (const player of this.getGameEngine()?.players.values() || []) {
+            if (player.isAlive && !this.chargeHits.has(player.id) && this.isCollidingWith(player)) {
+                this.chargeHits.add(player.id);
+                const center = this.getCenter();
+                this.getGameEngine().getEnemyManager().damagePlayer(player, attack.damage, center.x, center.y);
+            }
+        }
+
+        if (this.stateTime >= attack.duration) {
+            this.startBossRecovery(attack.recover);
+        }
+    }
+
+    startBossRecovery(duration) {
+        this.recoverTime = duration;
+        this.setState('vulnerable');
+        this.stop();
+    }
+
+    /**
+     * Share of incoming damage the boss takes in its current state
+     */
+    getBossDamageMultiplier() {
+        switch (this.state) {
+            case 'transition': return 0;
+            case 'vulnerable': return this.archetype.vulnerableMultiplier;
+            default: return this.archetype.armor;
+        }
+    }
+
+    /**
+     * Go after the taunting player for a while (bosses keep their chosen target)
+     */
+    taunt(player, duration) {
+        if (this.archetype.isBoss) return;
+
+        this.tauntedBy = player;
+        this.tauntTime = duration;
+        this.target = player;
+    }
+
     updateTarget(players) {
         // Boss doesn't change targets - it sticks with its selected target
-        if (this.type === 'mutant_boss') {
+        if (this.archetype.isBoss) {
+            return;
+        }
+
+        if (this.tauntTime > 0 && this.tauntedBy?.isAlive) {
+            this.target = this.tauntedBy;
             return;
         }
 
@@ -228,8 +583,17 @@ export class Enemy {
     moveTowardsTarget(deltaTime, level) {
         if (!this.target) return;
 
-        const dx = this.target.x - this.x;
-        const dy = this.target.y - this.y;
+        const destination = this.getNextWaypoint(getCenter(this.target));
+        this.setVelocityTowards(destination, this.speed);
+    }
+
+    /**
+     * Head straight for a point at the given speed
+     */
+    setVelocityTowards(point, speed) {
+        const center = this.getCenter();
+        const dx = point.x - center.x;
+        const dy = point.y - center.y;
         const distance = Math.sqrt(dx * dx + dy * dy);
 
         if (distance > 0) {
@@ -238,14 +602,62 @@ export class Enemy {
             const dirY = dy / distance;
 
             // Set velocity
-            this.velocityX = dirX * this.speed;
-            this.velocityY = dirY * this.speed;
+            this.velocityX = dirX * speed;
+            this.velocityY = dirY * speed;
 
             // Update direction for sprite rendering
             this.updateDirection(dirX, dirY);
         }
     }
 
+    stop() {
+        this.velocityX = 0;
+        this.velocityY = 0;
+    }
+
+    /**
+     * Whether nothing solid stands between the enemy and a point
+     */
+    canSee(point) {
+        return !this.pathfinder || this.pathfinder.hasLineOfSight(this.getCenter(), point);
+    }
+
+    /**
+     * Where to head next: straight for the goal when nothing is in the way, otherwise the
+     * next waypoint of an A* route around walls and obstacles
+     */
+    getNextWaypoint(goal) {
+        const center = this.getCenter();
+        if (!this.pathfinder || this.pathfinder.hasLineOfSight(center, goal)) {
+            this.path = [];
+            this.pathIndex = 0;
+            return goal;
+        }
+
+        // Fresh route when the current one runs out or the target has had time to move
+        if (this.pathIndex >= this.path.length || this.pathfindingCooldown <= 0) {
+            const path = this.pathfinder.requestPath(this.id, center, goal);
+            if (path) {
+                this.path = path;
+                this.pathIndex = 0;
+                this.pathfindingCooldown = this.repathInterval;
+            }
+        }
+
+        // Skip waypoints already reached
+        while (this.pathIndex < this.path.length &&
+               this.getDistance(center.x, center.y, this.path[this.pathIndex].x, this.path[this.pathIndex].y) < 6) {
+            this.pathIndex++;
+        }
+
+        // Head straight for the goal while a route is on its way
+        return this.path[this.pathIndex] || goal;
+    }
+
+    getCenter() {
+        return { x: this.x + this.width / 2, y: this.y + this.height / 2 };
+    }
+
     updateDirection(dirX, dirY) {
         // Determine primary direction for sprite animation
         if (Math.abs(dirX) > Math.abs(dirY)) {
@@ -262,24 +674,27 @@ export class Enemy {
         const oldX = this.x;
         const oldY = this.y;
 
-        // Apply velocity
-        this.x += this.velocityX * deltaTime;
-        this.y += this.velocityY * deltaTime;
+        // Apply velocity one axis at a time so enemies slide along walls
+        // (rounded to the nearest pixel)
+        const canCollide = level && level.checkCollision;
+        let blockedX = false;
+        let blockedY = false;
 
-        // Round to nearest pixel
-        this.x = Math.round(this.x);
-        this.y = Math.round(this.y);
+        this.x = Math.round(this.x + this.velocityX * deltaTime);
+        if (canCollide && this.x !== oldX && level.checkCollision(this)) {
+            this.x = oldX;
+            blockedX = true;
+        }
 
-        // Check collisions with level boundaries and obstacles
-        if (level && level.checkCollision) {
-            if (level.checkCollision(this)) {
-                // Revert movement
-                this.x = oldX;
-                this.y = oldY;
+        this.y = Math.round(this.y + this.velocityY * deltaTime);
+        if (canCollide && this.y !== oldY && level.checkCollision(this)) {
+            this.y = oldY;
+            blockedY = true;
+        }
 
-                // Try to find alternate path
-                this.handleCollision(deltaTime);
-            }
+        // Blocked without getting anywhere: try to find alternate path
+        if ((blockedX || blockedY) && this.x === oldX && this.y === oldY) {
+            this.handleCollision(deltaTime);
         }
 
         // Keep within canvas bounds (fallback)
@@ -287,16 +702,13 @@ export class Enemy {
     }
 
     handleCollision(deltaTime) {
-        // Simple collision avoidance - try moving in a different direction
-        if (this.pathfindingCooldown <= 0) {
-            // Try moving perpendicular to current direction
-            const perpX = -this.velocityY / this.speed;
-            const perpY = this.velocityX / this.speed;
-
-            this.velocityX = perpX * this.speed * 0.5;
-            this.velocityY = perpY * this.speed * 0.5;
+        // Walked into something: drop the route so the next AI update plans a new one
+        this.path = [];
+        this.pathIndex = 0;
 
-            this.pathfindingCooldown = 0.5; // Prevent rapid direction changes
+        // A boss charging into a wall is stunned
+        if (this.state === 'charging') {
+            this.startBossRecovery(this.getBossAttack().wallStun);
         }
     }
 
@@ -307,10 +719,17 @@ export class Enemy {
             this.stuckTimer += deltaTime;
 
             if (this.stuckTimer > 1.0) { // Stuck for more than 1 second
-                // Try random movement
-                const angle = Math.random() * Math.PI * 2;
-                this.velocityX = Math.cos(angle) * this.speed * 0.5;
-                this.velocityY = Math.sin(angle) * this.speed * 0.5;
+                if (this.target && this.pathfinder) {
+                    // Chasing without getting anywhere: route afresh
+                    this.path = [];
+                    this.pathIndex = 0;
+                    this.pathfindingCooldown = 0;
+                } else {
+                    // Try random movement
+                    const angle = Math.random() * Math.PI * 2;
+                    this.velocityX = Math.cos(angle) * this.speed * 0.5;
+                    this.velocityY = Math.sin(angle) * this.speed * 0.5;
+                }
                 this.stuckTimer = 0;
             }
         } else {
@@ -321,6 +740,9 @@ export class Enemy {
 
     updateAnimation(deltaTime) {
         this.animationTime += deltaTime;
+
+        // Runs for server-driven enemies too, whose render cues time themselves by it
+        this.stateTime += deltaTime;
     }
 
     checkBoundaries() {
@@ -336,14 +758,26 @@ export class Enemy {
         // Canvas bounds would be checked by level system
     }
 
-    takeDamage(amount) {
-        if (!this.isAlive) return;
+    /**
+     * Take a hit from a source position; returns the damage that got through
+     * A shield soaks most of a hit that lands within its arc
+     */
+    takeDamage(amount, sourceX = null, sourceY = null) {
+        if (!this.isAlive) return 0;
+
+        if (sourceX !== null && this.isShieldFacing(sourceX, sourceY)) {
+            amount = Math.round(amount * (1 - this.archetype.shieldReduction));
+        }
+        if (this.archetype.isBoss) {
+            amount = Math.round(amount * this.getBossDamageMultiplier());
+        }
 
         this.health -= amount;
         if (this.health <= 0) {
             this.health = 0;
             this.isAlive = false;
         }
+        return amount;
     }
 
     getDistanceToTarget() {
@@ -368,12 +802,14 @@ export class Enemy {
 
     // Boss-specific methods (simplified)
     getBossStatus() {
-        if (this.type !== 'mutant_boss') return null;
+        if (!this.archetype.isBoss) return null;
 
         return {
             selectedTarget: this.selectedTarget ? this.selectedTarget.id : null,
             isInactive: this.isInactive || false,
-            hasTarget: !!this.selectedTarget
+            hasTarget: !!this.selectedTarget,
+            phase: (this.phaseIndex || 0) + 1,
+            state: this.state
         };
     }
 
@@ -408,10 +844,126 @@ export class Enemy {
             this.renderSimple(ctx);
         }
 
+        // Show what the enemy is about to do
+        this.renderStateCue(ctx);
+
         // Draw health bar
         this.renderHealthBar(ctx);
     }
 
+    /**
+     * Tells for the archetypes: a burning fuse, a glob being readied, the shield's arc
+     */
+    renderStateCue(ctx) {
+        const center = this.getCenter();
+
+        switch (this.behavior) {
+            case 'exploder':
+                if (this.state !== 'prime') break;
+
+                // Blast radius, and a flash over the body
+                ctx.save();
+                ctx.strokeStyle = 'rgba(170, 255, 68, 0.6)';
+                ctx.lineWidth = 2;
+                ctx.setLineDash([6, 6]);
+                ctx.beginPath();
+                ctx.arc(center.x, center.y, this.archetype.blastRadius, 0, Math.PI * 2);
+                ctx.stroke();
+                if (Math.sin(this.animationTime * 30) > 0) {
+                    ctx.fillStyle = 'rgba(255, 255, 150, 0.6)';
+                    ctx.fillRect(this.x, this.y, this.width, this.height);
+                }
+                ctx.restore();
+                break;
+
+            case 'ranged': {
+                if (this.state !== 'aim') break;
+
+                // Glob swelling above the head during the wind-up
+                const progress = Math.min(1, this.stateTime / this.archetype.windUp);
+                ctx.fillStyle = '#ccff00';
+                ctx.beginPath();
+                ctx.arc(center.x, this.y - 6, 2 + progress * this.archetype.projectileRadius, 0, Math.PI * 2);
+                ctx.fill();
+                break;
+            }
+
+            case 'boss':
+                this.renderBossTelegraph(ctx, center);
+                break;
+
+            case 'tank': {
+                const halfArc = this.archetype.shieldArc / 2;
+                ctx.save();
+                ctx.strokeStyle = 'rgba(170, 200, 255, 0.8)';
+                ctx.lineWidth = 4;
+                ctx.beginPath();
+                ctx.arc(center.x, center.y, this.width / 2 + 6, this.facing - halfArc, this.facing + halfArc);
+                ctx.stroke();
+                ctx.restore();
+                break;
+            }
+        }
+    }
+
+    /**
+     * Warn players what the boss is about to do, and show when it can be hurt
+     */
+    renderBossTelegraph(ctx, center) {
+        const attack = this.attack && this.archetype.attacks[this.attack];
+        ctx.save();
+
+        if (this.state === 'windup' && attack) {
+            const progress = Math.min(1, this.stateTime / attack.windUp);
+            ctx.strokeStyle = '#ff0000';
+            ctx.fillStyle = `rgba(255, 0, 0, ${0.1 + progress * 0.25})`;
+            ctx.lineWidth = 3;
+            ctx.setLineDash([10, 10]);
+
+            switch (this.attack) {
+                case 'slam':
+                    ctx.beginPath();
+                    ctx.arc(center.x, center.y, attack.radius, 0, Math.PI * 2);
+                    ctx.fill();
+                    ctx.stroke();
+                    break;
+
+                case 'charge': {
+                    // The lane it will rush along
+                    const length = attack.speed * attack.duration;
+                    ctx.translate(center.x, center.y);
+                    ctx.rotate(this.facing);
+                    ctx.fillRect(0, -attack.width / 2, length * progress, attack.width);
+                    ctx.strokeRect(0, -attack.width / 2, length, attack.width);
+                    break;
+                }
+
+                case 'summon':
+                    ctx.strokeStyle = '#66ff66';
+                    ctx.beginPath();
+                    ctx.arc(center.x, center.y, this.width * (1 + progress), 0, Math.PI * 2);
+                    ctx.stroke();
+                    break;
+            }
+        } else if (this.state === 'vulnerable') {
+            // Open for punishment
+            ctx.strokeStyle = `rgba(255, 255, 0, ${0.5 + Math.sin(this.animationTime * 12) * 0.4})`;
+            ctx.lineWidth = 3;
+            ctx.strokeRect(this.x - 3, this.y - 3, this.width + 6, this.height + 6);
+            ctx.fillStyle = '#ffff00';
+            ctx.font = 'bold 12px monospace';
+            ctx.textAlign = 'center';
+            ctx.fillText('VULNERABLE', center.x, this.y - 10);
+        } else if (this.state === 'transition') {
+            ctx.fillStyle = `rgba(255, 50, 50, ${0.3 + Math.sin(this.animationTime * 20) * 0.2})`;
+            ctx.beginPath();
+            ctx.arc(center.x, center.y, this.width, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.restore();
+    }
+
     renderSimple(ctx) {
         // Draw enemy as a colored rectangle
         ctx.fillStyle = this.color;
@@ -444,13 +996,10 @@ export class Enemy {
     }
 
     renderHealthBar(ctx) {
-        if (this.health >= this.maxHealth && this.type !== 'mutant_boss') return; // Don't show full health bars except for boss
+        // Boss gets a large screen-space health bar instead (EnemyManager.renderHUD)
+        if (this.archetype.isBoss) return;
 
-        // Boss gets a special large health bar
-        if (this.type === 'mutant_boss') {
-            this.renderBossHealthBar(ctx);
-            return;
-        }
+        if (this.health >= this.maxHealth) return; // Don't show full health bars
 
         const barWidth = this.width;
         const barHeight = 3;
@@ -458,12 +1007,12 @@ export class Enemy {
         const barY = this.y - 6;
 
         // Background
-        ctx.fillStyle = '#ff0000';
+        ctx.fillStyle = colors.healthBackground;
         ctx.fillRect(barX, barY, barWidth, barHeight);
 
         // Health
         const healthPercent = this.health / this.maxHealth;
-        ctx.fillStyle = '#00ff00';
+        ctx.fillStyle = colors.health;
         ctx.fillRect(barX, barY, barWidth * healthPercent, barHeight);
 
         // Border
@@ -500,19 +1049,33 @@ export class Enemy {
             healthColor = '#ff0000';
         }
 
+        // Grey while it can't be hurt, yellow while it's open
+        if (this.state === 'transition') {
+            healthColor = '#888888';
+        } else if (this.state === 'vulnerable') {
+            healthColor = '#ffdd00';
+        }
+
         ctx.fillStyle = healthColor;
         ctx.fillRect(barX, barY, barWidth * healthPercent, barHeight);
 
+        // Phase markers at each HP threshold
+        const phases = this.archetype.phases;
+        ctx.fillStyle = '#ffffff';
+        for (const phase of phases.slice(1)) {
+            ctx.fillRect(barX + barWidth * phase.threshold - 1, barY - 4, 2, barHeight + 8);
+        }
+
         // Border
         ctx.strokeStyle = '#ffffff';
         ctx.lineWidth = 2;
         ctx.strokeRect(barX, barY, barWidth, barHeight);
 
-        // Boss name and health text
+        // Boss name, phase and health text
         ctx.fillStyle = '#ffffff';
         ctx.font = 'bold 14px monospace';
         ctx.textAlign = 'center';
-        ctx.fillText('MUTANT BOSS', ctx.canvas.width / 2, barY - 8);
+        ctx.fillText(`MUTANT BOSS - PHASE ${(this.phaseIndex || 0) + 1}/${phases.length}`, ctx.canvas.width / 2, barY - 8);
 
         // Health numbers
         ctx.font = '12px monospace';
@@ -540,6 +1103,19 @@ export class Enemy {
     }
 }
 
+function getCenter(entity) {
+    return { x: entity.x + entity.width / 2, y: entity.y + entity.height / 2 };
+}
+
+/**
+ * Wrap an angle to [-π, π]
+ */
+function normalizeAngle(angle) {
+    while (angle > Math.PI) angle -= 2 * Math.PI;
+    while (angle < -Math.PI) angle += 2 * Math.PI;
+    return angle;
+}
+
 // Enemy spawning and management system
 export class EnemyManager {
     constructor(gameEngine) {
@@ -547,14 +1123,54 @@ export class EnemyManager {
         this.enemies = [];
         this.nextEnemyId = 1;
         this.spawnCooldown = 0;
+
+        // Globs in flight from spitters
+        this.projectiles = [];
+        this.nextProjectileId = 1;
+
+        // Routes around walls and obstacles, shared by every enemy
+        this.pathfinder = new PathfindingService();
+
+        // Releases the current level's enemy waves
+        this.waveDirector = new WaveDirector(this);
+
+        // In multiplayer the server owns the roster, AI and damage
+        this.serverAuthoritative = false;
+    }
+
+    setServerAuthoritative(enabled) {
+        this.serverAuthoritative = enabled;
+        if (enabled) {
+            this.clearAllEnemies();
+        }
     }
 
     update(deltaTime, players, level) {
+        // Server-driven enemies only animate locally
+        if (this.serverAuthoritative) {
+            for (const enemy of this.enemies) {
+                enemy.updateAnimation(deltaTime);
+            }
+
+            // Globs carry on along their path between snapshots
+            for (const projectile of this.projectiles) {
+                projectile.x += projectile.vx * deltaTime;
+                projectile.y += projectile.vy * deltaTime;
+            }
+            return;
+        }
+
+        this.waveDirector.update(deltaTime);
+        this.updateProjectiles(deltaTime, players, level);
+
         // Update spawn cooldown
         if (this.spawnCooldown > 0) {
             this.spawnCooldown -= deltaTime;
         }
 
+        // Follow level changes and answer queued route requests before enemies ask again
+        this.pathfinder.update(deltaTime, level);
+
         // Update all enemies
         for (const enemy of this.enemies) {
             enemy.update(deltaTime, players, level);
@@ -565,35 +1181,37 @@ export class EnemyManager {
     }
 
     spawnEnemy(type, x, y) {
+        // Spawning is done by the server in multiplayer
+        if (this.serverAuthoritative) return null;
+
         const enemy = new Enemy(`enemy_${this.nextEnemyId++}`, type, x, y);
         enemy.setGameEngine(this.gameEngine);
+        enemy.pathfinder = this.pathfinder;
         this.enemies.push(enemy);
         return enemy;
     }
 
-    spawnEnemiesFromConfig(levelConfig, canvasWidth, canvasHeight) {
-        if (!levelConfig.enemies) return;
-
-        for (const enemyConfig of levelConfig.enemies) {
-            for (let i = 0; i < enemyConfig.count; i++) {
-                // Find safe spawn position
-                const spawnPos = this.findSafeSpawnPosition(canvasWidth, canvasHeight);
-                this.spawnEnemy(enemyConfig.type, spawnPos.x, spawnPos.y);
-            }
-        }
-    }
-
-    findSafeSpawnPosition(canvasWidth, canvasHeight) {
-        const margin = 100;
+    /**
+     * Random spot inside a wave's spawn zone (or anywhere in the level) away from walls and players
+     */
+    findSpawnPosition(zone) {
+        const margin = zone ? 0 : 100;
         let attempts = 0;
         const maxAttempts = 20;
+        const level = this.gameEngine.getCurrentLevel?.();
+        const bounds = level?.bounds || { width: this.gameEngine.canvas.width, height: this.gameEngine.canvas.height };
+        const area = zone || { x: 0, y: 0, width: bounds.width, height: bounds.height };
+
+        const randomPoint = () => ({
+            x: area.x + margin + Math.random() * Math.max(0, area.width - margin * 2 - 32),
+            y: area.y + margin + Math.random() * Math.max(0, area.height - margin * 2 - 32)
+        });
 
         while (attempts < maxAttempts) {
-            const x = margin + Math.random() * (canvasWidth - margin * 2);
-            const y = margin + Math.random() * (canvasHeight - margin * 2);
+            const { x, y } = randomPoint();
 
-            // Check if position is safe (not too close to players)
-            let isSafe = true;
+            // Check if position is safe (not inside a wall or too close to players)
+            let isSafe = !level?.isBlocked?.({ x, y, width: 32, height: 32 });
             for (const player of this.gameEngine.players.values()) {
                 const distance = Math.sqrt((x - player.x) ** 2 + (y - player.y) ** 2);
                 if (distance < 150) { // Minimum spawn distance from players
@@ -610,13 +1228,175 @@ export class EnemyManager {
         }
 
         // Fallback to random position if no safe position found
-        return {
-            x: margin + Math.random() * (canvasWidth - margin * 2),
-            y: margin + Math.random() * (canvasHeight - margin * 2)
-        };
+        return randomPoint();
+    }
+
+    getPlayers() {
+        return Array.from(this.gameEngine.players.values());
+    }
+
+    /**
+     * Wave announcements from the director
+     */
+    announce(text) {
+        this.gameEngine.hudManager?.showNotification(text, 3000, '#ff6666');
+    }
+
+    /**
+     * Replace the local roster with the server's authoritative enemy list
+     * Returns the enemies whose health dropped since the last snapshot
+     */
+    applyServerState(enemyStates) {
+        const damaged = [];
+        const existing = new Map(this.enemies.map(enemy => [enemy.id, enemy]));
+
+        this.enemies = enemyStates.map(state => {
+            let enemy = existing.get(state.id);
+            if (!enemy) {
+                enemy = new Enemy(state.id, state.type, state.x, state.y);
+                enemy.setGameEngine(this.gameEngine);
+            } else if (state.health < enemy.health) {
+                damaged.push({ enemy, damage: enemy.health - state.health });
+            }
+
+            // Positions of existing enemies come from GameEngine's interpolation buffer
+            enemy.direction = state.direction;
+            enemy.health = state.health;
+            enemy.maxHealth = state.maxHealth;
+            enemy.isAlive = state.isAlive;
+            enemy.isInactive = state.isInactive;
+            enemy.setState(state.state || 'idle');
+            enemy.facing = state.facing ?? enemy.facing;
+
+            // Boss health bar shows the server's chosen target; phase changes play their cutscene
+            if (enemy.archetype.isBoss) {
+                enemy.selectedTarget = this.gameEngine.getPlayer(state.targetId) || null;
+                enemy.attack = state.attack || null;
+                if ((state.phase || 0) > (enemy.phaseIndex || 0)) {
+                    this.gameEngine.storyManager?.onBossPhaseChange(enemy, enemy.archetype.phases[state.phase]);
+                }
+                enemy.phaseIndex = state.phase || 0;
+            }
+
+            return enemy;
+        });
+
+        return damaged;
+    }
+
+    /**
+     * Replace the local projectiles with the server's
+     */
+    applyServerProjectiles(projectileStates) {
+        this.projectiles = projectileStates.map(state => ({ ...state }));
+    }
+
+    /**
+     * Launch a glob from a spitter towards a point
+     */
+    fireProjectile(enemy, goal) {
+        const archetype = enemy.archetype;
+        const origin = enemy.getCenter();
+        const distance = Math.max(1, enemy.getDistance(origin.x, origin.y, goal.x, goal.y));
+
+        this.projectiles.push({
+            id: `projectile_${this.nextProjectileId++}`,
+            x: origin.x,
+            y: origin.y,
+            vx: (goal.x - origin.x) / distance * archetype.projectileSpeed,
+            vy: (goal.y - origin.y) / distance * archetype.projectileSpeed,
+            radius: archetype.projectileRadius,
+            damage: enemy.attackDamage,
+            timeLeft: enemy.attackRange * 1.5 / archetype.projectileSpeed
+        });
+
+        this.gameEngine.getAudioManager()?.playSFX('enemy_hurt', 0.5, 1.4, origin);
+    }
+
+    updateProjectiles(deltaTime, players, level) {
+        this.projectiles = this.projectiles.filter(projectile => {
+            projectile.x += projectile.vx * deltaTime;
+            projectile.y += projectile.vy * deltaTime;
+            projectile.timeLeft -= deltaTime;
+            if (projectile.timeLeft <= 0) return false;
+
+            // Walls stop globs
+            const box = {
+                x: projectile.x - projectile.radius,
+                y: projectile.y - projectile.radius,
+                width: projectile.radius * 2,
+                height: projectile.radius * 2
+            };
+            if (level?.checkCollision?.(box)) return false;
+
+            for (const player of players) {
+                if (!player.isAlive) continue;
+
+                const center = getCenter(player);
+                const distance = Math.hypot(center.x - projectile.x, center.y - projectile.y);
+                if (distance < projectile.radius + player.width / 2) {
+                    this.damagePlayer(player, projectile.damage, projectile.x, projectile.y);
+                    return false;
+                }
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Blast from an irradiated zombie's fuse running out; hurts every player in the radius
+     */
+    detonate(enemy) {
+        const center = enemy.getCenter();
+        this.damagePlayersInRadius(center.x, center.y, enemy.archetype.blastRadius, enemy.attackDamage);
+        this.showExplosion(center.x, center.y);
+    }
+
+    /**
+     * Boss ground slam; hurts every player in the radius
+     */
+    slam(enemy, x, y, radius, damage) {
+        this.damagePlayersInRadius(x, y, radius, damage);
+        this.showSlam(x, y);
+    }
+
+    showSlam(x, y) {
+        this.gameEngine.visualEffectsManager?.createExplosion(x, y, 'normal');
+        this.gameEngine.visualEffectsManager?.addScreenShake(8, 0.4);
+        this.gameEngine.getAudioManager()?.playSFX('falling_rock', 1.0, 0.7, { x, y });
+    }
+
+    damagePlayersInRadius(x, y, radius, damage) {
+        for (const player of this.gameEngine.players.values()) {
+            if (!player.isAlive) continue;
+
+            const center = getCenter(player);
+            if (Math.hypot(center.x - x, center.y - y) <= radius) {
+                this.damagePlayer(player, damage, x, y);
+            }
+        }
+    }
+
+    showExplosion(x, y) {
+        this.gameEngine.visualEffectsManager?.createExplosion(x, y, 'large');
+        this.gameEngine.getAudioManager()?.playSFX('enemy_death', 1.0, 0.6, { x, y });
+    }
+
+    damagePlayer(player, damage, sourceX, sourceY) {
+        this.gameEngine.combatSystem.damagePlayer(player, damage, sourceX, sourceY);
+        if (!player.isAlive) {
+            this.gameEngine.deathManager.onPlayerDeath(player);
+        }
+    }
+
+    getEnemy(enemyId) {
+        return this.enemies.find(enemy => enemy.id === enemyId);
     }
 
     cleanupDeadEnemies() {
+        for (const enemy of this.enemies) {
+            if (!enemy.isAlive) this.pathfinder.cancel(enemy.id);
+        }
         this.enemies = this.enemies.filter(enemy => enemy.isAlive);
     }
 
@@ -630,11 +1410,31 @@ export class EnemyManager {
 
     clearAllEnemies() {
         this.enemies = [];
+        this.projectiles = [];
+        this.pathfinder.clearRequests();
     }
 
     render(ctx, spriteRenderer) {
         for (const enemy of this.enemies) {
             enemy.render(ctx, spriteRenderer);
         }
+
+        ctx.fillStyle = '#ccff00';
+        for (const projectile of this.projectiles) {
+            ctx.beginPath();
+            ctx.arc(projectile.x, projectile.y, projectile.radius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    /**
+     * Boss health bars at the top of the screen, drawn after the camera is restored
+     */
+    renderHUD(ctx) {
+        for (const enemy of this.enemies) {
+            if (enemy.isAlive && enemy.archetype.isBoss) {
+                enemy.renderBossHealthBar(ctx);
+            }
+        }
     }
 }
\ No newline at end of file
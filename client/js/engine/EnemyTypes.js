@@ -0,0 +1,147 @@
+/**
+ * Enemy archetypes level files can spawn, by key ("type" of an enemies wave)
+ *
+ * Each archetype sets its stats, the AI behaviour that drives it (see Enemy.updateAI) and the
+ * SpriteLoader sprite it draws with. Distances are in pixels, times in seconds, health in
+ * hearts of 25 HP. Mirrored for the server's combat simulation in server/EnemyTypes.js.
+ */
+
+export const ENEMY_TYPES = {
+    weak_zombie: {
+        width: 28,
+        height: 28,
+        hearts: 1,
+        speed: 80,
+        attackDamage: 25,
+        attackRange: 40,
+        attackCooldown: 1.0,
+        detectionRange: 150,
+        behavior: 'melee',
+        color: '#44aa44',
+        sprite: 'zombie_weak'
+    },
+    zombie: {
+        width: 32,
+        height: 32,
+        hearts: 2,
+        speed: 100,
+        attackDamage: 25,
+        attackRange: 40,
+        attackCooldown: 1.0,
+        detectionRange: 180,
+        behavior: 'melee',
+        color: '#66aa66',
+        sprite: 'zombie_normal'
+    },
+    // Sprints at its victim, lunges from close range, then needs a moment to recover
+    fast_zombie: {
+        width: 26,
+        height: 26,
+        hearts: 1,
+        speed: 170,
+        attackDamage: 25,
+        attackRange: 36,
+        attackCooldown: 0.8,
+        detectionRange: 260,
+        behavior: 'runner',
+        lungeRange: 140,
+        lungeSpeed: 380,
+        lungeDuration: 0.35,
+        recoverDuration: 0.8,
+        color: '#99bb44',
+        sprite: 'zombie_fast'
+    },
+    // Keeps its distance and spits radioactive globs; backs off from players who close in
+    spitter_zombie: {
+        width: 30,
+        height: 30,
+        hearts: 2,
+        speed: 70,
+        attackDamage: 25,
+        attackRange: 320,
+        attackCooldown: 2.2,
+        detectionRange: 360,
+        behavior: 'ranged',
+        preferredRange: 240,
+        fleeRange: 120,
+        windUp: 0.5,
+        projectileSpeed: 260,
+        projectileRadius: 6,
+        color: '#88aa22',
+        sprite: 'zombie_spitter'
+    },
+    // Runs up to the group and detonates after a short fuse; kill it before the fuse runs out
+    irradiated_zombie: {
+        width: 32,
+        height: 32,
+        hearts: 2,
+        speed: 120,
+        attackDamage: 50,
+        attackRange: 50,
+        attackCooldown: 0,
+        detectionRange: 220,
+        behavior: 'exploder',
+        fuseTime: 1.0,
+        blastRadius: 110,
+        color: '#aaff44',
+        sprite: 'zombie_irradiated'
+    },
+    // Slow and tough; its shield soaks most damage from the front, so flank it
+    shielded_zombie: {
+        width: 44,
+        height: 44,
+        hearts: 6,
+        speed: 55,
+        attackDamage: 50,
+        attackRange: 52,
+        attackCooldown: 1.6,
+        detectionRange: 220,
+        behavior: 'tank',
+        shieldArc: Math.PI / 2,
+        shieldReduction: 0.8,
+        turnRate: 1.5, // radians per second
+        color: '#667788',
+        sprite: 'zombie_shielded'
+    },
+    // Hunts one chosen player through HP-threshold phases of telegraphed attacks (see Enemy.bossAI)
+    mutant_boss: {
+        width: 48,
+        height: 48,
+        hearts: 8,
+        speed: 45,
+        attackDamage: 50,
+        attackRange: 60,
+        attackCooldown: 1.5,
+        detectionRange: 250,
+        behavior: 'boss',
+        isBoss: true,
+        armor: 0.5, // Share of damage taken outside vulnerability windows
+        vulnerableMultiplier: 1.5, // Share taken while recovering from an attack
+        transitionDuration: 2.5, // Untouchable while it changes phase
+        phases: [
+            { threshold: 1, speed: 45, attackInterval: 3.5, attacks: ['slam'] },
+            { threshold: 0.66, speed: 60, attackInterval: 3.0, attacks: ['charge', 'slam'], story: 'boss_phase_2' },
+            { threshold: 0.33, speed: 75, attackInterval: 2.5, attacks: ['summon', 'charge', 'slam'], story: 'boss_phase_3' }
+        ],
+        attacks: {
+            // Shockwave around the boss; starts once the target is within range
+            slam: { windUp: 1.2, range: 130, radius: 150, damage: 50, recover: 1.5 },
+            // Rush along a straight lane; hitting a wall stuns it for longer
+            charge: { windUp: 0.9, speed: 480, duration: 0.8, width: 60, damage: 50, recover: 2.0, wallStun: 3.0 },
+            // Calls in adds around itself
+            summon: { windUp: 1.0, type: 'weak_zombie', count: 2, recover: 1.5 }
+        },
+        color: '#aa4444',
+        sprite: 'mutant_boss'
+    }
+};
+
+// Enemy types level files may use
+export const ENEMY_TYPE_NAMES = Object.keys(ENEMY_TYPES);
+
+/**
+ * Archetype for a type key; unknown keys fall back to the plain zombie
+ */
+export function getEnemyType(type) {
+    return ENEMY_TYPES[type] || ENEMY_TYPES.zombie;
+}
@@ -0,0 +1,134 @@
+/**
+ * Snapshot interpolation for entities the server owns (remote players, enemies)
+ * Renders each entity slightly in the past so there are two snapshots to blend
+ * between, and extrapolates briefly when packets run late.
+ */
+export class EntityInterpolator {
+    constructor(options = {}) {
+        this.interpolationDelay = options.interpolationDelay ?? 100; // ms behind the server
+        this.maxExtrapolation = options.maxExtrapolation ?? 150; // ms past the newest snapshot
+        this.bufferDuration = options.bufferDuration ?? 1000; // ms of history kept per entity
+
+        // entityId -> [{ time, x, y }] ordered by server time
+        this.buffers = new Map();
+
+        // Estimated (client clock - server clock), smoothed across snapshots
+        this.clockOffset = null;
+    }
+
+    /**
+     * Record a server position for an entity at a server timestamp
+     */
+    addSnapshot(entityId, serverTime, x, y) {
+        if (typeof serverTime !== 'number') return;
+
+        this.updateClockOffset(serverTime);
+
+        let buffer = this.buffers.get(entityId);
+        if (!buffer) {
+            buffer = [];
+            this.buffers.set(entityId, buffer);
+        }
+
+        // Drop out-of-order or duplicate snapshots
+        const newest = buffer[buffer.length - 1];
+        if (newest && serverTime <= newest.time) {
+            if (serverTime === newest.time) {
+                newest.x = x;
+                newest.y = y;
+            }
+            return;
+        }
+
+        buffer.push({ time: serverTime, x, y });
+
+        // Keep a short history only
+        while (buffer.length > 2 && buffer[0].time < serverTime - this.bufferDuration) {
+            buffer.shift();
+        }
+    }
+
+    /**
+     * Position of an entity at the current render time, or null if unknown
+     */
+    sample(entityId, now = Date.now()) {
+        const buffer = this.buffers.get(entityId);
+        if (!buffer || buffer.length === 0) return null;
+
+        const renderTime = this.getRenderTime(now);
+        const newest = buffer[buffer.length - 1];
+
+        if (buffer.length === 1 || renderTime <= buffer[0].time) {
+            return { x: buffer[0].x, y: buffer[0].y };
+        }
+
+        // Late packets: carry on along the last known velocity for a short time
+        if (renderTime >= newest.time) {
+            const previous = buffer[buffer.length - 2];
+            const span = newest.time - previous.time;
+            const ahead = Math.min(renderTime - newest.time, this.maxExtrapolation);
+            const t = span > 0 ? ahead / span : 0;
+
+            return {
+                x: newest.x + (newest.x - previous.x) * t,
+                y: newest.y + (newest.y - previous.y) * t
+            };
+        }
+
+        // Find the two snapshots surrounding the render time
+        for (let i = buffer.length - 1; i > 0; i--) {
+            const from = buffer[i - 1];
+            const to = buffer[i];
+            if (renderTime >= from.time) {
+                const t = (renderTime - from.time) / (to.time - from.time);
+                return {
+                    x: from.x + (to.x - from.x) * t,
+                    y: from.y + (to.y - from.y) * t
+                };
+            }
+        }
+
+        return { x: newest.x, y: newest.y };
+    }
+
+    /**
+     * Server time the client is currently rendering
+     */
+    getRenderTime(now = Date.now()) {
+        return now - (this.clockOffset || 0) - this.interpolationDelay;
+    }
+
+    updateClockOffset(serverTime) {
+        const offset = Date.now() - serverTime;
+
+        if (this.clockOffset === null) {
+            this.clockOffset = offset;
+        } else if (offset < this.clockOffset) {
+            // A faster packet is a better estimate; adopt it straight away
+            this.clockOffset = offset;
+        } else {
+            // Drift upwards slowly so one delayed packet doesn't shift the timeline
+            this.clockOffset += (offset - this.clockOffset) * 0.05;
+        }
+    }
+
+    remove(entityId) {
+        this.buffers.delete(entityId);
+    }
+
+    /**
+     * Forget entities that aren't in the given set of ids
+     */
+    retain(entityIds) {
+        for (const entityId of this.buffers.keys()) {
+            if (!entityIds.has(entityId)) {
+                this.buffers.delete(entityId);
+            }
+        }
+    }
+
+    clear() {
+        this.buffers.clear();
+        this.clockOffset = null;
+    }
+}
@@ -7,6 +7,7 @@ import { LevelManager } from './LevelManager.js';
 import { DialogueSystem } from './DialogueSystem.js';
 import { TutorialManager } from './TutorialManager.js';
 import { CombatSystem } from './CombatSystem.js';
+import { AbilitySystem } from './AbilitySystem.js';
 import { EnemyManager } from './Enemy.js';
 import { DeathManager } from './DeathManager.js';
 import { CharacterManager } from './CharacterManager.js';
@@ -19,6 +20,16 @@ import { InteractiveSystem } from './InteractiveSystem.js';
 import { StoryManager } from './StoryManager.js';
 import { PowerUpManager } from './PowerUpManager.js';
 import { DialogueUI } from './DialogueUI.js';
+import { EntityInterpolator } from './EntityInterpolator.js';
+import { SpectatorManager } from './SpectatorManager.js';
+import { ReplayPlayer } from './ReplayPlayer.js';
+import { LevelEditor } from './LevelEditor.js';
+import { Camera } from './Camera.js';
+import { SettingsManager } from './SettingsManager.js';
+import { PauseMenu } from './PauseMenu.js';
+import { InputManager } from './InputManager.js';
+import { TouchControls } from './TouchControls.js';
+import { colors } from './ColorPalettes.js';
 // import { MiniGameSystem } from './MiniGameSystem.js';
 
 export class GameEngine {
@@ -63,6 +74,9 @@ export class GameEngine {
         // Combat system
         this.combatSystem = new CombatSystem(this);
 
+        // Character abilities (R)
+        this.abilitySystem = new AbilitySystem(this);
+
         // Enemy management
         this.enemyManager = new EnemyManager(this);
 
@@ -102,9 +116,43 @@ export class GameEngine {
         // Mini-game system
         // this.miniGameSystem = new MiniGameSystem(this);
 
+        // Camera that follows the players around levels larger than the screen
+        this.camera = new Camera(this);
+
+        // Spectator mode for dead players and outside viewers
+        this.spectatorManager = new SpectatorManager(this);
+
+        // Playback of server-recorded replays
+        this.replayPlayer = new ReplayPlayer(this);
+
+        // Developer-mode level editor (F4)
+        this.levelEditor = new LevelEditor(this);
+
+        // Keyboard and gamepad bindings; systems read actions ("attack") rather than keys
+        this.inputManager = new InputManager();
+        this.inputManager.onAction = (action) => this.handleButtonAction(action);
+        this.inputManager.onGamepadConnected = () => {
+            this.hudManager.showNotification('Controller connected', 2000, '#aaaaff');
+        };
+
+        // Saved player settings (volume, HUD size, screen shake, colors, fullscreen, controls)
+        this.settingsManager = new SettingsManager(this);
+
+        // Pause and settings menu (Esc)
+        this.pauseMenu = new PauseMenu(this);
+
+        // On-screen joystick and buttons for phones and tablets
+        this.touchControls = new TouchControls(this);
+
+        // Snapshot interpolation for server-owned entities
+        this.playerInterpolator = new EntityInterpolator();
+        this.enemyInterpolator = new EntityInterpolator();
+
         // Game state
         this.gameState = 'character_selection'; // 'character_selection', 'playing'
         this.selectedCharacter = null;
+        this.isMultiplayer = false;
+        this.partySize = 1; // Players the room was created for; scales enemies and co-op puzzles
 
         // Bind methods
         this.gameLoop = this.gameLoop.bind(this);
@@ -113,8 +161,6 @@ export class GameEngine {
         this.handleResize = this.handleResize.bind(this);
         this.handleFullscreen = this.handleFullscreen.bind(this);
 
-        // Input state
-        this.keys = {};
 
         // Initialize canvas resolution and pixel art rendering
         this.setupCanvas();
@@ -178,9 +224,11 @@ export class GameEngine {
         this.lastTime = performance.now();
         requestAnimationFrame(this.gameLoop);
 
-        // Start with character selection
-        this.gameState = 'character_selection';
-        console.log('Please select your character...');
+        // Multiplayer characters are picked in the lobby; offline starts with character selection
+        if (!this.isMultiplayer) {
+            this.gameState = 'character_selection';
+            console.log('Please select your character...');
+        }
     }
 
     async startGame() {
@@ -221,6 +269,7 @@ export class GameEngine {
                         existingPlayer.x = playerData.position.x;
                         existingPlayer.y = playerData.position.y;
                     }
+                    this.applyServerCharacter(existingPlayer, playerData.characterType);
                 } else {
                     // Create new player
                     const player = this.createPlayerFromData(playerData);
@@ -241,9 +290,20 @@ export class GameEngine {
         
         // Set up multiplayer state
         this.gameState = 'playing';
+        this.isMultiplayer = true;
+        this.partySize = gameData.partySize || gameData.players?.length || this.partySize;
         
-        // Start with Level 0
-        await this.levelManager.changeLevel(0);
+        // Enemies, damage and deaths are simulated by the server
+        this.enemyManager.setServerAuthoritative(true);
+        
+        if (this.networkManager.isViewer) {
+            // Outside viewers join mid-game at the room's current level
+            this.spectatorManager.startViewing();
+            await this.levelManager.changeLevel(gameData.level || 0);
+        } else {
+            // Start with Level 0
+            await this.levelManager.changeLevel(0);
+        }
         
         // Debug: Check canvas state
         console.log('GameEngine: Canvas dimensions:', this.canvas.width, 'x', this.canvas.height);
@@ -259,6 +319,23 @@ export class GameEngine {
         console.log('Multiplayer game started successfully');
     }
 
+    /**
+     * Play back a recorded game instead of joining one
+     */
+    startReplay(replay) {
+        // Replays have no local player; every player is driven by recorded events
+        this.players.clear();
+        this.localPlayerId = null;
+
+        this.start();
+        this.gameState = 'playing';
+        this.isMultiplayer = true;
+        this.partySize = replay.players?.length || 1;
+        this.enemyManager.setServerAuthoritative(true);
+
+        this.replayPlayer.load(replay);
+    }
+
     /**
      * Create a player from server data
      */
@@ -280,10 +357,25 @@ export class GameEngine {
         // Set network manager reference for network actions
         player.setNetworkManager(this.networkManager);
         
+        // Stats, sprite and ability follow the character picked in the lobby
+        this.applyServerCharacter(player, playerData.characterType);
+        if (typeof playerData.health === 'number') {
+            player.health = playerData.health;
+        }
+        
         console.log('Created player:', player.name, 'at', player.x, player.y, 'isLocal:', player.isLocal);
         return player;
     }
 
+    /**
+     * Give a player the character the server has on record
+     */
+    applyServerCharacter(player, characterType) {
+        const characterKey = this.characterManager.getCharacterType(characterType) ? characterType : 'scout';
+        this.characterManager.applyCharacterStats(player, characterKey);
+        this.characterManager.selectCharacter(player.id, characterKey);
+    }
+
     /**
      * Get a unique color for each player
      */
@@ -308,10 +400,28 @@ export class GameEngine {
             this.handleGameStateUpdate(gameState);
         };
 
+        // Pings and reactions from spectators
+        this.networkManager.onSpectatorSignal = (signal) => {
+            this.spectatorManager.addSignal(signal);
+        };
+
+        // Server-side movement validation corrections for the local player
+        this.networkManager.onPositionCorrection = ({ position, sequence }) => {
+            const localPlayer = this.getLocalPlayer();
+            if (localPlayer && position) {
+                localPlayer.reconcile(position.x, position.y, sequence);
+            }
+        };
+
         // Handle individual player actions from other players
         this.networkManager.onPlayerAction = (data) => {
             this.handlePlayerAction(data);
         };
+
+        // Handle server-resolved kills and deaths
+        this.networkManager.onCombatEvent = (event) => {
+            this.handleCombatEvent(event);
+        };
     }
 
     /**
@@ -320,6 +430,15 @@ export class GameEngine {
     handleGameStateUpdate(gameState) {
         if (!gameState.players) return;
         
+        if (typeof gameState.partySize === 'number') {
+            this.partySize = gameState.partySize;
+        }
+        
+        // Viewers and replays don't run level completion themselves; follow the room's level
+        if (this.spectatorManager.isViewer || this.replayPlayer.isActive) {
+            this.followRoomLevel(gameState.currentLevel);
+        }
+        
         // Update existing players or create new ones
         gameState.players.forEach(serverPlayer => {
             const playerId = serverPlayer.id;
@@ -332,39 +451,166 @@ export class GameEngine {
                 this.players.set(playerId, player);
                 console.log('Added new player from server:', playerName);
             } else {
-                // Only update remote players' positions from authoritative server state
-                // Local player position is handled by local input prediction
-                if (playerId !== this.localPlayerId) {
-                    if (serverPlayer.position) {
-                        // Use smooth interpolation for remote players
-                        this.smoothUpdatePlayerPosition(player, serverPlayer.position.x, serverPlayer.position.y);
+                // E.g. a rejoined player whose character was restored by the server
+                if (serverPlayer.characterType && serverPlayer.characterType !== player.characterType) {
+                    this.applyServerCharacter(player, serverPlayer.characterType);
+                }
+                
+                if (playerId === this.localPlayerId) {
+                    // Local player is predicted; correct it against the last input the server processed
+                    if (serverPlayer.position && typeof serverPlayer.lastProcessedInput === 'number') {
+                        player.reconcile(serverPlayer.position.x, serverPlayer.position.y, serverPlayer.lastProcessedInput);
                     }
-                    player.health = serverPlayer.health || player.health;
-                    player.isAlive = serverPlayer.isAlive !== false;
-                } else {
-                    // For local player, only update health and alive status from server
-                    // Position is client-authoritative with server validation
-                    player.health = serverPlayer.health || player.health;
-                    player.isAlive = serverPlayer.isAlive !== false;
+                } else if (serverPlayer.position) {
+                    // Remote players are rendered from the interpolation buffer
+                    this.playerInterpolator.addSnapshot(playerId, gameState.timestamp, serverPlayer.position.x, serverPlayer.position.y);
                 }
+                
+                // Health and death are server-authoritative for every player
+                this.applyServerHealth(player, serverPlayer);
             }
         });
         
+        // Apply the server's enemy roster
+        if (gameState.enemies) {
+            const damaged = this.enemyManager.applyServerState(gameState.enemies);
+            for (const { enemy, damage } of damaged) {
+                this.combatSystem.createDamageNumber(enemy.x + enemy.width / 2, enemy.y, damage, colors.damageDealt);
+            }
+            
+            for (const enemyState of gameState.enemies) {
+                this.enemyInterpolator.addSnapshot(enemyState.id, gameState.timestamp, enemyState.x, enemyState.y);
+            }
+            this.enemyInterpolator.retain(new Set(gameState.enemies.map(enemy => enemy.id)));
+        }
+        
+        if (gameState.projectiles) {
+            this.enemyManager.applyServerProjectiles(gameState.projectiles);
+        }
+        
+        if (gameState.turrets) {
+            this.abilitySystem.applyServerTurrets(gameState.turrets);
+        }
+        
+        // Wave announcements and pending waves from the server's director, once it's on our level
+        if (gameState.waves?.level === this.levelManager.currentLevelNumber) {
+            this.enemyManager.waveDirector.applyServerState(gameState.waves);
+        }
+        
         // Remove players that are no longer in the game
         const serverPlayerIds = new Set(gameState.players.map(p => p.id));
         for (const [playerId, player] of this.players) {
             if (!serverPlayerIds.has(playerId)) {
                 this.players.delete(playerId);
+                this.playerInterpolator.remove(playerId);
                 console.log('Removed player:', player.name);
             }
         }
     }
 
+    /**
+     * Switch to the room's level when it differs from ours
+     */
+    followRoomLevel(levelNumber) {
+        if (typeof levelNumber === 'number' && levelNumber !== this.levelManager.currentLevelNumber &&
+            !this.levelManager.isTransitioning) {
+            this.levelManager.changeLevel(levelNumber);
+        }
+    }
+
+    /**
+     * Hear positional sounds from the local player (the camera once they're down)
+     * and set the music's intensity from the fight around them
+     */
+    updateAudio() {
+        const localPlayer = this.getLocalPlayer();
+        const viewport = this.camera.getViewport();
+        const listener = localPlayer?.isAlive ?
+            { x: localPlayer.x + localPlayer.width / 2, y: localPlayer.y + localPlayer.height / 2 } :
+            { x: viewport.x + viewport.width / 2, y: viewport.y + viewport.height / 2 };
+
+        this.audioManager.setListenerPosition(listener);
+        this.audioManager.setMusicIntensity(this.getMusicIntensity(localPlayer));
+    }
+
+    /**
+     * 0-1, the highest of: enemies alive (full at 8), a boss (rising with its phase)
+     * and the local player's radiation exposure
+     */
+    getMusicIntensity(localPlayer) {
+        const enemies = this.enemyManager.getAliveEnemies();
+        const boss = enemies.find(enemy => enemy.archetype?.isBoss);
+        const bossIntensity = boss ? 0.6 + 0.2 * (boss.phaseIndex || 0) : 0;
+        const level = this.getCurrentLevel();
+        const exposure = localPlayer?.isAlive && level ? level.getRadiationExposure(localPlayer) : 0;
+
+        return Math.max(Math.min(1, enemies.length / 8), bossIntensity, exposure);
+    }
+
+    /**
+     * Apply server health to a player, showing damage and death locally
+     */
+    applyServerHealth(player, serverPlayer) {
+        if (typeof serverPlayer.health === 'number' && serverPlayer.health < player.health && player.isAlive) {
+            const damage = player.health - serverPlayer.health;
+            this.combatSystem.createDamageNumber(player.x + player.width / 2, player.y, damage, colors.damageTaken);
+            this.audioManager.playSFX('player_hurt', 0.8, 1.0, { x: player.x + player.width / 2, y: player.y + player.height / 2 });
+        } else if (typeof serverPlayer.health === 'number' && serverPlayer.health > player.health && player.isAlive) {
+            this.combatSystem.createHealNumber(player.x + player.width / 2, player.y, serverPlayer.health - player.health);
+        }
+        
+        if (typeof serverPlayer.health === 'number') {
+            player.health = serverPlayer.health;
+        }
+        if (typeof serverPlayer.maxHealth === 'number') {
+            player.maxHealth = serverPlayer.maxHealth;
+        }
+        
+        if (serverPlayer.isAlive === false && player.isAlive) {
+            player.die();
+            this.combatSystem.onPlayerDeath(player);
+            this.deathManager.onPlayerDeath(player);
+        }
+    }
+
+    /**
+     * Handle combat results resolved by the server
+     */
+    handleCombatEvent(event) {
+        switch (event.type) {
+            case 'enemyDefeated': {
+                const enemy = this.enemyManager.getEnemy(event.enemyId);
+                if (enemy && enemy.isAlive) {
+                    enemy.health = 0;
+                    enemy.isAlive = false;
+                    this.combatSystem.onEnemyDeath(enemy);
+                }
+                break;
+            }
+                
+            case 'enemyExploded':
+                this.enemyManager.showExplosion(event.x, event.y);
+                break;
+                
+            case 'bossSlam':
+                this.enemyManager.showSlam(event.x, event.y);
+                break;
+                
+            case 'playerDied': {
+                const player = this.players.get(event.playerId);
+                if (player) {
+                    this.applyServerHealth(player, { health: 0, isAlive: false });
+                }
+                break;
+            }
+        }
+    }
+
     /**
      * Handle individual player actions from other players
      */
     handlePlayerAction(data) {
-        const { playerId, action } = data;
+        const { playerId, action, timestamp } = data;
         
         // Don't process our own actions (we already handle them locally)
         if (playerId === this.localPlayerId) return;
@@ -375,11 +621,10 @@ export class GameEngine {
             return;
         }
         
-        // Apply the action to the player with smooth interpolation
+        // Positions go through the interpolation buffer, stamped with server time
         switch (action.type) {
             case 'move':
-                // Use smooth interpolation for movement updates
-                this.smoothUpdatePlayerPosition(player, action.x, action.y);
+                this.playerInterpolator.addSnapshot(playerId, timestamp, action.x, action.y);
                 player.direction = action.direction;
                 player.isMoving = action.isMoving;
                 break;
@@ -394,44 +639,18 @@ export class GameEngine {
                 break;
                 
             case 'dash':
-                // For dash, update position immediately for responsiveness
-                player.x = action.x;
-                player.y = action.y;
+                this.playerInterpolator.addSnapshot(playerId, timestamp, action.x, action.y);
                 player.direction = action.direction;
                 player.isDashing = true;
                 // Could trigger dash animation here
                 break;
+                
+            case 'ability':
+                this.abilitySystem.onRemoteAbility(player, action.ability);
+                break;
         }
     }
 
-    /**
-     * Smoothly interpolate player position to reduce jittering
-     */
-    smoothUpdatePlayerPosition(player, targetX, targetY) {
-        if (!player.targetPosition) {
-            player.targetPosition = { x: targetX, y: targetY };
-            player.interpolationSpeed = 10; // Adjust for smoothness vs responsiveness
-        }
-        
-        // Update target position
-        player.targetPosition.x = targetX;
-        player.targetPosition.y = targetY;
-        
-        // Don't interpolate if the distance is too large (teleport instead)
-        const distance = Math.sqrt(
-            Math.pow(targetX - player.x, 2) + 
-            Math.pow(targetY - player.y, 2)
-        );
-        
-        if (distance > 80) {
-            // Teleport for large distances (likely a correction or dash)
-            player.x = targetX;
-            player.y = targetY;
-            console.log(`Teleported player ${player.name} due to large distance: ${distance.toFixed(1)}`);
-        }
-        // Interpolation will be handled in the update loop
-    }
-
     stop() {
         this.isRunning = false;
     }
@@ -474,6 +693,11 @@ export class GameEngine {
             this.audioManager.destroy();
         }
 
+        // Clean up level editor
+        if (this.levelEditor) {
+            this.levelEditor.destroy();
+        }
+
         // Clean up validation system (disabled for compatibility)
         // if (this.validationManager) {
         //     this.validationManager.destroy();
@@ -494,6 +718,10 @@ export class GameEngine {
         document.removeEventListener('webkitfullscreenchange', this.handleResize);
         document.removeEventListener('mozfullscreenchange', this.handleResize);
         document.removeEventListener('MSFullscreenChange', this.handleResize);
+
+        this.settingsManager.destroy();
+        this.inputManager.destroy();
+        this.touchControls.destroy();
     }
 
     gameLoop(currentTime) {
@@ -519,6 +747,21 @@ export class GameEngine {
             return;
         }
 
+        // The camera keeps following while the game is frozen (editor, pause, game over)
+        this.camera.update(deltaTime);
+        this.updateAudio();
+
+        // Gamepad buttons (Start works while paused)
+        this.inputManager.update();
+
+        // The level editor and the offline pause menu freeze the game while open
+        if (this.levelEditor.isActive || this.pauseMenu.isPausing()) {
+            return;
+        }
+
+        // Replays dispatch recorded events before anything reads the game state
+        this.replayPlayer.update(deltaTime);
+
         // Don't update if game is over
         if (this.deathManager.isGameOver()) {
             this.deathManager.update(deltaTime);
@@ -532,39 +775,20 @@ export class GameEngine {
         for (const player of players) {
             const wasMoving = player.isMoving;
             const wasDashing = player.isDashing;
-            const prevX = player.x;
-            const prevY = player.y;
             
-            // Handle smooth interpolation for remote players
-            if (player.id !== this.localPlayerId && player.targetPosition) {
-                const dx = player.targetPosition.x - player.x;
-                const dy = player.targetPosition.y - player.y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
-                
-                if (distance > 0.5) { // Only interpolate if there's a meaningful distance
-                    const speed = player.interpolationSpeed || 10;
-                    const moveDistance = speed * deltaTime * 60; // 60fps normalized
-                    
-                    if (distance <= moveDistance) {
-                        // Close enough, snap to target
-                        player.x = player.targetPosition.x;
-                        player.y = player.targetPosition.y;
-                    } else {
-                        // Interpolate towards target
-                        const ratio = moveDistance / distance;
-                        player.x += dx * ratio;
-                        player.y += dy * ratio;
-                    }
-                } else if (distance > 0) {
-                    // Very close, just snap to avoid micro-movements
-                    player.x = player.targetPosition.x;
-                    player.y = player.targetPosition.y;
+            // Remote players render from the interpolation buffer
+            if (player.id !== this.localPlayerId) {
+                const position = this.playerInterpolator.sample(player.id);
+                if (position) {
+                    player.x = Math.round(position.x);
+                    player.y = Math.round(position.y);
                 }
             }
             
             // Update player logic (only for local player or non-networked updates)
             if (player.id === this.localPlayerId) {
-                player.update(deltaTime, this.keys, this.canvas.width, this.canvas.height);
+                const bounds = this.camera.getBounds();
+                player.update(deltaTime, this.inputManager, bounds.width, bounds.height, currentLevel);
             } else {
                 // For remote players, only update non-position related things
                 player.updateCooldowns(deltaTime);
@@ -573,13 +797,8 @@ export class GameEngine {
             
             // Send network updates for local player only
             if (player.id === this.localPlayerId && player.isAlive) {
-                // Send movement updates if position changed significantly (deadband to prevent spam)
-                const positionChanged = Math.abs(player.x - prevX) > 1.0 || Math.abs(player.y - prevY) > 1.0;
-                const stateChanged = player.isMoving !== wasMoving || player.isDashing !== wasDashing;
-                
-                if (positionChanged || stateChanged) {
-                    player.sendMovementAction();
-                }
+                // Move inputs go out at the fixed input rate, not every frame
+                player.updateInputSending(deltaTime);
                 
                 // Play sound effects
                 if (this.audioManager) {
@@ -599,13 +818,27 @@ export class GameEngine {
         // Update combat system
         this.combatSystem.update(deltaTime);
 
+        // Update ability effects and turrets
+        this.abilitySystem.update(deltaTime);
+
         // Handle combat input (only if playing)
         if (this.gameState === 'playing') {
-            this.combatSystem.handleInput(this.keys);
+            this.combatSystem.handleInput(this.inputManager);
         }
 
         // Update enemy manager
         this.enemyManager.update(deltaTime, players, currentLevel);
+        
+        // Server-owned enemies render from the interpolation buffer
+        if (this.enemyManager.serverAuthoritative) {
+            for (const enemy of this.enemyManager.getAllEnemies()) {
+                const position = this.enemyInterpolator.sample(enemy.id);
+                if (position) {
+                    enemy.x = Math.round(position.x);
+                    enemy.y = Math.round(position.y);
+                }
+            }
+        }
 
         // Update combat between enemies and players
         this.updateCombatInteractions(deltaTime);
@@ -617,7 +850,7 @@ export class GameEngine {
         this.levelManager.update(deltaTime, players);
         
         // Handle level input
-        this.levelManager.handleInput(this.keys);
+        this.levelManager.handleInput(this.inputManager);
 
         // Update dialogue system
         this.dialogueSystem.update(deltaTime, players);
@@ -646,11 +879,17 @@ export class GameEngine {
         // Update HUD system
         this.hudManager.update(deltaTime);
 
+        // Update spectator target, pings and reactions
+        this.spectatorManager.update(deltaTime);
+
         // Update visual effects system
         this.visualEffectsManager.update(deltaTime);
     }
 
     updateCombatInteractions(deltaTime) {
+        // Enemy attacks are resolved by the server in multiplayer
+        if (this.enemyManager.serverAuthoritative) return;
+
         const players = Array.from(this.players.values());
         const enemies = this.enemyManager.getAllEnemies();
 
@@ -684,6 +923,13 @@ export class GameEngine {
             return;
         }
 
+        // Clear outside the level; a zoomed-out camera may show more than the level
+        this.ctx.fillStyle = '#000000';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // World layers go through the camera
+        this.camera.apply(this.ctx);
+
         // Render current level (includes background clearing)
         this.levelManager.render(this.ctx, this.spriteRenderer);
 
@@ -696,6 +942,9 @@ export class GameEngine {
         // Render power-ups
         this.powerUpManager.render(this.ctx);
 
+        // Render engineer turrets and ability pulses
+        this.abilitySystem.render(this.ctx);
+
         // Render mini-games
         // this.miniGameSystem.render(this.ctx);
 
@@ -707,6 +956,26 @@ export class GameEngine {
         // Render combat effects
         this.combatSystem.render(this.ctx);
 
+        // Render particles and effect animations
+        this.visualEffectsManager.renderWorld();
+
+        // Render level editor grid and items
+        this.levelEditor.renderWorld(this.ctx);
+
+        // Render spectator pings, reactions and target marker
+        this.spectatorManager.renderWorldOverlay(this.ctx);
+
+        this.camera.restore(this.ctx);
+
+        // Render level instructions and the level transition
+        this.levelManager.renderUI(this.ctx);
+
+        // Render boss health bars
+        this.enemyManager.renderHUD(this.ctx);
+
+        // Render story captions and cutscene letterboxing
+        this.storyManager.render(this.ctx);
+
         // Render tutorial system
         this.tutorialManager.render(this.ctx);
 
@@ -719,17 +988,29 @@ export class GameEngine {
         // Render death manager (game over screen, death messages)
         this.deathManager.render(this.ctx);
 
-        // Render visual effects (particles, screen shake, etc.)
+        // Render visual effects transitions
         this.visualEffectsManager.render();
 
         // Render HUD system (on top of game elements)
         this.hudManager.render();
 
+        // Render spectator banner
+        this.spectatorManager.renderHUD(this.ctx);
+
+        // Render replay timeline and controls
+        this.replayPlayer.renderHUD(this.ctx);
+
+        // Render level editor banner
+        this.levelEditor.render(this.ctx);
+
         // Render debug info
         // this.renderDebugInfo();
 
         // Render developer settings debug info
         this.developerSettings.renderDebugInfo(this.ctx);
+
+        // Render touch controls on their own overlay canvas
+        this.touchControls.render();
     }
 
     renderCharacterSelection() {
@@ -742,7 +1023,12 @@ export class GameEngine {
     }
 
     handleKeyDown(event) {
-        this.keys[event.code] = true;
+        // The pause menu takes every key while it's open
+        if (this.pauseMenu.handleKeyDown(event)) {
+            return;
+        }
+
+        this.inputManager.pressKey(event.code);
 
         // Handle character selection
         if (this.gameState === 'character_selection') {
@@ -750,6 +1036,26 @@ export class GameEngine {
             return;
         }
 
+        // Level editor takes all keys while it's open
+        if (this.levelEditor.handleKeyDown(event)) {
+            return;
+        }
+
+        // Replay playback controls
+        if (this.replayPlayer.handleKeyDown(event)) {
+            return;
+        }
+
+        // Spectator controls take priority once the local player is out
+        if (this.spectatorManager.handleKeyDown(event)) {
+            return;
+        }
+
+        // Camera zoom and follow mode
+        if (this.gameState === 'playing' && this.camera.handleKeyDown(event)) {
+            return;
+        }
+
         // Handle fullscreen toggle
         if (event.code === 'KeyF' || event.code === 'F11') {
             event.preventDefault();
@@ -760,73 +1066,101 @@ export class GameEngine {
         // Handle audio controls
         if (event.code === 'KeyM') {
             event.preventDefault();
-            this.audioManager.toggleMute();
+            this.settingsManager.set('muted', !this.audioManager.isMuted);
             return;
         }
 
         // Volume controls (number keys 1-9 for master volume)
         if (event.code >= 'Digit1' && event.code <= 'Digit9' && this.gameState === 'playing') {
             const volume = parseInt(event.code.slice(-1)) / 10;
-            this.audioManager.setMasterVolume(volume);
+            this.settingsManager.set('masterVolume', volume);
             return;
         }
 
-        // Prevent default browser behavior for game keys
-        if (['KeyW', 'KeyA', 'KeyS', 'KeyD', 'Space', 'ShiftLeft', 'ShiftRight'].includes(event.code)) {
+        // Game actions bound to this key (the browser's own use of them is suppressed)
+        const actions = this.inputManager.getActionsForKey(event.code);
+        if (actions.length > 0) {
             event.preventDefault();
         }
+        for (const action of actions) {
+            this.handleAction(action);
+        }
+    }
 
-        // Handle attack input immediately for responsiveness
-        if (event.code === 'Space' && !this.deathManager.isGameOver() && this.gameState === 'playing') {
-            const localPlayer = this.getLocalPlayer();
-            if (localPlayer && localPlayer.isAlive) {
-                // Send validated attack action to server
-                const attackSent = localPlayer.sendAttackAction();
-                
-                // Only execute local attack if validation passed
-                if (attackSent !== false) {
-                    this.combatSystem.tryPlayerAttack(localPlayer.id, 0, 0); // Position not needed for swing attacks
-                }
-            }
+    /**
+     * A gamepad or touch button was pressed; dialogue and the pause menu get first go
+     */
+    handleButtonAction(action) {
+        if (this.gameState !== 'playing' || this.levelEditor.isActive) return;
+
+        if (this.dialogueSystem.handleAction(action)) return;
+
+        if (action === 'pause') {
+            this.pauseMenu.toggle();
+            return;
         }
 
-        // Handle super attack (Q key)
-        if (event.code === 'KeyQ' && !this.deathManager.isGameOver() && this.gameState === 'playing') {
-            event.preventDefault();
-            const localPlayer = this.getLocalPlayer();
-            if (localPlayer && localPlayer.isAlive) {
-                const success = this.powerUpManager.handleSuperAttack(localPlayer);
-                if (success) {
+        if (!this.pauseMenu.isOpen) {
+            this.handleAction(action);
+        }
+    }
+
+    /**
+     * Run a pressed action (attack, ability, interact, ...), from a key or a gamepad button
+     */
+    handleAction(action) {
+        if (this.gameState !== 'playing') return;
+
+        if (action === 'camera_follow') {
+            this.camera.toggleMode();
+            return;
+        }
+
+        const localPlayer = this.getLocalPlayer();
+        if (this.deathManager.isGameOver() || !localPlayer) return;
+
+        switch (action) {
+            case 'attack':
+                if (localPlayer.isAlive) {
+                    // Send validated attack action to server
+                    const attackSent = localPlayer.sendAttackAction();
+
+                    // Only execute local attack if validation passed
+                    if (attackSent !== false) {
+                        this.combatSystem.tryPlayerAttack(localPlayer.id, 0, 0); // Position not needed for swing attacks
+                    }
+                }
+                break;
+
+            case 'super_attack':
+                if (localPlayer.isAlive && this.powerUpManager.handleSuperAttack(localPlayer)) {
                     // Play super attack sound
                     this.audioManager.playSFX('super_attack');
                 }
-            }
-        }
+                break;
 
-        // Handle super speed activation (C key)
-        if (event.code === 'KeyC' && !this.deathManager.isGameOver() && this.gameState === 'playing') {
-            event.preventDefault();
-            const localPlayer = this.getLocalPlayer();
-            if (localPlayer && localPlayer.isAlive) {
-                // Check if player has super speed power-up available
-                this.tryActivateSuperSpeed(localPlayer);
-            }
-        }
+            case 'ability':
+                if (localPlayer.isAlive) {
+                    this.abilitySystem.tryActivate(localPlayer);
+                }
+                break;
 
-        // Handle NPC interaction (E key)
-        if (event.code === 'KeyE' && !this.deathManager.isGameOver() && this.gameState === 'playing') {
-            event.preventDefault();
-            
-            // Check if dialogue UI is active first
-            if (this.dialogueUI.isActive()) {
-                this.dialogueUI.handleInput('KeyE');
-            } else {
-                // Check for nearby NPCs
-                const localPlayer = this.getLocalPlayer();
-                if (localPlayer && localPlayer.isAlive) {
+            case 'super_speed':
+                if (localPlayer.isAlive) {
+                    // Check if player has super speed power-up available
+                    this.tryActivateSuperSpeed(localPlayer);
+                }
+                break;
+
+            case 'interact':
+                // Check if dialogue UI is active first
+                if (this.dialogueUI.isActive()) {
+                    this.dialogueUI.handleInput('KeyE');
+                } else if (localPlayer.isAlive) {
+                    // Check for nearby NPCs
                     this.checkNPCInteraction(localPlayer);
                 }
-            }
+                break;
         }
     }
 
@@ -864,11 +1198,11 @@ export class GameEngine {
     }
 
     handleKeyUp(event) {
-        this.keys[event.code] = false;
+        this.inputManager.releaseKey(event.code);
     }
 
     isKeyPressed(keyCode) {
-        return !!this.keys[keyCode];
+        return this.inputManager.isKeyDown(keyCode);
     }
 
     setupCanvas() {
@@ -942,6 +1276,9 @@ export class GameEngine {
         // Reapply pixel art settings after canvas resize
         this.setupPixelArtRendering();
 
+        // Touch controls lay out around the resized game
+        this.touchControls.handleResize();
+
         // Update resolution info
         // this.updateResolutionInfo();
 
@@ -1191,6 +1528,6 @@ export class GameEngine {
 
         // Controls
         this.ctx.fillStyle = '#888888';
-        this.ctx.fillText('Controls: WASD to move, SPACE to attack, SHIFT to dash, F for fullscreen, M to mute, 1-9 for volume', 10, this.canvas.height - 20);
+        this.ctx.fillText('Controls: WASD to move, SPACE to attack, SHIFT to dash, F for fullscreen, M to mute, 1-9 for volume, +/- to zoom, V for camera', 10, this.canvas.height - 20);
     }
 }
\ No newline at end of file
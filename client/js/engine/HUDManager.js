@@ -1,3 +1,5 @@
+import { colors } from './ColorPalettes.js';
+
 export class HUDManager {
     constructor(gameEngine) {
         this.gameEngine = gameEngine;
@@ -12,8 +14,6 @@ export class HUDManager {
                 margin: 10,
                 backgroundColor: '#333333',
                 borderColor: '#ffffff',
-                healthColor: '#00ff00',
-                lowHealthColor: '#ff0000',
                 criticalHealthThreshold: 0.25
             },
             levelIndicator: {
@@ -36,25 +36,32 @@ export class HUDManager {
             playerStatus: {
                 fontSize: 14,
                 font: 'monospace',
-                aliveColor: '#00ff00',
-                deadColor: '#ff6666',
                 backgroundColor: 'rgba(0, 0, 0, 0.7)',
                 padding: 8,
                 margin: 10
             },
+            ability: {
+                width: 220,
+                height: 44,
+                fontSize: 14,
+                font: 'monospace',
+                backgroundColor: 'rgba(0, 0, 0, 0.7)',
+                cooldownColor: 'rgba(255, 255, 255, 0.25)',
+                margin: 10
+            },
             minimap: {
                 size: 150,
                 backgroundColor: 'rgba(0, 0, 0, 0.8)',
                 borderColor: '#ffffff',
-                playerColor: '#00ff00',
-                enemyColor: '#ff0000',
+                wallColor: 'rgba(255, 255, 255, 0.35)',
+                viewportColor: '#ffff00',
                 margin: 10
             }
         };
         
         // UI scaling
         this.uiScale = 1;
-        this.baseUIScale = 1;
+        this.baseUIScale = 1; // Player's UI scale setting, on top of the screen-size scale
         
         // Animation state
         this.animationTime = 0;
@@ -74,15 +81,16 @@ export class HUDManager {
         const scaleFactor = this.gameEngine.scaleFactor || 1;
         
         // Scale UI elements appropriately for different screen sizes
+        let screenScale = 1; // Normal UI scale
         if (scaleFactor < 0.5) {
-            this.uiScale = 0.7; // Smaller UI for very small screens
+            screenScale = 0.7; // Smaller UI for very small screens
         } else if (scaleFactor < 1) {
-            this.uiScale = 0.8; // Slightly smaller UI for small screens
+            screenScale = 0.8; // Slightly smaller UI for small screens
         } else if (scaleFactor > 2) {
-            this.uiScale = 1.2; // Larger UI for large screens
-        } else {
-            this.uiScale = 1; // Normal UI scale
+            screenScale = 1.2; // Larger UI for large screens
         }
+        
+        this.uiScale = screenScale * this.baseUIScale;
     }
     
     render() {
@@ -96,6 +104,7 @@ export class HUDManager {
         this.renderLevelIndicator();
         this.renderObjectives();
         this.renderPlayerStatus();
+        this.renderAbility();
         this.renderMinimap();
         
         this.ctx.restore();
@@ -122,13 +131,13 @@ export class HUDManager {
             const healthWidth = config.width * healthPercent;
             
             // Choose color based on health level
-            let healthColor = config.healthColor;
+            let healthColor = colors.health;
             if (healthPercent <= config.criticalHealthThreshold) {
-                // Pulse red when critical
-                const pulse = Math.sin(this.animationTime * this.pulseSpeed * 2) * 0.5 + 0.5;
-                healthColor = `rgb(255, ${Math.floor(pulse * 100)}, 0)`;
+                // Flash when critical
+                const pulse = Math.sin(this.animationTime * this.pulseSpeed * 2);
+                healthColor = pulse > 0 ? colors.criticalHealth : colors.lowHealth;
             } else if (healthPercent <= 0.5) {
-                healthColor = config.lowHealthColor;
+                healthColor = colors.lowHealth;
             }
             
             this.ctx.fillStyle = healthColor;
@@ -277,31 +286,90 @@ export class HUDManager {
             this.ctx.fillRect(config.margin, y - config.fontSize, textWidth + config.padding * 2, config.fontSize + config.padding);
             
             // Status text
-            this.ctx.fillStyle = player.isAlive ? config.aliveColor : config.deadColor;
+            this.ctx.fillStyle = player.isAlive ? colors.ally : colors.dead;
             this.ctx.fillText(statusText, config.margin + config.padding, y);
         }
     }
     
+    /**
+     * Local player's active ability at the bottom center: key, name and cooldown
+     */
+    renderAbility() {
+        const player = this.gameEngine.getLocalPlayer();
+        const ability = player?.ability;
+        if (!ability || !player.isAlive) return;
+        
+        const config = this.hudConfig.ability;
+        const canvasWidth = this.canvas.width / this.uiScale;
+        const canvasHeight = this.canvas.height / this.uiScale;
+        const x = (canvasWidth - config.width) / 2;
+        const y = canvasHeight - config.height - config.margin;
+        
+        this.ctx.fillStyle = config.backgroundColor;
+        this.ctx.fillRect(x, y, config.width, config.height);
+        
+        // Effect time left, then the cooldown filling back up
+        if (player.abilityTime > 0) {
+            this.ctx.fillStyle = ability.color;
+            this.ctx.globalAlpha = 0.4;
+            this.ctx.fillRect(x, y, config.width * (player.abilityTime / ability.duration), config.height);
+            this.ctx.globalAlpha = 1;
+        } else if (player.abilityCooldown > 0) {
+            this.ctx.fillStyle = config.cooldownColor;
+            this.ctx.fillRect(x, y, config.width * (1 - player.abilityCooldown / ability.cooldown), config.height);
+        }
+        
+        const ready = player.abilityCooldown <= 0;
+        const pulse = ready ? 0.75 + Math.sin(this.animationTime * this.pulseSpeed * Math.PI) * 0.25 : 1;
+        this.ctx.strokeStyle = ready ? ability.color : '#666666';
+        this.ctx.globalAlpha = pulse;
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(x, y, config.width, config.height);
+        this.ctx.globalAlpha = 1;
+        
+        this.ctx.font = `bold ${config.fontSize}px ${config.font}`;
+        this.ctx.textAlign = 'center';
+        this.ctx.fillStyle = ready ? '#ffffff' : '#aaaaaa';
+        const status = ready ? 'READY' : `${Math.ceil(player.abilityCooldown)}s`;
+        this.ctx.fillText(`[R] ${ability.name} - ${status}`, x + config.width / 2, y + config.height / 2 + config.fontSize / 3);
+        this.ctx.textAlign = 'left';
+    }
+    
     renderMinimap() {
         const config = this.hudConfig.minimap;
         const canvasWidth = this.canvas.width / this.uiScale;
         const canvasHeight = this.canvas.height / this.uiScale;
         
+        // Fit the whole level into the map's longer side
+        const bounds = this.gameEngine.camera.getBounds();
+        const mapScale = config.size / Math.max(bounds.width, bounds.height);
+        const mapWidth = bounds.width * mapScale;
+        const mapHeight = bounds.height * mapScale;
+        
         // Position at bottom right
-        const x = canvasWidth - config.margin - config.size;
-        const y = canvasHeight - config.margin - config.size;
+        const x = canvasWidth - config.margin - mapWidth;
+        const y = canvasHeight - config.margin - mapHeight;
         
         // Background
         this.ctx.fillStyle = config.backgroundColor;
-        this.ctx.fillRect(x, y, config.size, config.size);
+        this.ctx.fillRect(x, y, mapWidth, mapHeight);
+        
+        // Walls and closed doors
+        const tileMap = this.gameEngine.getCurrentLevel()?.tileMap;
+        if (tileMap) {
+            const tileSize = tileMap.tileSize * mapScale;
+            this.ctx.fillStyle = config.wallColor;
+            tileMap.forEachTile((tile, column, row) => {
+                if (tileMap.isSolid(tile)) {
+                    this.ctx.fillRect(x + column * tileSize, y + row * tileSize, tileSize, tileSize);
+                }
+            });
+        }
         
         // Border
         this.ctx.strokeStyle = config.borderColor;
         this.ctx.lineWidth = 2;
-        this.ctx.strokeRect(x, y, config.size, config.size);
-        
-        // Calculate scale for minimap
-        const mapScale = config.size / Math.max(this.canvas.width, this.canvas.height);
+        this.ctx.strokeRect(x, y, mapWidth, mapHeight);
         
         // Draw players
         const players = Array.from(this.gameEngine.players.values());
@@ -311,7 +379,7 @@ export class HUDManager {
             const playerX = x + (player.x * mapScale);
             const playerY = y + (player.y * mapScale);
             
-            this.ctx.fillStyle = config.playerColor;
+            this.ctx.fillStyle = colors.ally;
             this.ctx.fillRect(playerX - 2, playerY - 2, 4, 4);
         }
         
@@ -323,15 +391,25 @@ export class HUDManager {
             const enemyX = x + (enemy.x * mapScale);
             const enemyY = y + (enemy.y * mapScale);
             
-            this.ctx.fillStyle = config.enemyColor;
+            this.ctx.fillStyle = colors.enemy;
             this.ctx.fillRect(enemyX - 1, enemyY - 1, 2, 2);
         }
         
+        // Part of the level the camera shows, clipped to the map
+        const view = this.gameEngine.camera.getViewport();
+        const viewX = Math.max(0, view.x);
+        const viewY = Math.max(0, view.y);
+        const viewWidth = Math.min(bounds.width, view.x + view.width) - viewX;
+        const viewHeight = Math.min(bounds.height, view.y + view.height) - viewY;
+        this.ctx.strokeStyle = config.viewportColor;
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(x + viewX * mapScale, y + viewY * mapScale, viewWidth * mapScale, viewHeight * mapScale);
+        
         // Minimap title
         this.ctx.fillStyle = '#ffffff';
         this.ctx.font = `${10 * this.uiScale}px monospace`;
         this.ctx.textAlign = 'center';
-        this.ctx.fillText('Map', x + config.size / 2, y - 5);
+        this.ctx.fillText('Map', x + mapWidth / 2, y - 5);
         
         this.ctx.textAlign = 'left';
     }
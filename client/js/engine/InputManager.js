@@ -0,0 +1,358 @@
+/**
+ * Input actions and their default bindings. Keys are KeyboardEvent.code values,
+ * buttons are gamepad button indices in the browser's standard mapping.
+ */
+export const INPUT_ACTIONS = {
+    move_up: { label: 'Move up', keys: ['KeyW', 'ArrowUp'], buttons: [12] },
+    move_down: { label: 'Move down', keys: ['KeyS', 'ArrowDown'], buttons: [13] },
+    move_left: { label: 'Move left', keys: ['KeyA', 'ArrowLeft'], buttons: [14] },
+    move_right: { label: 'Move right', keys: ['KeyD', 'ArrowRight'], buttons: [15] },
+    attack: { label: 'Attack', keys: ['Space'], buttons: [2] },
+    dash: { label: 'Dash', keys: ['ShiftLeft', 'ShiftRight'], buttons: [1] },
+    interact: { label: 'Interact', keys: ['KeyE'], buttons: [0] },
+    ability: { label: 'Ability', keys: ['KeyR'], buttons: [3] },
+    super_attack: { label: 'Super attack', keys: ['KeyQ'], buttons: [5] },
+    super_speed: { label: 'Super speed', keys: ['KeyC'], buttons: [4] },
+    camera_follow: { label: 'Camera follow', keys: ['KeyV'], buttons: [8] },
+    pause: { label: 'Pause', keys: ['Escape'], buttons: [9] }
+};
+
+export const MAX_KEYS_PER_ACTION = 2;
+
+// Keys with fixed uses that can't be bound: fullscreen, mute, volume (1-9) and zoom
+export const RESERVED_KEYS = [
+    'KeyF', 'F11', 'KeyM', 'Equal', 'Minus', 'NumpadAdd', 'NumpadSubtract', 'Numpad0',
+    'Digit0', 'Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8', 'Digit9'
+];
+
+// Standard mapping button names
+const BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3',
+    'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home'
+];
+export const GAMEPAD_BUTTON_COUNT = BUTTON_NAMES.length;
+
+const KEY_NAMES = {
+    Space: 'Space',
+    Escape: 'Esc',
+    ShiftLeft: 'Shift',
+    ShiftRight: 'R-Shift',
+    ControlLeft: 'Ctrl',
+    ControlRight: 'R-Ctrl',
+    AltLeft: 'Alt',
+    AltRight: 'R-Alt',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→'
+};
+
+const MOVE_ACTIONS = {
+    move_up: { x: 0, y: -1 },
+    move_down: { x: 0, y: 1 },
+    move_left: { x: -1, y: 0 },
+    move_right: { x: 1, y: 0 }
+};
+
+/**
+ * Maps keyboard keys and gamepad buttons to named actions ("attack", "move_up", ...)
+ * Systems ask for actions instead of raw keys, so bindings can be changed in the
+ * pause menu (saved by SettingsManager). The first connected gamepad is polled
+ * every frame; its left stick gives analog movement. TouchControls feeds a
+ * virtual stick and buttons the same way.
+ */
+export class InputManager {
+    constructor() {
+        this.bindings = getDefaultBindings();
+
+        // Keys held down (fed by GameEngine's key handlers)
+        this.keysDown = new Set();
+
+        // Gamepad state from the last poll
+        this.buttonsDown = new Set();
+        this.stick = { x: 0, y: 0 };
+        this.stickDeadzone = 0.2;
+        this.hasGamepad = false;
+
+        // On-screen touch controls: virtual stick and the actions whose buttons are held
+        this.touchStick = { x: 0, y: 0 };
+        this.touchActionsDown = new Set();
+
+        // Called with the action name when a gamepad or touch button is pressed
+        this.onAction = null;
+
+        // One-shot: the next gamepad button press goes here instead (rebinding)
+        this.captureButton = null;
+
+        // Called with the gamepad when one connects
+        this.onGamepadConnected = null;
+
+        this.handleBlur = () => this.releaseAll();
+        this.handleGamepadConnected = (event) => {
+            console.log(`Gamepad connected: ${event.gamepad.id}`);
+            this.onGamepadConnected?.(event.gamepad);
+        };
+        window.addEventListener('blur', this.handleBlur);
+        window.addEventListener('gamepadconnected', this.handleGamepadConnected);
+    }
+
+    pressKey(code) {
+        this.keysDown.add(code);
+    }
+
+    releaseKey(code) {
+        this.keysDown.delete(code);
+    }
+
+    releaseAll() {
+        this.keysDown.clear();
+    }
+
+    isKeyDown(code) {
+        return this.keysDown.has(code);
+    }
+
+    /**
+     * Poll the gamepad; newly pressed buttons fire their actions through onAction
+     */
+    update() {
+        const gamepad = this.getGamepad();
+        const pressed = new Set();
+        this.stick = { x: 0, y: 0 };
+        this.hasGamepad = !!gamepad;
+
+        if (gamepad) {
+            gamepad.buttons.forEach((button, index) => {
+                if (button.pressed || button.value > 0.5) pressed.add(index);
+            });
+            this.stick = this.applyDeadzone(gamepad.axes[0] || 0, gamepad.axes[1] || 0);
+        }
+
+        const newlyPressed = [...pressed].filter(button => !this.buttonsDown.has(button));
+        this.buttonsDown = pressed;
+
+        for (const button of newlyPressed) {
+            if (this.captureButton) {
+                const capture = this.captureButton;
+                this.captureButton = null;
+                capture(button);
+                continue;
+            }
+
+            for (const action of this.getActionsForButton(button)) {
+                this.onAction?.(action);
+            }
+        }
+    }
+
+    /**
+     * Virtual stick position from the touch controls, length up to 1
+     */
+    setTouchStick(x, y) {
+        this.touchStick = { x, y };
+    }
+
+    pressTouchAction(action) {
+        if (this.touchActionsDown.has(action)) return;
+
+        this.touchActionsDown.add(action);
+        this.onAction?.(action);
+    }
+
+    releaseTouchAction(action) {
+        this.touchActionsDown.delete(action);
+    }
+
+    releaseTouch() {
+        this.touchStick = { x: 0, y: 0 };
+        this.touchActionsDown.clear();
+    }
+
+    /**
+     * Whichever analog stick, gamepad or touch, is pushed further
+     */
+    getStick() {
+        const gamepad = Math.hypot(this.stick.x, this.stick.y);
+        const touch = Math.hypot(this.touchStick.x, this.touchStick.y);
+        return touch > gamepad ? this.touchStick : this.stick;
+    }
+
+    getGamepad() {
+        const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+        return Array.from(gamepads).find(gamepad => gamepad && gamepad.connected) || null;
+    }
+
+    /**
+     * Radial deadzone, rescaled so movement starts from zero at its edge
+     */
+    applyDeadzone(x, y) {
+        const magnitude = Math.hypot(x, y);
+        if (magnitude < this.stickDeadzone) return { x: 0, y: 0 };
+
+        const scale = Math.min(1, (magnitude - this.stickDeadzone) / (1 - this.stickDeadzone)) / magnitude;
+        return { x: x * scale, y: y * scale };
+    }
+
+    /**
+     * Whether any key or button bound to the action is held (the sticks count for movement)
+     */
+    isDown(action) {
+        const binding = this.bindings[action];
+        if (!binding) return false;
+
+        if (binding.keys.some(code => this.keysDown.has(code))) return true;
+        if (binding.buttons.some(button => this.buttonsDown.has(button))) return true;
+        if (this.touchActionsDown.has(action)) return true;
+
+        const direction = MOVE_ACTIONS[action];
+        const stick = this.getStick();
+        return !!direction && stick.x * direction.x + stick.y * direction.y > 0.5;
+    }
+
+    /**
+     * Movement as { x, y } with length up to 1: a stick's analog value,
+     * or full speed (diagonals normalized) from keys and the d-pad
+     */
+    getMovement() {
+        let x = 0;
+        let y = 0;
+
+        for (const [action, direction] of Object.entries(MOVE_ACTIONS)) {
+            const binding = this.bindings[action];
+            const held = binding.keys.some(code => this.keysDown.has(code)) ||
+                binding.buttons.some(button => this.buttonsDown.has(button));
+            if (held) {
+                x += direction.x;
+                y += direction.y;
+            }
+        }
+
+        if (x !== 0 && y !== 0) {
+            x *= Math.SQRT1_2;
+            y *= Math.SQRT1_2;
+        }
+
+        // A stick wins when it's pushed further than the digital input
+        const stick = this.getStick();
+        if (Math.hypot(stick.x, stick.y) > Math.hypot(x, y)) {
+            return { ...stick };
+        }
+        return { x, y };
+    }
+
+    /**
+     * Whether a key event is bound to the action
+     */
+    matches(event, action) {
+        return !!this.bindings[action]?.keys.includes(event.code);
+    }
+
+    getActionsForKey(code) {
+        return Object.keys(this.bindings).filter(action => this.bindings[action].keys.includes(code));
+    }
+
+    getActionsForButton(button) {
+        return Object.keys(this.bindings).filter(action => this.bindings[action].buttons.includes(button));
+    }
+
+    /**
+     * Name of the action's first key, for on-screen prompts ("Press E")
+     */
+    getKeyLabel(action) {
+        const code = this.bindings[action]?.keys[0];
+        return code ? getKeyName(code) : '-';
+    }
+
+    getButtonLabel(action) {
+        const button = this.bindings[action]?.buttons[0];
+        return button === undefined ? '-' : getButtonName(button);
+    }
+
+    /**
+     * Bind a key to one of the action's slots; the key is taken off any other action
+     */
+    bindKey(action, slot, code) {
+        if (!this.bindings[action]) return;
+
+        for (const binding of Object.values(this.bindings)) {
+            binding.keys = binding.keys.filter(key => key !== code);
+        }
+
+        const keys = this.bindings[action].keys;
+        keys.splice(Math.min(slot, keys.length), 1, code);
+    }
+
+    unbindKey(action, slot) {
+        this.bindings[action]?.keys.splice(slot, 1);
+    }
+
+    /**
+     * Bind a gamepad button to the action; the button is taken off any other action
+     */
+    bindButton(action, button) {
+        if (!this.bindings[action]) return;
+
+        for (const binding of Object.values(this.bindings)) {
+            binding.buttons = binding.buttons.filter(other => other !== button);
+        }
+        this.bindings[action].buttons = [button];
+    }
+
+    unbindButton(action) {
+        if (this.bindings[action]) {
+            this.bindings[action].buttons = [];
+        }
+    }
+
+    /**
+     * Bindings that differ from the defaults, in the form SettingsManager saves
+     */
+    getCustomBindings() {
+        const custom = {};
+        for (const [action, binding] of Object.entries(this.bindings)) {
+            const defaults = INPUT_ACTIONS[action];
+            if (!sameList(binding.keys, defaults.keys) || !sameList(binding.buttons, defaults.buttons)) {
+                custom[action] = { keys: [...binding.keys], buttons: [...binding.buttons] };
+            }
+        }
+        return custom;
+    }
+
+    /**
+     * Defaults with the saved custom bindings on top
+     */
+    setCustomBindings(custom) {
+        this.bindings = getDefaultBindings();
+        for (const [action, binding] of Object.entries(custom || {})) {
+            if (this.bindings[action]) {
+                this.bindings[action] = { keys: [...binding.keys], buttons: [...binding.buttons] };
+            }
+        }
+    }
+
+    destroy() {
+        window.removeEventListener('blur', this.handleBlur);
+        window.removeEventListener('gamepadconnected', this.handleGamepadConnected);
+    }
+}
+
+export function getKeyName(code) {
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    return code;
+}
+
+export function getButtonName(button) {
+    return BUTTON_NAMES[button] || `Button ${button}`;
+}
+
+function getDefaultBindings() {
+    return Object.fromEntries(Object.entries(INPUT_ACTIONS).map(([action, { keys, buttons }]) =>
+        [action, { keys: [...keys], buttons: [...buttons] }]
+    ));
+}
+
+function sameList(a, b) {
+    return a.length === b.length && a.every((item, index) => item === b[index]);
+}
@@ -1,6 +1,21 @@
+import { StandIn } from './StandIn.js';
+import { EnhancedNPC } from './EnhancedNPC.js';
+import { LevelObject } from './LevelObject.js';
+import { TileMap } from './TileMap.js';
+import { GENERIC_OBJECT_TYPES } from './LevelSchema.js';
+import { DESIGN_PARTY_SIZE, scaleEnemyCount } from './PartySize.js';
+
+// Hazard zone colours by type
+const HAZARD_COLORS = {
+    radiation: '#00ff00',
+    fire: '#ff6600',
+    electric: '#ffff00'
+};
+
 /**
  * Base Level class for managing game levels
  * Provides common functionality for all levels including loading, updating, rendering, and completion detection
+ * Runs any level file on its own (see LevelSchema.js); level scripts subclass it for scripted sequences
  */
 export class Level {
     constructor(levelNumber, levelConfig) {
@@ -17,6 +32,7 @@ export class Level {
         this.npcs = [];
         this.enemies = [];
         this.effects = []; // Visual effects for combat
+        this.standIns = []; // AI stand-ins for co-op mechanics in small parties
         
         // Combat state
         this.enemiesDefeated = false;
@@ -32,17 +48,30 @@ export class Level {
                 this.objectives.set(objective, false);
             });
         }
+        this.objectiveDescriptions = this.config.objectiveDescriptions || {};
+        
+        // Releases the enemy waves once spawnEnemies hands them over
+        this.waveDirector = null;
+        this.enemiesSeen = false;
+        
+        // Damage zones from the level file
+        this.hazards = (this.config.hazards || []).map(hazard => ({ ...hazard, damageTimer: 0 }));
+        this.hazardDamageInterval = 1.0; // seconds between damage ticks
+        this.tileDamageTimer = 0;
         
         // Level bounds
         this.bounds = {
             x: 0,
             y: 0,
-            width: 1920,
-            height: 1080
+            width: this.config.bounds?.width || 1920,
+            height: this.config.bounds?.height || 1080
         };
         
+        // Walls, doors and hazard floor
+        this.tileMap = this.config.tiles ? new TileMap(this.config.tiles, this.bounds) : null;
+        
         // Background color
-        this.backgroundColor = '#1a1a1a';
+        this.backgroundColor = this.config.backgroundColor || '#1a1a1a';
     }
     
     /**
@@ -80,8 +109,8 @@ export class Level {
      * Initialize level objects from config
      */
     initializeObjects() {
-        if (this.config.levelObjects) {
-            this.config.levelObjects.forEach(objConfig => {
+        if (this.config.objects) {
+            this.config.objects.forEach(objConfig => {
                 const obj = this.createLevelObject(objConfig);
                 if (obj) {
                     this.objects.push(obj);
@@ -119,31 +148,43 @@ export class Level {
     }
     
     /**
-     * Spawn enemies using the game engine's enemy manager
+     * Hand the level's enemy waves to the enemy manager's WaveDirector, which releases them
+     * as their timers and triggers come due (the server's director does in multiplayer)
      */
     spawnEnemies(gameEngine) {
-        if (gameEngine && gameEngine.getEnemyManager()) {
-            const enemyManager = gameEngine.getEnemyManager();
-            enemyManager.spawnEnemiesFromConfig(this.config, this.bounds.width, this.bounds.height);
-        }
+        this.enemiesSeen = false;
+        this.waveDirector = gameEngine.getEnemyManager().waveDirector;
+        this.waveDirector.start(this.config.enemies || [], this.getPartySize());
+    }
+    
+    /**
+     * Whether enemy waves are still to come
+     */
+    hasPendingWaves() {
+        return this.waveDirector?.hasPendingWaves() || false;
     }
     
     /**
      * Create level object from config
-     * Override in subclasses for specific object types
+     * Builds the generic object types; override in subclasses for specific object types
      */
     createLevelObject(config) {
-        // Base implementation - override in subclasses
+        if (GENERIC_OBJECT_TYPES.includes(config.type)) {
+            return new LevelObject(config);
+        }
         return null;
     }
     
     /**
      * Create NPC from config
-     * Override in subclasses for specific NPC types
+     * Builds a talking NPC from the level file; override in subclasses for specific NPC types
      */
     createNPC(config) {
-        // Base implementation - override in subclasses
-        return null;
+        return new EnhancedNPC({
+            ...config,
+            id: config.id || `npc_${this.levelNumber}_${this.npcs.length}`,
+            dialogueTrees: { default: config.dialogue || [] }
+        });
     }
     
     /**
@@ -160,6 +201,7 @@ export class Level {
      */
     activate() {
         this.isActive = true;
+        this.standIns = [];
         this.onActivate();
     }
     
@@ -193,6 +235,9 @@ export class Level {
     update(deltaTime, players, gameEngine) {
         if (!this.isActive || !this.isLoaded) return;
         
+        // Keep a reference for callbacks that don't receive the engine (e.g. reportProgress)
+        this.gameEngine = gameEngine;
+        
         // Update level objects
         this.objects.forEach(obj => {
             if (obj.update) {
@@ -214,6 +259,13 @@ export class Level {
         //     }
         // });
         
+        // Update stand-ins
+        this.standIns.forEach(standIn => standIn.update(deltaTime));
+        
+        // Open doors and apply hazard damage
+        this.updateDoors(gameEngine);
+        this.updateHazards(deltaTime, players);
+        
         // Update visual effects
         this.updateEffects(deltaTime);
         
@@ -224,6 +276,96 @@ export class Level {
         this.updateLevel(deltaTime, players, gameEngine);
     }
     
+    /**
+     * Whether hazards on this client hurt players; in multiplayer the server deals
+     * hazard damage and syncs health
+     */
+    appliesHazardDamage() {
+        return !this.gameEngine?.enemyManager?.serverAuthoritative;
+    }
+    
+    /**
+     * Damage living players standing in hazard zones, once per damage interval
+     */
+    updateHazards(deltaTime, players) {
+        if (!this.appliesHazardDamage()) return;
+        
+        for (const hazard of this.hazards) {
+            hazard.damageTimer += deltaTime;
+            if (hazard.damageTimer < this.hazardDamageInterval) continue;
+            hazard.damageTimer -= this.hazardDamageInterval;
+            
+            for (const player of players) {
+                if (player.isAlive && this.isInZone(player, hazard)) {
+                    player.takeDamage(hazard.damagePerSecond * this.hazardDamageInterval);
+                }
+            }
+        }
+        
+        // Hazard tiles: the worst tile a player stands on
+        if (!this.tileMap) return;
+        this.tileDamageTimer += deltaTime;
+        if (this.tileDamageTimer < this.hazardDamageInterval) return;
+        this.tileDamageTimer -= this.hazardDamageInterval;
+        
+        for (const player of players) {
+            if (!player.isAlive) continue;
+            
+            const hazards = this.tileMap.getHazardsUnder(this.getCollisionBox(player));
+            const damagePerSecond = Math.max(0, ...hazards.map(hazard => hazard.damagePerSecond));
+            if (damagePerSecond > 0) {
+                player.takeDamage(damagePerSecond * this.hazardDamageInterval);
+            }
+        }
+    }
+    
+    /**
+     * Open doors whose condition is met (e.g. "enemies_cleared")
+     */
+    updateDoors(gameEngine) {
+        if (!this.tileMap) return;
+        
+        for (const door of this.tileMap.getDoors()) {
+            if (door.open || door.opensWhen !== 'enemies_cleared') continue;
+            
+            if (this.areEnemiesCleared(gameEngine)) {
+                this.openDoor(door.id);
+            }
+        }
+    }
+    
+    /**
+     * Open a door of the tile layer by id; level scripts use this for scripted doors
+     */
+    openDoor(id) {
+        if (this.tileMap?.setDoorOpen(id, true)) {
+            console.log(`Level ${this.levelNumber}: door "${id}" opened`);
+        }
+    }
+    
+    closeDoor(id) {
+        this.tileMap?.setDoorOpen(id, false);
+    }
+    
+    isInZone(entity, zone) {
+        return entity.x < zone.x + zone.width &&
+               entity.x + entity.width > zone.x &&
+               entity.y < zone.y + zone.height &&
+               entity.y + entity.height > zone.y;
+    }
+
+    /**
+     * How irradiated a player is, 0-1, for the adaptive music: 1 inside a radiation
+     * hazard zone or on radiation floor. Level 5 overrides this for its moving zones
+     */
+    getRadiationExposure(player) {
+        const inZone = this.hazards.some(hazard => hazard.type === 'radiation' && this.isInZone(player, hazard));
+        if (inZone) return 1;
+
+        const tiles = this.tileMap ? this.tileMap.getHazardsUnder(this.getCollisionBox(player)) : [];
+        return tiles.some(tile => tile.type === 'radiation') ? 1 : 0;
+    }
+
     /**
      * Update visual effects
      */
@@ -251,6 +393,12 @@ export class Level {
         // Render level background (now uses BackgroundManager)
         this.renderBackground(ctx, spriteRenderer);
         
+        // Render walls, doors and hazard floor
+        this.renderTiles(ctx);
+        
+        // Render hazard zones under everything else
+        this.renderHazards(ctx);
+        
         // Render level objects
         this.objects.forEach(obj => {
             if (obj.render) {
@@ -272,14 +420,39 @@ export class Level {
         //     }
         // });
         
+        // Render stand-ins
+        this.standIns.forEach(standIn => standIn.render(ctx));
+        
         // Render visual effects
         this.renderEffects(ctx);
         
         // Render level-specific content
         this.renderLevel(ctx, spriteRenderer);
+    }
+    
+    /**
+     * Render hazard zones as pulsing tinted areas
+     */
+    renderHazards(ctx) {
+        if (this.hazards.length === 0) return;
         
-        // Render UI elements
-        this.renderUI(ctx);
+        const pulse = 0.15 + Math.sin(Date.now() / 300) * 0.05;
+        
+        ctx.save();
+        for (const hazard of this.hazards) {
+            const color = HAZARD_COLORS[hazard.type] || '#ff0000';
+            ctx.globalAlpha = pulse;
+            ctx.fillStyle = color;
+            ctx.fillRect(hazard.x, hazard.y, hazard.width, hazard.height);
+            
+            ctx.globalAlpha = 0.6;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([8, 8]);
+            ctx.strokeRect(hazard.x, hazard.y, hazard.width, hazard.height);
+            ctx.setLineDash([]);
+        }
+        ctx.restore();
     }
     
     /**
@@ -343,54 +516,6 @@ export class Level {
                 ctx.fill();
                 break;
                 
-            case 'boss_area_attack':
-                // Boss area attack warning and damage effect
-                const elapsed = effect.maxTime - effect.timeLeft;
-                const isWarning = elapsed < effect.warningTime;
-                
-                if (isWarning) {
-                    // Warning phase - red circle growing
-                    ctx.strokeStyle = '#ff0000';
-                    ctx.lineWidth = 4;
-                    ctx.setLineDash([10, 10]);
-                    
-                    const warningProgress = elapsed / effect.warningTime;
-                    const radius = effect.radius * warningProgress;
-                    
-                    ctx.beginPath();
-                    ctx.arc(effect.x, effect.y, radius, 0, Math.PI * 2);
-                    ctx.stroke();
-                    
-                    // Warning text
-                    ctx.fillStyle = '#ff0000';
-                    ctx.font = 'bold 16px monospace';
-                    ctx.textAlign = 'center';
-                    ctx.fillText('DANGER!', effect.x, effect.y - effect.radius - 20);
-                } else {
-                    // Damage phase - explosion effect
-                    ctx.fillStyle = '#ff4444';
-                    ctx.beginPath();
-                    ctx.arc(effect.x, effect.y, effect.radius, 0, Math.PI * 2);
-                    ctx.fill();
-                    
-                    // Add some particles
-                    for (let i = 0; i < 8; i++) {
-                        const angle = (Math.PI * 2 * i) / 8;
-                        const distance = effect.radius * 0.8;
-                        const particleX = effect.x + Math.cos(angle) * distance;
-                        const particleY = effect.y + Math.sin(angle) * distance;
-                        
-                        ctx.fillStyle = '#ffaa00';
-                        ctx.beginPath();
-                        ctx.arc(particleX, particleY, 8, 0, Math.PI * 2);
-                        ctx.fill();
-                    }
-                }
-                
-                ctx.setLineDash([]); // Reset line dash
-                ctx.textAlign = 'left';
-                break;
-                
             case 'boss_death':
                 // Boss death explosion effect
                 ctx.fillStyle = '#ff0000';
@@ -595,7 +720,16 @@ export class Level {
 
     
     /**
-     * Render level UI elements
+     * Render the tile layer through BackgroundManager, in the level's theme
+     */
+    renderTiles(ctx) {
+        if (!this.tileMap || !this.gameEngine?.backgroundManager) return;
+        
+        this.gameEngine.backgroundManager.renderTileLayer(ctx, this.tileMap, this.levelNumber);
+    }
+    
+    /**
+     * Render level UI elements in screen space, after the camera is restored
      * Override in subclasses
      */
     renderUI(ctx) {
@@ -632,22 +766,38 @@ export class Level {
         // Common objectives that can be handled in base class
         switch (objective) {
             case 'defeat_all_enemies':
-                if (gameEngine && gameEngine.getEnemyManager()) {
-                    const aliveEnemies = gameEngine.getEnemyManager().getAliveEnemies();
-                    return aliveEnemies.length === 0;
-                }
-                return false;
+                return this.areEnemiesCleared(gameEngine);
                 
             case 'survive':
                 // Check if at least one player is alive
                 return players.some(player => player.isAlive);
                 
+            case 'reach_exit':
+                // Any living player standing in an exit
+                return this.objects.some(obj => obj.type === 'exit' &&
+                    players.some(player => player.isAlive && obj.contains(player)));
+                
             default:
                 // Level-specific objectives handled in subclasses
                 return false;
         }
     }
     
+    /**
+     * Whether every enemy wave has spawned and been killed
+     */
+    areEnemiesCleared(gameEngine) {
+        const enemyManager = gameEngine?.getEnemyManager();
+        if (!enemyManager) return false;
+        
+        const aliveEnemies = enemyManager.getAliveEnemies();
+        
+        // Server-spawned enemies arrive a snapshot later; wait until some have shown up
+        this.enemiesSeen = this.enemiesSeen || aliveEnemies.length > 0;
+        const expectsEnemies = (this.config.enemies || []).length > 0;
+        return aliveEnemies.length === 0 && !this.hasPendingWaves() && (this.enemiesSeen || !expectsEnemies);
+    }
+    
     /**
      * Check for collision with level boundaries and obstacles
      */
@@ -659,14 +809,74 @@ export class Level {
             return true;
         }
         
-        // Check collision with level objects
-        for (const obj of this.objects) {
-            if (obj.solid && entity.isCollidingWith && entity.isCollidingWith(obj)) {
-                return true;
-            }
+        return this.isBlocked(entity);
+    }
+    
+    /**
+     * Whether an entity overlaps a wall, closed door or solid object (level bounds aside)
+     */
+    isBlocked(entity) {
+        const box = this.getCollisionBox(entity);
+        
+        if (this.tileMap && this.tileMap.collidesWith(box)) {
+            return true;
         }
         
-        return false;
+        return this.objects.some(obj => obj.solid && this.isInZone(box, obj));
+    }
+    
+    /**
+     * Rectangles enemies should route around, besides tile walls and closed doors
+     * Override in subclasses to add scripted objects (elevators, puzzle doors, ...)
+     */
+    getNavigationObstacles() {
+        return this.objects.filter(obj => obj.solid);
+    }
+    
+    getCollisionBox(entity) {
+        return entity.getCollisionBounds ? entity.getCollisionBounds() : entity;
+    }
+    
+    /**
+     * Number of players the game started with (1-4)
+     */
+    getPartySize() {
+        return this.gameEngine?.partySize ?? DESIGN_PARTY_SIZE;
+    }
+    
+    /**
+     * Enemy count for this party, scaled from the count designed for three players
+     */
+    scaleEnemyCount(count) {
+        return scaleEnemyCount(count, this.getPartySize());
+    }
+    
+    getAlivePlayers() {
+        return Array.from(this.gameEngine?.players?.values() || []).filter(player => player.isAlive);
+    }
+    
+    /**
+     * Add an AI stand-in that walks to a post to cover for a missing player
+     */
+    addStandIn(name, postX, postY, spawn = { x: 100, y: 100 }) {
+        const standIn = new StandIn({
+            id: `standin_${this.levelNumber}_${this.standIns.length}`,
+            name,
+            x: spawn.x,
+            y: spawn.y
+        });
+        standIn.moveTo(postX, postY);
+        
+        this.standIns.push(standIn);
+        console.log(`${name} stands in for a missing player in Level ${this.levelNumber}`);
+        return standIn;
+    }
+    
+    /**
+     * Players plus living stand-ins, for mechanics that need a certain number of bodies
+     */
+    withStandIns(players) {
+        return [...players, ...this.standIns];
     }
     
     /**
@@ -676,9 +886,19 @@ export class Level {
         this.objectives.set(objective, true);
         this.completedObjectives.add(objective);
         console.log(`Objective completed: ${objective}`);
+        this.reportProgress({ type: 'objective', objective });
         this.onObjectiveCompleted(objective);
     }
     
+    /**
+     * Report progress to the server so a restarted server can restore it
+     */
+    reportProgress(progress) {
+        if (this.gameEngine?.isMultiplayer) {
+            this.gameEngine.networkManager.sendProgress({ levelNumber: this.levelNumber, ...progress });
+        }
+    }
+    
     /**
      * Called when an objective is completed
      * Override in subclasses
@@ -775,6 +995,7 @@ export class Level {
         this.objects = [];
         this.npcs = [];
         this.enemies = [];
+        this.standIns = [];
         
         this.onDestroy();
     }
@@ -806,6 +1027,10 @@ export class Level {
      * Override in subclasses for custom descriptions
      */
     getObjectiveDescription(objective) {
+        if (this.objectiveDescriptions[objective]) {
+            return this.objectiveDescriptions[objective];
+        }
+        
         switch (objective) {
             case 'defeat_all_enemies':
                 return 'Defeat all enemies';
@@ -827,16 +1052,25 @@ export class Level {
                 return 'Shut down the nuclear reactor';
             case 'ending_sequence':
                 return 'Complete the ending sequence';
+            case 'reach_exit':
+                return 'Reach the exit';
             default:
                 return objective.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
         }
     }
     
     /**
-     * Handle input for level-specific interactions
+     * Handle input for level-specific interactions, read from the InputManager's actions
      * Override in subclasses
      */
-    handleInput(keys) {
+    handleInput(input) {
         // Base implementation - override in subclasses
     }
+    
+    /**
+     * Name of the key bound to an input action, for prompts ("Press E")
+     */
+    getKeyLabel(action) {
+        return this.gameEngine ? this.gameEngine.inputManager.getKeyLabel(action) : '';
+    }
 }
\ No newline at end of file
@@ -0,0 +1,750 @@
+import { ENEMY_TYPE_NAMES } from './EnemyTypes.js';
+import {
+    parseLevelData, serializeLevelData, LevelValidationError,
+    GENERIC_OBJECT_TYPES, HAZARD_TYPES, WAVE_TRIGGERS
+} from './LevelSchema.js';
+
+// Editable things on the canvas, by kind
+const ITEM_KINDS = {
+    object: { label: 'Object', color: '#66aaff' },
+    npc: { label: 'NPC', color: '#ffaa00' },
+    spawn: { label: 'Enemy spawn', color: '#ff4444' },
+    hazard: { label: 'Hazard', color: '#00ff00' },
+    marker: { label: 'Tutorial marker', color: '#ffff00' }
+};
+
+// Property fields shown in the side panel: [field, input type, options]
+const ITEM_FIELDS = {
+    object: [['type', 'text'], ['x', 'number'], ['y', 'number'], ['width', 'number'], ['height', 'number'],
+        ['solid', 'checkbox'], ['label', 'text'], ['text', 'text']],
+    npc: [['type', 'text'], ['name', 'text'], ['x', 'number'], ['y', 'number'], ['dialogue', 'lines']],
+    spawn: [['x', 'number'], ['y', 'number']],
+    hazard: [['type', 'select', HAZARD_TYPES], ['x', 'number'], ['y', 'number'], ['width', 'number'],
+        ['height', 'number'], ['damagePerSecond', 'number']],
+    marker: [['x', 'number'], ['y', 'number'], ['instruction', 'text']]
+};
+const WAVE_FIELDS = [['type', 'select', ENEMY_TYPE_NAMES], ['spawnDelay', 'number'], ['trigger', 'select', WAVE_TRIGGERS],
+    ['maxAlive', 'number'], ['spawnInterval', 'number']];
+const LEVEL_FIELDS = [['name', 'text'], ['backgroundColor', 'text'], ['objectives', 'ids']];
+
+const NPC_SIZE = 64; // Default NPC footprint
+const SPAWN_SIZE = 32; // Enemies spawn with their top-left corner on the point
+const MARKER_RADIUS = 20;
+const HANDLE_SIZE = 12; // Resize handle on the selected rectangle
+
+/**
+ * In-browser level editor (developer mode, F4)
+ * Freezes the game and edits the current level's file data: drag objects, NPCs, enemy spawn
+ * points, hazard zones and tutorial markers on the canvas, edit their properties in a side
+ * panel, then play-test the result or export it as a level file for client/data/levels/
+ */
+export class LevelEditor {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.canvas = gameEngine.canvas;
+
+        this.isActive = false;
+        this.levelData = null; // Level file being edited (see LevelSchema.js)
+        this.selectedEntry = null; // The object, NPC, spawn point, hazard or marker being edited
+        this.drag = null; // { item, mode: 'move' | 'resize', offsetX, offsetY }
+        this.gridSize = 10;
+
+        // Feedback shown in the panel
+        this.errors = [];
+        this.message = '';
+
+        this.panel = null;
+        this.fileInput = null;
+
+        this.handleMouseDown = this.handleMouseDown.bind(this);
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+        this.handlePanelClick = this.handlePanelClick.bind(this);
+        this.handlePanelChange = this.handlePanelChange.bind(this);
+
+        this.canvas.addEventListener('mousedown', this.handleMouseDown);
+        this.canvas.addEventListener('mousemove', this.handleMouseMove);
+        window.addEventListener('mouseup', this.handleMouseUp);
+    }
+
+    /**
+     * Start editing the current level
+     */
+    open() {
+        const levelManager = this.gameEngine.levelManager;
+        const levelNumber = levelManager.getCurrentLevelNumber();
+        const config = levelManager.getLevelConfig(levelNumber);
+        if (!config) {
+            console.warn('Level editor: no level loaded to edit');
+            return false;
+        }
+
+        // Coming back from a play-test of the same level keeps the edits
+        if (!this.levelData || this.levelData.number !== levelNumber) {
+            this.levelData = serializeLevelData(config);
+            this.selectedEntry = null;
+        }
+
+        this.isActive = true;
+        this.errors = [];
+        this.message = '';
+        this.canvas.style.cursor = 'crosshair';
+        this.createPanel();
+        this.validate();
+        this.renderPanel();
+
+        console.log(`Level editor opened for level ${levelNumber}`);
+        return true;
+    }
+
+    close() {
+        this.isActive = false;
+        this.drag = null;
+        this.canvas.style.cursor = '';
+
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+    }
+
+    toggle() {
+        if (this.isActive) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    getBounds() {
+        return {
+            width: this.levelData.bounds?.width || 1920,
+            height: this.levelData.bounds?.height || 1080
+        };
+    }
+
+    snap(value) {
+        return Math.round(value / this.gridSize) * this.gridSize;
+    }
+
+    /**
+     * Everything editable on the canvas, bottom to top
+     */
+    getItems() {
+        const data = this.levelData;
+        const items = [];
+
+        (data.hazards || []).forEach((entry, index) => items.push({ kind: 'hazard', entry, list: data.hazards, index }));
+        (data.objects || []).forEach((entry, index) => items.push({ kind: 'object', entry, list: data.objects, index }));
+        (data.npcs || []).forEach((entry, index) => items.push({ kind: 'npc', entry, list: data.npcs, index }));
+        (data.enemies || []).forEach(wave => {
+            (wave.positions || []).forEach((entry, index) => items.push({ kind: 'spawn', entry, wave, list: wave.positions, index }));
+        });
+        (data.tutorialMarkers || []).forEach((entry, index) => items.push({ kind: 'marker', entry, list: data.tutorialMarkers, index }));
+
+        return items;
+    }
+
+    getSelectedItem() {
+        if (!this.selectedEntry) return null;
+        return this.getItems().find(item => item.entry === this.selectedEntry) || null;
+    }
+
+    /**
+     * Screen area of an item, for drawing and hit testing
+     */
+    getBox(item) {
+        const { x, y } = item.entry;
+
+        switch (item.kind) {
+            case 'npc':
+                return { x, y, width: NPC_SIZE, height: NPC_SIZE };
+            case 'spawn':
+                return { x, y, width: SPAWN_SIZE, height: SPAWN_SIZE };
+            case 'marker':
+                return { x: x - MARKER_RADIUS, y: y - MARKER_RADIUS, width: MARKER_RADIUS * 2, height: MARKER_RADIUS * 2 };
+            default:
+                return { x, y, width: item.entry.width, height: item.entry.height };
+        }
+    }
+
+    isResizable(item) {
+        return item.kind === 'object' || item.kind === 'hazard';
+    }
+
+    isOnHandle(item, point) {
+        const box = this.getBox(item);
+        return Math.abs(point.x - (box.x + box.width)) <= HANDLE_SIZE &&
+               Math.abs(point.y - (box.y + box.height)) <= HANDLE_SIZE;
+    }
+
+    /**
+     * Topmost item under a point
+     */
+    itemAt(point) {
+        const items = this.getItems();
+        for (let i = items.length - 1; i >= 0; i--) {
+            const box = this.getBox(items[i]);
+            if (point.x >= box.x && point.x <= box.x + box.width && point.y >= box.y && point.y <= box.y + box.height) {
+                return items[i];
+            }
+        }
+        return null;
+    }
+
+    toWorld(event) {
+        return this.gameEngine.camera.screenToWorld(event.clientX, event.clientY);
+    }
+
+    handleMouseDown(event) {
+        if (!this.isActive) return;
+
+        const point = this.toWorld(event);
+
+        // Corner handle of the selected rectangle resizes it
+        const selected = this.getSelectedItem();
+        if (selected && this.isResizable(selected) && this.isOnHandle(selected, point)) {
+            this.drag = { item: selected, mode: 'resize' };
+            return;
+        }
+
+        const item = this.itemAt(point);
+        this.selectedEntry = item ? item.entry : null;
+        if (item) {
+            this.drag = { item, mode: 'move', offsetX: point.x - item.entry.x, offsetY: point.y - item.entry.y };
+        }
+        this.renderPanel();
+    }
+
+    handleMouseMove(event) {
+        if (!this.isActive || !this.drag) return;
+
+        const point = this.toWorld(event);
+        const { item, mode } = this.drag;
+        const entry = item.entry;
+        const bounds = this.getBounds();
+
+        if (mode === 'resize') {
+            entry.width = Math.max(this.gridSize, Math.min(this.snap(point.x - entry.x), bounds.width - entry.x));
+            entry.height = Math.max(this.gridSize, Math.min(this.snap(point.y - entry.y), bounds.height - entry.y));
+        } else {
+            this.moveEntry(item, point.x - this.drag.offsetX, point.y - this.drag.offsetY);
+        }
+    }
+
+    handleMouseUp() {
+        if (!this.drag) return;
+
+        this.drag = null;
+        this.validate();
+        this.renderPanel();
+    }
+
+    /**
+     * Move an item to a grid-snapped position inside the level
+     */
+    moveEntry(item, x, y) {
+        const bounds = this.getBounds();
+        const box = this.getBox(item);
+        const offsetX = box.x - item.entry.x; // Markers are positioned by their centre
+        const offsetY = box.y - item.entry.y;
+
+        item.entry.x = Math.max(-offsetX, Math.min(this.snap(x), bounds.width - box.width - offsetX));
+        item.entry.y = Math.max(-offsetY, Math.min(this.snap(y), bounds.height - box.height - offsetY));
+    }
+
+    /**
+     * Editor keys; while open the editor takes every key so the game stays frozen
+     */
+    handleKeyDown(event) {
+        if (!this.isActive) return false;
+
+        // Typing in the side panel
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target?.tagName)) return true;
+
+        const item = this.getSelectedItem();
+        const step = event.shiftKey ? this.gridSize * 10 : this.gridSize;
+        const nudges = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] };
+
+        if ((event.code === 'Delete' || event.code === 'Backspace') && item) {
+            event.preventDefault();
+            this.deleteItem(item);
+        } else if (nudges[event.code] && item) {
+            event.preventDefault();
+            const [dx, dy] = nudges[event.code];
+            this.moveEntry(item, item.entry.x + dx, item.entry.y + dy);
+            this.validate();
+            this.renderPanel();
+        } else if (event.code === 'Escape') {
+            this.selectedEntry = null;
+            this.renderPanel();
+        }
+
+        return true;
+    }
+
+    /**
+     * Add a new item of a kind in the middle of the level and select it
+     */
+    addItem(kind) {
+        const data = this.levelData;
+        const bounds = this.getBounds();
+        const x = this.snap(bounds.width / 2);
+        const y = this.snap(bounds.height / 2);
+        let entry;
+
+        switch (kind) {
+            case 'object':
+                entry = { type: 'wall', x: x - 40, y: y - 20, width: 80, height: 40 };
+                (data.objects ||= []).push(entry);
+                break;
+            case 'npc':
+                entry = { type: 'survivor', name: 'Survivor', x, y, dialogue: ['...'] };
+                (data.npcs ||= []).push(entry);
+                break;
+            case 'spawn':
+                entry = { x, y };
+                (data.enemies ||= []).push({ type: 'zombie', positions: [entry] });
+                break;
+            case 'hazard':
+                entry = { type: 'radiation', x: x - 80, y: y - 80, width: 160, height: 160, damagePerSecond: 10 };
+                (data.hazards ||= []).push(entry);
+                break;
+            case 'marker':
+                entry = { x, y, instruction: 'Move here' };
+                (data.tutorialMarkers ||= []).push(entry);
+                break;
+            default:
+                return;
+        }
+
+        this.selectedEntry = entry;
+        this.validate();
+        this.renderPanel();
+    }
+
+    /**
+     * Another spawn point for the selected spawn's wave
+     */
+    addSpawnPoint(item) {
+        const entry = { x: item.entry.x, y: item.entry.y };
+        item.wave.positions.push(entry);
+        this.moveEntry({ kind: 'spawn', entry }, entry.x + SPAWN_SIZE * 2, entry.y);
+
+        this.selectedEntry = entry;
+        this.validate();
+        this.renderPanel();
+    }
+
+    deleteItem(item) {
+        item.list.splice(item.index, 1);
+
+        // A wave without spawn points is gone too
+        if (item.kind === 'spawn' && item.wave.positions.length === 0) {
+            this.levelData.enemies.splice(this.levelData.enemies.indexOf(item.wave), 1);
+        }
+
+        this.selectedEntry = null;
+        this.validate();
+        this.renderPanel();
+    }
+
+    /**
+     * Check the level data; returns the runnable config, or null with this.errors filled in
+     */
+    validate() {
+        try {
+            const config = parseLevelData(
+                this.levelData,
+                `level${this.levelData.number}.json`,
+                this.gameEngine.levelManager.getLevelScriptNames()
+            );
+            this.errors = [];
+            return config;
+        } catch (error) {
+            this.errors = error instanceof LevelValidationError ? error.errors : [error.message];
+            return null;
+        }
+    }
+
+    /**
+     * Run the edited level straight away
+     */
+    async playTest() {
+        const config = this.validate();
+        if (!config) {
+            this.renderPanel();
+            return;
+        }
+
+        this.close();
+        await this.gameEngine.levelManager.playTestLevel(config);
+        console.log(`Level editor: play-testing level ${config.number} (F4 to keep editing)`);
+    }
+
+    /**
+     * Download the level as a file for client/data/levels/
+     */
+    exportLevel() {
+        const config = this.validate();
+        if (!config) {
+            this.renderPanel();
+            return;
+        }
+
+        const fileName = `level${config.number}.json`;
+        const json = JSON.stringify(serializeLevelData(config), null, 4) + '\n';
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(link.href);
+
+        this.message = `Exported ${fileName} - save it to client/data/levels/`;
+        this.renderPanel();
+    }
+
+    /**
+     * Replace the level being edited with a level file
+     */
+    async importLevel(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const config = parseLevelData(data, file.name, this.gameEngine.levelManager.getLevelScriptNames());
+
+            this.levelData = serializeLevelData(config);
+            this.selectedEntry = null;
+            this.errors = [];
+            this.message = `Imported ${file.name}`;
+        } catch (error) {
+            this.errors = error instanceof LevelValidationError ? error.errors : [`${file.name}: ${error.message}`];
+            this.message = '';
+        }
+
+        this.renderPanel();
+    }
+
+    createPanel() {
+        if (this.panel) return;
+
+        this.panel = document.createElement('div');
+        this.panel.id = 'level-editor-panel';
+        this.panel.style.cssText = `
+            position: fixed;
+            top: 0;
+            right: 0;
+            width: 300px;
+            height: 100%;
+            background: rgba(20, 20, 20, 0.95);
+            border-left: 2px solid #555;
+            padding: 15px;
+            box-sizing: border-box;
+            color: #fff;
+            font-family: monospace;
+            font-size: 12px;
+            overflow-y: auto;
+            z-index: 9999;
+        `;
+
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.json,application/json';
+        this.fileInput.style.display = 'none';
+        this.fileInput.addEventListener('change', () => {
+            if (this.fileInput.files[0]) {
+                this.importLevel(this.fileInput.files[0]);
+            }
+            this.fileInput.value = '';
+        });
+
+        this.panel.addEventListener('click', this.handlePanelClick);
+        this.panel.addEventListener('change', this.handlePanelChange);
+        this.panel.appendChild(this.fileInput);
+        document.body.appendChild(this.panel);
+    }
+
+    renderPanel() {
+        if (!this.panel) return;
+
+        const item = this.getSelectedItem();
+        const button = (action, label, color = '#444', extra = '') =>
+            `<button data-action="${action}" ${extra} style="padding: 5px 8px; margin: 2px; background: ${color}; color: white; border: 1px solid #777; cursor: pointer; border-radius: 3px;">${label}</button>`;
+
+        let selection;
+        if (item) {
+            selection = `
+                <h3 style="color: ${ITEM_KINDS[item.kind].color};">${ITEM_KINDS[item.kind].label}</h3>
+                ${this.renderFields(ITEM_FIELDS[item.kind], item.entry, 'entry')}
+                ${item.kind === 'spawn' ? `<h4>Wave</h4>${this.renderFields(WAVE_FIELDS, item.wave, 'wave')}` : ''}
+                ${item.kind === 'spawn' ? button('add-spawn-point', 'Add point to wave') : ''}
+                ${button('delete', 'Delete', '#aa3333')}
+            `;
+        } else {
+            // Waves without fixed spawn points can't be shown on the canvas
+            const randomWaves = (this.levelData.enemies || []).filter(wave => !wave.positions);
+            selection = `
+                <h3 style="color: #66ff66;">Level ${this.levelData.number}</h3>
+                ${this.renderFields(LEVEL_FIELDS, this.levelData, 'level')}
+                ${randomWaves.length > 0 ? `<p style="color: #aaa;">Random-position waves: ${randomWaves
+                    .map(wave => `${wave.count}× ${wave.type}${wave.spawnDelay ? ` after ${wave.spawnDelay}s` : ''}`).join(', ')}</p>` : ''}
+                <p style="color: #888;">Click something on the canvas to edit it.</p>
+            `;
+        }
+
+        const feedback = this.errors.length > 0
+            ? `<ul style="color: #ff6666; padding-left: 16px;">${this.errors.map(error => `<li>${escapeHTML(error)}</li>`).join('')}</ul>`
+            : `<p style="color: #66ff66;">${escapeHTML(this.message || 'Level is valid')}</p>`;
+
+        // Keep the hidden file input when rebuilding the panel
+        this.panel.innerHTML = `
+            <h2 style="margin-top: 0; color: #ff6666;">🧱 Level Editor</h2>
+            <div>
+                Add:
+                ${Object.keys(ITEM_KINDS).map(kind => button('add', ITEM_KINDS[kind].label, '#335', `data-kind="${kind}"`)).join('')}
+            </div>
+            ${selection}
+            ${feedback}
+            <div style="margin-top: 10px; padding-top: 10px; border-top: 1px solid #555;">
+                ${button('playtest', '▶ Play-test', '#338833')}
+                ${button('export', 'Export')}
+                ${button('import', 'Import')}
+                ${button('close', 'Close (F4)')}
+            </div>
+            <p style="color: #888;">Drag to move, drag the corner handle to resize. Arrows nudge (Shift for more), Delete removes. Object types the generic level builds: ${GENERIC_OBJECT_TYPES.join(', ')}.</p>
+        `;
+        this.panel.appendChild(this.fileInput);
+    }
+
+    /**
+     * Labelled inputs for a set of fields
+     */
+    renderFields(fields, target, targetName) {
+        return fields.map(([field, type, options]) => {
+            const value = target[field];
+            const attributes = `data-target="${targetName}" data-field="${field}" data-type="${type}"`;
+            const inputStyle = 'width: 100%; box-sizing: border-box; background: #333; color: #fff; border: 1px solid #555; padding: 3px;';
+            let input;
+
+            switch (type) {
+                case 'checkbox':
+                    input = `<input type="checkbox" ${attributes} ${value ? 'checked' : ''}>`;
+                    break;
+                case 'select': {
+                    const choices = options.includes(value) || value === undefined ? options : [value, ...options];
+                    input = `<select ${attributes} style="${inputStyle}">${choices
+                        .map(choice => `<option value="${choice}" ${choice === (value ?? options[0]) ? 'selected' : ''}>${choice}</option>`)
+                        .join('')}</select>`;
+                    break;
+                }
+                case 'lines':
+                    input = `<textarea ${attributes} rows="4" style="${inputStyle}">${escapeHTML((value || []).join('\n'))}</textarea>`;
+                    break;
+                case 'ids':
+                    // Objectives may carry a description; edit just their ids
+                    input = `<input type="text" ${attributes} style="${inputStyle}" value="${escapeHTML((value || [])
+                        .map(objective => typeof objective === 'string' ? objective : objective.id).join(', '))}">`;
+                    break;
+                default:
+                    input = `<input type="${type === 'number' ? 'number' : 'text'}" ${attributes} style="${inputStyle}" value="${escapeHTML(value ?? '')}">`;
+            }
+
+            return `<label style="display: block; margin-bottom: 6px;">${field}<br>${input}</label>`;
+        }).join('');
+    }
+
+    handlePanelClick(event) {
+        const action = event.target.dataset?.action;
+        if (!action) return;
+
+        const item = this.getSelectedItem();
+        switch (action) {
+            case 'add':
+                this.addItem(event.target.dataset.kind);
+                break;
+            case 'add-spawn-point':
+                if (item) this.addSpawnPoint(item);
+                break;
+            case 'delete':
+                if (item) this.deleteItem(item);
+                break;
+            case 'playtest':
+                this.playTest();
+                break;
+            case 'export':
+                this.exportLevel();
+                break;
+            case 'import':
+                this.fileInput.click();
+                break;
+            case 'close':
+                this.close();
+                break;
+        }
+    }
+
+    /**
+     * Apply an edited field from the side panel
+     */
+    handlePanelChange(event) {
+        const input = event.target;
+        const { target: targetName, field, type } = input.dataset || {};
+        if (!field) return;
+
+        const item = this.getSelectedItem();
+        const target = targetName === 'level' ? this.levelData : targetName === 'wave' ? item?.wave : item?.entry;
+        if (!target) return;
+
+        let value;
+        switch (type) {
+            case 'number':
+                value = parseFloat(input.value);
+                if (Number.isNaN(value)) return;
+                break;
+            case 'checkbox':
+                value = input.checked;
+                break;
+            case 'lines':
+                value = input.value.split('\n').map(line => line.trim()).filter(Boolean);
+                break;
+            case 'ids': {
+                // Keep descriptions of objectives that are still listed
+                const existing = new Map((target[field] || []).map(objective =>
+                    [typeof objective === 'string' ? objective : objective.id, objective]));
+                value = input.value.split(',').map(id => id.trim()).filter(Boolean).map(id => existing.get(id) || id);
+                break;
+            }
+            default:
+                value = input.value.trim();
+        }
+
+        // Empty optional fields (and the default trigger) are left out of the file
+        if (value === '' || (Array.isArray(value) && value.length === 0 && type !== 'ids') ||
+            (targetName === 'wave' && field === 'trigger' && value === 'time')) {
+            delete target[field];
+        } else {
+            target[field] = value;
+        }
+
+        this.validate();
+        this.renderPanel();
+    }
+
+    /**
+     * Draw the grid and every editable item over the frozen level, through the camera
+     */
+    renderWorld(ctx) {
+        if (!this.isActive || !this.levelData) return;
+
+        const bounds = this.getBounds();
+        ctx.save();
+
+        // Grid every 100px
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let x = 0; x <= bounds.width; x += 100) {
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, bounds.height);
+        }
+        for (let y = 0; y <= bounds.height; y += 100) {
+            ctx.moveTo(0, y);
+            ctx.lineTo(bounds.width, y);
+        }
+        ctx.stroke();
+
+        for (const item of this.getItems()) {
+            this.renderItem(ctx, item, item.entry === this.selectedEntry);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Banner with the level name and problem count, in screen space
+     */
+    render(ctx) {
+        if (!this.isActive || !this.levelData) return;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(0, 0, this.canvas.width, 36);
+        ctx.fillStyle = this.errors.length > 0 ? '#ff6666' : '#ffffff';
+        ctx.font = '16px monospace';
+        ctx.textAlign = 'left';
+        ctx.fillText(
+            `LEVEL EDITOR - Level ${this.levelData.number}: ${this.levelData.name}` +
+            (this.errors.length > 0 ? `  (${this.errors.length} problem${this.errors.length === 1 ? '' : 's'})` : ''),
+            12, 24
+        );
+
+        ctx.restore();
+    }
+
+    renderItem(ctx, item, isSelected) {
+        const color = ITEM_KINDS[item.kind].color;
+        const box = this.getBox(item);
+
+        ctx.globalAlpha = 0.25;
+        ctx.fillStyle = color;
+        if (item.kind === 'marker') {
+            ctx.beginPath();
+            ctx.arc(item.entry.x, item.entry.y, MARKER_RADIUS, 0, Math.PI * 2);
+            ctx.fill();
+        } else {
+            ctx.fillRect(box.x, box.y, box.width, box.height);
+        }
+
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = isSelected ? '#ffffff' : color;
+        ctx.lineWidth = isSelected ? 3 : 2;
+        ctx.strokeRect(box.x, box.y, box.width, box.height);
+
+        if (isSelected && this.isResizable(item)) {
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(box.x + box.width - HANDLE_SIZE / 2, box.y + box.height - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE);
+        }
+
+        ctx.fillStyle = color;
+        ctx.font = '12px monospace';
+        ctx.textAlign = 'left';
+        ctx.fillText(this.getItemLabel(item), box.x, box.y - 5);
+    }
+
+    getItemLabel(item) {
+        const entry = item.entry;
+
+        switch (item.kind) {
+            case 'object':
+                return entry.label || entry.type;
+            case 'npc':
+                return entry.name;
+            case 'spawn': {
+                const wave = item.wave;
+                const trigger = { boss_defeated: ' after boss', previous_cleared: ' after clear' }[wave.trigger] || '';
+                const delay = wave.spawnDelay ? ` +${wave.spawnDelay}s` : '';
+                return `${wave.type}${trigger}${delay}`;
+            }
+            case 'hazard':
+                return `${entry.type} ${entry.damagePerSecond}/s`;
+            case 'marker':
+                return entry.instruction.length > 24 ? `${entry.instruction.slice(0, 24)}…` : entry.instruction;
+            default:
+                return item.kind;
+        }
+    }
+
+    destroy() {
+        this.close();
+        this.canvas.removeEventListener('mousedown', this.handleMouseDown);
+        this.canvas.removeEventListener('mousemove', this.handleMouseMove);
+        window.removeEventListener('mouseup', this.handleMouseUp);
+    }
+}
+
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
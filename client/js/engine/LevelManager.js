@@ -1,4 +1,5 @@
 import { Level } from './Level.js';
+import { parseLevelData, LevelValidationError } from './LevelSchema.js';
 import { Level0 } from '../levels/Level0.js';
 import { Level1 } from '../levels/Level1.js';
 import { Level2 } from '../levels/Level2.js';
@@ -6,6 +7,12 @@ import { Level3 } from '../levels/Level3.js';
 import { Level4 } from '../levels/Level4.js';
 import { Level5 } from '../levels/Level5.js';
 
+// Level files and their manifest (index.json), relative to the page
+const LEVEL_DATA_PATH = 'data/levels';
+
+// Scripts a level file can name for behaviour beyond the generic Level
+const LEVEL_SCRIPTS = { Level0, Level1, Level2, Level3, Level4, Level5 };
+
 /**
  * LevelManager handles level loading, transitions, and progression
  */
@@ -17,7 +24,8 @@ export class LevelManager {
         this.currentLevel = null;
         this.currentLevelNumber = -1;
         this.levels = new Map();
-        this.levelConfigs = new Map();
+        this.levelConfigs = new Map(); // Level number -> validated level file
+        this.levelConfigsLoading = null;
         
         // Transition state
         this.isTransitioning = false;
@@ -25,116 +33,58 @@ export class LevelManager {
         this.transitionDuration = 1.0; // seconds
         this.transitionType = 'fade'; // 'fade', 'slide', etc.
         
-        // Initialize level configurations
-        this.initializeLevelConfigs();
+        // Set once the last level is done (completion is checked every frame)
+        this.gameCompleted = false;
     }
     
     /**
-     * Initialize level configurations
+     * Load and validate every level file listed in the manifest (once)
+     * Rejects with a LevelValidationError naming the file and each problem
      */
-    initializeLevelConfigs() {
-        // Level 0: Tutorial and Story Introduction
-        this.levelConfigs.set(0, {
-            type: 'tutorial',
-            name: 'Tutorial - The Beginning',
-            backgroundColor: '#2a2a2a',
-            objectives: ['learn_movement', 'hear_story', 'complete_tutorial'],
-            npcs: [
-                { 
-                    type: 'dying_scientist', 
-                    x: 960, 
-                    y: 400,
-                    name: 'Dr. Petrov',
-                    dialogue: [
-                        "You... you made it. Thank God.",
-                        "The reactor... it's going critical. The explosion will kill millions.",
-                        "You three are our only hope. You must reach the reactor core.",
-                        "But know this... not all of you will survive.",
-                        "Sacrifices must be made to save humanity.",
-                        "Now go! Learn to work together. Your journey begins here."
-                    ]
-                }
-            ]
-        });
-        
-        // Level 1: Combat Introduction
-        this.levelConfigs.set(1, {
-            type: 'combat_intro',
-            name: 'Level 1 - First Contact',
-            backgroundColor: '#1a1a2a',
-            objectives: ['defeat_all_enemies', 'survive'],
-            enemies: [
-                { type: 'weak_zombie', count: 3, spawnDelay: 0 },
-                { type: 'normal_zombie', count: 2, spawnDelay: 10 },
-                { type: 'fast_zombie', count: 1, spawnDelay: 20 }
-            ],
-            hazards: ['radiation_zones'],
-            specialMechanics: ['progressive_spawning']
-        });
-        
-        // Add tutorial markers to Level 0
-        this.levelConfigs.get(0).tutorialMarkers = [
-            { x: 200, y: 200, instruction: "Use WASD to move" },
-            { x: 1200, y: 200, instruction: "Move here to continue" },
-            { x: 1200, y: 600, instruction: "Good! Now move here" },
-            { x: 200, y: 600, instruction: "Excellent! Talk to Dr. Petrov" }
-        ];
-        
-        // Level 2: Boss Fight and First Sacrifice
-        this.levelConfigs.set(2, {
-            type: 'boss_sacrifice',
-            name: 'Level 2 - The Guardian',
-            backgroundColor: '#2a1a1a',
-            objectives: ['defeat_boss', 'sacrifice_one_player'],
-            enemies: [
-                { type: 'mutant_boss', count: 1 }
-            ],
-            levelObjects: [
-                { type: 'elevator', x: 700, y: 300, width: 80, height: 100 },
-                { type: 'sacrifice_button', x: 50, y: 350, width: 40, height: 40 }
-            ],
-            sacrificeType: 'elevator_button'
-        });
+    loadLevelConfigs() {
+        if (!this.levelConfigsLoading) {
+            this.levelConfigsLoading = this.fetchLevelConfigs().catch(error => {
+                // Let a fixed level file be picked up on the next attempt
+                this.levelConfigsLoading = null;
+                throw error;
+            });
+        }
+        return this.levelConfigsLoading;
+    }
+    
+    async fetchLevelConfigs() {
+        const manifest = await this.fetchJSON(`${LEVEL_DATA_PATH}/index.json`);
+        if (!Array.isArray(manifest?.levels)) {
+            throw new LevelValidationError('index.json', ['levels must be a list of level file names']);
+        }
         
-        // Level 3: Cooperative Puzzle
-        this.levelConfigs.set(3, {
-            type: 'puzzle',
-            name: 'Level 3 - Cooperation',
-            backgroundColor: '#1a1a1a',
-            objectives: ['solve_puzzle'],
-            levelObjects: [
-                { type: 'dual_switch_a', x: 200, y: 400, width: 80, height: 80 },
-                { type: 'dual_switch_b', x: 1640, y: 400, width: 80, height: 80 },
-                { type: 'puzzle_door', x: 860, y: 200, width: 200, height: 40 }
-            ],
-            puzzleType: 'dual_switch'
-        });
+        const configs = new Map();
+        for (const file of manifest.levels) {
+            const data = await this.fetchJSON(`${LEVEL_DATA_PATH}/${file}`);
+            const config = parseLevelData(data, file, Object.keys(LEVEL_SCRIPTS));
+            
+            if (configs.has(config.number)) {
+                throw new LevelValidationError(file, [`number ${config.number} is already used by another level`]);
+            }
+            configs.set(config.number, config);
+        }
         
-        // Level 4: Puzzle with Second Sacrifice
-        this.levelConfigs.set(4, {
-            type: 'puzzle_sacrifice',
-            name: 'Level 4 - The Second Choice',
-            backgroundColor: '#1a1a1a',
-            objectives: ['solve_puzzle', 'sacrifice_one_player'],
-            levelObjects: [
-                { type: 'hold_mechanism', x: 960, y: 500, width: 100, height: 100 },
-                { type: 'exit_door', x: 1720, y: 400, width: 100, height: 200 }
-            ],
-            puzzleType: 'hold_mechanism',
-            sacrificeType: 'hold_position'
-        });
+        this.levelConfigs = configs;
+        console.log(`Loaded ${configs.size} level files`);
+        return configs;
+    }
+    
+    async fetchJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${url}: ${response.status}`);
+        }
         
-        // Level 5: Final Challenge and Ending
-        this.levelConfigs.set(5, {
-            type: 'final_challenge',
-            name: 'Level 5 - The Core',
-            backgroundColor: '#2a1a1a',
-            objectives: ['reach_reactor', 'shutdown_reactor', 'ending_sequence'],
-            levelObjects: [
-                { type: 'reactor_controls', x: 1600, y: 400, width: 120, height: 80 }
-            ],
-            hazards: ['falling_rocks', 'radiation', 'blizzard']
-        });
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new LevelValidationError(url, [`not valid JSON (${error.message})`]);
+        }
     }
     
     /**
@@ -143,6 +93,13 @@ export class LevelManager {
     async loadLevel(levelNumber) {
         console.log(`Loading level ${levelNumber}...`);
         
+        try {
+            await this.loadLevelConfigs();
+        } catch (error) {
+            console.error('Failed to load level files:', error.message);
+            return false;
+        }
+        
         const config = this.levelConfigs.get(levelNumber);
         if (!config) {
             console.error(`Level ${levelNumber} configuration not found`);
@@ -168,25 +125,11 @@ export class LevelManager {
     }
     
     /**
-     * Create level instance based on type
+     * Create level instance from its script, or a generic Level when it has none
      */
     createLevelInstance(levelNumber, config) {
-        switch (levelNumber) {
-            case 0:
-                return new Level0(levelNumber, config);
-            case 1:
-                return new Level1(levelNumber, config);
-            case 2:
-                return new Level2(levelNumber, config);
-            case 3:
-                return new Level3(levelNumber, config);
-            case 4:
-                return new Level4(levelNumber, config);
-            case 5:
-                return new Level5(levelNumber, config);
-            default:
-                return new Level(levelNumber, config);
-        }
+        const LevelClass = config.script ? LEVEL_SCRIPTS[config.script] : Level;
+        return new LevelClass(levelNumber, config);
     }
     
     /**
@@ -250,16 +193,27 @@ export class LevelManager {
         this.currentLevel = newLevel;
         this.currentLevelNumber = levelNumber;
         
+        // Levels read the party from the engine while activating
+        this.currentLevel.gameEngine = this.gameEngine;
+        
         // Activate new level
         this.currentLevel.activate();
         
+        // Let the server load this level's enemy roster
+        if (this.gameEngine.isMultiplayer && this.gameEngine.networkManager) {
+            this.gameEngine.networkManager.sendLevelChange(levelNumber);
+        }
+        
         // Start level-specific music
         if (this.gameEngine.getAudioManager()) {
             this.gameEngine.getAudioManager().playLevelMusic(levelNumber);
         }
         
-        // Spawn enemies for combat levels
-        if (this.currentLevel.config.enemies && this.gameEngine.getEnemyManager()) {
+        // Turrets stay behind with the old level
+        this.gameEngine.abilitySystem?.clearAll();
+        
+        // Queue the level's enemy waves (none replaces the last level's)
+        if (this.gameEngine.getEnemyManager()) {
             this.currentLevel.spawnEnemies(this.gameEngine);
         }
         
@@ -308,20 +262,28 @@ export class LevelManager {
     /**
      * Handle input for current level
      */
-    handleInput(keys) {
+    handleInput(input) {
         if (this.currentLevel && !this.isTransitioning) {
-            this.currentLevel.handleInput(keys);
+            this.currentLevel.handleInput(input);
         }
     }
     
     /**
-     * Render current level and transitions
+     * Render current level in world space (through the camera)
      */
     render(ctx, spriteRenderer) {
-        // Render current level
         if (this.currentLevel) {
             this.currentLevel.render(ctx, spriteRenderer);
         }
+    }
+    
+    /**
+     * Render the level's screen-space UI and the transition overlay
+     */
+    renderUI(ctx) {
+        if (this.currentLevel?.isLoaded) {
+            this.currentLevel.renderUI(ctx);
+        }
         
         // Render transition overlay
         if (this.isTransitioning) {
@@ -381,8 +343,14 @@ export class LevelManager {
      * Handle game completion
      */
     handleGameCompletion() {
+        if (this.gameCompleted) return;
+        this.gameCompleted = true;
+        
         // Show game completion screen
         console.log('Congratulations! You have completed Sacrifices Must Be Made.');
+        
+        // Let the server end the game (stops the recording, drops the save)
+        this.currentLevel?.reportProgress({ type: 'gameCompleted' });
     }
     
     /**
@@ -413,6 +381,37 @@ export class LevelManager {
         return this.levelConfigs.get(levelNumber);
     }
     
+    /**
+     * Numbers of all loaded level files, in play order
+     */
+    getLevelNumbers() {
+        return Array.from(this.levelConfigs.keys()).sort((a, b) => a - b);
+    }
+    
+    /**
+     * Script names a level file may use
+     */
+    getLevelScriptNames() {
+        return Object.keys(LEVEL_SCRIPTS);
+    }
+    
+    /**
+     * Swap in an edited level config and start that level from scratch (level editor play-test)
+     */
+    async playTestLevel(config) {
+        this.levelConfigs.set(config.number, config);
+        
+        // Drop the cached instance so the level is rebuilt from the new config
+        const cachedLevel = this.levels.get(config.number);
+        if (cachedLevel) {
+            cachedLevel.destroy();
+            this.levels.delete(config.number);
+        }
+        
+        this.gameEngine.getEnemyManager()?.clearAllEnemies();
+        return this.changeLevel(config.number);
+    }
+    
     /**
      * Reset current level
      */
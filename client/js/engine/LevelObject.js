@@ -0,0 +1,84 @@
+// Default look of each generic object type
+const OBJECT_STYLES = {
+    wall: { color: '#555566', solid: true },
+    crate: { color: '#8b6b3d', solid: true },
+    exit: { color: '#2a6a2a', solid: false },
+    sign: { color: '#aa8833', solid: false },
+    decoration: { color: '#444444', solid: false }
+};
+
+/**
+ * Walls, crates, exits, signs and decoration placed by level files
+ * Solid objects block movement through Level.checkCollision
+ */
+export class LevelObject {
+    constructor(config) {
+        this.id = config.id || `${config.type}_${config.x}_${config.y}`;
+        this.type = config.type;
+
+        this.x = config.x;
+        this.y = config.y;
+        this.width = config.width;
+        this.height = config.height;
+
+        const style = OBJECT_STYLES[config.type] || OBJECT_STYLES.decoration;
+        this.solid = config.solid ?? style.solid;
+        this.color = config.color || style.color;
+        this.label = config.label || (config.type === 'exit' ? 'EXIT' : '');
+        this.text = config.text || ''; // Shown when a player stands near a sign
+
+        this.isPlayerNearby = false;
+    }
+
+    update(deltaTime, players) {
+        if (this.type !== 'sign') return;
+
+        this.isPlayerNearby = players.some(player => player.isAlive && this.isNear(player, 60));
+    }
+
+    /**
+     * Whether an entity overlaps this object
+     */
+    contains(entity) {
+        return entity.x < this.x + this.width &&
+               entity.x + entity.width > this.x &&
+               entity.y < this.y + this.height &&
+               entity.y + entity.height > this.y;
+    }
+
+    isNear(entity, distance) {
+        return entity.x < this.x + this.width + distance &&
+               entity.x + entity.width > this.x - distance &&
+               entity.y < this.y + this.height + distance &&
+               entity.y + entity.height > this.y - distance;
+    }
+
+    render(ctx) {
+        ctx.fillStyle = this.color;
+        ctx.fillRect(this.x, this.y, this.width, this.height);
+        ctx.strokeStyle = this.solid ? '#222222' : '#888888';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(this.x, this.y, this.width, this.height);
+
+        if (this.label) {
+            ctx.fillStyle = '#ffffff';
+            ctx.font = '14px monospace';
+            ctx.textAlign = 'center';
+            ctx.fillText(this.label, this.x + this.width / 2, this.y + this.height / 2 + 5);
+            ctx.textAlign = 'left';
+        }
+
+        if (this.text && this.isPlayerNearby) {
+            ctx.font = '14px monospace';
+            ctx.textAlign = 'center';
+            const width = ctx.measureText(this.text).width + 20;
+            const centerX = this.x + this.width / 2;
+
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+            ctx.fillRect(centerX - width / 2, this.y - 40, width, 28);
+            ctx.fillStyle = '#ffff88';
+            ctx.fillText(this.text, centerX, this.y - 21);
+            ctx.textAlign = 'left';
+        }
+    }
+}
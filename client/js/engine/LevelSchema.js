@@ -0,0 +1,454 @@
+import { ENEMY_TYPE_NAMES } from './EnemyTypes.js';
+import {
+    TileMap, TILE_TYPES, HAZARD_TILE_TYPES, DOOR_TRIGGERS, DEFAULT_TILE_LEGEND, DEFAULT_TILE_SIZE
+} from './TileMap.js';
+
+/**
+ * Level file format (client/data/levels/*.json) and its validation
+ *
+ * A level file describes one level:
+ *   number          - level number (0, 1, 2, ...); levels are played in this order
+ *   name            - shown during the level transition
+ *   script          - optional level script (e.g. "Level2") for behaviour beyond the generic Level
+ *   bounds          - { width, height } of the play area (default 1920x1080); larger levels scroll
+ *   backgroundColor - fallback background when there is no background image
+ *   objectives      - objective ids, or { id, description } to set the HUD text
+ *   tiles           - walls, doors and hazard floor as { size?, legend?, rows } (see TileMap.js)
+ *   objects         - { type, x, y, width, height, solid?, label?, text?, color? }
+ *   npcs            - { type, name, x, y, dialogue: [lines] }
+ *   enemies         - waves of { type, count | positions, spawnDelay?, trigger?, zone?, maxAlive?,
+ *                     spawnInterval? }, released by the WaveDirector
+ *   hazards         - damage zones of { type, x, y, width, height, damagePerSecond }
+ *   tutorialMarkers - { x, y, instruction } (scripted levels only)
+ *   sacrificeType   - how a player is sacrificed on this level
+ *   puzzleType      - which puzzle a scripted level sets up
+ */
+
+const LEVEL_FIELDS = [
+    'number', 'name', 'type', 'script', 'bounds', 'backgroundColor', 'objectives', 'tiles', 'objects',
+    'npcs', 'enemies', 'hazards', 'tutorialMarkers', 'sacrificeType', 'puzzleType'
+];
+
+// Object types the generic Level builds itself; any other type needs a level script
+export const GENERIC_OBJECT_TYPES = ['wall', 'crate', 'exit', 'sign', 'decoration'];
+
+// Objectives the generic Level can check on its own
+export const GENERIC_OBJECTIVES = ['defeat_all_enemies', 'survive', 'reach_exit'];
+
+export const HAZARD_TYPES = ['radiation', 'fire', 'electric'];
+export const WAVE_TRIGGERS = ['time', 'boss_defeated', 'previous_cleared'];
+
+// 'none' is the only sacrifice the generic Level runs; the others are scripted
+export const SACRIFICE_TYPES = ['none', 'elevator_button', 'hold_position'];
+export const PUZZLE_TYPES = ['dual_switch', 'hold_mechanism'];
+
+const DEFAULT_BOUNDS = { width: 1920, height: 1080 };
+
+/**
+ * Thrown when a level file doesn't match the schema; lists every problem found
+ */
+export class LevelValidationError extends Error {
+    constructor(source, errors) {
+        super(`Invalid level file ${source}:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'LevelValidationError';
+        this.source = source;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Validate a parsed level file and return the config a Level runs from
+ * Throws LevelValidationError with every problem found, not just the first
+ */
+export function parseLevelData(data, source = 'level', scriptNames = []) {
+    const errors = [];
+
+    if (!isObject(data)) {
+        throw new LevelValidationError(source, ['level file must contain a JSON object']);
+    }
+
+    for (const key of Object.keys(data)) {
+        if (!LEVEL_FIELDS.includes(key)) {
+            errors.push(`unknown field "${key}"`);
+        }
+    }
+
+    if (!Number.isInteger(data.number) || data.number < 0) {
+        errors.push('number must be a whole number of 0 or more');
+    }
+    checkString(errors, data.name, 'name');
+    checkOptionalString(errors, data.type, 'type');
+    checkOptionalString(errors, data.backgroundColor, 'backgroundColor');
+
+    const script = data.script ?? null;
+    if (script !== null && !scriptNames.includes(script)) {
+        errors.push(`script "${script}" is not a known level script (${scriptNames.join(', ') || 'none registered'})`);
+    }
+    const isScripted = script !== null;
+
+    const bounds = { ...DEFAULT_BOUNDS };
+    if (data.bounds !== undefined) {
+        if (!isObject(data.bounds)) {
+            errors.push('bounds must be an object with width and height');
+        } else {
+            checkNumber(errors, data.bounds.width, 'bounds.width', { min: 1 });
+            checkNumber(errors, data.bounds.height, 'bounds.height', { min: 1 });
+            Object.assign(bounds, data.bounds);
+        }
+    }
+
+    // Tile layer
+    const tiles = checkTiles(errors, data.tiles, bounds);
+    const tileMap = tiles ? new TileMap(tiles, bounds) : null;
+
+    // Objectives
+    const objectives = [];
+    const objectiveDescriptions = {};
+    if (!Array.isArray(data.objectives) || data.objectives.length === 0) {
+        errors.push('objectives must be a non-empty list');
+    } else {
+        data.objectives.forEach((objective, index) => {
+            const path = `objectives[${index}]`;
+            const id = typeof objective === 'string' ? objective : objective?.id;
+
+            if (typeof id !== 'string' || id === '') {
+                errors.push(`${path} must be an objective id or { id, description }`);
+                return;
+            }
+            if (objectives.includes(id)) {
+                errors.push(`${path} repeats objective "${id}"`);
+                return;
+            }
+            if (!isScripted && !GENERIC_OBJECTIVES.includes(id)) {
+                errors.push(`${path} "${id}" needs a level script (the generic level supports ${GENERIC_OBJECTIVES.join(', ')})`);
+            }
+            if (typeof objective !== 'string') {
+                checkOptionalString(errors, objective.description, `${path}.description`);
+                if (objective.description) {
+                    objectiveDescriptions[id] = objective.description;
+                }
+            }
+            objectives.push(id);
+        });
+    }
+
+    // Objects
+    const objects = checkList(errors, data.objects, 'objects', (object, path) => {
+        checkString(errors, object.type, `${path}.type`);
+        checkRect(errors, object, path, bounds);
+        checkOptionalString(errors, object.label, `${path}.label`);
+        checkOptionalString(errors, object.text, `${path}.text`);
+        checkOptionalString(errors, object.color, `${path}.color`);
+        if (object.solid !== undefined && typeof object.solid !== 'boolean') {
+            errors.push(`${path}.solid must be true or false`);
+        }
+        if (!isScripted && typeof object.type === 'string' && !GENERIC_OBJECT_TYPES.includes(object.type)) {
+            errors.push(`${path}.type "${object.type}" needs a level script (the generic level supports ${GENERIC_OBJECT_TYPES.join(', ')})`);
+        }
+    });
+
+    if (objectives.includes('reach_exit') && !objects.some(object => object.type === 'exit')) {
+        errors.push('objective "reach_exit" needs an object of type "exit"');
+    }
+
+    // NPCs
+    const npcs = checkList(errors, data.npcs, 'npcs', (npc, path) => {
+        checkString(errors, npc.type, `${path}.type`);
+        checkString(errors, npc.name, `${path}.name`);
+        checkPoint(errors, npc, path, bounds);
+        if (npc.dialogue !== undefined && (!Array.isArray(npc.dialogue) || npc.dialogue.some(line => typeof line !== 'string' || line === ''))) {
+            errors.push(`${path}.dialogue must be a list of lines`);
+        }
+    });
+
+    // Enemy waves
+    const enemies = checkList(errors, data.enemies, 'enemies', (wave, path) => {
+        if (!ENEMY_TYPE_NAMES.includes(wave.type)) {
+            errors.push(`${path}.type must be one of ${ENEMY_TYPE_NAMES.join(', ')}`);
+        }
+        if (wave.positions !== undefined) {
+            if (!Array.isArray(wave.positions) || wave.positions.length === 0) {
+                errors.push(`${path}.positions must be a non-empty list of { x, y }`);
+            } else {
+                wave.positions.forEach((position, index) => {
+                    checkPoint(errors, position, `${path}.positions[${index}]`, bounds);
+                    if (tileMap && isObject(position) && tileMap.isSolidAt(position.x, position.y)) {
+                        errors.push(`${path}.positions[${index}] (${position.x}, ${position.y}) is inside a wall or door tile`);
+                    }
+                });
+            }
+        }
+        if (wave.count !== undefined || wave.positions === undefined) {
+            if (!Number.isInteger(wave.count) || wave.count < 1) {
+                errors.push(`${path}.count must be a whole number of 1 or more (or give positions)`);
+            }
+        }
+        if (wave.spawnDelay !== undefined) {
+            checkNumber(errors, wave.spawnDelay, `${path}.spawnDelay`, { min: 0 });
+        }
+        if (wave.trigger !== undefined && !WAVE_TRIGGERS.includes(wave.trigger)) {
+            errors.push(`${path}.trigger must be one of ${WAVE_TRIGGERS.join(', ')}`);
+        }
+        if (wave.zone !== undefined) {
+            if (isObject(wave.zone)) {
+                checkRect(errors, wave.zone, `${path}.zone`, bounds);
+            } else {
+                errors.push(`${path}.zone must be an object with x, y, width and height`);
+            }
+        }
+        if (wave.maxAlive !== undefined && (!Number.isInteger(wave.maxAlive) || wave.maxAlive < 1)) {
+            errors.push(`${path}.maxAlive must be a whole number of 1 or more`);
+        }
+        if (wave.spawnInterval !== undefined) {
+            checkNumber(errors, wave.spawnInterval, `${path}.spawnInterval`, { min: 0 });
+        }
+    });
+
+    // Hazards
+    const hazards = checkList(errors, data.hazards, 'hazards', (hazard, path) => {
+        if (!HAZARD_TYPES.includes(hazard.type)) {
+            errors.push(`${path}.type must be one of ${HAZARD_TYPES.join(', ')}`);
+        }
+        checkRect(errors, hazard, path, bounds);
+        checkNumber(errors, hazard.damagePerSecond, `${path}.damagePerSecond`, { min: 0 });
+    });
+
+    // Tutorial markers
+    const tutorialMarkers = checkList(errors, data.tutorialMarkers, 'tutorialMarkers', (marker, path) => {
+        checkPoint(errors, marker, path, bounds);
+        checkString(errors, marker.instruction, `${path}.instruction`);
+    });
+    if (tutorialMarkers.length > 0 && !isScripted) {
+        errors.push('tutorialMarkers need a level script');
+    }
+
+    // Sacrifice and puzzle
+    const sacrificeType = data.sacrificeType ?? 'none';
+    if (!SACRIFICE_TYPES.includes(sacrificeType)) {
+        errors.push(`sacrificeType must be one of ${SACRIFICE_TYPES.join(', ')}`);
+    } else if (sacrificeType !== 'none' && !isScripted) {
+        errors.push(`sacrificeType "${sacrificeType}" needs a level script`);
+    }
+
+    const puzzleType = data.puzzleType ?? null;
+    if (puzzleType !== null && !PUZZLE_TYPES.includes(puzzleType)) {
+        errors.push(`puzzleType must be one of ${PUZZLE_TYPES.join(', ')}`);
+    } else if (puzzleType !== null && !isScripted) {
+        errors.push(`puzzleType "${puzzleType}" needs a level script`);
+    }
+
+    if (errors.length > 0) {
+        throw new LevelValidationError(source, errors);
+    }
+
+    return {
+        number: data.number,
+        name: data.name,
+        type: data.type || 'generic',
+        script,
+        bounds,
+        backgroundColor: data.backgroundColor || null,
+        objectives,
+        objectiveDescriptions,
+        tiles,
+        objects,
+        npcs,
+        enemies,
+        hazards,
+        tutorialMarkers,
+        sacrificeType,
+        puzzleType
+    };
+}
+
+/**
+ * Turn a validated config back into level file JSON (defaults and empty lists left out)
+ */
+export function serializeLevelData(config) {
+    const data = { number: config.number, name: config.name };
+
+    if (config.type && config.type !== 'generic') data.type = config.type;
+    if (config.script) data.script = config.script;
+    if (config.backgroundColor) data.backgroundColor = config.backgroundColor;
+    if (config.bounds && (config.bounds.width !== DEFAULT_BOUNDS.width || config.bounds.height !== DEFAULT_BOUNDS.height)) {
+        data.bounds = { width: config.bounds.width, height: config.bounds.height };
+    }
+
+    const descriptions = config.objectiveDescriptions || {};
+    data.objectives = config.objectives.map(id => descriptions[id] ? { id, description: descriptions[id] } : id);
+
+    if (config.tiles) data.tiles = config.tiles;
+
+    for (const list of ['objects', 'npcs', 'enemies', 'hazards', 'tutorialMarkers']) {
+        if (config[list]?.length > 0) data[list] = config[list];
+    }
+
+    if (config.sacrificeType && config.sacrificeType !== 'none') data.sacrificeType = config.sacrificeType;
+    if (config.puzzleType) data.puzzleType = config.puzzleType;
+
+    // Deep copy so edits to the file data never reach a running level
+    return JSON.parse(JSON.stringify(data));
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkString(errors, value, path) {
+    if (typeof value !== 'string' || value === '') {
+        errors.push(`${path} must be a non-empty string`);
+    }
+}
+
+function checkOptionalString(errors, value, path) {
+    if (value !== undefined && typeof value !== 'string') {
+        errors.push(`${path} must be a string`);
+    }
+}
+
+function checkNumber(errors, value, path, { min = -Infinity } = {}) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min) {
+        errors.push(min === -Infinity ? `${path} must be a number` : `${path} must be a number of ${min} or more`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * A point inside the level bounds
+ */
+function checkPoint(errors, value, path, bounds) {
+    if (!isObject(value)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    const validX = checkNumber(errors, value.x, `${path}.x`, { min: 0 });
+    const validY = checkNumber(errors, value.y, `${path}.y`, { min: 0 });
+    if ((validX && value.x > bounds.width) || (validY && value.y > bounds.height)) {
+        errors.push(`${path} (${value.x}, ${value.y}) is outside the ${bounds.width}x${bounds.height} level`);
+    }
+}
+
+/**
+ * A rectangle that fits inside the level bounds
+ */
+function checkRect(errors, value, path, bounds) {
+    const valid = [
+        checkNumber(errors, value.x, `${path}.x`, { min: 0 }),
+        checkNumber(errors, value.y, `${path}.y`, { min: 0 }),
+        checkNumber(errors, value.width, `${path}.width`, { min: 1 }),
+        checkNumber(errors, value.height, `${path}.height`, { min: 1 })
+    ].every(Boolean);
+
+    if (valid && (value.x + value.width > bounds.width || value.y + value.height > bounds.height)) {
+        errors.push(`${path} extends outside the ${bounds.width}x${bounds.height} level`);
+    }
+}
+
+/**
+ * The tile layer: rows of legend characters that fit the level
+ * Returns { size, legend, rows }, or null when the level has none (or it's invalid)
+ */
+function checkTiles(errors, value, bounds) {
+    if (value === undefined) return null;
+    if (!isObject(value)) {
+        errors.push('tiles must be an object with rows');
+        return null;
+    }
+    const errorCount = errors.length;
+
+    for (const key of Object.keys(value)) {
+        if (!['size', 'legend', 'rows'].includes(key)) {
+            errors.push(`tiles has unknown field "${key}"`);
+        }
+    }
+
+    const size = value.size ?? DEFAULT_TILE_SIZE;
+    if (!Number.isInteger(size) || size < 8) {
+        errors.push('tiles.size must be a whole number of 8 or more');
+    }
+
+    // Legend entries: a tile type, or { type, id?, open?, opensWhen? } for doors and
+    // { type, damagePerSecond? } for hazards
+    const legend = value.legend ?? {};
+    if (!isObject(legend)) {
+        errors.push('tiles.legend must map characters to tile types');
+    } else {
+        for (const [character, entry] of Object.entries(legend)) {
+            const path = `tiles.legend["${character}"]`;
+            const type = typeof entry === 'string' ? entry : entry?.type;
+
+            if ([...character].length !== 1) {
+                errors.push(`${path} must be a single character`);
+            }
+            if (!TILE_TYPES.includes(type)) {
+                errors.push(`${path} type must be one of ${TILE_TYPES.join(', ')}`);
+                continue;
+            }
+            if (typeof entry === 'string') continue;
+
+            if (type === 'door') {
+                checkOptionalString(errors, entry.id, `${path}.id`);
+                if (entry.open !== undefined && typeof entry.open !== 'boolean') {
+                    errors.push(`${path}.open must be true or false`);
+                }
+                if (entry.opensWhen !== undefined && !DOOR_TRIGGERS.includes(entry.opensWhen)) {
+                    errors.push(`${path}.opensWhen must be one of ${DOOR_TRIGGERS.join(', ')}`);
+                }
+            } else if (HAZARD_TILE_TYPES.includes(type)) {
+                if (entry.damagePerSecond !== undefined) {
+                    checkNumber(errors, entry.damagePerSecond, `${path}.damagePerSecond`, { min: 0 });
+                }
+            }
+        }
+    }
+
+    // Rows of characters, no bigger than the level
+    const columns = Math.ceil(bounds.width / size);
+    const rowCount = Math.ceil(bounds.height / size);
+    const characters = { ...DEFAULT_TILE_LEGEND, ...(isObject(legend) ? legend : {}) };
+    if (!Array.isArray(value.rows) || value.rows.length === 0) {
+        errors.push('tiles.rows must be a non-empty list of strings');
+    } else {
+        if (value.rows.length > rowCount) {
+            errors.push(`tiles.rows has ${value.rows.length} rows; the level fits ${rowCount} at size ${size}`);
+        }
+        value.rows.forEach((row, index) => {
+            const path = `tiles.rows[${index}]`;
+            if (typeof row !== 'string') {
+                errors.push(`${path} must be a string`);
+                return;
+            }
+            if (row.length > columns) {
+                errors.push(`${path} has ${row.length} tiles; the level fits ${columns} at size ${size}`);
+            }
+            const unknown = [...row].findIndex(character => characters[character] === undefined);
+            if (unknown !== -1) {
+                errors.push(`${path} column ${unknown} uses "${row[unknown]}", which is not in the legend`);
+            }
+        });
+    }
+
+    if (errors.length > errorCount) return null;
+    return value;
+}
+
+/**
+ * An optional list whose entries are objects; returns the list (or [] when absent)
+ */
+function checkList(errors, value, path, checkEntry) {
+    if (value === undefined) return [];
+    if (!Array.isArray(value)) {
+        errors.push(`${path} must be a list`);
+        return [];
+    }
+
+    value.forEach((entry, index) => {
+        if (!isObject(entry)) {
+            errors.push(`${path}[${index}] must be an object`);
+        } else {
+            checkEntry(entry, `${path}[${index}]`);
+        }
+    });
+    return value;
+}
@@ -1,12 +1,22 @@
+import { isDeveloperModeRequested } from './DeveloperSettings.js';
+
 export class LobbyManager {
-    constructor(networkManager) {
+    constructor(networkManager, characterManager) {
         this.networkManager = networkManager;
+        this.characterManager = characterManager;
         this.currentScreen = 'mainMenu';
         this.isReady = false;
         this.roomData = null;
         this.playerId = null;
         this.playerName = null;
         
+        // Character picks, as the server last reported them
+        this.players = [];
+        this.uniqueCharacters = false;
+        
+        // Phones and tablets: no autofocus (it pops up the on-screen keyboard)
+        this.isTouchDevice = window.matchMedia?.('(pointer: coarse)').matches ?? false;
+        
         // Bind methods
         this.showScreen = this.showScreen.bind(this);
         this.showError = this.showError.bind(this);
@@ -66,7 +76,8 @@ export class LobbyManager {
                 e.target.value = e.target.value.replace(/[^a-zA-Z0-9\s]/g, '');
             });
             
-            input.addEventListener('keypress', (e) => {
+            // keydown rather than keypress: on-screen keyboards don't always send keypress
+            input.addEventListener('keydown', (e) => {
                 if (e.key === 'Enter') {
                     if (inputId === 'hostNameInput') {
                         this.handleCreateRoom();
@@ -83,7 +94,7 @@ export class LobbyManager {
             e.target.value = e.target.value.replace(/[^a-zA-Z0-9]/g, '').toUpperCase();
         });
         
-        roomCodeInput.addEventListener('keypress', (e) => {
+        roomCodeInput.addEventListener('keydown', (e) => {
             if (e.key === 'Enter') {
                 this.handleJoinRoom();
             }
@@ -108,10 +119,19 @@ export class LobbyManager {
             this.showError(error.message);
         };
         
+        this.networkManager.onCharacterError = (error) => {
+            this.showError(error.message);
+        };
+        
         this.networkManager.onGameStart = (data) => {
             this.handleGameStart(data);
         };
         
+        // Outside viewers go straight into the running game
+        this.networkManager.onSpectateJoined = (data) => {
+            this.handleGameStart(data);
+        };
+        
         this.networkManager.onPlayerJoined = (data) => {
             this.showMessage(`${data.playerName} joined the room`);
         };
@@ -139,7 +159,7 @@ export class LobbyManager {
             
             // Focus first input if available
             const firstInput = targetScreen.querySelector('input');
-            if (firstInput) {
+            if (firstInput && !this.isTouchDevice) {
                 setTimeout(() => firstInput.focus(), 100);
             }
         }
@@ -158,8 +178,13 @@ export class LobbyManager {
             return;
         }
         
+        const partySize = parseInt(document.getElementById('partySizeInput').value, 10);
+        const uniqueCharacters = document.getElementById('uniqueCharactersInput').value === 'true';
+        
         this.playerName = playerName;
-        this.networkManager.createRoom(playerName);
+        
+        // Rooms created in developer mode let the developer panel jump between levels
+        this.networkManager.createRoom(playerName, partySize, uniqueCharacters, isDeveloperModeRequested());
     }
     
     handleJoinRoom() {
@@ -202,7 +227,7 @@ export class LobbyManager {
         } else {
             readyBtn.textContent = 'READY';
             readyBtn.classList.remove('ready');
-            readyStatus.textContent = 'Click READY when you\'re prepared to start';
+            readyStatus.textContent = 'Press READY when you\'re prepared to start';
         }
     }
     
@@ -211,6 +236,7 @@ export class LobbyManager {
         this.roomData = null;
         this.isReady = false;
         this.playerId = null;
+        this.players = [];
         this.showScreen('mainMenu');
         
         // Reset ready button
@@ -218,7 +244,7 @@ export class LobbyManager {
         const readyStatus = document.getElementById('readyStatus');
         readyBtn.textContent = 'READY';
         readyBtn.classList.remove('ready');
-        readyStatus.textContent = 'Click READY when you\'re prepared to start';
+        readyStatus.textContent = 'Press READY when you\'re prepared to start';
     }
     
     handleRoomCreated(data) {
@@ -226,6 +252,9 @@ export class LobbyManager {
         this.playerId = data.playerId;
         
         document.getElementById('displayRoomCode').textContent = data.roomCode;
+        this.updatePartySize(data.partySize);
+        this.updateCharacterRule(data.uniqueCharacters);
+        this.renderCharacterPicker();
         this.showScreen('waitingRoom');
         
         // Don't create fake player list - wait for roomUpdate from server
@@ -237,21 +266,46 @@ export class LobbyManager {
         this.playerId = data.playerId;
         
         document.getElementById('displayRoomCode').textContent = data.roomCode;
+        this.updatePartySize(data.partySize);
+        this.updateCharacterRule(data.uniqueCharacters);
+        this.renderCharacterPicker();
         this.showScreen('waitingRoom');
     }
     
+    updatePartySize(partySize) {
+        if (partySize) {
+            document.getElementById('partySizeDisplay').textContent = partySize;
+        }
+    }
+    
+    /**
+     * Show whether the host ruled out duplicate characters
+     */
+    updateCharacterRule(uniqueCharacters) {
+        if (typeof uniqueCharacters !== 'boolean') return;
+        
+        this.uniqueCharacters = uniqueCharacters;
+        document.getElementById('characterRule').textContent = uniqueCharacters ?
+            'Host rule: every player picks a different character' :
+            'Players may pick the same character';
+    }
+    
     handleRoomUpdate(data) {
         if (!this.roomData) return;
         
         console.log('📢 Room update received:', data.players?.length || 0, 'players');
         data.players?.forEach(player => {
-            console.log(`  - ${player.name} (${player.id}) ${player.isHost ? '[HOST]' : ''} ${player.ready ? '[READY]' : '[WAITING]'}`);
+            console.log(`  - ${player.name} (${player.id}) ${player.characterType || ''} ${player.isHost ? '[HOST]' : ''} ${player.ready ? '[READY]' : '[WAITING]'}`);
         });
         
+        this.players = Array.isArray(data.players) ? data.players : [];
         this.updatePlayersList(data.players);
+        this.updatePartySize(data.partySize);
+        this.updateCharacterRule(data.uniqueCharacters);
+        this.renderCharacterPicker();
         
-        // Check if all players are ready
-        if (data.allReady && data.players.length === 3) {
+        // Check if all players are ready (the server only reports it for a full party)
+        if (data.allReady) {
             document.getElementById('readyStatus').textContent = 'Starting game in 3 seconds...';
         }
     }
@@ -259,7 +313,20 @@ export class LobbyManager {
     handleGameStart(data) {
         console.log('LobbyManager: Handling game start, transitioning screens...');
         
-        // Hide lobby and show game
+        this.showGameScreen();
+        
+        // Notify game engine that game is starting
+        if (this.onGameStart) {
+            this.onGameStart(data);
+        } else {
+            console.error('LobbyManager: No onGameStart callback set');
+        }
+    }
+    
+    /**
+     * Hide the lobby and show the game canvas
+     */
+    showGameScreen() {
         const lobbyScreen = document.getElementById('lobbyScreen');
         const gameScreen = document.getElementById('gameScreen');
         
@@ -276,13 +343,6 @@ export class LobbyManager {
         } else {
             console.error('LobbyManager: Could not find gameScreen element');
         }
-        
-        // Notify game engine that game is starting
-        if (this.onGameStart) {
-            this.onGameStart(data);
-        } else {
-            console.error('LobbyManager: No onGameStart callback set');
-        }
     }
     
     updatePlayersList(players) {
@@ -310,6 +370,12 @@ export class LobbyManager {
             playerName.className = 'player-name';
             playerName.textContent = player.name;
             
+            const character = this.characterManager.getCharacterType(player.characterType);
+            const playerCharacter = document.createElement('span');
+            playerCharacter.className = 'player-character';
+            playerCharacter.textContent = character ? character.name : '';
+            playerCharacter.style.color = character ? character.color : '';
+            
             const playerStatus = document.createElement('span');
             playerStatus.className = 'player-status';
             
@@ -325,11 +391,63 @@ export class LobbyManager {
             }
             
             playerItem.appendChild(playerName);
+            playerItem.appendChild(playerCharacter);
             playerItem.appendChild(playerStatus);
             playersList.appendChild(playerItem);
         });
     }
     
+    /**
+     * One button per character; under the unique rule, other players' picks are disabled
+     * The server has the final say and answers a refused pick with characterError
+     */
+    renderCharacterPicker() {
+        const picker = document.getElementById('characterPicker');
+        const myCharacter = this.players.find(player => player.id === this.playerId)?.characterType;
+        const taken = new Set(this.uniqueCharacters ?
+            this.players.filter(player => player.id !== this.playerId).map(player => player.characterType) : []);
+        
+        picker.innerHTML = '';
+        
+        for (const [key, character] of Object.entries(this.characterManager.getAllCharacterTypes())) {
+            const ability = this.characterManager.getCharacterAbility(key);
+            
+            const button = document.createElement('button');
+            button.className = 'menu-btn character-btn';
+            button.textContent = character.name;
+            button.title = `${character.description}${ability ? ` - [R] ${ability.name}` : ''}`;
+            button.style.color = character.color;
+            button.disabled = taken.has(key);
+            
+            if (key === myCharacter) {
+                button.classList.add('selected');
+            }
+            
+            button.addEventListener('click', () => {
+                if (key !== myCharacter) {
+                    this.networkManager.selectCharacter(key);
+                }
+            });
+            
+            picker.appendChild(button);
+        }
+        
+        this.updateCharacterInfo(myCharacter);
+    }
+    
+    /**
+     * Describe the picked character under the picker (touch screens can't show the button tooltips)
+     */
+    updateCharacterInfo(characterType) {
+        const info = document.getElementById('characterInfo');
+        if (!info) return;
+        
+        const character = this.characterManager.getCharacterType(characterType);
+        const ability = this.characterManager.getCharacterAbility(characterType);
+        info.textContent = character ?
+            `${character.description}${ability ? ` - Ability: ${ability.name}` : ''}` : '';
+    }
+    
     validatePlayerName(name) {
         if (!name || name.length < 2) {
             this.showError('Player name must be at least 2 characters long');
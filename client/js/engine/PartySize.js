@@ -0,0 +1,16 @@
+/**
+ * Party size limits and scaling (mirrors server/PartySize.js)
+ */
+export const MIN_PARTY_SIZE = 1;
+export const MAX_PARTY_SIZE = 4;
+export const DEFAULT_PARTY_SIZE = 3;
+
+// Party size the levels were designed around
+export const DESIGN_PARTY_SIZE = 3;
+
+/**
+ * Enemy count for a party, scaled from the count designed for three players
+ */
+export function scaleEnemyCount(count, partySize) {
+    return Math.max(1, Math.round(count * partySize / DESIGN_PARTY_SIZE));
+}
@@ -0,0 +1,229 @@
+import { COLOR_PALETTES } from './ColorPalettes.js';
+import { INPUT_ACTIONS, MAX_KEYS_PER_ACTION, RESERVED_KEYS, getKeyName, getButtonName } from './InputManager.js';
+
+/**
+ * Pause and settings menu (Esc or the Settings button)
+ * Offline it pauses the game; in multiplayer the server keeps the game running.
+ * Inputs in #pauseMenu name the setting they edit with data-setting; the controls
+ * list is built from INPUT_ACTIONS and rebinds keys and gamepad buttons.
+ */
+export class PauseMenu {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.settingsManager = gameEngine.settingsManager;
+        this.inputManager = gameEngine.inputManager;
+        this.isOpen = false;
+
+        // Binding waiting for a key or button: { action, slot } (slot 'pad' for the gamepad)
+        this.rebinding = null;
+
+        this.element = document.getElementById('pauseMenu');
+        this.note = document.getElementById('pauseNote');
+        this.controlsList = document.getElementById('controlsList');
+        this.inputs = this.element ? Array.from(this.element.querySelectorAll('[data-setting]')) : [];
+
+        this.populatePalettes();
+        this.initializeEventListeners();
+        this.refresh();
+
+        this.settingsManager.onChange = () => this.refresh();
+    }
+
+    populatePalettes() {
+        const select = document.getElementById('colorPaletteSetting');
+        if (!select) return;
+
+        for (const [key, palette] of Object.entries(COLOR_PALETTES)) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = palette.name;
+            select.appendChild(option);
+        }
+    }
+
+    initializeEventListeners() {
+        for (const input of this.inputs) {
+            const event = input.type === 'range' ? 'input' : 'change';
+            input.addEventListener(event, () => {
+                const value = input.type === 'checkbox' ? input.checked : input.value;
+                this.settingsManager.set(input.dataset.setting, value);
+            });
+        }
+
+        document.getElementById('resumeBtn')?.addEventListener('click', () => this.close());
+        document.getElementById('resetSettingsBtn')?.addEventListener('click', () => this.settingsManager.reset());
+        document.getElementById('settingsBtn')?.addEventListener('click', () => this.toggle());
+    }
+
+    /**
+     * Show the current settings in the inputs
+     */
+    refresh() {
+        for (const input of this.inputs) {
+            const value = this.settingsManager.get(input.dataset.setting);
+
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+
+            const label = input.parentElement?.querySelector('.setting-value');
+            if (label) {
+                label.textContent = input.dataset.setting === 'uiScale' ? `${value.toFixed(2)}x` : `${Math.round(value * 100)}%`;
+            }
+        }
+
+        this.renderControls();
+    }
+
+    /**
+     * One row per action: its name, a button per key slot and one for the gamepad
+     */
+    renderControls() {
+        if (!this.controlsList) return;
+
+        this.controlsList.innerHTML = '';
+        for (const [action, { label }] of Object.entries(INPUT_ACTIONS)) {
+            const binding = this.inputManager.bindings[action];
+            const row = document.createElement('div');
+            row.className = 'controls-row';
+
+            const name = document.createElement('span');
+            name.textContent = label;
+            row.appendChild(name);
+
+            for (let slot = 0; slot < MAX_KEYS_PER_ACTION; slot++) {
+                const code = binding.keys[slot];
+                row.appendChild(this.createBindingButton(action, slot, code ? getKeyName(code) : '-'));
+            }
+
+            const button = binding.buttons[0];
+            row.appendChild(this.createBindingButton(action, 'pad', button === undefined ? '-' : `🎮 ${getButtonName(button)}`));
+
+            this.controlsList.appendChild(row);
+        }
+    }
+
+    createBindingButton(action, slot, text) {
+        const waiting = this.rebinding?.action === action && this.rebinding.slot === slot;
+
+        const button = document.createElement('button');
+        button.className = waiting ? 'binding-btn waiting' : 'binding-btn';
+        button.textContent = waiting ? 'Press...' : text;
+        button.addEventListener('click', () => this.startRebinding(action, slot));
+        return button;
+    }
+
+    startRebinding(action, slot) {
+        this.rebinding = { action, slot };
+
+        if (slot === 'pad') {
+            this.inputManager.captureButton = (button) => {
+                this.inputManager.bindButton(action, button);
+                this.finishRebinding(true);
+            };
+        } else {
+            this.inputManager.captureButton = null;
+        }
+
+        this.renderControls();
+    }
+
+    /**
+     * Key pressed while a binding waits: Esc cancels (except for the pause action),
+     * Delete or Backspace clears the slot, reserved keys are ignored
+     */
+    handleRebindKey(event) {
+        event.preventDefault();
+        const { action, slot } = this.rebinding;
+
+        if (event.code === 'Escape' && (action !== 'pause' || slot === 'pad')) {
+            this.finishRebinding(false);
+        } else if (event.code === 'Delete' || event.code === 'Backspace') {
+            if (slot === 'pad') {
+                this.inputManager.unbindButton(action);
+            } else {
+                this.inputManager.unbindKey(action, slot);
+            }
+            this.finishRebinding(true);
+        } else if (slot !== 'pad' && !RESERVED_KEYS.includes(event.code)) {
+            this.inputManager.bindKey(action, slot, event.code);
+            this.finishRebinding(true);
+        }
+    }
+
+    finishRebinding(changed) {
+        this.rebinding = null;
+        this.inputManager.captureButton = null;
+
+        if (changed) {
+            this.settingsManager.set('controls', this.inputManager.getCustomBindings());
+        }
+        this.renderControls();
+    }
+
+    open() {
+        if (!this.element || this.isOpen) return;
+
+        this.isOpen = true;
+        this.element.style.display = 'flex';
+        if (this.note) {
+            this.note.style.display = this.gameEngine.isMultiplayer ? 'block' : 'none';
+        }
+
+        // Keys held when the menu opened would otherwise stay down
+        this.inputManager.releaseAll();
+        this.refresh();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        if (this.rebinding) {
+            this.finishRebinding(false);
+        }
+
+        this.isOpen = false;
+        this.element.style.display = 'none';
+        document.activeElement?.blur?.();
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Whether the game should stand still; only offline games can pause
+     */
+    isPausing() {
+        return this.isOpen && !this.gameEngine.isMultiplayer;
+    }
+
+    /**
+     * The pause action opens and closes the menu; while it's open the game gets no keys.
+     * Returns true when the key was handled here
+     */
+    handleKeyDown(event) {
+        if (this.isOpen && this.rebinding) {
+            this.handleRebindKey(event);
+            return true;
+        }
+
+        // Dialogue and the developer panel close on Esc first
+        const canToggle = this.inputManager.matches(event, 'pause') && !event.defaultPrevented &&
+            !this.gameEngine.levelEditor.isActive && this.gameEngine.gameState === 'playing';
+
+        if (canToggle) {
+            event.preventDefault();
+            this.toggle();
+            return true;
+        }
+
+        return this.isOpen;
+    }
+}
@@ -1,3 +1,5 @@
+import { colors } from './ColorPalettes.js';
+
 export class Player {
     constructor(config) {
         // Handle both old (id, x, y, color) and new (config object) constructor patterns
@@ -33,7 +35,11 @@ export class Player {
         this.characterType = 'scout'; // default
         this.strength = 2; // 1-3 (damage per hit)
         this.baseSpeed = 200; // base movement speed
-        this.characterAbilities = {};
+        
+        // Active ability (R), from CharacterManager.CHARACTER_ABILITIES
+        this.ability = null;
+        this.abilityCooldown = 0;
+        this.abilityTime = 0; // Seconds its effect has left
         
         // Movement properties
         this.speed = this.baseSpeed;
@@ -74,8 +80,16 @@ export class Player {
         
         // Network validation
         this.networkManager = null;
-        this.lastNetworkUpdate = 0;
-        this.networkUpdateInterval = 100; // Send updates every 100ms (reduced frequency)
+        
+        // Client-side prediction
+        this.inputRate = 20; // Move inputs sent per second, each numbered by inputSequence
+        this.inputTimer = 0; // Seconds until the next move input may be sent
+        this.lastSentMove = null; // State carried by the last move input
+        this.inputSequence = 0;
+        this.pendingInputs = []; // Move inputs sent but not yet processed by the server
+        this.maxPendingInputs = 120;
+        this.reconcileBase = null; // Last input the server confirmed
+        this.reconciliationThreshold = 1; // Pixels of error tolerated before correcting
     }
     
     // Set network manager for sending validated actions
@@ -83,35 +97,6 @@ export class Player {
         this.networkManager = networkManager;
     }
     
-    // Send movement action to server with validation
-    sendMovementAction() {
-        if (!this.networkManager || !this.networkManager.isConnected) {
-            return;
-        }
-        
-        const now = Date.now();
-        if (now - this.lastNetworkUpdate < this.networkUpdateInterval) {
-            return; // Rate limiting
-        }
-        
-        const action = {
-            type: 'move',
-            x: this.x,
-            y: this.y,
-            direction: this.direction,
-            isMoving: this.isMoving,
-            isDashing: this.isDashing
-        };
-        
-        if (this.networkManager.sendValidatedPlayerAction) {
-            this.networkManager.sendValidatedPlayerAction(action);
-        } else {
-            this.networkManager.sendPlayerAction(action);
-        }
-        
-        this.lastNetworkUpdate = now;
-    }
-    
     // Send attack action to server with validation
     sendAttackAction(targetId = null) {
         if (!this.networkManager || !this.networkManager.isConnected) {
@@ -157,10 +142,10 @@ export class Player {
         }
     }
     
-    update(deltaTime, keys, canvasWidth, canvasHeight) {
+    update(deltaTime, input, canvasWidth, canvasHeight, level = null) {
         this.updateCooldowns(deltaTime);
-        this.handleInput(keys);
-        this.updateMovement(deltaTime);
+        this.handleInput(input);
+        this.updateMovement(deltaTime, level);
         this.checkBoundaries(canvasWidth, canvasHeight);
         this.updateAnimation(deltaTime);
     }
@@ -180,6 +165,14 @@ export class Player {
             }
         }
 
+        // Update ability cooldown and effect
+        if (this.abilityCooldown > 0) {
+            this.abilityCooldown = Math.max(0, this.abilityCooldown - deltaTime);
+        }
+        if (this.abilityTime > 0) {
+            this.abilityTime = Math.max(0, this.abilityTime - deltaTime);
+        }
+
         // Update super attack cooldown
         if (this.superAttackCooldown > 0) {
             this.superAttackCooldown -= deltaTime;
@@ -197,46 +190,31 @@ export class Player {
         }
     }
     
-    handleInput(keys) {
-        this.velocityX = 0;
-        this.velocityY = 0;
-        this.isMoving = false;
-        
-        // Handle dash input (Shift key)
-        if (keys['ShiftLeft'] || keys['ShiftRight']) {
+    /**
+     * Read movement and dash from the InputManager's actions
+     */
+    handleInput(input) {
+        // Handle dash input
+        if (input.isDown('dash')) {
             this.tryDash();
         }
         
         // Calculate effective speed with multiplier
         const effectiveSpeed = this.speed * this.speedMultiplier;
         
-        // WASD movement
-        if (keys['KeyW'] || keys['ArrowUp']) {
-            this.velocityY = -effectiveSpeed;
-            this.direction = 'up';
-            this.isMoving = true;
-        }
-        if (keys['KeyS'] || keys['ArrowDown']) {
-            this.velocityY = effectiveSpeed;
-            this.direction = 'down';
-            this.isMoving = true;
-        }
-        if (keys['KeyA'] || keys['ArrowLeft']) {
-            this.velocityX = -effectiveSpeed;
-            this.direction = 'left';
-            this.isMoving = true;
-        }
-        if (keys['KeyD'] || keys['ArrowRight']) {
-            this.velocityX = effectiveSpeed;
-            this.direction = 'right';
-            this.isMoving = true;
-        }
+        // Keys and d-pad move at full speed (diagonals normalized), the stick by how far it's pushed
+        const movement = input.getMovement();
+        this.velocityX = movement.x * effectiveSpeed;
+        this.velocityY = movement.y * effectiveSpeed;
+        this.isMoving = movement.x !== 0 || movement.y !== 0;
         
-        // Normalize diagonal movement
-        if (this.velocityX !== 0 && this.velocityY !== 0) {
-            const normalizer = Math.sqrt(2) / 2;
-            this.velocityX *= normalizer;
-            this.velocityY *= normalizer;
+        // Face the main direction of travel (sideways on exact diagonals)
+        if (this.isMoving) {
+            if (Math.abs(movement.x) >= Math.abs(movement.y)) {
+                this.direction = movement.x < 0 ? 'left' : 'right';
+            } else {
+                this.direction = movement.y < 0 ? 'up' : 'down';
+            }
         }
     }
     
@@ -246,25 +224,37 @@ export class Player {
         // Start dash
         this.isDashing = true;
         this.dashTime = this.dashDuration;
-        this.dashCooldown = this.dashCooldownMax;
+        this.dashCooldown = this.isAbilityActive('dash_chain') ? this.ability.dashCooldown : this.dashCooldownMax;
         
         // Increase speed dramatically during dash
         this.speed = this.baseSpeed * 4; // 4x speed during dash
         
+        // Let the server track the dash cooldown
+        this.sendDashAction();
+        
         console.log(`Player ${this.id} dashed!`);
         return true;
     }
     
-    updateMovement(deltaTime) {
+    updateMovement(deltaTime, level = null) {
         if (!this.isAlive) return;
         
-        // Update position with pixel-perfect movement
-        this.x += this.velocityX * deltaTime;
-        this.y += this.velocityY * deltaTime;
+        // Walls, closed doors and solid objects block each axis separately so players
+        // slide along them; a player already stuck inside one may walk out
+        const canCollide = level?.isBlocked && !level.isBlocked(this);
+        
+        // Update position with pixel-perfect movement (rounded for crisp rendering)
+        const oldX = this.x;
+        this.x = Math.round(this.x + this.velocityX * deltaTime);
+        if (canCollide && level.isBlocked(this)) {
+            this.x = oldX;
+        }
         
-        // Round to nearest pixel for crisp rendering
-        this.x = Math.round(this.x);
-        this.y = Math.round(this.y);
+        const oldY = this.y;
+        this.y = Math.round(this.y + this.velocityY * deltaTime);
+        if (canCollide && level.isBlocked(this)) {
+            this.y = oldY;
+        }
     }
     
     checkBoundaries(canvasWidth, canvasHeight) {
@@ -420,12 +410,12 @@ export class Player {
         const barY = this.y - 8;
         
         // Background
-        ctx.fillStyle = '#ff0000';
+        ctx.fillStyle = colors.healthBackground;
         ctx.fillRect(barX, barY, barWidth, barHeight);
         
         // Health
         const healthPercent = this.health / this.maxHealth;
-        ctx.fillStyle = '#00ff00';
+        ctx.fillStyle = colors.health;
         ctx.fillRect(barX, barY, barWidth * healthPercent, barHeight);
         
         // Border
@@ -466,6 +456,18 @@ export class Player {
             ctx.restore();
         }
         
+        // Draw a pulsing aura while an ability's effect lasts
+        if (this.abilityTime > 0 && this.isAlive) {
+            ctx.save();
+            ctx.globalAlpha = 0.4 + Math.sin(this.animationTime * 8) * 0.2;
+            ctx.strokeStyle = this.ability.color;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(this.x + this.width / 2, this.y + this.height / 2, this.width * 0.9, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+        }
+        
         // Reset text alignment
         ctx.textAlign = 'left';
     }
@@ -500,6 +502,30 @@ export class Player {
         console.log(`Player ${this.id} has died permanently - no respawn!`);
     }
     
+    /**
+     * Whether this player's ability with the given key is in effect
+     */
+    isAbilityActive(key) {
+        return this.ability?.key === key && this.abilityTime > 0;
+    }
+    
+    /**
+     * Multiplier on the damage this player's attacks deal (Berserker rage)
+     */
+    getDamageMultiplier() {
+        return this.isAbilityActive('rage') ? this.ability.damageMultiplier : 1;
+    }
+    
+    /**
+     * Multiplier on the damage this player takes (Warrior taunt, Berserker rage)
+     */
+    getDamageTakenMultiplier() {
+        if (this.isAbilityActive('taunt') || this.isAbilityActive('rage')) {
+            return this.ability.damageTaken;
+        }
+        return 1;
+    }
+    
     revive() {
         // This method exists but should NOT be used in this game
         // Players who die stay dead permanently
@@ -540,11 +566,39 @@ export class Player {
         this.networkManager = networkManager;
     }
 
+    /**
+     * Send a move input on each tick of the fixed input rate while the predicted state
+     * differs from the last one sent (called every frame for the local player)
+     */
+    updateInputSending(deltaTime) {
+        this.inputTimer -= deltaTime;
+        if (this.inputTimer > 0) return;
+        
+        const last = this.lastSentMove;
+        const changed = !last || last.x !== this.x || last.y !== this.y ||
+            last.isMoving !== this.isMoving || last.isDashing !== this.isDashing;
+        if (!changed) {
+            // Standing still: the next change goes out straight away
+            this.inputTimer = 0;
+            return;
+        }
+        
+        // Carry the remainder over so inputs keep a steady rate at any frame rate
+        this.inputTimer += 1 / this.inputRate;
+        if (this.inputTimer <= 0) {
+            this.inputTimer = 1 / this.inputRate;
+        }
+        this.sendMovementAction();
+    }
+
     sendMovementAction() {
         if (!this.networkManager || !this.isLocal) return;
         
+        this.lastSentMove = { x: this.x, y: this.y, isMoving: this.isMoving, isDashing: this.isDashing };
+        
         const action = {
             type: 'move',
+            sequence: ++this.inputSequence,
             x: this.x,
             y: this.y,
             vx: this.velocityX,
@@ -554,9 +608,50 @@ export class Player {
             timestamp: Date.now()
         };
         
+        // Remember the predicted position until the server processes this input
+        this.pendingInputs.push({ sequence: action.sequence, x: this.x, y: this.y });
+        if (this.pendingInputs.length > this.maxPendingInputs) {
+            this.pendingInputs.shift();
+        }
+        
         this.networkManager.sendPlayerAction(action);
     }
 
+    /**
+     * Reconcile local prediction with the server's authoritative position
+     * for the last input it processed, then replay the inputs still in flight
+     */
+    reconcile(serverX, serverY, lastProcessedInput) {
+        const processed = this.pendingInputs.find(input => input.sequence === lastProcessedInput);
+        if (processed) {
+            this.reconcileBase = processed;
+        }
+        this.pendingInputs = this.pendingInputs.filter(input => input.sequence > lastProcessedInput);
+        
+        const base = this.reconcileBase;
+        if (!base || base.sequence !== lastProcessedInput) return;
+        
+        // Error between what we predicted for that input and where the server put us
+        const errorX = serverX - base.x;
+        const errorY = serverY - base.y;
+        if (Math.abs(errorX) <= this.reconciliationThreshold && Math.abs(errorY) <= this.reconciliationThreshold) {
+            return;
+        }
+        
+        // Replaying the unacknowledged inputs' movement from the server position
+        // shifts every later prediction (and the current position) by the same error
+        base.x = serverX;
+        base.y = serverY;
+        for (const input of this.pendingInputs) {
+            input.x += errorX;
+            input.y += errorY;
+        }
+        this.x = Math.round(this.x + errorX);
+        this.y = Math.round(this.y + errorY);
+        
+        console.log(`Reconciled ${this.name} by (${errorX.toFixed(1)}, ${errorY.toFixed(1)}) at input ${lastProcessedInput}`);
+    }
+
     sendAttackAction(targetId = null) {
         if (!this.networkManager || !this.isLocal) return;
         
@@ -586,6 +681,35 @@ export class Player {
         this.networkManager.sendPlayerAction(action);
     }
 
+    sendAbilityAction() {
+        if (!this.networkManager || !this.isLocal) return;
+        
+        const action = {
+            type: 'ability',
+            ability: this.ability.key,
+            x: this.x,
+            y: this.y,
+            direction: this.direction
+        };
+        
+        this.networkManager.sendPlayerAction(action);
+    }
+
+    /**
+     * Tell the server about a power-up pickup so it can apply the effect too
+     */
+    sendPowerUpAction(effect) {
+        if (!this.networkManager || !this.isLocal) return;
+        
+        this.networkManager.sendPlayerAction({ type: 'powerUp', effect });
+    }
+
+    sendSuperAttackAction() {
+        if (!this.networkManager || !this.isLocal) return;
+        
+        this.networkManager.sendPlayerAction({ type: 'superAttack', x: this.x, y: this.y });
+    }
+
     /**
      * Check if player has a specific item
      */
@@ -115,9 +115,16 @@ export class PowerUpManager {
         const powerUpTypeKeys = Object.keys(this.powerUpTypes);
         const randomType = powerUpTypeKeys[Math.floor(Math.random() * powerUpTypeKeys.length)];
         
-        // Random position on the map
-        const x = Math.random() * (1920 - 100) + 50;
-        const y = Math.random() * (1080 - 100) + 50;
+        // Random open spot in the level, clear of walls and solid objects
+        const level = this.gameEngine.getCurrentLevel?.();
+        const bounds = level?.bounds || { width: 1920, height: 1080 };
+        let x;
+        let y;
+        for (let attempts = 0; attempts < 20; attempts++) {
+            x = Math.random() * (bounds.width - 100) + 50;
+            y = Math.random() * (bounds.height - 100) + 50;
+            if (!level?.isBlocked?.({ x, y, width: 32, height: 32 })) break;
+        }
         
         this.spawnPowerUp(randomType, x, y);
     }
@@ -175,8 +182,9 @@ export class PowerUpManager {
     collectPowerUp(player, powerUp) {
         powerUp.collected = true;
         
-        // Add to player's inventory or apply effect
+        // Add to player's inventory or apply effect; in multiplayer the server applies it too
         this.applyPowerUpEffect(player, powerUp);
+        player.sendPowerUpAction?.(powerUp.effect);
         
         // Remove from map after short delay
         setTimeout(() => {
@@ -303,7 +311,8 @@ export class PowerUpManager {
      * Apply time slow effect to all enemies
      */
     applyTimeSlowToEnemies(slow) {
-        if (this.gameEngine.enemyManager) {
+        // Server-owned enemies are slowed on the server
+        if (this.gameEngine.enemyManager && !this.gameEngine.enemyManager.serverAuthoritative) {
             const enemies = this.gameEngine.enemyManager.getAllEnemies();
             enemies.forEach(enemy => {
                 if (slow) {
@@ -345,8 +354,9 @@ export class PowerUpManager {
             return false;
         }
 
-        // Execute super attack
+        // Execute super attack; the server deals the damage in multiplayer
         this.executeSuperAttack(player);
+        player.sendSuperAttackAction?.();
         
         // Set cooldown
         player.superAttackCooldown = this.powerUpTypes.super_attack.cooldown;
@@ -363,8 +373,8 @@ export class PowerUpManager {
         const attackRadius = 150;
         const damage = 100; // Massive damage
         
-        // Damage all enemies in range
-        if (this.gameEngine.enemyManager) {
+        // Damage all enemies in range (server-owned enemies take it on the server)
+        if (this.gameEngine.enemyManager && !this.gameEngine.enemyManager.serverAuthoritative) {
             const enemies = this.gameEngine.enemyManager.getAllEnemies();
             enemies.forEach(enemy => {
                 const distance = Math.sqrt(
@@ -385,7 +385,7 @@ export class Puzzle {
 
 /**
  * Dual Switch Puzzle for Level 3
- * Requires two players to simultaneously hold switches
+ * Requires every switch (two or more) to be held simultaneously
  */
 export class DualSwitchPuzzle extends Puzzle {
     constructor(config) {
@@ -404,18 +404,18 @@ export class DualSwitchPuzzle extends Puzzle {
     }
     
     updatePuzzle(deltaTime, players, gameEngine) {
-        // Check if both switches are being held
+        // Check if every switch is being held
         const activeElements = this.elements.filter(element => element.state === 'held');
         
-        if (activeElements.length >= 2) {
-            // Both switches held - increment timer
+        if (activeElements.length >= this.elements.length) {
+            // All switches held - increment timer
             this.currentHoldTime += deltaTime;
             
             if (this.currentHoldTime >= this.requiredHoldTime && !this.isCompleted) {
                 this.complete();
             }
         } else {
-            // Not both switches held - reset timer
+            // Not all switches held - reset timer
             this.currentHoldTime = 0;
         }
     }
@@ -426,19 +426,23 @@ export class DualSwitchPuzzle extends Puzzle {
     }
     
     renderPuzzle(ctx, spriteRenderer) {
-        // Render connection between switches
+        // Render connections between switches
         if (this.elements.length >= 2) {
-            const switch1 = this.elements[0];
-            const switch2 = this.elements[1];
-            
-            // Draw connection line
+            // Draw connection line through every switch
             ctx.strokeStyle = this.isSolved ? '#00ff00' : '#666666';
             ctx.lineWidth = 4;
             ctx.setLineDash([10, 10]);
             
             ctx.beginPath();
-            ctx.moveTo(switch1.x + switch1.width / 2, switch1.y + switch1.height / 2);
-            ctx.lineTo(switch2.x + switch2.width / 2, switch2.y + switch2.height / 2);
+            this.elements.forEach((element, index) => {
+                const x = element.x + element.width / 2;
+                const y = element.y + element.height / 2;
+                if (index === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
             ctx.stroke();
             
             ctx.setLineDash([]); // Reset line dash
@@ -469,7 +473,8 @@ export class DualSwitchPuzzle extends Puzzle {
             ctx.fillStyle = '#ffffff';
             ctx.font = '14px monospace';
             ctx.textAlign = 'center';
-            ctx.fillText(`Hold both switches: ${Math.ceil(this.requiredHoldTime - this.currentHoldTime)}s`, 
+            const which = this.elements.length === 2 ? 'both switches' : `all ${this.elements.length} switches`;
+            ctx.fillText(`Hold ${which}: ${Math.ceil(this.requiredHoldTime - this.currentHoldTime)}s`, 
                         ctx.canvas.width / 2, barY - 10);
             
             ctx.textAlign = 'left';
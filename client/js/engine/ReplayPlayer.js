@@ -0,0 +1,374 @@
+import { applyStateDelta } from '../network/StateDelta.js';
+
+// Replay files this player understands (see server/ReplayRecorder.js)
+const SUPPORTED_REPLAY_VERSION = 1;
+
+/**
+ * Plays back a server-recorded replay through the same GameEngine handlers
+ * that process live network traffic, with pause, seek and speed controls.
+ * Seeking rebuilds the room from the nearest keyframe at or before the target time.
+ */
+export class ReplayPlayer {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.canvas = gameEngine.canvas;
+
+        // Playback state
+        this.isActive = false;
+        this.replay = null;
+        this.events = [];
+        this.nextEventIndex = 0;
+        this.currentTime = 0; // ms since the recording started
+        this.duration = 0;
+        this.isPaused = false;
+
+        // Speed controls
+        this.speeds = [0.25, 0.5, 1, 2, 4];
+        this.speed = 1;
+        this.seekStep = 5000; // ms skipped by the arrow keys
+
+        // Room state rebuilt from snapshots and deltas
+        this.state = null;
+
+        // Deaths, sacrifices and level changes to jump between
+        this.markers = []; // { time, type, label }
+
+        // Timeline bar (canvas coordinates)
+        this.timeline = { x: 40, y: this.canvas.height - 34, width: this.canvas.width - 80, height: 10 };
+
+        this.handleCanvasClick = this.handleCanvasClick.bind(this);
+        this.canvas.addEventListener('click', this.handleCanvasClick);
+    }
+
+    /**
+     * Load a replay and show its first frame
+     */
+    load(replay) {
+        if (!replay || !Array.isArray(replay.events)) {
+            throw new Error('Not a replay file');
+        }
+        if (replay.version !== SUPPORTED_REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version ${replay.version}`);
+        }
+
+        this.replay = replay;
+
+        // Stable sort keeps same-time events in recorded order
+        this.events = replay.events
+            .map((event, index) => ({ ...event, index }))
+            .sort((a, b) => a.time - b.time || a.index - b.index);
+        this.duration = this.events.length > 0 ? this.events[this.events.length - 1].time : 0;
+        this.markers = this.buildMarkers();
+
+        this.isActive = true;
+        this.isPaused = false;
+        this.speed = 1;
+        this.seek(0);
+
+        console.log(`Loaded replay ${replay.id}: ${this.events.length} events, ${this.formatTime(this.duration)}`);
+    }
+
+    buildMarkers() {
+        const markers = [];
+
+        for (const event of this.events) {
+            if (event.type === 'progress' && event.data.type === 'sacrifice') {
+                markers.push({ time: event.time, type: 'sacrifice', label: `${event.data.playerName} sacrificed` });
+            } else if (event.type === 'combatEvent' && event.data.type === 'playerDied') {
+                markers.push({ time: event.time, type: 'death', label: `${event.data.playerName} died` });
+            } else if (event.type === 'levelChange') {
+                markers.push({ time: event.time, type: 'level', label: `Level ${event.data.levelNumber}` });
+            }
+        }
+
+        return markers;
+    }
+
+    /**
+     * Advance playback and dispatch every event that is now due
+     */
+    update(deltaTime) {
+        if (!this.isActive || this.isPaused) return;
+
+        this.currentTime = Math.min(this.duration, this.currentTime + deltaTime * 1000 * this.speed);
+
+        while (this.nextEventIndex < this.events.length && this.events[this.nextEventIndex].time <= this.currentTime) {
+            this.dispatch(this.events[this.nextEventIndex]);
+            this.nextEventIndex++;
+        }
+
+        if (this.currentTime >= this.duration) {
+            this.isPaused = true;
+        }
+    }
+
+    /**
+     * Feed one recorded event to the engine as if it just arrived from the server
+     */
+    dispatch(event) {
+        const engine = this.gameEngine;
+
+        switch (event.type) {
+            case 'snapshot':
+                this.state = event.data;
+                engine.handleGameStateUpdate(this.stampState(this.state));
+                break;
+
+            case 'delta':
+                if (!this.state) return;
+                this.state = applyStateDelta(this.state, event.data);
+                engine.handleGameStateUpdate(this.stampState(this.state));
+                break;
+
+            case 'playerAction':
+                // Stamped with the local clock so interpolation works at any playback speed
+                engine.handlePlayerAction({ ...event.data, timestamp: Date.now() });
+                break;
+
+            case 'levelChange':
+                engine.followRoomLevel(event.data.levelNumber);
+                break;
+
+            case 'combatEvent':
+                engine.handleCombatEvent(event.data);
+                break;
+
+            case 'progress':
+                if (event.data.type === 'sacrifice') {
+                    engine.hudManager.showNotification(`${event.data.playerName} was sacrificed`, 3000, '#ff4444');
+                }
+                break;
+        }
+    }
+
+    stampState(state) {
+        return { ...state, timestamp: Date.now() };
+    }
+
+    /**
+     * Jump to a time, rebuilding the room from the closest keyframe before it
+     */
+    seek(time) {
+        if (!this.isActive) return;
+
+        const target = Math.max(0, Math.min(time, this.duration));
+
+        let keyframeIndex = -1;
+        for (let i = 0; i < this.events.length && this.events[i].time <= target; i++) {
+            if (this.events[i].type === 'snapshot') {
+                keyframeIndex = i;
+            }
+        }
+        if (keyframeIndex === -1) {
+            keyframeIndex = this.events.findIndex(event => event.type === 'snapshot');
+        }
+
+        // Replay state deltas silently up to the target; other events are already reflected in the state
+        let state = keyframeIndex !== -1 ? this.events[keyframeIndex].data : null;
+        let index = keyframeIndex + 1;
+        for (; index < this.events.length && this.events[index].time <= target; index++) {
+            const event = this.events[index];
+            if (event.type === 'delta' && state) {
+                state = applyStateDelta(state, event.data);
+            }
+        }
+
+        this.state = state;
+        this.currentTime = target;
+        this.nextEventIndex = keyframeIndex === -1 ? 0 : Math.max(index, keyframeIndex + 1);
+
+        this.resetScene();
+        if (state) {
+            this.gameEngine.followRoomLevel(state.currentLevel);
+            this.gameEngine.handleGameStateUpdate(this.stampState(state));
+            this.applySeekHealth(state);
+        }
+    }
+
+    /**
+     * Forget everything on screen so a seek starts from a clean room
+     */
+    resetScene() {
+        const engine = this.gameEngine;
+
+        // Players can't be revived, so seeking back past a death needs fresh players
+        engine.players.clear();
+        engine.playerInterpolator.clear();
+        engine.enemyManager.clearAllEnemies();
+        engine.enemyInterpolator.clear();
+        engine.deathManager.reset();
+    }
+
+    /**
+     * Newly created players start at full health; set it from the keyframe without death effects
+     */
+    applySeekHealth(state) {
+        for (const serverPlayer of state.players || []) {
+            const player = this.gameEngine.getPlayer(serverPlayer.id);
+            if (!player) continue;
+
+            player.health = serverPlayer.health;
+            player.maxHealth = serverPlayer.maxHealth;
+            if (!serverPlayer.isAlive) {
+                player.isAlive = false;
+            }
+        }
+    }
+
+    togglePause() {
+        // Play from the start again once the end is reached
+        if (this.isPaused && this.currentTime >= this.duration) {
+            this.seek(0);
+        }
+        this.isPaused = !this.isPaused;
+    }
+
+    /**
+     * Step through the speed list (1 faster, -1 slower)
+     */
+    changeSpeed(direction) {
+        const index = this.speeds.indexOf(this.speed);
+        const nextIndex = Math.max(0, Math.min(this.speeds.length - 1, index + direction));
+        this.speed = this.speeds[nextIndex];
+    }
+
+    /**
+     * Jump to the next (1) or previous (-1) death, sacrifice or level change
+     */
+    jumpToMarker(direction) {
+        // Land slightly before the moment so it plays out on screen
+        const lead = 2000;
+        const markers = direction > 0
+            ? this.markers.filter(marker => marker.time - lead > this.currentTime + 1)
+            : this.markers.filter(marker => marker.time - lead < this.currentTime - 1).reverse();
+
+        if (markers.length > 0) {
+            this.seek(markers[0].time - lead);
+        }
+    }
+
+    /**
+     * Playback controls; returns true when the key was handled
+     */
+    handleKeyDown(event) {
+        if (!this.isActive) return false;
+
+        switch (event.code) {
+            case 'Space':
+            case 'KeyK':
+                event.preventDefault();
+                this.togglePause();
+                return true;
+
+            case 'ArrowLeft':
+                event.preventDefault();
+                this.seek(this.currentTime - this.seekStep);
+                return true;
+
+            case 'ArrowRight':
+                event.preventDefault();
+                this.seek(this.currentTime + this.seekStep);
+                return true;
+
+            case 'Comma':
+                this.changeSpeed(-1);
+                return true;
+
+            case 'Period':
+                this.changeSpeed(1);
+                return true;
+
+            case 'Home':
+                event.preventDefault();
+                this.seek(0);
+                return true;
+
+            case 'KeyN':
+                this.jumpToMarker(1);
+                return true;
+
+            case 'KeyB':
+                this.jumpToMarker(-1);
+                return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Clicking the timeline seeks to that point
+     */
+    handleCanvasClick(event) {
+        if (!this.isActive) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (event.clientX - rect.left) * (this.canvas.width / rect.width);
+        const y = (event.clientY - rect.top) * (this.canvas.height / rect.height);
+
+        const bar = this.timeline;
+        if (x >= bar.x && x <= bar.x + bar.width && y >= bar.y - 10 && y <= bar.y + bar.height + 10) {
+            this.seek(((x - bar.x) / bar.width) * this.duration);
+        }
+    }
+
+    formatTime(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    }
+
+    /**
+     * Timeline with markers, playback time, speed and controls
+     */
+    renderHUD(ctx) {
+        if (!this.isActive) return;
+
+        const bar = this.timeline;
+        const progress = this.duration > 0 ? this.currentTime / this.duration : 0;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(0, bar.y - 46, this.canvas.width, this.canvas.height - bar.y + 46);
+
+        // Timeline and progress
+        ctx.fillStyle = '#333333';
+        ctx.fillRect(bar.x, bar.y, bar.width, bar.height);
+        ctx.fillStyle = '#aaaaff';
+        ctx.fillRect(bar.x, bar.y, bar.width * progress, bar.height);
+
+        // Markers
+        const markerColors = { sacrifice: '#ff4444', death: '#888888', level: '#44aaff' };
+        for (const marker of this.markers) {
+            const x = bar.x + (this.duration > 0 ? (marker.time / this.duration) * bar.width : 0);
+            ctx.fillStyle = markerColors[marker.type];
+            ctx.fillRect(Math.round(x) - 1, bar.y - 4, 3, bar.height + 8);
+        }
+
+        // Status line
+        const status = this.isPaused ? '❚❚' : '▶';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '16px monospace';
+        ctx.fillText(
+            `${status} REPLAY ${this.replay.roomCode}  ${this.formatTime(this.currentTime)} / ${this.formatTime(this.duration)}  ${this.speed}x`,
+            bar.x, bar.y - 16
+        );
+
+        // Most recent marker we've passed
+        const passed = this.markers.filter(marker => marker.time <= this.currentTime);
+        if (passed.length > 0) {
+            ctx.textAlign = 'center';
+            ctx.fillStyle = markerColors[passed[passed.length - 1].type];
+            ctx.fillText(passed[passed.length - 1].label, this.canvas.width / 2, bar.y - 16);
+        }
+
+        ctx.textAlign = 'right';
+        ctx.fillStyle = '#cccccc';
+        ctx.font = '12px monospace';
+        ctx.fillText('Space pause  •  ←/→ seek  •  ,/. speed  •  B/N prev/next event  •  Click timeline to seek', bar.x + bar.width, bar.y - 16);
+    }
+
+    destroy() {
+        this.canvas.removeEventListener('click', this.handleCanvasClick);
+    }
+}
@@ -0,0 +1,228 @@
+import { COLOR_PALETTES, setColorPalette } from './ColorPalettes.js';
+import { INPUT_ACTIONS, MAX_KEYS_PER_ACTION, GAMEPAD_BUTTON_COUNT } from './InputManager.js';
+
+const STORAGE_KEY = 'gameSettings';
+
+export const DEFAULT_SETTINGS = {
+    masterVolume: 0.7,
+    musicVolume: 0.5,
+    sfxVolume: 0.8,
+    muted: false,
+    uiScale: 1,
+    screenShake: 1,
+    colorPalette: 'default',
+    fullscreen: false,
+    controls: {} // Key and gamepad bindings changed from the defaults, by action
+};
+
+// Allowed range of each numeric setting
+const SETTING_RANGES = {
+    masterVolume: { min: 0, max: 1 },
+    musicVolume: { min: 0, max: 1 },
+    sfxVolume: { min: 0, max: 1 },
+    uiScale: { min: 0.75, max: 1.5 },
+    screenShake: { min: 0, max: 1 }
+};
+
+/**
+ * Player settings (audio, UI scale, screen shake, color palette, fullscreen, controls)
+ * Kept in localStorage between sessions and applied to the engine's systems as they change
+ */
+export class SettingsManager {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.settings = this.load();
+
+        // Called with (key, value) after a setting changes, e.g. to refresh the pause menu
+        this.onChange = null;
+
+        // Remember fullscreen however it was toggled (F, the button, the browser)
+        this.handleFullscreenChange = this.handleFullscreenChange.bind(this);
+        document.addEventListener('fullscreenchange', this.handleFullscreenChange);
+
+        this.applyAll();
+    }
+
+    /**
+     * Saved settings over the defaults; anything missing or invalid falls back to its default
+     */
+    load() {
+        const settings = { ...DEFAULT_SETTINGS };
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            for (const key of Object.keys(DEFAULT_SETTINGS)) {
+                const value = this.sanitize(key, saved[key]);
+                if (value !== undefined) settings[key] = value;
+            }
+        } catch (error) {
+            console.warn('Failed to load settings, using defaults:', error);
+        }
+
+        return settings;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('Failed to save settings:', error);
+        }
+    }
+
+    /**
+     * A valid value for the setting, or undefined
+     */
+    sanitize(key, value) {
+        const range = SETTING_RANGES[key];
+        if (range) {
+            const number = Number(value);
+            if (value === null || value === '' || !Number.isFinite(number)) return undefined;
+            return Math.max(range.min, Math.min(range.max, number));
+        }
+
+        if (key === 'colorPalette') {
+            return COLOR_PALETTES[value] ? value : undefined;
+        }
+
+        if (key === 'controls') {
+            return sanitizeControls(value);
+        }
+
+        return typeof value === 'boolean' ? value : undefined;
+    }
+
+    get(key) {
+        return this.settings[key];
+    }
+
+    set(key, value) {
+        if (!(key in DEFAULT_SETTINGS)) return;
+
+        value = this.sanitize(key, value);
+        if (value === undefined || value === this.settings[key]) return;
+
+        this.settings[key] = value;
+        this.save();
+        this.apply(key);
+        this.onChange?.(key, value);
+    }
+
+    reset() {
+        for (const key of Object.keys(DEFAULT_SETTINGS)) {
+            this.set(key, DEFAULT_SETTINGS[key]);
+        }
+    }
+
+    /**
+     * Apply everything at startup; browsers only allow fullscreen from a user action,
+     * so a saved fullscreen setting waits for the first click or key press
+     */
+    applyAll() {
+        for (const key of Object.keys(DEFAULT_SETTINGS)) {
+            if (key !== 'fullscreen') this.apply(key);
+        }
+
+        if (this.settings.fullscreen) {
+            this.waitForUserAction();
+        }
+    }
+
+    /**
+     * Push one setting to the system it controls
+     */
+    apply(key) {
+        const value = this.settings[key];
+        const { audioManager, hudManager, visualEffectsManager } = this.gameEngine;
+
+        switch (key) {
+            case 'masterVolume':
+                audioManager.setMasterVolume(value);
+                break;
+            case 'musicVolume':
+                audioManager.setMusicVolume(value);
+                break;
+            case 'sfxVolume':
+                audioManager.setSFXVolume(value);
+                break;
+            case 'muted':
+                audioManager.setMuted(value);
+                break;
+            case 'uiScale':
+                hudManager.baseUIScale = value;
+                break;
+            case 'screenShake':
+                visualEffectsManager.shakeScale = value;
+                break;
+            case 'colorPalette':
+                setColorPalette(value);
+                break;
+            case 'fullscreen':
+                this.applyFullscreen();
+                break;
+            case 'controls':
+                this.gameEngine.inputManager.setCustomBindings(value);
+                break;
+        }
+    }
+
+    applyFullscreen() {
+        if (this.settings.fullscreen !== !!document.fullscreenElement) {
+            this.gameEngine.handleFullscreen();
+        }
+    }
+
+    waitForUserAction() {
+        if (this.pendingFullscreen) return;
+
+        this.pendingFullscreen = () => {
+            document.removeEventListener('pointerdown', this.pendingFullscreen);
+            document.removeEventListener('keydown', this.pendingFullscreen);
+            this.pendingFullscreen = null;
+
+            if (this.settings.fullscreen && !document.fullscreenElement) {
+                this.gameEngine.handleFullscreen();
+            }
+        };
+
+        document.addEventListener('pointerdown', this.pendingFullscreen);
+        document.addEventListener('keydown', this.pendingFullscreen);
+    }
+
+    handleFullscreenChange() {
+        const fullscreen = !!document.fullscreenElement;
+        if (fullscreen === this.settings.fullscreen) return;
+
+        this.settings.fullscreen = fullscreen;
+        this.save();
+        this.onChange?.('fullscreen', fullscreen);
+    }
+
+    destroy() {
+        document.removeEventListener('fullscreenchange', this.handleFullscreenChange);
+        if (this.pendingFullscreen) {
+            document.removeEventListener('pointerdown', this.pendingFullscreen);
+            document.removeEventListener('keydown', this.pendingFullscreen);
+        }
+    }
+}
+
+/**
+ * Keep only known actions with string key codes and valid button indices
+ */
+function sanitizeControls(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+
+    const controls = {};
+    for (const [action, binding] of Object.entries(value)) {
+        if (!INPUT_ACTIONS[action] || !binding) continue;
+
+        const keys = Array.isArray(binding.keys) ? binding.keys : [];
+        const buttons = Array.isArray(binding.buttons) ? binding.buttons : [];
+        controls[action] = {
+            keys: [...new Set(keys.filter(code => typeof code === 'string' && code))].slice(0, MAX_KEYS_PER_ACTION),
+            buttons: buttons.filter(button => Number.isInteger(button) && button >= 0 && button < GAMEPAD_BUTTON_COUNT).slice(0, 1)
+        };
+    }
+    return controls;
+}
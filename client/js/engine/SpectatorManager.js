@@ -0,0 +1,281 @@
+/**
+ * Spectator mode for dead/sacrificed players and read-only outside viewers
+ * Points the game camera at a living teammate, zoomed in, and lets spectators
+ * send pings and reactions to the players still in the game.
+ */
+export class SpectatorManager {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.canvas = gameEngine.canvas;
+
+        // Spectator state
+        this.isSpectating = false;
+        this.isViewer = false; // Outside viewer who never had a player
+        this.targetId = null;
+
+        // Zoom of the game camera while following a teammate
+        this.zoom = 1.5;
+
+        // Pings and reactions currently on screen
+        this.pings = []; // { x, y, from, timeLeft }
+        this.reactions = []; // { playerId, x, y, reaction, from, timeLeft }
+        this.pingDuration = 3.0;
+        this.reactionDuration = 2.5;
+
+        // Must match SPECTATOR_REACTIONS on the server
+        this.reactionKeys = {
+            KeyZ: '👍',
+            KeyX: '👎',
+            KeyC: '❗',
+            KeyV: '❓'
+        };
+
+        // Client-side rate limit (the server enforces its own)
+        this.signalCooldown = 0.5;
+        this.signalTimer = 0;
+
+        this.handleCanvasClick = this.handleCanvasClick.bind(this);
+        this.canvas.addEventListener('click', this.handleCanvasClick);
+    }
+
+    /**
+     * Enter read-only viewer mode (no local player)
+     */
+    startViewing() {
+        this.isViewer = true;
+        this.isSpectating = true;
+        this.targetId = null;
+        console.log('Watching as an outside viewer');
+    }
+
+    /**
+     * Enter spectator mode after the local player dies
+     */
+    startSpectating() {
+        this.isSpectating = true;
+        this.targetId = null;
+        this.cycleTarget(1);
+
+        // Start the camera on the followed teammate instead of sweeping across the map
+        this.gameEngine.camera.snapToFocus();
+
+        this.gameEngine.hudManager.showNotification('You are now spectating', 3000, '#aaaaff');
+        console.log('Local player is dead - spectating', this.targetId);
+    }
+
+    update(deltaTime) {
+        const localPlayer = this.gameEngine.getLocalPlayer();
+        if (!this.isSpectating && this.gameEngine.isMultiplayer && localPlayer && !localPlayer.isAlive) {
+            this.startSpectating();
+        }
+
+        if (this.signalTimer > 0) {
+            this.signalTimer -= deltaTime;
+        }
+
+        if (this.isSpectating) {
+            // Move on when the followed teammate dies or leaves
+            const target = this.getTarget();
+            if (!target || !target.isAlive) {
+                this.cycleTarget(1);
+            }
+        }
+
+        this.pings = this.pings.filter(ping => (ping.timeLeft -= deltaTime) > 0);
+        this.reactions = this.reactions.filter(reaction => (reaction.timeLeft -= deltaTime) > 0);
+    }
+
+    getTarget() {
+        return this.targetId ? this.gameEngine.getPlayer(this.targetId) : null;
+    }
+
+    getLivingTeammates() {
+        return Array.from(this.gameEngine.players.values())
+            .filter(player => player.isAlive && player.id !== this.gameEngine.localPlayerId);
+    }
+
+    /**
+     * Follow the next (1) or previous (-1) living teammate
+     */
+    cycleTarget(direction) {
+        const teammates = this.getLivingTeammates();
+        if (teammates.length === 0) {
+            this.targetId = null;
+            return;
+        }
+
+        const currentIndex = teammates.findIndex(player => player.id === this.targetId);
+        const nextIndex = currentIndex === -1
+            ? 0
+            : (currentIndex + direction + teammates.length) % teammates.length;
+
+        this.targetId = teammates[nextIndex].id;
+    }
+
+    getZoom() {
+        // Show the whole map when there's nobody left to follow
+        return this.getTarget() ? this.zoom : this.gameEngine.camera.getFitZoom();
+    }
+
+    /**
+     * Spectator controls; returns true when the key was handled
+     */
+    handleKeyDown(event) {
+        if (!this.isSpectating) return false;
+
+        switch (event.code) {
+            case 'Tab':
+            case 'ArrowRight':
+                event.preventDefault();
+                this.cycleTarget(1);
+                return true;
+
+            case 'ArrowLeft':
+                event.preventDefault();
+                this.cycleTarget(-1);
+                return true;
+
+            case 'KeyG': {
+                // Ping the followed teammate's position
+                const target = this.getTarget();
+                if (target) {
+                    this.sendSignal({ type: 'ping', x: target.x + target.width / 2, y: target.y + target.height / 2 });
+                }
+                return true;
+            }
+        }
+
+        const reaction = this.reactionKeys[event.code];
+        if (reaction) {
+            this.sendSignal({ type: 'reaction', reaction, targetId: this.targetId });
+            return true;
+        }
+
+        return false;
+    }
+
+    handleCanvasClick(event) {
+        if (!this.isSpectating) return;
+
+        const position = this.gameEngine.camera.screenToWorld(event.clientX, event.clientY);
+        this.sendSignal({ type: 'ping', x: Math.round(position.x), y: Math.round(position.y) });
+    }
+
+    /**
+     * Send a ping or reaction to the room and show it locally
+     */
+    sendSignal(signal) {
+        if (this.signalTimer > 0) return;
+        this.signalTimer = this.signalCooldown;
+
+        this.gameEngine.networkManager.sendSpectatorSignal(signal);
+        this.addSignal({ ...signal, from: 'You' });
+    }
+
+    /**
+     * Show a ping or reaction (local or from another spectator)
+     */
+    addSignal(signal) {
+        if (signal.type === 'ping') {
+            this.pings.push({
+                x: signal.x,
+                y: signal.y,
+                from: signal.from,
+                timeLeft: this.pingDuration
+            });
+            this.gameEngine.audioManager.playSFX('button_press', 0.4);
+        } else if (signal.type === 'reaction') {
+            this.reactions.push({
+                playerId: signal.targetId || null,
+                reaction: signal.reaction,
+                from: signal.from,
+                timeLeft: this.reactionDuration
+            });
+        }
+    }
+
+    /**
+     * Pings, reactions and the target marker, drawn in world space
+     */
+    renderWorldOverlay(ctx) {
+        const target = this.isSpectating ? this.getTarget() : null;
+        if (target) {
+            // Marker around the followed teammate
+            ctx.strokeStyle = '#aaaaff';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([4, 4]);
+            ctx.strokeRect(target.x - 4, target.y - 4, target.width + 8, target.height + 8);
+            ctx.setLineDash([]);
+        }
+
+        for (const ping of this.pings) {
+            const progress = 1 - ping.timeLeft / this.pingDuration;
+            const radius = 10 + progress * 30;
+
+            ctx.strokeStyle = `rgba(255, 255, 0, ${1 - progress})`;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(ping.x, ping.y, radius, 0, Math.PI * 2);
+            ctx.stroke();
+
+            ctx.fillStyle = '#ffff00';
+            ctx.font = '12px monospace';
+            ctx.textAlign = 'center';
+            ctx.fillText(ping.from, ping.x, ping.y - radius - 4);
+        }
+
+        for (const reaction of this.reactions) {
+            // Reactions float above the teammate they were aimed at, or the top of the view
+            const player = reaction.playerId ? this.gameEngine.getPlayer(reaction.playerId) : null;
+            const rise = (1 - reaction.timeLeft / this.reactionDuration) * 20;
+            const view = this.gameEngine.camera.getViewport();
+            const x = player ? player.x + player.width / 2 : view.x + 60;
+            const y = player ? player.y - 20 - rise : view.y + 80 - rise;
+
+            ctx.globalAlpha = Math.min(1, reaction.timeLeft);
+            ctx.font = '24px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(reaction.reaction, x, y);
+            ctx.font = '10px monospace';
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(reaction.from, x, y + 12);
+            ctx.globalAlpha = 1;
+        }
+    }
+
+    /**
+     * Spectator banner with the followed teammate's status and controls
+     */
+    renderHUD(ctx) {
+        if (!this.isSpectating) return;
+
+        const target = this.getTarget();
+        const centerX = this.canvas.width / 2;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(centerX - 220, 10, 440, 70);
+
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#aaaaff';
+        ctx.font = '20px monospace';
+        const title = this.isViewer ? 'WATCHING' : 'SPECTATING';
+        ctx.fillText(target ? `${title}: ${target.name}` : `${title} - no survivors`, centerX, 36);
+
+        if (target) {
+            // Followed teammate's health
+            const healthRatio = Math.max(0, target.health / target.maxHealth);
+            ctx.fillStyle = '#333333';
+            ctx.fillRect(centerX - 100, 44, 200, 8);
+            ctx.fillStyle = healthRatio > 0.25 ? '#00ff00' : '#ff0000';
+            ctx.fillRect(centerX - 100, 44, 200 * healthRatio, 8);
+        }
+
+        ctx.fillStyle = '#cccccc';
+        ctx.font = '12px monospace';
+        ctx.fillText('←/→/Tab switch  •  Click/G ping  •  Z/X/C/V react', centerX, 72);
+    }
+
+    destroy() {
+        this.canvas.removeEventListener('click', this.handleCanvasClick);
+    }
+}
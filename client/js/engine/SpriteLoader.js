@@ -117,6 +117,18 @@ export class SpriteLoader {
         // Normal zombie - medium, darker green
         this.createZombieSprites('zombie_normal', 32, 32, '#66aa66', '#338833');
 
+        // Fast zombie - lean, yellow-green, motion streaks
+        this.createZombieSprites('zombie_fast', 26, 26, '#99bb44', '#556622', 'runner');
+
+        // Spitter - swollen throat sac
+        this.createZombieSprites('zombie_spitter', 30, 30, '#88aa22', '#445511', 'spitter');
+
+        // Irradiated zombie - glowing sores
+        this.createZombieSprites('zombie_irradiated', 32, 32, '#aaff44', '#558822', 'irradiated');
+
+        // Shielded zombie - large, grey, carries a riot shield
+        this.createZombieSprites('zombie_shielded', 44, 44, '#667788', '#333d44', 'shielded');
+
         // Mutant boss - large, red
         this.createBossSprite('mutant_boss', 48, 48, '#aa4444', '#662222');
     }
@@ -124,7 +136,7 @@ export class SpriteLoader {
     /**
      * Create humanoid zombie sprites with directional variants
      */
-    createZombieSprites(baseName, width, height, bodyColor, borderColor) {
+    createZombieSprites(baseName, width, height, bodyColor, borderColor, variant = null) {
         const directions = ['up', 'down', 'left', 'right'];
 
         directions.forEach(direction => {
@@ -151,6 +163,9 @@ export class SpriteLoader {
 
             // Add zombie-specific features
             this.addZombieFeatures(ctx, width, height, direction, bodyColor);
+            if (variant) {
+                this.addZombieVariantFeatures(ctx, width, height, direction, variant);
+            }
 
             // Border
             ctx.strokeStyle = borderColor;
@@ -210,6 +225,72 @@ export class SpriteLoader {
         }
     }
 
+    /**
+     * Marks that tell the enemy archetypes apart at a glance
+     */
+    addZombieVariantFeatures(ctx, width, height, direction, variant) {
+        const scale = Math.min(width, height) / 32;
+        const centerX = width / 2;
+        const unit = Math.max(1, Math.round(scale));
+
+        switch (variant) {
+            case 'runner':
+                // Motion streaks trailing behind
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+                for (let i = 0; i < 3; i++) {
+                    const y = Math.round((10 + i * 5) * scale);
+                    const x = direction === 'left' ? width - Math.round(6 * scale) : 0;
+                    ctx.fillRect(x, y, Math.round(6 * scale), unit);
+                }
+                break;
+
+            case 'spitter':
+                // Bulging throat sac
+                ctx.fillStyle = '#ccff00';
+                ctx.beginPath();
+                ctx.arc(centerX, Math.round(12 * scale), Math.round(4 * scale), 0, Math.PI * 2);
+                ctx.fill();
+                break;
+
+            case 'irradiated':
+                // Glowing sores
+                ctx.fillStyle = '#eeff88';
+                ctx.shadowColor = '#aaff44';
+                ctx.shadowBlur = 4;
+                for (const [x, y] of [[10, 14], [20, 18], [14, 24], [22, 10]]) {
+                    ctx.fillRect(Math.round(x * scale), Math.round(y * scale), 2 * unit, 2 * unit);
+                }
+                ctx.shadowBlur = 0;
+                break;
+
+            case 'shielded': {
+                // Riot shield held on the facing side
+                const plate = { width: Math.round(24 * scale), height: Math.round(6 * scale) };
+                ctx.fillStyle = '#99aabb';
+                ctx.strokeStyle = '#dde4ee';
+                ctx.lineWidth = unit;
+                switch (direction) {
+                    case 'down':
+                        ctx.fillRect(centerX - plate.width / 2, height - plate.height - unit, plate.width, plate.height);
+                        ctx.strokeRect(centerX - plate.width / 2, height - plate.height - unit, plate.width, plate.height);
+                        break;
+                    case 'up':
+                        ctx.fillRect(centerX - plate.width / 2, unit, plate.width, plate.height);
+                        ctx.strokeRect(centerX - plate.width / 2, unit, plate.width, plate.height);
+                        break;
+                    case 'left':
+                    case 'right': {
+                        const x = direction === 'left' ? unit : width - plate.height - unit;
+                        ctx.fillRect(x, height / 2 - plate.width / 2, plate.height, plate.width);
+                        ctx.strokeRect(x, height / 2 - plate.width / 2, plate.height, plate.width);
+                        break;
+                    }
+                }
+                break;
+            }
+        }
+    }
+
     /**
      * Get a darker version of a color for clothing effects
      */
@@ -581,12 +662,13 @@ export class SpriteLoader {
      * Create animated character sprites with idle animation
      */
     createAnimatedPlayerSprites() {
-        const characterTypes = ['scout', 'tank', 'medic', 'engineer'];
+        const characterTypes = ['scout', 'tank', 'medic', 'engineer', 'berserker'];
         const colors = [
             { body: '#00ff00', indicator: '#ffffff', border: '#004400' }, // Scout - Green
             { body: '#0088ff', indicator: '#ffffff', border: '#004488' }, // Tank - Blue
             { body: '#ff8800', indicator: '#ffffff', border: '#884400' }, // Medic - Orange
-            { body: '#ffff00', indicator: '#000000', border: '#888800' }  // Engineer - Yellow
+            { body: '#ffff00', indicator: '#000000', border: '#888800' }, // Engineer - Yellow
+            { body: '#ff44ff', indicator: '#ffffff', border: '#880088' }  // Berserker - Magenta
         ];
 
         characterTypes.forEach((type, index) => {
@@ -706,6 +788,13 @@ export class SpriteLoader {
                 ctx.fillRect(offsetX + 4, offsetY + height - 7, 2, 1);
                 ctx.fillRect(offsetX + width - 8, offsetY + height - 7, 2, 1);
                 break;
+
+            case 'berserker':
+                // Add war paint slashes
+                ctx.fillStyle = '#880000';
+                ctx.fillRect(offsetX + 4, offsetY + height / 3, 6, 2);
+                ctx.fillRect(offsetX + width - 14, offsetY + height / 3, 6, 2);
+                break;
         }
     }
 
@@ -0,0 +1,85 @@
+/**
+ * AI stand-in for co-op mechanics the party is too small to cover
+ * (e.g. the second switch in Level 3 for a solo player). Stand-ins walk to a
+ * post and stay there, and look enough like players for puzzles to count them.
+ */
+export class StandIn {
+    constructor(config) {
+        this.id = config.id;
+        this.name = config.name || 'Survivor';
+        this.isStandIn = true;
+
+        // Position and size (same footprint as a player)
+        this.x = config.x || 0;
+        this.y = config.y || 0;
+        this.width = 32;
+        this.height = 32;
+        this.speed = config.speed || 120;
+
+        // Post to walk to and hold (top-left position)
+        this.target = null;
+
+        this.color = config.color || '#cccccc';
+        this.health = 100;
+        this.maxHealth = 100;
+        this.isAlive = true;
+        this.isMoving = false;
+    }
+
+    /**
+     * Walk to a post centered on the given point
+     */
+    moveTo(centerX, centerY) {
+        this.target = {
+            x: centerX - this.width / 2,
+            y: centerY - this.height / 2
+        };
+    }
+
+    update(deltaTime) {
+        this.isMoving = false;
+        if (!this.isAlive || !this.target) return;
+
+        const dx = this.target.x - this.x;
+        const dy = this.target.y - this.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance < 1) return;
+
+        const step = Math.min(distance, this.speed * deltaTime);
+        this.x += (dx / distance) * step;
+        this.y += (dy / distance) * step;
+        this.isMoving = true;
+    }
+
+    /**
+     * Hasn't reached its post yet
+     */
+    isEnRoute() {
+        return this.isMoving;
+    }
+
+    die() {
+        this.isAlive = false;
+        this.health = 0;
+        this.isMoving = false;
+    }
+
+    render(ctx) {
+        const x = Math.round(this.x);
+        const y = Math.round(this.y);
+
+        ctx.globalAlpha = this.isAlive ? 1 : 0.4;
+        ctx.fillStyle = this.isAlive ? this.color : '#555555';
+        ctx.fillRect(x, y, this.width, this.height);
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y, this.width, this.height);
+        ctx.globalAlpha = 1;
+
+        ctx.fillStyle = '#cccccc';
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.isAlive ? this.name : `${this.name} †`, x + this.width / 2, y - 6);
+        ctx.textAlign = 'left';
+    }
+}
@@ -9,6 +9,9 @@ export class StoryManager {
         this.isPlayingStory = false;
         this.storyTimer = 0;
         
+        // Letterboxed cutscene time left (boss phase changes)
+        this.cutsceneTime = 0;
+        
         // Story database
         this.stories = this.initializeStories();
     }
@@ -54,6 +57,20 @@ export class StoryManager {
                     duration: 4.0,
                     emotion: "tense"
                 }
+            },
+            level2: {
+                boss_phase_2: {
+                    speaker: "Mutant",
+                    text: "RRRAAAGH! The creature tears through its restraints and lowers its head to charge!",
+                    duration: 2.5,
+                    emotion: "rage"
+                },
+                boss_phase_3: {
+                    speaker: "Radio Static",
+                    text: "It's calling the others! Finish it before the whole facility wakes up!",
+                    duration: 2.5,
+                    emotion: "panic"
+                }
             }
         };
     }
@@ -66,15 +83,28 @@ export class StoryManager {
         this.isPlayingStory = true;
         this.storyTimer = 0;
         
-        // Trigger dialogue system
-        if (this.gameEngine.dialogueSystem) {
-            this.gameEngine.dialogueSystem.showDialogue(story.speaker, story.text, story.duration);
+        return true;
+    }
+    
+    /**
+     * Cutscene hook for a boss entering a new phase: a letterboxed caption while it transforms
+     */
+    onBossPhaseChange(boss, phase) {
+        console.log(`Boss ${boss.id} entered phase ${boss.phaseIndex + 1}`);
+        
+        const levelNumber = this.gameEngine.levelManager?.getCurrentLevelNumber() ?? 0;
+        if (phase.story) {
+            this.playStory(levelNumber, phase.story);
         }
+        this.cutsceneTime = boss.archetype.transitionDuration;
         
-        return true;
+        this.gameEngine.visualEffectsManager?.addScreenShake(10, 1);
+        this.gameEngine.getAudioManager()?.playSFX('boss_roar', 1.0);
     }
 
     update(deltaTime) {
+        this.cutsceneTime = Math.max(0, this.cutsceneTime - deltaTime);
+        
         if (!this.isPlayingStory) return;
         
         this.storyTimer += deltaTime;
@@ -89,4 +119,36 @@ export class StoryManager {
     isStoryActive() {
         return this.isPlayingStory;
     }
+    
+    /**
+     * Story caption along the bottom of the screen, with letterbox bars during cutscenes
+     */
+    render(ctx) {
+        const width = ctx.canvas.width;
+        const height = ctx.canvas.height;
+        
+        if (this.cutsceneTime > 0) {
+            const barHeight = height * 0.1;
+            ctx.fillStyle = '#000000';
+            ctx.fillRect(0, 0, width, barHeight);
+            ctx.fillRect(0, height - barHeight, width, barHeight);
+        }
+        
+        if (!this.isPlayingStory || !this.currentStorySegment) return;
+        
+        const story = this.currentStorySegment;
+        const fade = Math.min(1, (story.duration - this.storyTimer) * 2);
+        const captionY = height - height * 0.05;
+        
+        ctx.save();
+        ctx.globalAlpha = fade;
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#ff6666';
+        ctx.font = 'bold 20px monospace';
+        ctx.fillText(story.speaker.toUpperCase(), width / 2, captionY - 28);
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '18px monospace';
+        ctx.fillText(story.text, width / 2, captionY);
+        ctx.restore();
+    }
 }
\ No newline at end of file
@@ -0,0 +1,204 @@
+/**
+ * Tile layer of a level: walls, doors and hazard floor on a grid
+ *
+ * Level files lay it out as rows of characters (see LevelSchema.js):
+ *   "tiles": {
+ *       "size": 60,
+ *       "legend": { "A": { "type": "door", "id": "lab_door", "opensWhen": "enemies_cleared" } },
+ *       "rows": ["################", "#......A.......#", ...]
+ *   }
+ * Rows may stop short of the level's edges; anything not listed is floor.
+ * Mirrored for server-side enemy movement in server/TileMap.js.
+ */
+
+export const TILE_TYPES = ['floor', 'wall', 'door', 'radiation', 'fire', 'electric'];
+export const HAZARD_TILE_TYPES = ['radiation', 'fire', 'electric'];
+
+// Conditions that open a door without a level script
+export const DOOR_TRIGGERS = ['enemies_cleared'];
+
+export const DEFAULT_TILE_SIZE = 60; // 32x18 tiles on a 1920x1080 level
+
+// Characters every level can use without a legend
+export const DEFAULT_TILE_LEGEND = {
+    '.': 'floor',
+    ' ': 'floor',
+    '#': 'wall',
+    'D': 'door',
+    'R': 'radiation',
+    'F': 'fire',
+    'E': 'electric'
+};
+
+// Hazard tile damage per second unless the legend sets damagePerSecond
+const HAZARD_TILE_DAMAGE = {
+    radiation: 10,
+    fire: 15,
+    electric: 20
+};
+
+const FLOOR_TILE = Object.freeze({ type: 'floor' });
+
+/**
+ * The default legend merged with a level's own, as tile definitions
+ * All tiles of one door character form one door (id defaults to the character)
+ */
+export function buildTileLegend(legend = {}) {
+    const entries = { ...DEFAULT_TILE_LEGEND, ...legend };
+    const tiles = {};
+
+    for (const [character, entry] of Object.entries(entries)) {
+        const tile = typeof entry === 'string' ? { type: entry } : { ...entry };
+
+        if (tile.type === 'door') {
+            tile.id = tile.id || character;
+        } else if (HAZARD_TILE_TYPES.includes(tile.type)) {
+            tile.damagePerSecond = tile.damagePerSecond ?? HAZARD_TILE_DAMAGE[tile.type];
+        }
+        tiles[character] = tile;
+    }
+
+    return tiles;
+}
+
+export class TileMap {
+    constructor(tiles, bounds) {
+        this.tileSize = tiles.size || DEFAULT_TILE_SIZE;
+        this.columns = Math.ceil(bounds.width / this.tileSize);
+        this.rows = Math.ceil(bounds.height / this.tileSize);
+
+        // Doors by id: { id, open, opensWhen, tiles: [{ column, row }] }
+        this.doors = new Map();
+
+        // Tile definitions row by row; cells share the definition of their legend character
+        const legend = buildTileLegend(tiles.legend);
+        this.grid = [];
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                const character = tiles.rows[row]?.[column];
+                const tile = character === undefined ? FLOOR_TILE : legend[character] || FLOOR_TILE;
+                this.grid.push(tile);
+
+                if (tile.type === 'door') {
+                    if (!this.doors.has(tile.id)) {
+                        this.doors.set(tile.id, { id: tile.id, open: !!tile.open, opensWhen: tile.opensWhen || null, tiles: [] });
+                    }
+                    this.doors.get(tile.id).tiles.push({ column, row });
+                }
+            }
+        }
+    }
+
+    getTile(column, row) {
+        if (column < 0 || row < 0 || column >= this.columns || row >= this.rows) {
+            return FLOOR_TILE;
+        }
+        return this.grid[row * this.columns + column];
+    }
+
+    getTileAt(x, y) {
+        return this.getTile(Math.floor(x / this.tileSize), Math.floor(y / this.tileSize));
+    }
+
+    /**
+     * Walls and closed doors block movement
+     */
+    isSolid(tile) {
+        if (tile.type === 'wall') return true;
+        if (tile.type === 'door') return !this.doors.get(tile.id).open;
+        return false;
+    }
+
+    isSolidAt(x, y) {
+        return this.isSolid(this.getTileAt(x, y));
+    }
+
+    /**
+     * Tiles under a rectangle, as { tile, column, row }
+     */
+    getTilesUnder(box) {
+        const firstColumn = Math.max(0, Math.floor(box.x / this.tileSize));
+        const lastColumn = Math.min(this.columns - 1, Math.ceil((box.x + box.width) / this.tileSize) - 1);
+        const firstRow = Math.max(0, Math.floor(box.y / this.tileSize));
+        const lastRow = Math.min(this.rows - 1, Math.ceil((box.y + box.height) / this.tileSize) - 1);
+
+        const tiles = [];
+        for (let row = firstRow; row <= lastRow; row++) {
+            for (let column = firstColumn; column <= lastColumn; column++) {
+                tiles.push({ tile: this.getTile(column, row), column, row });
+            }
+        }
+        return tiles;
+    }
+
+    /**
+     * Whether a rectangle overlaps a wall or closed door
+     */
+    collidesWith(box) {
+        return this.getTilesUnder(box).some(({ tile }) => this.isSolid(tile));
+    }
+
+    /**
+     * Hazard tile definitions under a rectangle (each kind once)
+     */
+    getHazardsUnder(box) {
+        const hazards = new Set();
+        for (const { tile } of this.getTilesUnder(box)) {
+            if (HAZARD_TILE_TYPES.includes(tile.type)) {
+                hazards.add(tile);
+            }
+        }
+        return Array.from(hazards);
+    }
+
+    /**
+     * Call back for every tile that isn't plain floor
+     */
+    forEachTile(callback) {
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                const tile = this.grid[row * this.columns + column];
+                if (tile.type !== 'floor') {
+                    callback(tile, column, row);
+                }
+            }
+        }
+    }
+
+    /**
+     * Call back with the position of every wall and closed door
+     */
+    forEachSolidTile(callback) {
+        this.forEachTile((tile, column, row) => {
+            if (this.isSolid(tile)) {
+                callback(column, row);
+            }
+        });
+    }
+
+    getDoors() {
+        return Array.from(this.doors.values());
+    }
+
+    /**
+     * Open/closed state of every door, for noticing when routes change
+     */
+    getDoorSignature() {
+        return this.getDoors().map(door => door.open ? 1 : 0).join('');
+    }
+
+    isDoorOpen(id) {
+        return this.doors.get(id)?.open ?? false;
+    }
+
+    /**
+     * Open or close a door; returns false when the level has no such door
+     */
+    setDoorOpen(id, open) {
+        const door = this.doors.get(id);
+        if (!door) return false;
+
+        door.open = open;
+        return true;
+    }
+}
@@ -0,0 +1,321 @@
+// Action buttons, placed around the attack button in units of the base button radius
+const TOUCH_BUTTONS = [
+    { action: 'attack', label: 'ATTACK', color: '#ff5555', size: 1.3, x: 0, y: 0 },
+    { action: 'dash', label: 'DASH', color: '#55aaff', size: 1, x: -2.7, y: 0.4 },
+    { action: 'interact', label: 'USE', color: '#55ff55', size: 1, x: 0.3, y: -2.7 },
+    { action: 'ability', label: 'ABILITY', color: '#ffff55', size: 0.9, x: -2.3, y: -2.2, shown: player => !!player.ability },
+    { action: 'super_attack', label: 'SUPER', color: '#ff55ff', size: 0.8, x: -5, y: 0.6, shown: player => player.hasSuperAttack }
+];
+
+/**
+ * On-screen virtual joystick and action buttons for phones and tablets
+ * Drawn on #touchCanvas over the game; it feeds InputManager's touch state, so
+ * touches take the same paths as keys and gamepad buttons. Shown after the first
+ * touch and hidden again on a key press. In landscape the controls sit over the
+ * bottom corners of the game; in portrait they fill the space below it.
+ */
+export class TouchControls {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.inputManager = gameEngine.inputManager;
+        this.gameCanvas = gameEngine.canvas;
+
+        this.canvas = document.getElementById('touchCanvas');
+        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+        this.container = document.getElementById('gameScreen');
+
+        this.enabled = false;
+        this.layout = null;
+
+        // Touch on the joystick: { pointerId, baseX, baseY, knobX, knobY }
+        this.stick = null;
+
+        // Touches holding action buttons: pointerId -> action
+        this.buttonPointers = new Map();
+
+        // Stick travel that counts as no movement
+        this.deadzone = 0.15;
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+
+        if (this.canvas && this.container) {
+            this.container.addEventListener('pointerdown', this.handlePointerDown);
+            window.addEventListener('pointermove', this.handlePointerMove);
+            window.addEventListener('pointerup', this.handlePointerUp);
+            window.addEventListener('pointercancel', this.handlePointerUp);
+            window.addEventListener('keydown', this.handleKeyDown);
+        }
+    }
+
+    setEnabled(enabled) {
+        if (this.enabled === enabled || !this.canvas) return;
+
+        this.enabled = enabled;
+        this.canvas.style.display = enabled ? 'block' : 'none';
+        if (enabled) {
+            this.handleResize();
+        } else {
+            this.reset();
+        }
+    }
+
+    /**
+     * Controls show while the local player is alive and in control
+     */
+    isVisible() {
+        const engine = this.gameEngine;
+        const player = engine.getLocalPlayer();
+
+        return this.enabled && engine.gameState === 'playing' && !!player && player.isAlive &&
+            !engine.spectatorManager.isSpectating && !engine.replayPlayer.isActive && !engine.levelEditor.isActive;
+    }
+
+    /**
+     * Size the overlay to the viewport and lay out the controls for its orientation
+     */
+    handleResize() {
+        if (!this.enabled) return;
+
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        const pixelRatio = window.devicePixelRatio || 1;
+
+        this.canvas.width = Math.round(width * pixelRatio);
+        this.canvas.height = Math.round(height * pixelRatio);
+        this.pixelRatio = pixelRatio;
+
+        this.layout = this.computeLayout(width, height);
+    }
+
+    computeLayout(width, height) {
+        const portrait = height > width;
+        const shortSide = Math.min(width, height);
+        const stickRadius = clamp(shortSide * 0.16, 50, 100);
+        const buttonRadius = clamp(shortSide * 0.07, 26, 50);
+        const margin = clamp(shortSide * 0.05, 16, 40);
+
+        // Portrait uses the letterboxed space under the game when it's tall enough
+        let area = { x: 0, y: 0, width, height };
+        if (portrait) {
+            const gameBottom = this.gameCanvas.getBoundingClientRect().bottom;
+            const needed = Math.max(stickRadius * 2, buttonRadius * 5) + margin * 2;
+            if (height - gameBottom >= needed) {
+                area = { x: 0, y: gameBottom, width, height: height - gameBottom };
+            }
+        }
+
+        const anchorX = area.x + area.width - margin - buttonRadius * 1.3;
+        const anchorY = area.y + area.height - margin - buttonRadius * 1.3;
+        const buttons = TOUCH_BUTTONS.map(button => ({
+            ...button,
+            x: anchorX + button.x * buttonRadius,
+            y: anchorY + button.y * buttonRadius,
+            radius: button.size * buttonRadius
+        }));
+
+        return {
+            area,
+            stickRadius,
+            stickHome: { x: area.x + margin + stickRadius, y: area.y + area.height - margin - stickRadius },
+            // The joystick follows the thumb anywhere in the left half of the area
+            stickZone: { x: area.x, y: area.y, width: area.width / 2, height: area.height },
+            buttons
+        };
+    }
+
+    getVisibleButtons() {
+        const player = this.gameEngine.getLocalPlayer();
+        return this.layout.buttons.filter(button => !button.shown || (player && button.shown(player)));
+    }
+
+    handlePointerDown(event) {
+        if (event.pointerType !== 'touch') return;
+        this.setEnabled(true);
+
+        // Menu buttons and the pause menu handle their own touches
+        if (![this.container, this.gameCanvas, this.canvas].includes(event.target)) return;
+        if (!this.isVisible() || !this.layout) return;
+
+        const x = event.clientX;
+        const y = event.clientY;
+
+        // Buttons get a little extra reach around their circle
+        const button = this.getVisibleButtons().find(button =>
+            Math.hypot(x - button.x, y - button.y) <= button.radius * 1.25
+        );
+
+        if (button) {
+            event.preventDefault();
+            this.buttonPointers.set(event.pointerId, button.action);
+            this.inputManager.pressTouchAction(button.action);
+            return;
+        }
+
+        const zone = this.layout.stickZone;
+        const inZone = x >= zone.x && x <= zone.x + zone.width && y >= zone.y && y <= zone.y + zone.height;
+        if (inZone && !this.stick) {
+            event.preventDefault();
+
+            // Keep the whole stick base inside the area
+            const { area, stickRadius } = this.layout;
+            const baseX = clamp(x, area.x + stickRadius, area.x + area.width - stickRadius);
+            const baseY = clamp(y, area.y + stickRadius, area.y + area.height - stickRadius);
+            this.stick = { pointerId: event.pointerId, baseX, baseY, knobX: baseX, knobY: baseY };
+            this.moveStick(x, y);
+        }
+    }
+
+    handlePointerMove(event) {
+        if (this.stick && event.pointerId === this.stick.pointerId) {
+            this.moveStick(event.clientX, event.clientY);
+        }
+    }
+
+    handlePointerUp(event) {
+        if (this.stick && event.pointerId === this.stick.pointerId) {
+            this.stick = null;
+            this.inputManager.setTouchStick(0, 0);
+        }
+
+        const action = this.buttonPointers.get(event.pointerId);
+        if (action) {
+            this.buttonPointers.delete(event.pointerId);
+            this.inputManager.releaseTouchAction(action);
+        }
+    }
+
+    /**
+     * A physical keyboard takes over from the touch controls
+     */
+    handleKeyDown() {
+        this.setEnabled(false);
+    }
+
+    /**
+     * Move the knob toward the touch and pass its offset on as the stick value
+     */
+    moveStick(x, y) {
+        const stick = this.stick;
+        const radius = this.layout.stickRadius;
+        const dx = x - stick.baseX;
+        const dy = y - stick.baseY;
+        const distance = Math.hypot(dx, dy);
+        const travel = Math.min(distance, radius);
+
+        stick.knobX = stick.baseX + (distance > 0 ? dx / distance * travel : 0);
+        stick.knobY = stick.baseY + (distance > 0 ? dy / distance * travel : 0);
+
+        // Rescaled past the deadzone, like the gamepad stick
+        const amount = travel / radius;
+        if (amount < this.deadzone) {
+            this.inputManager.setTouchStick(0, 0);
+            return;
+        }
+        const scale = (amount - this.deadzone) / (1 - this.deadzone) / distance;
+        this.inputManager.setTouchStick(dx * scale, dy * scale);
+    }
+
+    /**
+     * Let go of every touch (controls hidden, focus lost)
+     */
+    reset() {
+        this.stick = null;
+        this.buttonPointers.clear();
+        this.inputManager.releaseTouch();
+    }
+
+    render() {
+        if (!this.enabled || !this.ctx) return;
+
+        const ctx = this.ctx;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        if (!this.isVisible() || !this.layout) {
+            if (this.stick || this.buttonPointers.size > 0) this.reset();
+            return;
+        }
+
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        this.renderStick(ctx);
+
+        const player = this.gameEngine.getLocalPlayer();
+        for (const button of this.getVisibleButtons()) {
+            this.renderButton(ctx, button, player);
+        }
+    }
+
+    renderStick(ctx) {
+        const { stickRadius, stickHome } = this.layout;
+        const baseX = this.stick ? this.stick.baseX : stickHome.x;
+        const baseY = this.stick ? this.stick.baseY : stickHome.y;
+        const knobX = this.stick ? this.stick.knobX : baseX;
+        const knobY = this.stick ? this.stick.knobY : baseY;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(baseX, baseY, stickRadius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.fillStyle = this.stick ? 'rgba(255, 255, 255, 0.5)' : 'rgba(255, 255, 255, 0.3)';
+        ctx.beginPath();
+        ctx.arc(knobX, knobY, stickRadius * 0.45, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    renderButton(ctx, button, player) {
+        const pressed = this.inputManager.touchActionsDown.has(button.action);
+
+        ctx.fillStyle = button.color;
+        ctx.globalAlpha = pressed ? 0.55 : 0.25;
+        ctx.beginPath();
+        ctx.arc(button.x, button.y, button.radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.globalAlpha = 0.8;
+        ctx.strokeStyle = button.color;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // The ability button darkens while it recharges
+        if (button.action === 'ability' && player?.abilityCooldown > 0) {
+            const remaining = player.abilityCooldown / player.ability.cooldown;
+            ctx.globalAlpha = 0.5;
+            ctx.fillStyle = '#000000';
+            ctx.beginPath();
+            ctx.moveTo(button.x, button.y);
+            ctx.arc(button.x, button.y, button.radius, -Math.PI / 2, -Math.PI / 2 + remaining * Math.PI * 2);
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        // Labels shrink to fit inside the circle
+        const fontSize = Math.min(button.radius * 0.5, button.radius * 1.6 / (button.label.length * 0.6));
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `bold ${Math.round(fontSize)}px monospace`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(button.label, button.x, button.y);
+    }
+
+    destroy() {
+        if (!this.canvas || !this.container) return;
+
+        this.container.removeEventListener('pointerdown', this.handlePointerDown);
+        window.removeEventListener('pointermove', this.handlePointerMove);
+        window.removeEventListener('pointerup', this.handlePointerUp);
+        window.removeEventListener('pointercancel', this.handlePointerUp);
+        window.removeEventListener('keydown', this.handleKeyDown);
+    }
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
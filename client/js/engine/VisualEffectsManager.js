@@ -15,6 +15,7 @@ export class VisualEffectsManager {
         this.shakeY = 0;
         this.shakeIntensity = 0;
         this.shakeDuration = 0;
+        this.shakeScale = 1; // Player's screen shake setting; 0 turns it off
         
         // Transition state
         this.isTransitioning = false;
@@ -62,14 +63,12 @@ export class VisualEffectsManager {
         this.cleanupEffects();
     }
     
-    render() {
+    /**
+     * Particles and animations, drawn through the camera with the world layers
+     */
+    renderWorld() {
         this.ctx.save();
         
-        // Apply screen shake
-        if (this.shakeIntensity > 0) {
-            this.ctx.translate(this.shakeX, this.shakeY);
-        }
-        
         // Render particles
         this.renderParticles();
         
@@ -77,7 +76,9 @@ export class VisualEffectsManager {
         this.renderAnimations();
         
         this.ctx.restore();
-        
+    }
+    
+    render() {
         // Render transitions (on top of everything)
         this.renderTransitions();
     }
@@ -233,10 +234,20 @@ export class VisualEffectsManager {
     
     // Screen Shake System
     addScreenShake(intensity, duration = 0.5) {
+        intensity *= this.shakeScale;
+        if (intensity <= 0) return;
+        
         this.shakeIntensity = Math.min(intensity, this.config.screenShake.maxIntensity);
         this.shakeDuration = duration;
     }
     
+    /**
+     * Current shake offset; the camera adds it to the world layers
+     */
+    getShakeOffset() {
+        return { x: this.shakeX, y: this.shakeY };
+    }
+    
     updateScreenShake(deltaTime) {
         if (this.shakeIntensity > 0) {
             // Generate random shake offset
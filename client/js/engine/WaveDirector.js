@@ -0,0 +1,186 @@
+import { DESIGN_PARTY_SIZE, scaleEnemyCount } from './PartySize.js';
+import { getEnemyType } from './EnemyTypes.js';
+
+/**
+ * Wave director: releases a level's enemy waves (format in LevelSchema.js) as their timers and
+ * triggers come due, from their positions or spawn zone, keeping at most maxAlive of a wave
+ * alive at once. Counts scale with the party size and with how well the party is doing.
+ * Mirrored for the server's combat simulation in server/WaveDirector.js.
+ *
+ * The host (EnemyManager) provides spawnEnemy(type, x, y), findSpawnPosition(zone),
+ * getAliveEnemies(), getPlayers() and announce(text). While it is server-authoritative the
+ * server's director spawns, and this one only follows its state (applyServerState).
+ */
+
+// Seconds between refills of a wave held back by maxAlive
+const DEFAULT_SPAWN_INTERVAL = 1.0;
+
+// Bounds of the performance multiplier on wave sizes
+const MIN_PERFORMANCE_SCALE = 0.75;
+const MAX_PERFORMANCE_SCALE = 1.25;
+
+export class WaveDirector {
+    constructor(host) {
+        this.host = host;
+        this.start([]);
+    }
+
+    /**
+     * Queue a level's waves
+     */
+    start(waveConfigs, partySize = DESIGN_PARTY_SIZE) {
+        this.partySize = partySize;
+        this.levelTime = 0;
+        this.bossSeen = false;
+        this.announcements = 0;
+        this.lastAnnouncement = null;
+
+        this.waves = waveConfigs.map((config, index) => ({
+            index,
+            config,
+            spawnDelay: config.spawnDelay || 0,
+            triggeredAt: config.trigger && config.trigger !== 'time' ? null : 0,
+            remaining: null, // Enemies still to spawn, set when the wave starts
+            spawned: 0,
+            spawnTimer: 0,
+            done: false
+        }));
+
+        // With a server-authoritative enemy manager the server's director reports these
+        this.remotePending = this.waves.length;
+    }
+
+    /**
+     * Start and refill the waves that are due; returns true when enemies were spawned
+     */
+    update(deltaTime) {
+        if (this.host.serverAuthoritative || this.waves.every(wave => wave.done)) return false;
+
+        this.levelTime += deltaTime;
+        const aliveEnemies = this.host.getAliveEnemies();
+
+        // A boss counts as defeated once one has been seen and none are left
+        const bossAlive = aliveEnemies.some(enemy => enemy.archetype?.isBoss);
+        this.bossSeen = this.bossSeen || bossAlive;
+        const bossDefeated = this.bossSeen && !bossAlive;
+
+        let spawned = false;
+        for (const wave of this.waves) {
+            if (wave.done) continue;
+
+            if (wave.triggeredAt === null) {
+                if (!this.isTriggered(wave, bossDefeated, aliveEnemies)) continue;
+                wave.triggeredAt = this.levelTime;
+            }
+
+            if (this.levelTime - wave.triggeredAt < wave.spawnDelay) continue;
+
+            if (wave.remaining === null) {
+                this.startWave(wave);
+            }
+            spawned = this.releaseEnemies(wave, deltaTime, aliveEnemies) || spawned;
+        }
+        return spawned;
+    }
+
+    isTriggered(wave, bossDefeated, aliveEnemies) {
+        switch (wave.config.trigger) {
+            case 'boss_defeated':
+                return bossDefeated;
+            case 'previous_cleared':
+                // Every earlier wave fully out and nothing left standing
+                return this.waves.slice(0, wave.index).every(earlier => earlier.done) && aliveEnemies.length === 0;
+            default:
+                return true;
+        }
+    }
+
+    startWave(wave) {
+        const config = wave.config;
+        const isBoss = getEnemyType(config.type).isBoss;
+        const baseCount = config.count || config.positions.length;
+
+        // Bosses stay single; everything else scales with the party and its performance
+        wave.remaining = isBoss ? baseCount :
+            Math.max(1, Math.round(scaleEnemyCount(baseCount, this.partySize) * this.getPerformanceScale()));
+        wave.maxAlive = config.maxAlive ? scaleEnemyCount(config.maxAlive, this.partySize) : null;
+
+        this.announcements++;
+        this.lastAnnouncement = isBoss ? 'Boss incoming!' : `Wave ${this.countWaveNumber(wave)} incoming`;
+        this.host.announce(this.lastAnnouncement);
+    }
+
+    /**
+     * Spawn what the wave's maxAlive allows: the first batch at once, then one per interval
+     */
+    releaseEnemies(wave, deltaTime, aliveEnemies) {
+        if (wave.spawnTimer > 0) {
+            wave.spawnTimer -= deltaTime;
+            return false;
+        }
+
+        const alive = aliveEnemies.filter(enemy => enemy.waveIndex === wave.index).length;
+        const room = wave.maxAlive ? wave.maxAlive - alive : wave.remaining;
+        const batch = Math.min(wave.remaining, wave.spawned === 0 ? room : Math.min(room, 1));
+
+        for (let i = 0; i < batch; i++) {
+            const position = wave.config.positions?.[wave.spawned] || this.host.findSpawnPosition(wave.config.zone);
+            const enemy = this.host.spawnEnemy(wave.config.type, position.x, position.y);
+            if (enemy) {
+                enemy.waveIndex = wave.index;
+            }
+            wave.spawned++;
+            wave.remaining--;
+        }
+
+        if (batch > 0) {
+            wave.spawnTimer = wave.config.spawnInterval ?? DEFAULT_SPAWN_INTERVAL;
+        }
+        wave.done = wave.remaining === 0;
+        return batch > 0;
+    }
+
+    /**
+     * 0.75x when the party is battered, 1.25x when everyone is alive at full health
+     */
+    getPerformanceScale() {
+        const players = this.host.getPlayers();
+        const living = players.filter(player => player.isAlive);
+        if (living.length === 0) return 1;
+
+        const healthRatio = living.reduce((sum, player) => sum + player.health / player.maxHealth, 0) / living.length;
+        const aliveRatio = living.length / players.length;
+        const score = healthRatio * aliveRatio;
+
+        return MIN_PERFORMANCE_SCALE + score * (MAX_PERFORMANCE_SCALE - MIN_PERFORMANCE_SCALE);
+    }
+
+    /**
+     * Wave numbers count the non-boss waves announced so far
+     */
+    countWaveNumber(wave) {
+        return this.waves
+            .slice(0, wave.index + 1)
+            .filter(other => other.remaining !== null && !getEnemyType(other.config.type).isBoss)
+            .length;
+    }
+
+    hasPendingWaves() {
+        if (this.host.serverAuthoritative) {
+            return this.remotePending > 0;
+        }
+        return this.waves.some(wave => !wave.done);
+    }
+
+    /**
+     * Follow the server's director: announce its new waves and track what is still to come
+     */
+    applyServerState(state) {
+        if (state.announcements > this.announcements && state.lastAnnouncement) {
+            this.host.announce(state.lastAnnouncement);
+        }
+        this.announcements = state.announcements;
+        this.lastAnnouncement = state.lastAnnouncement;
+        this.remotePending = state.pending;
+    }
+}
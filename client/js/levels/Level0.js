@@ -468,6 +468,13 @@ export class Level0 extends Level {
         }
     }
 
+    /**
+     * Number of players that must finish the movement course
+     */
+    getMovementRequired() {
+        return this.gameEngine?.players?.size || this.getPartySize();
+    }
+
     /**
      * Get tutorial completion percentage
      */
@@ -475,7 +482,7 @@ export class Level0 extends Level {
         const totalSteps = 2; // movement + story
         let completedSteps = 0;
 
-        if (this.playersCompletedMovement.size >= 3) completedSteps++;
+        if (this.playersCompletedMovement.size >= this.getMovementRequired()) completedSteps++;
         if (this.hasHeardStory) completedSteps++;
 
         return (completedSteps / totalSteps) * 100;
@@ -488,7 +495,7 @@ export class Level0 extends Level {
         return {
             state: this.tutorialState,
             movementCompleted: this.playersCompletedMovement.size,
-            movementRequired: 3,
+            movementRequired: this.getMovementRequired(),
             storyHeard: this.hasHeardStory,
             overallProgress: this.getTutorialProgress()
         };
@@ -504,11 +511,16 @@ export class Level0 extends Level {
         // Render interactive objects
         this.renderInteractiveObjects(ctx);
 
-        // Render story phase indicator
-        this.renderStoryPhaseIndicator(ctx);
-
         // Render tutorial markers
         this.renderTutorialMarkers(ctx);
+    }
+
+    /**
+     * Render tutorial instructions and debug info on screen
+     */
+    renderUI(ctx) {
+        // Render story phase indicator
+        this.renderStoryPhaseIndicator(ctx);
 
         // Render tutorial instructions
         this.renderTutorialInstructions(ctx);
@@ -573,14 +585,14 @@ export class Level0 extends Level {
 
         switch (this.tutorialState) {
             case 'movement':
-                const remainingPlayers = 3 - this.playersCompletedMovement.size; // Assuming 3 players
+                const remainingPlayers = Math.max(0, this.getMovementRequired() - this.playersCompletedMovement.size);
                 instruction = `Movement Tutorial`;
                 subInstruction = `${remainingPlayers} player(s) need to complete the movement course`;
                 break;
 
             case 'story':
                 instruction = 'Story Time';
-                subInstruction = 'Talk to Dr. Petrov to hear the story (Press E near him)';
+                subInstruction = `Talk to Dr. Petrov to hear the story (Press ${this.getKeyLabel('interact')} near him)`;
                 break;
 
             case 'completed':
@@ -672,7 +684,7 @@ export class Level0 extends Level {
         ctx.fillRect(progressX, progressY, progressWidth, progressHeight);
 
         // Progress bar fill
-        const progress = this.playersCompletedMovement.size / 3; // Assuming 3 players
+        const progress = Math.min(1, this.playersCompletedMovement.size / this.getMovementRequired());
         ctx.fillStyle = '#00ff00';
         ctx.fillRect(progressX, progressY, progressWidth * progress, progressHeight);
 
@@ -686,7 +698,7 @@ export class Level0 extends Level {
         ctx.font = '12px monospace';
         ctx.textAlign = 'center';
         ctx.fillText(
-            `${this.playersCompletedMovement.size}/3 Players`,
+            `${this.playersCompletedMovement.size}/${this.getMovementRequired()} Players`,
             progressX + progressWidth / 2,
             progressY + progressHeight / 2 + 4
         );
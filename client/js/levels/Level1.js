@@ -154,7 +154,7 @@ export class Level1 extends Level {
         // Check if all enemies are defeated
         if (this.combatStarted && gameEngine && gameEngine.getEnemyManager()) {
             const aliveEnemies = gameEngine.getEnemyManager().getAliveEnemies();
-            if (aliveEnemies.length === 0 && this.enemiesSpawned) {
+            if (aliveEnemies.length === 0 && this.enemiesSpawned && !this.hasPendingWaves()) {
                 this.onAllEnemiesDefeated(gameEngine);
             }
         }
@@ -185,7 +185,7 @@ export class Level1 extends Level {
             case 'engagement':
                 if (this.combatStarted && gameEngine?.getEnemyManager()) {
                     const aliveEnemies = gameEngine.getEnemyManager().getAliveEnemies();
-                    if (aliveEnemies.length === 0 && this.enemiesSpawned) {
+                    if (aliveEnemies.length === 0 && this.enemiesSpawned && !this.hasPendingWaves()) {
                         this.combatPhase = 'aftermath';
                     }
                 }
@@ -198,6 +198,8 @@ export class Level1 extends Level {
     }
 
     updateRadiationZones(deltaTime, players) {
+        if (!this.appliesHazardDamage()) return;
+        
         for (const zone of this.radiationZones) {
             for (const player of players) {
                 if (!player.isAlive) continue;
@@ -284,7 +286,7 @@ export class Level1 extends Level {
             case 'defeat_all_enemies':
                 if (gameEngine && gameEngine.getEnemyManager()) {
                     const aliveEnemies = gameEngine.getEnemyManager().getAliveEnemies();
-                    return aliveEnemies.length === 0 && this.enemiesSpawned;
+                    return aliveEnemies.length === 0 && this.enemiesSpawned && !this.hasPendingWaves();
                 }
                 return false;
                 
@@ -302,8 +304,9 @@ export class Level1 extends Level {
         ctx.fillStyle = '#ffff88';
         ctx.font = '14px monospace';
         ctx.fillText('COMBAT CONTROLS:', 10, ctx.canvas.height - 80);
-        ctx.fillText('SPACE - Attack', 10, ctx.canvas.height - 60);
-        ctx.fillText('WASD - Move', 10, ctx.canvas.height - 40);
+        const moveKeys = ['move_up', 'move_left', 'move_down', 'move_right'].map(action => this.getKeyLabel(action)).join('');
+        ctx.fillText(`${this.getKeyLabel('attack')} - Attack`, 10, ctx.canvas.height - 60);
+        ctx.fillText(`${moveKeys} - Move`, 10, ctx.canvas.height - 40);
         
         // Show enemy count - this will be handled by the GameEngine's debug info
         // We don't have direct access to gameEngine from render method
@@ -333,6 +336,24 @@ export class Level1 extends Level {
     }
     
     renderUI(ctx) {
+        // Render combat phase indicators
+        this.renderCombatPhaseIndicators(ctx);
+        
+        // Render intro message
+        if (!this.introMessageShown) {
+            this.renderIntroMessage(ctx);
+        }
+        
+        // Render combat instructions
+        if (this.combatStarted) {
+            this.renderCombatInstructions(ctx);
+        }
+        
+        // Render level completion message
+        if (this.isCompleted) {
+            this.renderCompletionMessage(ctx);
+        }
+        
         // Show level info
         ctx.fillStyle = '#ffffff';
         ctx.font = 'bold 16px monospace';
@@ -380,24 +401,6 @@ export class Level1 extends Level {
         
         // Render emergency lighting effects
         this.renderEmergencyLighting(ctx);
-        
-        // Render combat phase indicators
-        this.renderCombatPhaseIndicators(ctx);
-        
-        // Render intro message
-        if (!this.introMessageShown) {
-            this.renderIntroMessage(ctx);
-        }
-        
-        // Render combat instructions
-        if (this.combatStarted) {
-            this.renderCombatInstructions(ctx);
-        }
-        
-        // Render level completion message
-        if (this.isCompleted) {
-            this.renderCompletionMessage(ctx);
-        }
     }
 
     renderRadiationZones(ctx) {
@@ -462,18 +465,18 @@ export class Level1 extends Level {
         
         // Background
         ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
-        ctx.fillRect(0, this.bounds.height / 2 - 60, this.bounds.width, 120);
+        ctx.fillRect(0, ctx.canvas.height / 2 - 60, ctx.canvas.width, 120);
         
         // Text
         ctx.fillStyle = '#ff4444';
         ctx.font = 'bold 24px monospace';
         ctx.textAlign = 'center';
-        ctx.fillText('FACILITY BREACH DETECTED', this.bounds.width / 2, this.bounds.height / 2 - 20);
+        ctx.fillText('FACILITY BREACH DETECTED', ctx.canvas.width / 2, ctx.canvas.height / 2 - 20);
         
         ctx.fillStyle = '#ffffff';
         ctx.font = '16px monospace';
-        ctx.fillText('CONTAMINATED ENTITIES APPROACHING', this.bounds.width / 2, this.bounds.height / 2 + 10);
-        ctx.fillText('PREPARE FOR COMBAT', this.bounds.width / 2, this.bounds.height / 2 + 35);
+        ctx.fillText('CONTAMINATED ENTITIES APPROACHING', ctx.canvas.width / 2, ctx.canvas.height / 2 + 10);
+        ctx.fillText('PREPARE FOR COMBAT', ctx.canvas.width / 2, ctx.canvas.height / 2 + 35);
         
         ctx.restore();
     }
@@ -24,8 +24,9 @@ export class Level2 extends Level {
         this.elevatorActivated = false;
         this.sacrificeTimer = 0;
         this.sacrificeDelay = 3.0; // 3 seconds to make sacrifice decision
+        this.standIn = null; // Holds the button when the party can't spare a player
         
-        // Zombie horde after boss
+        // Zombie horde after boss (its wave in level2.json has the same delay)
         this.hordeSpawned = false;
         this.hordeTimer = 0;
         this.hordeDelay = 2.0; // 2 seconds after boss death
@@ -48,6 +49,7 @@ export class Level2 extends Level {
         this.hordeTimer = 0;
         this.elevatorActivated = false;
         this.playerOnButton = null;
+        this.standIn = null;
         
         // Create elevator and button objects
         this.createSacrificeObjects();
@@ -84,10 +86,14 @@ export class Level2 extends Level {
             this.introMessageTime += deltaTime;
             if (this.introMessageTime >= this.introMessageDuration) {
                 this.introMessageShown = true;
-                this.spawnBoss(gameEngine);
             }
         }
         
+        // The boss arrives with the level's first wave
+        if (!this.bossSpawned) {
+            this.checkBossArrival(gameEngine);
+        }
+        
         // Handle boss phase
         if (this.bossSpawned && !this.bossDefeated) {
             this.updateBossPhase(deltaTime, players, gameEngine);
@@ -97,7 +103,7 @@ export class Level2 extends Level {
         if (this.bossDefeated && !this.hordeSpawned) {
             this.hordeTimer += deltaTime;
             if (this.hordeTimer >= this.hordeDelay) {
-                this.spawnZombieHorde(gameEngine);
+                this.startHordePhase();
             }
         }
         
@@ -107,19 +113,15 @@ export class Level2 extends Level {
         }
     }
     
-    spawnBoss(gameEngine) {
-        if (this.bossSpawned) return;
-        
-        console.log('Spawning mutant boss in Level 2');
+    /**
+     * The wave director (the server's in multiplayer) spawns the boss; start the fight once it's in
+     */
+    checkBossArrival(gameEngine) {
+        const boss = gameEngine.getEnemyManager()?.getAliveEnemies().find(enemy => enemy.archetype.isBoss);
+        if (!boss) return;
+        
+        console.log('Mutant boss arrived in Level 2 with', boss.health, 'health');
         this.bossSpawned = true;
-        
-        // Spawn boss in center of screen
-        const enemyManager = gameEngine.getEnemyManager();
-        if (enemyManager) {
-            const boss = enemyManager.spawnEnemy('mutant_boss', 400, 200);
-            boss.gameLevel = this; // Reference for boss to communicate with level
-            console.log('Boss spawned with', boss.health, 'health');
-        }
     }
     
     updateBossPhase(deltaTime, players, gameEngine) {
@@ -127,7 +129,7 @@ export class Level2 extends Level {
         const enemyManager = gameEngine.getEnemyManager();
         if (enemyManager) {
             const aliveEnemies = enemyManager.getAliveEnemies();
-            const boss = aliveEnemies.find(enemy => enemy.type === 'mutant_boss');
+            const boss = aliveEnemies.find(enemy => enemy.archetype.isBoss);
             
             if (!boss) {
                 // Boss is dead
@@ -147,38 +149,38 @@ export class Level2 extends Level {
         this.hordeTimer = 0;
     }
     
-    spawnZombieHorde(gameEngine) {
+    /**
+     * The horde wave arrives (from level2.json); someone has to hold the button for the rest
+     */
+    startHordePhase() {
         if (this.hordeSpawned) return;
         
-        console.log('Spawning zombie horde - players must escape!');
+        console.log('Zombie horde incoming - players must escape!');
         this.hordeSpawned = true;
         this.sacrificePhase = true;
         
-        // Spawn multiple zombies around the edges
-        const enemyManager = gameEngine.getEnemyManager();
-        if (enemyManager) {
-            const canvasWidth = gameEngine.canvas.width;
-            const canvasHeight = gameEngine.canvas.height;
-            
-            // Spawn zombies from multiple directions
-            const spawnPositions = [
-                { x: 50, y: 50 },
-                { x: canvasWidth - 100, y: 50 },
-                { x: 50, y: canvasHeight - 100 },
-                { x: canvasWidth - 100, y: canvasHeight - 100 },
-                { x: canvasWidth / 2, y: 50 },
-                { x: canvasWidth / 2, y: canvasHeight - 100 }
-            ];
-            
-            for (const pos of spawnPositions) {
-                enemyManager.spawnEnemy('zombie', pos.x, pos.y);
-            }
+        // Small parties keep their players for the final sacrifice; a survivor holds the button instead
+        if (!this.isPlayerSacrificeRequired()) {
+            this.standIn = this.addStandIn(
+                'Guard',
+                this.button.x + this.button.width / 2,
+                this.button.y + this.button.height / 2,
+                { x: 0, y: this.button.y }
+            );
         }
     }
     
+    /**
+     * The first sacrifice is only asked of parties big enough to make both
+     * sacrifices (three or more) with at least two players still alive
+     */
+    isPlayerSacrificeRequired() {
+        return this.getPartySize() >= 3 && this.getAlivePlayers().length >= 2;
+    }
+    
     updateSacrificePhase(deltaTime, players, gameEngine) {
-        // Update button state
-        this.updateButton(players);
+        // Update button state (a stand-in can hold it too)
+        this.updateButton(this.withStandIns(players));
         
         // Update elevator state
         this.updateElevator(players);
@@ -258,13 +260,18 @@ export class Level2 extends Level {
             this.gameEngine.getAudioManager().playSFX('sacrifice_moment', 1.0);
         }
         
-        // Sacrifice the player on the button
-        if (this.playerOnButton) {
+        // A stand-in on the button stays behind in the players' place
+        if (this.playerOnButton?.isStandIn) {
+            console.log(`${this.playerOnButton.name} stayed behind so the party could escape`);
+            this.playerOnButton.die();
+            this.createSacrificeEffect(this.playerOnButton);
+        } else if (this.playerOnButton) {
             console.log(`Player ${this.playerOnButton.id} sacrificed themselves to save the others`);
             
             // Remove the sacrificed player
             this.playerOnButton.isAlive = false;
             this.playerOnButton.health = 0;
+            this.reportProgress({ type: 'sacrifice', playerId: this.playerOnButton.id });
             
             // Create sacrifice effect
             this.createSacrificeEffect(this.playerOnButton);
@@ -309,6 +316,14 @@ export class Level2 extends Level {
         }
     }
     
+    /**
+     * Enemies route around the elevator
+     */
+    getNavigationObstacles() {
+        const obstacles = super.getNavigationObstacles();
+        return this.elevator ? [...obstacles, this.elevator] : obstacles;
+    }
+    
     checkObjective(objective, players, gameEngine) {
         switch (objective) {
             case 'defeat_boss':
@@ -323,26 +338,11 @@ export class Level2 extends Level {
     }
     
     renderLevel(ctx, spriteRenderer) {
-        // Render intro message
-        if (!this.introMessageShown) {
-            this.renderIntroMessage(ctx);
-        }
-        
         // Render sacrifice objects
         if (this.sacrificePhase) {
             this.renderSacrificeObjects(ctx);
         }
         
-        // Render sacrifice instructions
-        if (this.sacrificePhase && !this.sacrificeCompleted) {
-            this.renderSacrificeInstructions(ctx);
-        }
-        
-        // Render level completion message
-        if (this.isCompleted) {
-            this.renderCompletionMessage(ctx);
-        }
-        
         // Render effects
         this.renderEffects(ctx);
     }
@@ -416,7 +416,10 @@ export class Level2 extends Level {
         ctx.font = 'bold 16px monospace';
         ctx.textAlign = 'center';
         
-        if (!this.button.pressed && this.elevator.playersInside.length === 0) {
+        if (this.standIn && this.standIn.isEnRoute()) {
+            ctx.fillText(`${this.standIn.name} is heading for the BUTTON`, ctx.canvas.width / 2, ctx.canvas.height - 80);
+            ctx.fillText('Get into the ELEVATOR', ctx.canvas.width / 2, ctx.canvas.height - 60);
+        } else if (!this.button.pressed && this.elevator.playersInside.length === 0) {
             ctx.fillText('One player must stand on the BUTTON', ctx.canvas.width / 2, ctx.canvas.height - 80);
             ctx.fillText('Others must enter the ELEVATOR', ctx.canvas.width / 2, ctx.canvas.height - 60);
         } else if (this.button.pressed && this.elevator.playersInside.length === 0) {
@@ -429,7 +432,8 @@ export class Level2 extends Level {
             ctx.fillText(`SACRIFICE IN ${timeLeft}...`, ctx.canvas.width / 2, ctx.canvas.height - 70);
             ctx.fillStyle = '#ffffff';
             ctx.font = '14px monospace';
-            ctx.fillText('The player on the button will be left behind', ctx.canvas.width / 2, ctx.canvas.height - 50);
+            const leftBehind = this.button.playerOn?.isStandIn ? this.button.playerOn.name : 'The player on the button';
+            ctx.fillText(`${leftBehind} will be left behind`, ctx.canvas.width / 2, ctx.canvas.height - 50);
         }
         
         ctx.textAlign = 'left';
@@ -487,6 +491,21 @@ export class Level2 extends Level {
     }
     
     renderUI(ctx) {
+        // Render intro message
+        if (!this.introMessageShown) {
+            this.renderIntroMessage(ctx);
+        }
+        
+        // Render sacrifice instructions
+        if (this.sacrificePhase && !this.sacrificeCompleted) {
+            this.renderSacrificeInstructions(ctx);
+        }
+        
+        // Render level completion message
+        if (this.isCompleted) {
+            this.renderCompletionMessage(ctx);
+        }
+        
         // Show level info
         ctx.fillStyle = '#ffffff';
         ctx.font = 'bold 16px monospace';
@@ -564,12 +583,6 @@ export class Level2 extends Level {
         }
     }
     
-    spawnEnemies(gameEngine) {
-        // This will be called by LevelManager, but we handle boss spawning manually
-        // in the level flow, so we don't spawn enemies immediately
-        console.log('Level 2 enemy spawning handled by level flow');
-    }
-    
     onLevelCompleted() {
         console.log('Level 2 completed! First sacrifice has been made.');
         
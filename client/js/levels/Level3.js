@@ -41,37 +41,47 @@ export class Level3 extends Level {
         // Create puzzle manager
         this.puzzleManager = new PuzzleManager(this.gameEngine);
         
-        // Create dual switch puzzle configuration
+        // One switch per survivor (at least two); stand-ins take the ones nobody can
+        const aliveCount = this.getAlivePlayers().length;
+        const switchCount = Math.max(2, aliveCount);
+        
+        // Create dual switch puzzle configuration, switches spread between x=150 and x=650
+        const elements = [];
+        for (let i = 0; i < switchCount; i++) {
+            elements.push({
+                id: `switch_${i + 1}`,
+                type: 'switch',
+                x: Math.round(150 + i * (500 / (switchCount - 1))),
+                y: 300,
+                width: 50,
+                height: 50,
+                requiresContinuousInteraction: true
+            });
+        }
+        
         const puzzleConfig = {
-            requiredPlayers: 2,
+            requiredPlayers: switchCount,
             requiredHoldTime: 3.0,
-            elements: [
-                {
-                    id: 'switch_1',
-                    type: 'switch',
-                    x: 150,
-                    y: 300,
-                    width: 50,
-                    height: 50,
-                    requiresContinuousInteraction: true
-                },
-                {
-                    id: 'switch_2',
-                    type: 'switch',
-                    x: 650,
-                    y: 300,
-                    width: 50,
-                    height: 50,
-                    requiresContinuousInteraction: true
-                }
-            ]
+            elements
         };
         
         // Create and add the dual switch puzzle
         const dualSwitchPuzzle = new DualSwitchPuzzle(puzzleConfig);
         this.puzzleManager.addPuzzle('main_puzzle', dualSwitchPuzzle);
         
-        console.log('Dual switch puzzle initialized');
+        // Stand-ins head for the last switches
+        const standInNames = ['Technician', 'Guard'];
+        for (let i = aliveCount; i < switchCount; i++) {
+            const element = elements[i];
+            this.addStandIn(
+                standInNames[(i - aliveCount) % standInNames.length],
+                element.x + element.width / 2,
+                element.y + element.height / 2,
+                { x: element.x, y: 0 }
+            );
+        }
+        
+        console.log(`Switch puzzle initialized with ${switchCount} switches and ${this.standIns.length} stand-ins`);
     }
     
     updateLevel(deltaTime, players, gameEngine) {
@@ -84,9 +94,9 @@ export class Level3 extends Level {
             }
         }
         
-        // Update puzzle system
+        // Update puzzle system (stand-ins hold switches too)
         if (this.puzzleManager) {
-            this.puzzleManager.update(deltaTime, players);
+            this.puzzleManager.update(deltaTime, this.withStandIns(players));
             
             // Check if puzzle is completed
             if (!this.puzzleCompleted && this.puzzleManager.hasCompletedPuzzle()) {
@@ -156,25 +166,10 @@ export class Level3 extends Level {
     }
     
     renderLevel(ctx, spriteRenderer) {
-        // Render intro message
-        if (!this.introMessageShown) {
-            this.renderIntroMessage(ctx);
-        }
-        
         // Render puzzle system
         if (this.puzzleManager) {
             this.puzzleManager.render(ctx, spriteRenderer);
         }
-        
-        // Render instructions
-        if (this.introMessageShown && !this.puzzleCompleted) {
-            this.renderInstructions(ctx);
-        }
-        
-        // Render completion message
-        if (this.puzzleCompleted) {
-            this.renderCompletionMessage(ctx);
-        }
     }
     
     renderIntroMessage(ctx) {
@@ -215,14 +210,17 @@ export class Level3 extends Level {
         if (puzzle) {
             const status = puzzle.getStatus();
             
-            if (status.interactingPlayers.length === 0) {
-                ctx.fillText('Both players must stand on the SWITCHES', ctx.canvas.width / 2, ctx.canvas.height - 80);
+            const held = status.interactingPlayers.length;
+            const required = status.requiredPlayers;
+            
+            if (held === 0) {
+                ctx.fillText(`${required} survivors must stand on the SWITCHES`, ctx.canvas.width / 2, ctx.canvas.height - 80);
                 ctx.fillText('Work together to hold them simultaneously', ctx.canvas.width / 2, ctx.canvas.height - 60);
-            } else if (status.interactingPlayers.length === 1) {
-                ctx.fillText('One switch activated - need the other player!', ctx.canvas.width / 2, ctx.canvas.height - 70);
-            } else if (status.interactingPlayers.length >= 2) {
+            } else if (held < required) {
+                ctx.fillText(`${held}/${required} switches activated - need everyone!`, ctx.canvas.width / 2, ctx.canvas.height - 70);
+            } else {
                 ctx.fillStyle = '#00ff00';
-                ctx.fillText('Both switches active - hold position!', ctx.canvas.width / 2, ctx.canvas.height - 70);
+                ctx.fillText('All switches active - hold position!', ctx.canvas.width / 2, ctx.canvas.height - 70);
             }
         }
         
@@ -259,6 +257,21 @@ export class Level3 extends Level {
     }
     
     renderUI(ctx) {
+        // Render intro message
+        if (!this.introMessageShown) {
+            this.renderIntroMessage(ctx);
+        }
+        
+        // Render instructions
+        if (this.introMessageShown && !this.puzzleCompleted) {
+            this.renderInstructions(ctx);
+        }
+        
+        // Render completion message
+        if (this.puzzleCompleted) {
+            this.renderCompletionMessage(ctx);
+        }
+        
         // Show level info
         ctx.fillStyle = '#ffffff';
         ctx.font = 'bold 16px monospace';
@@ -290,7 +303,7 @@ export class Level3 extends Level {
                 
                 ctx.fillStyle = '#ffffff';
                 ctx.font = '12px monospace';
-                ctx.fillText(`Players on switches: ${status.interactingPlayers.length}/2`, 10, yOffset + 25);
+                ctx.fillText(`Players on switches: ${status.interactingPlayers.length}/${status.requiredPlayers}`, 10, yOffset + 25);
                 
                 if (status.interactingPlayers.length > 0) {
                     ctx.fillStyle = '#ffff00';
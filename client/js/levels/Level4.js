@@ -60,6 +60,11 @@ export class Level4 extends Level {
         const holdMechanismPuzzle = new HoldMechanismPuzzle(puzzleConfig);
         this.puzzleManager.addPuzzle('sacrifice_puzzle', holdMechanismPuzzle);
         
+        // A lone survivor gets a stand-in to hold the mechanism for them
+        if (this.getAlivePlayers().length < 2) {
+            this.addStandIn('Guard', puzzleConfig.mechanismX + 30, puzzleConfig.mechanismY + 30, { x: 100, y: 500 });
+        }
+        
         console.log('Hold mechanism puzzle initialized');
     }
     
@@ -73,9 +78,9 @@ export class Level4 extends Level {
             }
         }
         
-        // Update puzzle system
+        // Update puzzle system (a stand-in can hold the mechanism)
         if (this.puzzleManager) {
-            this.puzzleManager.update(deltaTime, players);
+            this.puzzleManager.update(deltaTime, this.withStandIns(players));
             
             // Check if sacrifice is completed
             if (!this.sacrificeCompleted && this.puzzleManager.hasCompletedPuzzle()) {
@@ -138,6 +143,21 @@ export class Level4 extends Level {
         this.effects.push(effect);
     }
     
+    /**
+     * Enemies route around the mechanism and the exit door while it's closed
+     */
+    getNavigationObstacles() {
+        const obstacles = super.getNavigationObstacles();
+        const puzzle = this.puzzleManager?.getPuzzle('sacrifice_puzzle');
+        if (!puzzle) return obstacles;
+        
+        return [
+            ...obstacles,
+            puzzle.mechanism,
+            ...(puzzle.exitDoor.state === 'closed' ? [puzzle.exitDoor] : [])
+        ];
+    }
+    
     checkObjective(objective, players, gameEngine) {
         switch (objective) {
             case 'solve_puzzle':
@@ -152,26 +172,11 @@ export class Level4 extends Level {
     }
     
     renderLevel(ctx, spriteRenderer) {
-        // Render intro message
-        if (!this.introMessageShown) {
-            this.renderIntroMessage(ctx);
-        }
-        
         // Render puzzle system
         if (this.puzzleManager) {
             this.puzzleManager.render(ctx, spriteRenderer);
         }
         
-        // Render instructions
-        if (this.introMessageShown && !this.sacrificeCompleted) {
-            this.renderInstructions(ctx);
-        }
-        
-        // Render completion message
-        if (this.sacrificeCompleted) {
-            this.renderCompletionMessage(ctx);
-        }
-        
         // Render custom effects
         this.renderCustomEffects(ctx);
     }
@@ -315,6 +320,21 @@ export class Level4 extends Level {
     }
     
     renderUI(ctx) {
+        // Render intro message
+        if (!this.introMessageShown) {
+            this.renderIntroMessage(ctx);
+        }
+        
+        // Render instructions
+        if (this.introMessageShown && !this.sacrificeCompleted) {
+            this.renderInstructions(ctx);
+        }
+        
+        // Render completion message
+        if (this.sacrificeCompleted) {
+            this.renderCompletionMessage(ctx);
+        }
+        
         // Show level info
         ctx.fillStyle = '#ffffff';
         ctx.font = 'bold 16px monospace';
@@ -1,5 +1,7 @@
 import { Level } from '../engine/Level.js';
 
+const RADIATION_FALLOFF = 200; // Px outside a zone over which the music's radiation layer fades out
+
 /**
  * Level 5: Final Challenge and Ending
  * The final surviving player faces environmental hazards and must shut down the reactor
@@ -270,11 +272,11 @@ export class Level5 extends Level {
     /**
      * Handle input for reactor interaction
      */
-    handleInput(keys) {
+    handleInput(input) {
         // Check if player is near reactor and can interact
         if (this.playerNearReactor && this.reactorReached && !this.shutdownInProgress && !this.endingTriggered) {
-            // Check for Space key press to start reactor shutdown
-            if (keys && keys['Space']) {
+            // The attack action (Space) starts the reactor shutdown
+            if (input && input.isDown('attack')) {
                 this.startReactorShutdown();
             }
         }
@@ -305,6 +307,23 @@ export class Level5 extends Level {
         }
     }
     
+    /**
+     * Enemies route around the reactor
+     */
+    getNavigationObstacles() {
+        const obstacles = super.getNavigationObstacles();
+        return this.reactor ? [...obstacles, this.reactor] : obstacles;
+    }
+    
+    /**
+     * Exposure to the drifting radiation zones once the hazards are active
+     */
+    getRadiationExposure(player) {
+        const exposure = super.getRadiationExposure(player);
+        if (!this.hazardsActive || !this.hazardSystem) return exposure;
+        return Math.max(exposure, this.hazardSystem.getRadiationExposure(player));
+    }
+    
     checkObjective(objective, players, gameEngine) {
         switch (objective) {
             case 'reach_reactor':
@@ -322,11 +341,6 @@ export class Level5 extends Level {
     }
     
     renderLevel(ctx, spriteRenderer) {
-        // Render intro message
-        if (!this.introMessageShown) {
-            this.renderIntroMessage(ctx);
-        }
-        
         // Render environmental hazards
         if (this.hazardSystem) {
             this.hazardSystem.render(ctx);
@@ -334,16 +348,6 @@ export class Level5 extends Level {
         
         // Render reactor
         this.renderReactor(ctx);
-        
-        // Render shutdown progress
-        if (this.shutdownInProgress) {
-            this.renderShutdownProgress(ctx);
-        }
-        
-        // Render ending sequence
-        if (this.endingTriggered) {
-            this.renderEndingSequence(ctx);
-        }
     }
     
     renderIntroMessage(ctx) {
@@ -532,6 +536,21 @@ export class Level5 extends Level {
     }
     
     renderUI(ctx) {
+        // Render intro message
+        if (!this.introMessageShown) {
+            this.renderIntroMessage(ctx);
+        }
+        
+        // Render shutdown progress
+        if (this.shutdownInProgress) {
+            this.renderShutdownProgress(ctx);
+        }
+        
+        // Render ending sequence
+        if (this.endingTriggered) {
+            this.renderEndingSequence(ctx);
+        }
+        
         // Show level info
         ctx.fillStyle = '#ffffff';
         ctx.font = 'bold 16px monospace';
@@ -586,14 +605,14 @@ export class Level5 extends Level {
             
             if (this.playerNearReactor && !this.shutdownInProgress && !this.endingTriggered) {
                 ctx.fillStyle = '#ffff00';
-                ctx.fillText('Press SPACE to shut down reactor', 10, yOffset + 25);
+                ctx.fillText(`Press ${this.getKeyLabel('attack')} to shut down reactor`, 10, yOffset + 25);
                 
                 // Also show interaction prompt near reactor
                 ctx.save();
                 ctx.fillStyle = '#ffff00';
                 ctx.font = 'bold 16px monospace';
                 ctx.textAlign = 'center';
-                ctx.fillText('Press SPACE to shutdown', 
+                ctx.fillText(`Press ${this.getKeyLabel('attack')} to shutdown`, 
                     this.reactor.x + this.reactor.width / 2, 
                     this.reactor.y - 30);
                 ctx.restore();
@@ -683,9 +702,11 @@ class EnvironmentalHazardSystem {
                 if (!player.isAlive) continue;
                 
                 if (this.checkRockPlayerCollision(rock, player)) {
-                    // Deal damage to player
-                    player.takeDamage(rock.damage);
-                    console.log(`Player ${player.id} hit by falling rock for ${rock.damage} damage!`);
+                    // Deal damage to player (the server owns player health in multiplayer)
+                    if (this.level.appliesHazardDamage()) {
+                        player.takeDamage(rock.damage);
+                        console.log(`Player ${player.id} hit by falling rock for ${rock.damage} damage!`);
+                    }
                     
                     // Create impact effect
                     this.createRockImpactEffect(rock.x, rock.y);
@@ -717,7 +738,7 @@ class EnvironmentalHazardSystem {
                 for (const player of players) {
                     if (!player.isAlive) continue;
                     
-                    if (this.checkPlayerInRadiationZone(player, zone)) {
+                    if (this.checkPlayerInRadiationZone(player, zone) && this.level.appliesHazardDamage()) {
                         player.takeDamage(zone.damagePerTick);
                         console.log(`Player ${player.id} taking radiation damage: ${zone.damagePerTick}`);
                         
@@ -869,6 +890,23 @@ class EnvironmentalHazardSystem {
         return distance <= zone.radius;
     }
     
+    /**
+     * 1 inside a radiation zone, fading to 0 over RADIATION_FALLOFF px outside the nearest one
+     */
+    getRadiationExposure(player) {
+        const playerCenterX = player.x + player.width / 2;
+        const playerCenterY = player.y + player.height / 2;
+        let exposure = 0;
+        
+        for (const zone of this.radiationZones) {
+            const distance = Math.hypot(playerCenterX - (zone.x + zone.radius), playerCenterY - (zone.y + zone.radius));
+            const outside = Math.max(0, distance - zone.radius);
+            exposure = Math.max(exposure, 1 - Math.min(1, outside / RADIATION_FALLOFF));
+        }
+        
+        return exposure;
+    }
+    
     createRockImpactEffect(x, y) {
         const effect = {
             type: 'rock_impact',
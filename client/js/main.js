@@ -23,9 +23,6 @@ function initializeGame() {
     // Initialize network manager
     const networkManager = new NetworkManager();
     
-    // Initialize lobby manager
-    const lobbyManager = new LobbyManager(networkManager);
-    
     // Show loading message
     const ctx = canvas.getContext('2d');
     ctx.fillStyle = '#000000';
@@ -40,14 +37,48 @@ function initializeGame() {
     // Initialize game engine (handles all canvas setup)
     const gameEngine = new GameEngine(canvas, networkManager);
     
+    // Initialize lobby manager (character picks use the engine's character roster)
+    const lobbyManager = new LobbyManager(networkManager, gameEngine.characterManager);
+    
     // Connect lobby to game engine
     lobbyManager.onGameStart = (data) => {
         console.log('Starting game with data:', data);
         gameEngine.startMultiplayerGame(data);
     };
     
+    const params = new URLSearchParams(window.location.search);
+    
+    // Links like /?replay=ABC123-1700000000000 play back a recorded game instead of connecting
+    const replayId = params.get('replay');
+    if (replayId) {
+        loadReplay(replayId, gameEngine, lobbyManager);
+        return;
+    }
+    
+    // Links like /?spectate=ABC123 watch a game in progress read-only
+    const spectateCode = params.get('spectate');
+    if (spectateCode) {
+        networkManager.watchRoom(spectateCode);
+    }
+    
     // Connect to server
     networkManager.connect();
     
     console.log('Sacrifices Must Be Made - Lobby and Game Initialized');
-}
\ No newline at end of file
+}
+
+async function loadReplay(replayId, gameEngine, lobbyManager) {
+    try {
+        const response = await fetch(`/api/replays/${encodeURIComponent(replayId)}`);
+        if (!response.ok) {
+            throw new Error(response.status === 404 ? 'Replay not found' : `Server returned ${response.status}`);
+        }
+        
+        const replay = await response.json();
+        lobbyManager.showGameScreen();
+        gameEngine.startReplay(replay);
+    } catch (error) {
+        console.error('Failed to load replay:', error);
+        lobbyManager.showError(`Could not load replay: ${error.message}`);
+    }
+}
@@ -1,3 +1,5 @@
+import { applyStateDelta } from './StateDelta.js';
+
 export class NetworkManager {
     constructor() {
         this.socket = null;
@@ -19,6 +21,8 @@ export class NetworkManager {
         // Game state management
         this.gameState = 'waiting'; // 'waiting', 'playing', 'paused', 'ended'
         this.lastKnownGameState = null;
+        this.stateHistory = new Map(); // stateVersion -> applied state, bases for server deltas
+        this.maxStateHistory = 20;
         this.isGamePaused = false;
         
         // Network quality monitoring
@@ -34,21 +38,31 @@ export class NetworkManager {
         // Event callbacks
         this.onConnectionChange = null;
         this.onGameStateUpdate = null;
+        this.onPositionCorrection = null;
         this.onPlayerJoin = null;
         this.onPlayerLeave = null;
         this.onNetworkError = null;
         this.onReconnectAttempt = null;
         this.onGamePaused = null;
         this.onGameResumed = null;
+        this.onCombatEvent = null;
         
         // Lobby callbacks
         this.onRoomCreated = null;
         this.onRoomJoined = null;
         this.onRoomUpdate = null;
         this.onJoinError = null;
+        this.onCharacterError = null;
         this.onGameStart = null;
         this.onPlayerJoined = null;
         this.onPlayerLeft = null;
+        this.onSpectateJoined = null;
+        this.onSpectatorSignal = null;
+        
+        // Read-only outside viewer state
+        this.isViewer = false;
+        this.viewingRoomCode = null;
+        this.viewerName = null;
         
         this.updateConnectionStatus('Disconnected');
     }
@@ -149,6 +163,13 @@ export class NetworkManager {
                 }
             });
             
+            this.socket.on('createError', (error) => {
+                console.log('Create error:', error);
+                if (this.onJoinError) {
+                    this.onJoinError(error);
+                }
+            });
+            
             this.socket.on('joinError', (error) => {
                 console.log('Join error:', error);
                 if (this.onJoinError) {
@@ -156,6 +177,38 @@ export class NetworkManager {
                 }
             });
             
+            // Character pick the server turned down (e.g. taken under the room's unique rule)
+            this.socket.on('characterError', (error) => {
+                console.log('Character error:', error);
+                if (this.onCharacterError) {
+                    this.onCharacterError(error);
+                }
+            });
+            
+            // Read-only viewer joined a game in progress
+            this.socket.on('spectateJoined', (data) => {
+                console.log('Watching room:', data);
+                if (this.onSpectateJoined) {
+                    this.onSpectateJoined(data);
+                }
+            });
+            
+            this.socket.on('spectateError', (error) => {
+                console.log('Spectate error:', error);
+                this.isViewer = false;
+                this.viewingRoomCode = null;
+                if (this.onJoinError) {
+                    this.onJoinError(error);
+                }
+            });
+            
+            // Pings and reactions from spectating players and viewers
+            this.socket.on('spectatorSignal', (data) => {
+                if (this.onSpectatorSignal) {
+                    this.onSpectatorSignal(data);
+                }
+            });
+            
             this.socket.on('gameStart', (data) => {
                 console.log('Game starting:', data);
                 if (this.onGameStart) {
@@ -201,6 +254,11 @@ export class NetworkManager {
                 this.resumeGame();
             });
             
+            this.socket.on('gameEnded', (data) => {
+                console.log('Game ended by server:', data);
+                this.gameState = 'ended';
+            });
+            
             // Reconnection events
             this.socket.on('rejoinSuccess', (data) => {
                 console.log('Successfully rejoined room:', data);
@@ -225,15 +283,8 @@ export class NetworkManager {
             });
             
             // Game state synchronization
-            this.socket.on('gameStateSync', (gameState) => {
-                console.log('Received game state sync:', gameState);
-                
-                // Game state validation removed for compatibility
-                
-                // Apply game state to local game
-                if (this.onGameStateUpdate) {
-                    this.onGameStateUpdate(gameState);
-                }
+            this.socket.on('gameStateSync', (snapshot) => {
+                this.handleStateSnapshot(snapshot);
             });
 
             // Handle individual player actions for smooth updates
@@ -244,6 +295,21 @@ export class NetworkManager {
                 }
             });
             
+            // Server rejected part of our movement; snap back to its position
+            this.socket.on('positionCorrection', (data) => {
+                console.warn('Position corrected by server:', data);
+                if (this.onPositionCorrection) {
+                    this.onPositionCorrection(data);
+                }
+            });
+            
+            // Server-authoritative combat results (kills, deaths)
+            this.socket.on('combatEvent', (data) => {
+                if (this.onCombatEvent) {
+                    this.onCombatEvent(data);
+                }
+            });
+            
             // Handle being kicked for violations
             this.socket.on('kicked', (data) => {
                 console.error('Kicked from server:', data);
@@ -268,7 +334,7 @@ export class NetworkManager {
         this.updateConnectionStatus('Disconnected');
     }
     
-    createRoom(playerName) {
+    createRoom(playerName, partySize, uniqueCharacters = false, developer = false) {
         if (!this.isConnected || !this.socket) {
             console.warn('Cannot create room: not connected to server');
             if (this.onJoinError) {
@@ -278,8 +344,8 @@ export class NetworkManager {
         }
         
         this.playerName = playerName;
-        console.log(`Creating room for player: ${playerName}`);
-        this.socket.emit('createRoom', playerName);
+        console.log(`Creating room for player: ${playerName} (party of ${partySize})`);
+        this.socket.emit('createRoom', { playerName, partySize, uniqueCharacters, developer });
         return true;
     }
     
@@ -310,6 +376,17 @@ export class NetworkManager {
         return true;
     }
     
+    selectCharacter(characterType) {
+        if (!this.isConnected || !this.socket) {
+            console.warn('Cannot select character: not connected to server');
+            return false;
+        }
+        
+        console.log(`Selecting character: ${characterType}`);
+        this.socket.emit('selectCharacter', { characterType });
+        return true;
+    }
+    
     leaveRoom() {
         if (!this.isConnected || !this.socket) {
             return;
@@ -340,6 +417,39 @@ export class NetworkManager {
         return true;
     }
     
+    // Report a level transition so the server can load that level's enemies
+    sendLevelChange(levelNumber) {
+        if (this.isConnected && this.socket) {
+            this.socket.emit('levelChange', { levelNumber });
+        }
+    }
+    
+    // Watch a game in progress as a read-only viewer
+    watchRoom(roomCode, viewerName = 'Viewer') {
+        this.isViewer = true;
+        this.viewingRoomCode = roomCode.toUpperCase();
+        this.viewerName = viewerName;
+        
+        // Otherwise sent once the connection is up
+        if (this.isConnected && this.socket) {
+            this.socket.emit('spectateRoom', { roomCode: this.viewingRoomCode, viewerName });
+        }
+    }
+    
+    // Send a spectator ping or reaction to the room
+    sendSpectatorSignal(signal) {
+        if (this.isConnected && this.socket) {
+            this.socket.emit('spectatorSignal', signal);
+        }
+    }
+    
+    // Report story progress (objectives, sacrifices) for the server to persist
+    sendProgress(progress) {
+        if (this.isConnected && this.socket) {
+            this.socket.emit('progressUpdate', progress);
+        }
+    }
+    
     // Request state synchronization from server
     requestStateSync() {
         if (this.isConnected && this.socket) {
@@ -347,10 +457,49 @@ export class NetworkManager {
         }
     }
     
-    // Cheat reporting removed for compatibility
+    // Rebuild full state from a delta, acknowledge it and apply it
+    handleStateSnapshot(snapshot) {
+        let gameState = snapshot;
+        
+        if (snapshot.delta) {
+            const base = this.stateHistory.get(snapshot.baseVersion);
+            if (!base) {
+                // Lost our base; the next sync will be a full snapshot
+                console.warn(`Missing base state ${snapshot.baseVersion} for delta, requesting full sync`);
+                this.requestStateSync();
+                return;
+            }
+            gameState = applyStateDelta(base, snapshot);
+        }
+        
+        this.rememberState(gameState);
+        this.socket.emit('stateAck', { stateVersion: gameState.stateVersion });
+        
+        // Ignore snapshots older than what we already applied
+        if (this.lastKnownGameState && gameState.stateVersion < this.lastKnownGameState.stateVersion) {
+            return;
+        }
+        this.lastKnownGameState = gameState;
+        
+        // Apply game state to local game
+        if (this.onGameStateUpdate) {
+            this.onGameStateUpdate(gameState);
+        }
+    }
+    
+    // Keep recent states so deltas against any acked version can be applied
+    rememberState(gameState) {
+        this.stateHistory.delete(gameState.stateVersion);
+        this.stateHistory.set(gameState.stateVersion, gameState);
+        
+        while (this.stateHistory.size > this.maxStateHistory) {
+            const oldestVersion = this.stateHistory.keys().next().value;
+            this.stateHistory.delete(oldestVersion);
+        }
+    }
+    
+    // Report another player's suspicious behaviour to the server's suspicion log
     reportCheat(suspectedPlayerId, reason, evidence) {
-        // Functionality disabled for compatibility
-        return;
         if (this.isConnected && this.socket) {
             this.socket.emit('reportCheat', {
                 suspectedPlayerId,
@@ -409,6 +558,8 @@ export class NetworkManager {
         if (this.roomCode && this.playerName) {
             console.log('Attempting to rejoin room after reconnection...');
             this.rejoinRoom();
+        } else if (this.isViewer && this.viewingRoomCode) {
+            this.socket.emit('spectateRoom', { roomCode: this.viewingRoomCode, viewerName: this.viewerName });
         }
         
         if (this.onConnectionChange) {
@@ -0,0 +1,46 @@
+/**
+ * Rebuild a full room state from a base snapshot and a server delta
+ * (see server/StateDelta.js for the delta format)
+ */
+export function applyStateDelta(base, delta) {
+    const state = {
+        ...base,
+        roomCode: delta.roomCode,
+        stateVersion: delta.stateVersion,
+        timestamp: delta.timestamp
+    };
+
+    for (const [key, value] of Object.entries(delta.changes || {})) {
+        if (value === null) {
+            delete state[key];
+        } else {
+            state[key] = value;
+        }
+    }
+
+    for (const [key, entityDelta] of Object.entries(delta.entities || {})) {
+        state[key] = applyEntityDelta(base[key] || [], entityDelta);
+    }
+
+    return state;
+}
+
+/**
+ * Merge changed fields into an entity list, keeping the server's order
+ */
+function applyEntityDelta(baseList, entityDelta) {
+    const entities = new Map(baseList.map(entity => [entity.id, entity]));
+
+    for (const id of entityDelta.removed) {
+        entities.delete(id);
+    }
+
+    for (const changes of entityDelta.updated) {
+        const existing = entities.get(changes.id);
+        entities.set(changes.id, existing ? { ...existing, ...changes } : changes);
+    }
+
+    return entityDelta.order
+        .map(id => entities.get(id))
+        .filter(Boolean);
+}
@@ -0,0 +1,437 @@
+/**
+ * Enemy navigation: a grid of walkable cells built from level solids, and a shared A*
+ * service run with a per-frame search budget
+ * Shared by the client's EnemyManager and the server's CombatSimulation, so it only
+ * relies on this level interface (client Level, server NavigationLevel):
+ *   bounds                    { width, height }
+ *   tileMap                   optional, with tileSize, forEachSolidTile(callback(column, row))
+ *                             and getDoorSignature() (changes when a door opens or closes)
+ *   getNavigationObstacles()  other solid rects: crates, closed doors, elevators
+ */
+
+const SQRT2 = Math.SQRT2;
+
+// 8-way moves as [columnStep, rowStep, cost]
+const NEIGHBOURS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, SQRT2], [1, -1, SQRT2], [-1, 1, SQRT2], [-1, -1, SQRT2]
+];
+
+/**
+ * Walkable cells of a level
+ * Cells are blocked when a wall, closed door or obstacle comes within `clearance` of them,
+ * so paths keep enemies' bodies clear of corners
+ */
+export class NavigationGrid {
+    constructor(bounds, cellSize = 30, clearance = 14) {
+        this.cellSize = cellSize;
+        this.clearance = clearance;
+        this.columns = Math.ceil(bounds.width / cellSize);
+        this.rows = Math.ceil(bounds.height / cellSize);
+        this.blocked = new Uint8Array(this.columns * this.rows);
+    }
+
+    /**
+     * Grid for a level's tile walls, closed doors and navigation obstacles
+     */
+    static fromLevel(level, cellSize, clearance) {
+        const grid = new NavigationGrid(level.bounds, cellSize, clearance);
+
+        const tileMap = level.tileMap;
+        if (tileMap) {
+            const size = tileMap.tileSize;
+            tileMap.forEachSolidTile((column, row) => {
+                grid.blockRect({ x: column * size, y: row * size, width: size, height: size });
+            });
+        }
+
+        for (const obstacle of level.getNavigationObstacles()) {
+            grid.blockRect(obstacle);
+        }
+
+        return grid;
+    }
+
+    /**
+     * Block every cell the rectangle (grown by the clearance) touches
+     */
+    blockRect(rect) {
+        const margin = this.clearance;
+        const firstColumn = Math.max(0, Math.floor((rect.x - margin) / this.cellSize));
+        const lastColumn = Math.min(this.columns - 1, Math.floor((rect.x + rect.width + margin - 1) / this.cellSize));
+        const firstRow = Math.max(0, Math.floor((rect.y - margin) / this.cellSize));
+        const lastRow = Math.min(this.rows - 1, Math.floor((rect.y + rect.height + margin - 1) / this.cellSize));
+
+        for (let row = firstRow; row <= lastRow; row++) {
+            for (let column = firstColumn; column <= lastColumn; column++) {
+                this.blocked[row * this.columns + column] = 1;
+            }
+        }
+    }
+
+    isWalkable(column, row) {
+        return column >= 0 && row >= 0 && column < this.columns && row < this.rows &&
+               this.blocked[row * this.columns + column] === 0;
+    }
+
+    getCell(x, y) {
+        return {
+            column: Math.min(this.columns - 1, Math.max(0, Math.floor(x / this.cellSize))),
+            row: Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize)))
+        };
+    }
+
+    getCellCenter(column, row) {
+        return {
+            x: (column + 0.5) * this.cellSize,
+            y: (row + 0.5) * this.cellSize
+        };
+    }
+
+    /**
+     * Closest walkable cell to a cell, searching outward ring by ring
+     */
+    findNearestWalkable(column, row, maxRadius = 6) {
+        if (this.isWalkable(column, row)) return { column, row };
+
+        for (let radius = 1; radius <= maxRadius; radius++) {
+            for (let dy = -radius; dy <= radius; dy++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    if (Math.max(Math.abs(dx), Math.abs(dy)) !== radius) continue;
+                    if (this.isWalkable(column + dx, row + dy)) {
+                        return { column: column + dx, row: row + dy };
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Whether a straight walk between two points stays on walkable cells
+     */
+    hasLineOfSight(fromX, fromY, toX, toY) {
+        const distance = Math.hypot(toX - fromX, toY - fromY);
+        const steps = Math.ceil(distance / (this.cellSize / 2));
+
+        for (let step = 0; step <= steps; step++) {
+            const t = steps === 0 ? 0 : step / steps;
+            const { column, row } = this.getCell(fromX + (toX - fromX) * t, fromY + (toY - fromY) * t);
+            if (!this.isWalkable(column, row)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * A* from one cell to another
+     * Returns the cells of the path, or, when the goal can't be reached within maxNodes,
+     * the path to the explored cell closest to it; null when there's nowhere to go
+     */
+    findPath(start, goal, maxNodes = 4000) {
+        const columns = this.columns;
+        const startIndex = start.row * columns + start.column;
+        const goalIndex = goal.row * columns + goal.column;
+
+        const cameFrom = new Map();
+        const costSoFar = new Map([[startIndex, 0]]);
+        const closed = new Set();
+        const open = new MinHeap();
+        open.push(startIndex, 0);
+
+        let closestIndex = startIndex;
+        let closestHeuristic = octile(start.column, start.row, goal.column, goal.row);
+        let expanded = 0;
+
+        while (open.size > 0 && expanded < maxNodes) {
+            const current = open.pop();
+            if (closed.has(current)) continue;
+            closed.add(current);
+            expanded++;
+
+            if (current === goalIndex) {
+                closestIndex = current;
+                break;
+            }
+
+            const column = current % columns;
+            const row = Math.floor(current / columns);
+
+            const heuristic = octile(column, row, goal.column, goal.row);
+            if (heuristic < closestHeuristic) {
+                closestHeuristic = heuristic;
+                closestIndex = current;
+            }
+
+            for (const [dx, dy, stepCost] of NEIGHBOURS) {
+                const nextColumn = column + dx;
+                const nextRow = row + dy;
+                if (!this.isWalkable(nextColumn, nextRow)) continue;
+
+                // No cutting corners past a blocked cell
+                if (dx !== 0 && dy !== 0 && (!this.isWalkable(column + dx, row) || !this.isWalkable(column, row + dy))) {
+                    continue;
+                }
+
+                const next = nextRow * columns + nextColumn;
+                const cost = costSoFar.get(current) + stepCost;
+                if (cost < (costSoFar.get(next) ?? Infinity)) {
+                    costSoFar.set(next, cost);
+                    cameFrom.set(next, current);
+                    open.push(next, cost + octile(nextColumn, nextRow, goal.column, goal.row));
+                }
+            }
+        }
+
+        if (closestIndex === startIndex && startIndex !== goalIndex) return null;
+
+        const cells = [];
+        for (let index = closestIndex; index !== undefined; index = cameFrom.get(index)) {
+            cells.push({ column: index % columns, row: Math.floor(index / columns) });
+        }
+        return cells.reverse();
+    }
+}
+
+/**
+ * Shared path service for every enemy
+ * Paths are cached per start/goal cell for a moment, and at most `searchesPerFrame` A*
+ * searches run each frame; requests over budget queue in order and are answered on a
+ * later frame, so a crowd of zombies can't stall the game
+ */
+export class PathfindingService {
+    constructor(options = {}) {
+        this.cellSize = options.cellSize || 30;
+        this.clearance = options.clearance ?? 14;
+        this.searchesPerFrame = options.searchesPerFrame || 4;
+        this.maxNodesPerSearch = options.maxNodesPerSearch || 4000;
+        this.cacheDuration = options.cacheDuration || 1.0; // seconds
+
+        this.grid = null;
+        this.level = null;
+        this.signature = '';
+
+        this.cache = new Map(); // "startIndex:goalIndex" -> { path, expiresAt }
+        this.pending = new Map(); // requester id -> { from, to }, oldest first
+        this.results = new Map(); // requester id -> path found on a previous frame
+        this.time = 0;
+        this.searchesThisFrame = 0;
+    }
+
+    /**
+     * Once per frame, before enemies ask for paths: follow level changes and answer
+     * queued requests within the budget
+     */
+    update(deltaTime, level) {
+        this.time += deltaTime;
+        this.searchesThisFrame = 0;
+
+        if (!level) {
+            this.grid = null;
+            this.level = null;
+            return;
+        }
+        this.refreshGrid(level);
+
+        for (const [id, request] of this.pending) {
+            if (this.searchesThisFrame >= this.searchesPerFrame) break;
+
+            this.pending.delete(id);
+            this.results.set(id, this.search(request.from, request.to));
+        }
+
+        // Expired cache entries
+        if (this.cache.size > 256) {
+            for (const [key, entry] of this.cache) {
+                if (entry.expiresAt <= this.time) this.cache.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Rebuild the grid when the level or its obstacles (doors opening, elevators moving) change
+     */
+    refreshGrid(level) {
+        const doors = level.tileMap ? level.tileMap.getDoorSignature() : '';
+        const obstacles = level.getNavigationObstacles()
+            .map(rect => `${Math.round(rect.x)},${Math.round(rect.y)},${rect.width},${rect.height}`)
+            .join('|');
+        const signature = `${doors}/${obstacles}`;
+
+        if (level === this.level && signature === this.signature) return;
+
+        this.level = level;
+        this.signature = signature;
+        this.grid = NavigationGrid.fromLevel(level, this.cellSize, this.clearance);
+        this.cache.clear();
+        this.results.clear();
+    }
+
+    /**
+     * Whether a straight walk between two points is clear
+     */
+    hasLineOfSight(from, to) {
+        return !this.grid || this.grid.hasLineOfSight(from.x, from.y, to.x, to.y);
+    }
+
+    /**
+     * Path (list of { x, y } waypoints ending at `to`) for a requester, from the cache or a
+     * search this frame; null while the request waits for budget or when there's no path
+     */
+    requestPath(id, from, to) {
+        if (!this.grid) return null;
+
+        if (this.results.has(id)) {
+            const path = this.results.get(id);
+            this.results.delete(id);
+            if (path) return path;
+        }
+
+        const cached = this.cache.get(this.getCacheKey(from, to));
+        if (cached && cached.expiresAt > this.time) {
+            return cached.path;
+        }
+
+        if (this.searchesThisFrame < this.searchesPerFrame && !this.pending.has(id)) {
+            return this.search(from, to);
+        }
+
+        // Over budget: keep the place in the queue, aim for the latest position
+        if (this.pending.has(id)) {
+            this.pending.get(id).to = to;
+        } else {
+            this.pending.set(id, { from, to });
+        }
+        return null;
+    }
+
+    /**
+     * Forget a requester's queued search (e.g. it died)
+     */
+    cancel(id) {
+        this.pending.delete(id);
+        this.results.delete(id);
+    }
+
+    clearRequests() {
+        this.pending.clear();
+        this.results.clear();
+    }
+
+    search(from, to) {
+        this.searchesThisFrame++;
+
+        const grid = this.grid;
+        const fromCell = grid.getCell(from.x, from.y);
+        const toCell = grid.getCell(to.x, to.y);
+        const start = grid.findNearestWalkable(fromCell.column, fromCell.row);
+        const goal = grid.findNearestWalkable(toCell.column, toCell.row);
+
+        let path = null;
+        if (start && goal) {
+            const cells = grid.findPath(start, goal, this.maxNodesPerSearch);
+            if (cells) {
+                path = this.smoothPath(cells.map(cell => grid.getCellCenter(cell.column, cell.row)), from);
+
+                // Finish at the target itself when the last cell can see it
+                const last = path[path.length - 1];
+                if (last && grid.hasLineOfSight(last.x, last.y, to.x, to.y)) {
+                    path.push({ x: to.x, y: to.y });
+                }
+            }
+        }
+
+        this.cache.set(this.getCacheKey(from, to), { path, expiresAt: this.time + this.cacheDuration });
+        return path;
+    }
+
+    /**
+     * Drop waypoints that can be skipped by walking straight
+     */
+    smoothPath(points, from) {
+        const smoothed = [];
+        let anchor = from;
+        let index = 0;
+
+        while (index < points.length) {
+            let furthest = index;
+            while (furthest + 1 < points.length &&
+                   this.grid.hasLineOfSight(anchor.x, anchor.y, points[furthest + 1].x, points[furthest + 1].y)) {
+                furthest++;
+            }
+            smoothed.push(points[furthest]);
+            anchor = points[furthest];
+            index = furthest + 1;
+        }
+
+        return smoothed;
+    }
+
+    getCacheKey(from, to) {
+        const fromCell = this.grid.getCell(from.x, from.y);
+        const toCell = this.grid.getCell(to.x, to.y);
+        return `${fromCell.row * this.grid.columns + fromCell.column}:${toCell.row * this.grid.columns + toCell.column}`;
+    }
+}
+
+function octile(column, row, goalColumn, goalRow) {
+    const dx = Math.abs(column - goalColumn);
+    const dy = Math.abs(row - goalRow);
+    return Math.max(dx, dy) + (SQRT2 - 1) * Math.min(dx, dy);
+}
+
+/**
+ * Binary min-heap of indices by priority
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+        this.priorities = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item, priority) {
+        this.items.push(item);
+        this.priorities.push(priority);
+
+        let index = this.items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.priorities[parent] <= priority) break;
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const lastItem = this.items.pop();
+        const lastPriority = this.priorities.pop();
+
+        if (this.items.length > 0) {
+            this.items[0] = lastItem;
+            this.priorities[0] = lastPriority;
+
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < this.items.length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+                if (right < this.items.length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+                if (smallest === index) break;
+                this.swap(index, smallest);
+                index = smallest;
+            }
+        }
+
+        return top;
+    }
+
+    swap(a, b) {
+        [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+        [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+    }
+}
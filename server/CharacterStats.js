@@ -0,0 +1,50 @@
+/**
+ * Character stats the server validates against
+ * Mirrors CharacterManager.initializeCharacterTypes on the client:
+ * strength is damage in hearts, health is max hearts, speed is a 1-3 rating.
+ */
+export const CHARACTER_STATS = {
+    warrior: { strength: 3, health: 6, speed: 1 },
+    scout: { strength: 2, health: 4, speed: 3 },
+    medic: { strength: 1, health: 5, speed: 2 },
+    engineer: { strength: 2, health: 3, speed: 2 },
+    berserker: { strength: 3, health: 3, speed: 2 }
+};
+
+export const DEFAULT_CHARACTER = 'scout';
+
+// Characters players may pick in the lobby, in the order free ones are handed out
+export const CHARACTER_TYPES = [DEFAULT_CHARACTER, ...Object.keys(CHARACTER_STATS).filter(type => type !== DEFAULT_CHARACTER)];
+
+/**
+ * Active ability of each character (mirrors CHARACTER_ABILITIES in client/js/engine/CharacterManager.js)
+ * Times are in seconds, distances in pixels.
+ */
+export const CHARACTER_ABILITIES = {
+    warrior: { key: 'taunt', cooldown: 15, duration: 4, radius: 300, damageTaken: 0.5 },
+    scout: { key: 'dash_chain', cooldown: 12, duration: 4, dashCooldown: 0.4 },
+    medic: { key: 'area_heal', cooldown: 12, radius: 160, amount: 50 },
+    engineer: { key: 'turret', cooldown: 20, duration: 12, range: 260, damage: 25, fireInterval: 0.8 },
+    berserker: { key: 'rage', cooldown: 20, duration: 6, damageMultiplier: 2, damageTaken: 1.25 }
+};
+
+/**
+ * Stats for a character type, falling back to the default character
+ */
+export function getCharacterStats(characterType) {
+    return CHARACTER_STATS[characterType] || CHARACTER_STATS[DEFAULT_CHARACTER];
+}
+
+/**
+ * Active ability for a character type, falling back to the default character's
+ */
+export function getCharacterAbility(characterType) {
+    return CHARACTER_ABILITIES[characterType] || CHARACTER_ABILITIES[DEFAULT_CHARACTER];
+}
+
+/**
+ * Movement speed in pixels/second (same scaling as CharacterManager.applyCharacterStats)
+ */
+export function getCharacterSpeed(characterType) {
+    return 200 * (getCharacterStats(characterType).speed / 2);
+}
@@ -0,0 +1,1445 @@
+import _ from 'lodash';
+import { DESIGN_PARTY_SIZE } from './PartySize.js';
+import { loadLevelRosters, loadLevelTileMaps, loadLevelBounds, loadLevelObstacles, loadLevelHazards, NavigationLevel } from './LevelData.js';
+import { ENEMY_TYPES } from './EnemyTypes.js';
+import { WaveDirector } from './WaveDirector.js';
+import { getCharacterAbility } from './CharacterStats.js';
+import { POWER_UPS, POWER_UP_SPAWN_INTERVAL, MAX_BANKED_POWER_UPS } from './PowerUps.js';
+import { PathfindingService } from '../client/js/shared/Pathfinding.js';
+
+// Seconds a turret's last shot is reported to clients (for its tracer)
+const TURRET_SHOT_TIME = 0.15;
+
+/**
+ * Server-side combat simulation
+ * Owns the enemy roster, damage resolution and death state for each room
+ */
+
+export class CombatSimulation {
+    constructor(gameStateManager, levelRosters = loadLevelRosters(), levelTileMaps = loadLevelTileMaps(), levelBounds = loadLevelBounds(),
+        levelObstacles = loadLevelObstacles(), levelHazards = loadLevelHazards()) {
+        this.gameStateManager = gameStateManager;
+
+        // Enemy waves per level for a party of three, from the level files the client plays
+        this.levelRosters = levelRosters;
+
+        // Walls and doors per level that enemies can't walk through
+        this.levelTileMaps = levelTileMaps;
+
+        // Play area per level when it isn't the default world size
+        this.levelBounds = levelBounds;
+
+        // Solid level objects (crates, elevators, closed doors) per level
+        this.levelObstacles = levelObstacles;
+
+        // Damage zones per level (hazard tiles come with the tile maps)
+        this.levelHazards = levelHazards;
+
+        // Level layouts for pathfinding, built on first use: level number -> NavigationLevel
+        this.navigationLevels = new Map();
+
+        // Combat configuration (mirrors CombatSystem.config on the client)
+        this.config = {
+            worldWidth: 1920,
+            worldHeight: 1080,
+            playerSize: 32,
+            playerCollisionPadding: 4, // Player.collisionPadding on the client
+            hazardDamageInterval: 1.0, // seconds between hazard damage ticks
+            playerAttackRange: 80,
+            playerAttackCooldown: 0.7, // seconds
+            swingAngle: Math.PI / 3, // 60 degree swing arc
+            dashCooldown: 3.0,
+            dashDuration: 0.2,
+            targetUpdateInterval: 0.5,
+            spawnMargin: 100,
+            minSpawnDistance: 150
+        };
+    }
+
+    /**
+     * Create the per-room combat state
+     */
+    createCombatState() {
+        return {
+            enemies: new Map(),
+            nextEnemyId: 1,
+            projectiles: [],
+            nextProjectileId: 1,
+            turrets: [],
+            nextTurretId: 1,
+            hazardTimer: 0,
+            timeSlowTime: 0, // Seconds the time_slow power-up has left
+            waveDirector: null,
+            // A* routes around walls and obstacles, shared by the room's enemies
+            pathfinder: new PathfindingService()
+        };
+    }
+
+    /**
+     * Reset the roster and hand the level's waves to a wave director, scaled to the party size
+     */
+    startLevel(room, levelNumber) {
+        room.combat = this.createCombatState();
+
+        room.combat.waveDirector = new WaveDirector({
+            spawnEnemy: (type, x, y) => this.spawnEnemy(room, type, x, y),
+            findSpawnPosition: zone => this.findSafeSpawnPosition(room, zone),
+            getAliveEnemies: () => Array.from(room.combat.enemies.values()).filter(enemy => enemy.isAlive),
+            getPlayers: () => Array.from(room.players.values()).filter(player => player.connected),
+            announce: text => console.log(`📣 Room ${room.code}: ${text}`)
+        });
+        room.combat.waveDirector.start(this.levelRosters[levelNumber] || [], room.maxPlayers || DESIGN_PARTY_SIZE);
+    }
+
+    /**
+     * Whether the room's current level has no enemies left, alive or still to come
+     */
+    isLevelCleared(room) {
+        if (!room.combat) return false;
+
+        const aliveEnemies = Array.from(room.combat.enemies.values()).some(enemy => enemy.isAlive);
+        return !aliveEnemies && !room.combat.waveDirector?.hasPendingWaves();
+    }
+
+    /**
+     * Whether the level files define this level
+     */
+    hasLevel(levelNumber) {
+        return Object.hasOwn(this.levelRosters, levelNumber);
+    }
+
+    /**
+     * Spawn a single enemy into the room
+     */
+    spawnEnemy(room, type, x, y) {
+        const stats = ENEMY_TYPES[type] || ENEMY_TYPES.zombie;
+
+        const enemy = {
+            id: `enemy_${room.combat.nextEnemyId++}`,
+            type: type,
+            x: x,
+            y: y,
+            width: stats.width,
+            height: stats.height,
+            health: stats.health,
+            maxHealth: stats.health,
+            speed: stats.speed,
+            attackDamage: stats.attackDamage,
+            attackRange: stats.attackRange,
+            attackCooldownMax: stats.attackCooldown,
+            detectionRange: stats.detectionRange,
+            isBoss: !!stats.isBoss,
+            behavior: stats.behavior,
+            archetype: stats,
+            state: 'idle',
+            stateTime: 0,
+            facing: Math.PI / 2, // Where a shield points (radians)
+            isAlive: true,
+            direction: 'down',
+            velocity: { x: 0, y: 0 },
+            attackCooldown: 0,
+            targetId: null,
+            targetTimer: 0,
+            tauntedBy: null,
+            tauntTime: 0,
+            isInactive: false,
+            // Route from the room's pathfinder, refreshed every repathInterval seconds
+            path: [],
+            pathIndex: 0,
+            pathfindingCooldown: 0,
+            repathInterval: 0.5
+        };
+
+        // Boss locks onto one random living player for the whole fight
+        if (enemy.isBoss) {
+            enemy.phaseIndex = 0;
+            enemy.attackIndex = 0;
+            enemy.attack = null;
+            enemy.attackTimer = stats.phases[0].attackInterval;
+            enemy.recoverTime = 0;
+            enemy.chargeHits = new Set();
+
+            const alivePlayers = this.getAlivePlayers(room);
+            if (alivePlayers.length > 0) {
+                enemy.targetId = alivePlayers[Math.floor(Math.random() * alivePlayers.length)].id;
+            }
+        }
+
+        room.combat.enemies.set(enemy.id, enemy);
+        return enemy;
+    }
+
+    /**
+     * Advance the simulation by one fixed tick
+     * Returns true if anything changed
+     */
+    step(room, dt) {
+        if (!room.combat) return false;
+
+        const combat = room.combat;
+        let changed = combat.waveDirector.update(dt);
+
+        // Follow the level and answer queued route requests before enemies ask again
+        combat.pathfinder.update(dt, this.getNavigationLevel(room));
+
+        for (const player of room.players.values()) {
+            changed = this.updatePlayerTimers(player, dt) || changed;
+        }
+
+        if (combat.timeSlowTime > 0) {
+            combat.timeSlowTime = Math.max(0, combat.timeSlowTime - dt);
+        }
+
+        for (const enemy of combat.enemies.values()) {
+            if (!enemy.isAlive) continue;
+
+            if (enemy.attackCooldown > 0) {
+                enemy.attackCooldown -= dt;
+            }
+            if (enemy.pathfindingCooldown > 0) {
+                enemy.pathfindingCooldown -= dt;
+            }
+
+            this.updateEnemyTarget(room, enemy, dt);
+            changed = this.updateEnemyMovement(room, enemy, dt) || changed;
+            changed = this.tryEnemyAttack(room, enemy) || changed;
+        }
+
+        changed = this.updateProjectiles(room, dt) || changed;
+        changed = this.updateTurrets(room, dt) || changed;
+        changed = this.updateHazards(room, dt) || changed;
+
+        // Remove dead enemies
+        for (const [enemyId, enemy] of combat.enemies) {
+            if (!enemy.isAlive) {
+                combat.enemies.delete(enemyId);
+                combat.pathfinder.cancel(enemyId);
+                changed = true;
+            }
+        }
+
+        return changed;
+    }
+
+    /**
+     * Damage living players standing in hazard zones or on hazard tiles, once per damage
+     * interval (the client's Level.updateHazards, which only runs offline)
+     */
+    updateHazards(room, dt) {
+        const combat = room.combat;
+        const interval = this.config.hazardDamageInterval;
+        combat.hazardTimer += dt;
+        if (combat.hazardTimer < interval) return false;
+        combat.hazardTimer -= interval;
+
+        const zones = this.levelHazards[room.currentLevel] || [];
+        const tileMap = this.levelTileMaps[room.currentLevel];
+        if (zones.length === 0 && !tileMap) return false;
+
+        const padding = this.config.playerCollisionPadding;
+        const size = this.config.playerSize - padding * 2;
+        let changed = false;
+        for (const player of this.getAlivePlayers(room)) {
+            const box = { x: player.position.x + padding, y: player.position.y + padding, width: size, height: size };
+
+            // Every zone hurts, but only the worst tile underfoot
+            let damagePerSecond = zones
+                .filter(zone => box.x < zone.x + zone.width && box.x + box.width > zone.x &&
+                    box.y < zone.y + zone.height && box.y + box.height > zone.y)
+                .reduce((total, zone) => total + zone.damagePerSecond, 0);
+            if (tileMap) {
+                damagePerSecond += Math.max(0, ...tileMap.getHazardsUnder(box).map(tile => tile.damagePerSecond));
+            }
+
+            if (damagePerSecond > 0) {
+                this.damagePlayer(room, player, damagePerSecond * interval, null);
+                changed = true;
+            }
+        }
+        return changed;
+    }
+
+    /**
+     * Tick down attack, dash, ability and power-up timers
+     */
+    updatePlayerTimers(player, dt) {
+        if (player.attackCooldown > 0) {
+            player.attackCooldown = Math.max(0, player.attackCooldown - dt);
+        }
+
+        if (player.abilityCooldown > 0) {
+            player.abilityCooldown = Math.max(0, player.abilityCooldown - dt);
+        }
+
+        if (player.abilityTime > 0) {
+            player.abilityTime = Math.max(0, player.abilityTime - dt);
+        }
+
+        if (player.dashCooldown > 0) {
+            player.dashCooldown = Math.max(0, player.dashCooldown - dt);
+        }
+
+        if (player.superSpeedTime > 0) {
+            player.superSpeedTime = Math.max(0, player.superSpeedTime - dt);
+        }
+
+        if (player.shieldTime > 0) {
+            player.shieldTime = Math.max(0, player.shieldTime - dt);
+        }
+
+        // Clients spawn a power-up every spawn interval, so claims refill at that rate
+        player.powerUpBudget = Math.min(MAX_BANKED_POWER_UPS, player.powerUpBudget + dt / POWER_UP_SPAWN_INTERVAL);
+
+        if (player.isDashing) {
+            player.dashTime -= dt;
+            if (player.dashTime <= 0) {
+                player.isDashing = false;
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    updateEnemyTarget(room, enemy, dt) {
+        if (enemy.isBoss) {
+            // Boss becomes inactive once its chosen target is dead
+            const target = room.players.get(enemy.targetId);
+            if (!target || !target.isAlive) {
+                enemy.isInactive = true;
+            }
+            return;
+        }
+
+        // A taunting warrior holds every enemy it taunted
+        if (enemy.tauntTime > 0) {
+            enemy.tauntTime -= dt;
+            const taunter = room.players.get(enemy.tauntedBy);
+            if (taunter?.isAlive) {
+                enemy.targetId = taunter.id;
+                return;
+            }
+        }
+
+        enemy.targetTimer += dt;
+        if (enemy.targetTimer < this.config.targetUpdateInterval) return;
+        enemy.targetTimer = 0;
+
+        let closestPlayer = null;
+        let closestDistance = Infinity;
+
+        for (const player of this.getAlivePlayers(room)) {
+            const distance = this.getDistance(enemy.x, enemy.y, player.position.x, player.position.y);
+            if (distance <= enemy.detectionRange && distance < closestDistance) {
+                closestPlayer = player;
+                closestDistance = distance;
+            }
+        }
+
+        enemy.targetId = closestPlayer ? closestPlayer.id : null;
+    }
+
+    /**
+     * Run the enemy's archetype state machine (mirrors Enemy.updateAI on the client), then move it
+     * Returns true if it moved or changed state
+     */
+    updateEnemyMovement(room, enemy, dt) {
+        const previousState = enemy.state;
+        enemy.stateTime += dt;
+
+        let target = room.players.get(enemy.targetId);
+        if (!target || !target.isAlive || enemy.isInactive) {
+            target = null;
+        }
+
+        switch (enemy.behavior) {
+            case 'runner':
+                this.updateRunner(room, enemy, target);
+                break;
+            case 'ranged':
+                this.updateSpitter(room, enemy, target);
+                break;
+            case 'exploder':
+                this.updateExploder(room, enemy, target);
+                break;
+            case 'boss':
+                this.updateBoss(room, enemy, target, dt);
+                break;
+            case 'tank':
+                if (target) {
+                    this.turnTowards(enemy, this.getPlayerCenter(target), dt);
+                }
+                this.updateMelee(room, enemy, target);
+                // The shield side faces forward, whichever way the tank walks
+                this.setDirection(enemy, Math.cos(enemy.facing), Math.sin(enemy.facing));
+                break;
+            default:
+                this.updateMelee(room, enemy, target);
+        }
+
+        const before = { x: enemy.x, y: enemy.y };
+        const moved = this.moveEnemy(room, enemy, dt);
+
+        // A boss charging into a wall is stunned
+        if (enemy.state === 'charging' && enemy.x === before.x && enemy.y === before.y) {
+            this.startBossRecovery(enemy, enemy.archetype.attacks.charge.wallStun);
+        }
+
+        return moved || enemy.state !== previousState;
+    }
+
+    setEnemyState(enemy, state) {
+        if (enemy.state !== state) {
+            enemy.state = state;
+            enemy.stateTime = 0;
+        }
+    }
+
+    /**
+     * idle, chase, attack (tryEnemyAttack lands the hit); the boss goes inactive for good
+     */
+    updateMelee(room, enemy, target) {
+        if (!target) {
+            this.setEnemyState(enemy, enemy.isInactive ? 'inactive' : 'idle');
+            this.stopEnemy(enemy);
+            return;
+        }
+
+        if (this.getDistanceToPlayer(enemy, target) <= enemy.attackRange) {
+            this.setEnemyState(enemy, 'attack');
+            this.stopEnemy(enemy);
+            return;
+        }
+
+        this.setEnemyState(enemy, 'chase');
+        this.moveTowardsTarget(room, enemy, target, enemy.speed);
+    }
+
+    /**
+     * idle, chase, lunge (keeps its burst velocity), recover (standing still)
+     */
+    updateRunner(room, enemy, target) {
+        const archetype = enemy.archetype;
+
+        if (enemy.state === 'lunge') {
+            if (enemy.stateTime < archetype.lungeDuration) return;
+            this.setEnemyState(enemy, 'recover');
+        }
+
+        if (enemy.state === 'recover') {
+            this.stopEnemy(enemy);
+            if (enemy.stateTime < archetype.recoverDuration) return;
+            this.setEnemyState(enemy, 'idle');
+        }
+
+        if (!target) {
+            this.setEnemyState(enemy, 'idle');
+            this.stopEnemy(enemy);
+            return;
+        }
+
+        const goal = this.getPlayerCenter(target);
+        if (this.getDistanceToPlayer(enemy, target) <= archetype.lungeRange && this.hasLineOfSight(room, enemy, goal)) {
+            this.setEnemyState(enemy, 'lunge');
+            this.setVelocityTowards(enemy, goal, archetype.lungeSpeed);
+            return;
+        }
+
+        this.setEnemyState(enemy, 'chase');
+        this.moveTowardsTarget(room, enemy, target, enemy.speed);
+    }
+
+    /**
+     * idle, approach, hold, aim (wind-up, then spits a glob), retreat
+     */
+    updateSpitter(room, enemy, target) {
+        const archetype = enemy.archetype;
+
+        if (enemy.state === 'aim') {
+            this.stopEnemy(enemy);
+            if (enemy.stateTime < archetype.windUp) return;
+
+            if (target) {
+                this.fireProjectile(room, enemy, this.getPlayerCenter(target));
+            }
+            enemy.attackCooldown = enemy.attackCooldownMax;
+            this.setEnemyState(enemy, 'hold');
+        }
+
+        if (!target) {
+            this.setEnemyState(enemy, 'idle');
+            this.stopEnemy(enemy);
+            return;
+        }
+
+        const center = this.getEnemyCenter(enemy);
+        const goal = this.getPlayerCenter(target);
+        const distance = this.getDistanceToPlayer(enemy, target);
+
+        if (distance < archetype.fleeRange) {
+            this.setEnemyState(enemy, 'retreat');
+            this.setVelocityTowards(enemy, { x: center.x * 2 - goal.x, y: center.y * 2 - goal.y }, enemy.speed);
+            return;
+        }
+
+        const canSee = this.hasLineOfSight(room, enemy, goal);
+        if (distance <= enemy.attackRange && canSee && enemy.attackCooldown <= 0) {
+            this.setEnemyState(enemy, 'aim');
+            this.stopEnemy(enemy);
+            this.setDirection(enemy, goal.x - center.x, goal.y - center.y);
+            return;
+        }
+
+        if (distance > archetype.preferredRange || !canSee) {
+            this.setEnemyState(enemy, 'approach');
+            this.moveTowardsTarget(room, enemy, target, enemy.speed);
+            return;
+        }
+
+        this.setEnemyState(enemy, 'hold');
+        this.stopEnemy(enemy);
+    }
+
+    /**
+     * idle, chase, prime (fuse burning); detonates when the fuse runs out
+     */
+    updateExploder(room, enemy, target) {
+        if (enemy.state === 'prime') {
+            this.stopEnemy(enemy);
+            if (enemy.stateTime >= enemy.archetype.fuseTime) {
+                this.explodeEnemy(room, enemy);
+            }
+            return;
+        }
+
+        if (!target) {
+            this.setEnemyState(enemy, 'idle');
+            this.stopEnemy(enemy);
+            return;
+        }
+
+        if (this.getDistanceToPlayer(enemy, target) <= enemy.attackRange) {
+            this.setEnemyState(enemy, 'prime');
+            this.stopEnemy(enemy);
+            return;
+        }
+
+        this.setEnemyState(enemy, 'chase');
+        this.moveTowardsTarget(room, enemy, target, enemy.speed);
+    }
+
+    /**
+     * Boss phases and telegraphed attacks (mirrors Enemy.bossAI on the client)
+     * States: chase, windup, charging, vulnerable, transition, inactive
+     */
+    updateBoss(room, enemy, target, dt) {
+        const archetype = enemy.archetype;
+
+        if (enemy.isInactive) {
+            this.setEnemyState(enemy, 'inactive');
+            enemy.attack = null;
+            this.stopEnemy(enemy);
+            return;
+        }
+
+        if (this.checkBossPhase(room, enemy)) return;
+
+        switch (enemy.state) {
+            case 'transition':
+                this.stopEnemy(enemy);
+                if (enemy.stateTime >= archetype.transitionDuration) {
+                    this.setEnemyState(enemy, 'chase');
+                }
+                return;
+
+            case 'windup':
+                this.stopEnemy(enemy);
+                if (enemy.stateTime >= archetype.attacks[enemy.attack].windUp) {
+                    this.performBossAttack(room, enemy);
+                }
+                return;
+
+            case 'charging':
+                this.updateBossCharge(room, enemy);
+                return;
+
+            case 'vulnerable':
+                this.stopEnemy(enemy);
+                if (enemy.stateTime >= enemy.recoverTime) {
+                    enemy.attack = null;
+                    this.setEnemyState(enemy, 'chase');
+                }
+                return;
+        }
+
+        if (!target) {
+            this.setEnemyState(enemy, 'idle');
+            this.stopEnemy(enemy);
+            return;
+        }
+
+        // Chase until the next attack in the phase's rotation is due and in reach
+        const phase = archetype.phases[enemy.phaseIndex];
+        enemy.attackTimer -= dt;
+        if (enemy.attackTimer <= 0) {
+            const attackName = phase.attacks[enemy.attackIndex % phase.attacks.length];
+            if (this.isBossAttackInReach(room, enemy, target, attackName)) {
+                this.startBossAttack(enemy, target, attackName);
+                return;
+            }
+        }
+
+        this.setEnemyState(enemy, 'chase');
+        this.moveTowardsTarget(room, enemy, target, phase.speed);
+    }
+
+    /**
+     * Enter the phase for the boss's current health; returns true when a new phase started
+     */
+    checkBossPhase(room, enemy) {
+        const phases = enemy.archetype.phases;
+        const healthRatio = enemy.health / enemy.maxHealth;
+
+        let phaseIndex = enemy.phaseIndex;
+        while (phaseIndex + 1 < phases.length && healthRatio <= phases[phaseIndex + 1].threshold) {
+            phaseIndex++;
+        }
+        if (phaseIndex === enemy.phaseIndex) return false;
+
+        enemy.phaseIndex = phaseIndex;
+        enemy.attackIndex = 0;
+        enemy.attack = null;
+        enemy.attackTimer = phases[phaseIndex].attackInterval / 2;
+        this.setEnemyState(enemy, 'transition');
+        this.stopEnemy(enemy);
+
+        this.gameStateManager.emit('bossPhaseChanged', {
+            roomCode: room.code,
+            enemyId: enemy.id,
+            phase: phaseIndex
+        });
+        return true;
+    }
+
+    isBossAttackInReach(room, enemy, target, attackName) {
+        const goal = this.getPlayerCenter(target);
+        const center = this.getEnemyCenter(enemy);
+
+        switch (attackName) {
+            case 'slam':
+                return this.getDistance(center.x, center.y, goal.x, goal.y) <= enemy.archetype.attacks.slam.range;
+            case 'charge':
+                return this.hasLineOfSight(room, enemy, goal);
+            default:
+                return true;
+        }
+    }
+
+    startBossAttack(enemy, target, attackName) {
+        enemy.attack = attackName;
+        enemy.attackIndex++;
+        this.setEnemyState(enemy, 'windup');
+        this.stopEnemy(enemy);
+
+        // The charge lane is locked in when the telegraph starts
+        const center = this.getEnemyCenter(enemy);
+        const goal = this.getPlayerCenter(target);
+        enemy.facing = Math.atan2(goal.y - center.y, goal.x - center.x);
+        this.setDirection(enemy, goal.x - center.x, goal.y - center.y);
+    }
+
+    performBossAttack(room, enemy) {
+        const attack = enemy.archetype.attacks[enemy.attack];
+        const center = this.getEnemyCenter(enemy);
+
+        switch (enemy.attack) {
+            case 'slam':
+                for (const player of this.getAlivePlayers(room)) {
+                    const playerCenter = this.getPlayerCenter(player);
+                    if (this.getDistance(center.x, center.y, playerCenter.x, playerCenter.y) <= attack.radius) {
+                        this.damagePlayer(room, player, attack.damage, enemy.id);
+                    }
+                }
+                this.gameStateManager.emit('bossSlam', {
+                    roomCode: room.code,
+                    enemyId: enemy.id,
+                    x: Math.round(center.x),
+                    y: Math.round(center.y),
+                    radius: attack.radius
+                });
+                this.startBossRecovery(enemy, attack.recover);
+                break;
+
+            case 'charge':
+                enemy.chargeHits = new Set();
+                this.setEnemyState(enemy, 'charging');
+                enemy.velocity.x = Math.cos(enemy.facing) * attack.speed;
+                enemy.velocity.y = Math.sin(enemy.facing) * attack.speed;
+                break;
+
+            case 'summon':
+                for (let i = 0; i < attack.count; i++) {
+                    const angle = enemy.facing + Math.PI + (i - (attack.count - 1) / 2) * 0.8;
+                    const size = ENEMY_TYPES[attack.type].width;
+                    const x = center.x + Math.cos(angle) * enemy.width - size / 2;
+                    const y = center.y + Math.sin(angle) * enemy.height - size / 2;
+                    this.spawnEnemy(room, attack.type, x, y);
+                }
+                this.startBossRecovery(enemy, attack.recover);
+                break;
+        }
+
+        enemy.attackTimer = enemy.archetype.phases[enemy.phaseIndex].attackInterval;
+    }
+
+    /**
+     * Keep rushing along the lane, trampling each player once
+     */
+    updateBossCharge(room, enemy) {
+        const attack = enemy.archetype.attacks.charge;
+        const size = this.config.playerSize;
+
+        for (const player of this.getAlivePlayers(room)) {
+            if (enemy.chargeHits.has(player.id)) continue;
+
+            const overlaps = enemy.x < player.position.x + size && enemy.x + enemy.width > player.position.x &&
+                enemy.y < player.position.y + size && enemy.y + enemy.height > player.position.y;
+            if (overlaps) {
+                enemy.chargeHits.add(player.id);
+                this.damagePlayer(room, player, attack.damage, enemy.id);
+            }
+        }
+
+        if (enemy.stateTime >= attack.duration) {
+            this.startBossRecovery(enemy, attack.recover);
+        }
+    }
+
+    startBossRecovery(enemy, duration) {
+        enemy.recoverTime = duration;
+        this.setEnemyState(enemy, 'vulnerable');
+        this.stopEnemy(enemy);
+    }
+
+    /**
+     * Share of incoming damage the boss takes in its current state
+     */
+    getBossDamageMultiplier(enemy) {
+        switch (enemy.state) {
+            case 'transition': return 0;
+            case 'vulnerable': return enemy.archetype.vulnerableMultiplier;
+            default: return enemy.archetype.armor;
+        }
+    }
+
+    /**
+     * Irradiated zombie blast: hurts every player in the radius and kills the zombie
+     */
+    explodeEnemy(room, enemy) {
+        const center = this.getEnemyCenter(enemy);
+        const radius = enemy.archetype.blastRadius;
+
+        enemy.health = 0;
+        enemy.isAlive = false;
+
+        for (const player of this.getAlivePlayers(room)) {
+            const playerCenter = this.getPlayerCenter(player);
+            if (this.getDistance(center.x, center.y, playerCenter.x, playerCenter.y) <= radius) {
+                this.damagePlayer(room, player, enemy.attackDamage, enemy.id);
+            }
+        }
+
+        this.gameStateManager.emit('enemyExploded', {
+            roomCode: room.code,
+            enemyId: enemy.id,
+            x: Math.round(center.x),
+            y: Math.round(center.y),
+            radius
+        });
+    }
+
+    turnTowards(enemy, point, dt) {
+        const center = this.getEnemyCenter(enemy);
+        const desired = Math.atan2(point.y - center.y, point.x - center.x);
+        const maxTurn = enemy.archetype.turnRate * dt;
+
+        enemy.facing = normalizeAngle(enemy.facing + _.clamp(normalizeAngle(desired - enemy.facing), -maxTurn, maxTurn));
+    }
+
+    setVelocityTowards(enemy, point, speed) {
+        const center = this.getEnemyCenter(enemy);
+        const dx = point.x - center.x;
+        const dy = point.y - center.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance === 0) {
+            this.stopEnemy(enemy);
+            return;
+        }
+
+        enemy.velocity.x = dx / distance * speed;
+        enemy.velocity.y = dy / distance * speed;
+        this.setDirection(enemy, dx, dy);
+    }
+
+    /**
+     * Head for the target along an A* route around walls and obstacles
+     * (mirrors Enemy.moveTowardsTarget on the client)
+     */
+    moveTowardsTarget(room, enemy, target, speed) {
+        const destination = this.getNextWaypoint(room, enemy, this.getPlayerCenter(target));
+        this.setVelocityTowards(enemy, destination, speed);
+    }
+
+    /**
+     * Straight for the goal when nothing is in the way, otherwise the next waypoint of a
+     * route, asked for again when it runs out or the target has had time to move
+     */
+    getNextWaypoint(room, enemy, goal) {
+        const pathfinder = room.combat.pathfinder;
+        const center = this.getEnemyCenter(enemy);
+        if (pathfinder.hasLineOfSight(center, goal)) {
+            enemy.path = [];
+            enemy.pathIndex = 0;
+            return goal;
+        }
+
+        if (enemy.pathIndex >= enemy.path.length || enemy.pathfindingCooldown <= 0) {
+            const path = pathfinder.requestPath(enemy.id, center, goal);
+            if (path) {
+                enemy.path = path;
+                enemy.pathIndex = 0;
+                enemy.pathfindingCooldown = enemy.repathInterval;
+            }
+        }
+
+        // Skip waypoints already reached
+        while (enemy.pathIndex < enemy.path.length &&
+               this.getDistance(center.x, center.y, enemy.path[enemy.pathIndex].x, enemy.path[enemy.pathIndex].y) < 6) {
+            enemy.pathIndex++;
+        }
+
+        // Head straight for the goal while a route is on its way
+        return enemy.path[enemy.pathIndex] || goal;
+    }
+
+    stopEnemy(enemy) {
+        enemy.velocity.x = 0;
+        enemy.velocity.y = 0;
+    }
+
+    setDirection(enemy, dx, dy) {
+        if (Math.abs(dx) > Math.abs(dy)) {
+            enemy.direction = dx > 0 ? 'right' : 'left';
+        } else {
+            enemy.direction = dy > 0 ? 'down' : 'up';
+        }
+    }
+
+    /**
+     * Apply the enemy's velocity, one axis at a time so enemies slide along walls
+     * Returns true if it moved
+     */
+    moveEnemy(room, enemy, dt) {
+        if (enemy.velocity.x === 0 && enemy.velocity.y === 0) return false;
+
+        const world = this.getWorldBounds(room);
+        const startX = enemy.x;
+        const startY = enemy.y;
+
+        // The time_slow power-up slows every enemy down
+        if (room.combat.timeSlowTime > 0) {
+            dt *= POWER_UPS.time_slow.enemySpeedMultiplier;
+        }
+
+        const nextX = _.clamp(enemy.x + enemy.velocity.x * dt, 0, world.width - enemy.width);
+        if (!this.collidesWithLevel(room, { x: nextX, y: enemy.y, width: enemy.width, height: enemy.height })) {
+            enemy.x = nextX;
+        }
+        const nextY = _.clamp(enemy.y + enemy.velocity.y * dt, 0, world.height - enemy.height);
+        if (!this.collidesWithLevel(room, { x: enemy.x, y: nextY, width: enemy.width, height: enemy.height })) {
+            enemy.y = nextY;
+        }
+
+        // Walked into something: drop the route so the next update plans a new one
+        if (enemy.x === startX && enemy.y === startY) {
+            enemy.path = [];
+            enemy.pathIndex = 0;
+        }
+
+        return true;
+    }
+
+    /**
+     * Whether a rectangle overlaps a solid tile or a solid level object
+     */
+    collidesWithLevel(room, box) {
+        const tileMap = this.levelTileMaps[room.currentLevel];
+        if (tileMap?.collidesWith(box)) return true;
+
+        const obstacles = this.levelObstacles[room.currentLevel] || [];
+        return obstacles.some(obstacle =>
+            box.x < obstacle.x + obstacle.width && box.x + box.width > obstacle.x &&
+            box.y < obstacle.y + obstacle.height && box.y + box.height > obstacle.y
+        );
+    }
+
+    /**
+     * The room's level as the pathfinder sees it (cached per level)
+     */
+    getNavigationLevel(room) {
+        const levelNumber = room.currentLevel;
+        if (!this.navigationLevels.has(levelNumber)) {
+            this.navigationLevels.set(levelNumber, new NavigationLevel(
+                this.getWorldBounds(room), this.levelTileMaps[levelNumber], this.levelObstacles[levelNumber]
+            ));
+        }
+        return this.navigationLevels.get(levelNumber);
+    }
+
+    /**
+     * Launch a spitter's glob towards a point
+     */
+    fireProjectile(room, enemy, goal) {
+        const archetype = enemy.archetype;
+        const origin = this.getEnemyCenter(enemy);
+        const distance = Math.max(1, this.getDistance(origin.x, origin.y, goal.x, goal.y));
+
+        room.combat.projectiles.push({
+            id: `projectile_${room.combat.nextProjectileId++}`,
+            enemyId: enemy.id,
+            x: origin.x,
+            y: origin.y,
+            vx: (goal.x - origin.x) / distance * archetype.projectileSpeed,
+            vy: (goal.y - origin.y) / distance * archetype.projectileSpeed,
+            radius: archetype.projectileRadius,
+            damage: enemy.attackDamage,
+            timeLeft: enemy.attackRange * 1.5 / archetype.projectileSpeed
+        });
+    }
+
+    /**
+     * Move globs; they stop at walls and the level edge and hurt the first player they touch
+     * Returns true while any are in flight
+     */
+    updateProjectiles(room, dt) {
+        const combat = room.combat;
+        if (combat.projectiles.length === 0) return false;
+
+        const world = this.getWorldBounds(room);
+        const playerRadius = this.config.playerSize / 2;
+
+        combat.projectiles = combat.projectiles.filter(projectile => {
+            projectile.x += projectile.vx * dt;
+            projectile.y += projectile.vy * dt;
+            projectile.timeLeft -= dt;
+            if (projectile.timeLeft <= 0) return false;
+
+            if (projectile.x < 0 || projectile.y < 0 || projectile.x > world.width || projectile.y > world.height) {
+                return false;
+            }
+            const box = {
+                x: projectile.x - projectile.radius,
+                y: projectile.y - projectile.radius,
+                width: projectile.radius * 2,
+                height: projectile.radius * 2
+            };
+            if (this.collidesWithLevel(room, box)) return false;
+
+            for (const player of this.getAlivePlayers(room)) {
+                const center = this.getPlayerCenter(player);
+                if (this.getDistance(center.x, center.y, projectile.x, projectile.y) < projectile.radius + playerRadius) {
+                    this.damagePlayer(room, player, projectile.damage, projectile.enemyId);
+                    return false;
+                }
+            }
+            return true;
+        });
+
+        return true;
+    }
+
+    /**
+     * Whether walls and obstacles leave a clear line from the enemy to a point
+     */
+    hasLineOfSight(room, enemy, point) {
+        return room.combat.pathfinder.hasLineOfSight(this.getEnemyCenter(enemy), point);
+    }
+
+    tryEnemyAttack(room, enemy) {
+        if (enemy.attackCooldown > 0 || enemy.isInactive) return false;
+
+        // Spitters and irradiated zombies hurt players with globs and blasts instead;
+        // the boss only swings while it's chasing
+        if (enemy.behavior === 'ranged' || enemy.behavior === 'exploder') return false;
+        if (enemy.isBoss && enemy.state !== 'chase') return false;
+
+        const target = room.players.get(enemy.targetId);
+        if (!target || !target.isAlive) return false;
+
+        if (this.getDistanceToPlayer(enemy, target) > enemy.attackRange) return false;
+
+        enemy.attackCooldown = enemy.attackCooldownMax;
+        this.damagePlayer(room, target, enemy.attackDamage, enemy.id);
+
+        return true;
+    }
+
+    /**
+     * Resolve a player's swing attack against the room's enemies
+     * Returns the ids of the enemies that were hit
+     */
+    resolvePlayerAttack(room, player, input) {
+        if (!room.combat || !player.isAlive) return [];
+        if (player.attackCooldown > 0) return [];
+
+        player.attackCooldown = this.config.playerAttackCooldown;
+        if (input.direction) {
+            player.direction = input.direction;
+        }
+
+        // Strength is 1-3 hearts, each heart is 25 HP; never trust the client's claimed damage
+        const strength = _.clamp(Math.round(player.strength || 1), 1, 3);
+        const rage = this.getActiveAbility(player, 'rage');
+        const damage = Math.round(strength * 25 * (rage ? rage.damageMultiplier : 1));
+
+        const hitEnemyIds = [];
+        for (const enemy of room.combat.enemies.values()) {
+            if (!enemy.isAlive) continue;
+
+            if (this.isInSwingRange(player, enemy)) {
+                this.damageEnemy(room, enemy, damage, player.id, this.getPlayerCenter(player));
+                hitEnemyIds.push(enemy.id);
+            }
+        }
+
+        return hitEnemyIds;
+    }
+
+    /**
+     * Start a dash if the player's cooldown allows it
+     */
+    startDash(player) {
+        if (!player.isAlive || player.isDashing || player.dashCooldown > 0) return false;
+
+        player.isDashing = true;
+        player.dashTime = this.config.dashDuration;
+        player.dashCooldown = this.getActiveAbility(player, 'dash_chain')?.dashCooldown ?? this.config.dashCooldown;
+
+        return true;
+    }
+
+    /**
+     * Apply the player's character ability (mirrors AbilitySystem.activate on the client)
+     * The cooldown was checked by InputValidator.validateAbility
+     */
+    useAbility(room, player) {
+        if (!room.combat || !player.isAlive) return false;
+
+        const ability = getCharacterAbility(player.characterType);
+        player.abilityCooldown = ability.cooldown;
+        player.abilityTime = ability.duration || 0;
+
+        const center = this.getPlayerCenter(player);
+        switch (ability.key) {
+            case 'area_heal':
+                for (const other of this.getAlivePlayers(room)) {
+                    const otherCenter = this.getPlayerCenter(other);
+                    if (this.getDistance(center.x, center.y, otherCenter.x, otherCenter.y) <= ability.radius) {
+                        other.health = Math.min(other.maxHealth, other.health + ability.amount);
+                    }
+                }
+                break;
+
+            case 'taunt':
+                for (const enemy of room.combat.enemies.values()) {
+                    if (!enemy.isAlive || enemy.isBoss) continue;
+
+                    const enemyCenter = this.getEnemyCenter(enemy);
+                    if (this.getDistance(center.x, center.y, enemyCenter.x, enemyCenter.y) <= ability.radius) {
+                        enemy.tauntedBy = player.id;
+                        enemy.tauntTime = ability.duration;
+                        enemy.targetId = player.id;
+                    }
+                }
+                break;
+
+            case 'turret':
+                room.combat.turrets.push({
+                    id: `turret_${room.combat.nextTurretId++}`,
+                    ownerId: player.id,
+                    x: center.x,
+                    y: center.y,
+                    angle: 0,
+                    timeLeft: ability.duration,
+                    fireTimer: 0,
+                    shotAt: null,
+                    shotTime: 0
+                });
+                break;
+
+            case 'dash_chain':
+                player.dashCooldown = 0;
+                break;
+        }
+
+        console.log(`✨ ${player.name} used ${ability.key} in room ${room.code}`);
+        return true;
+    }
+
+    /**
+     * Apply a power-up the player picked up (mirrors PowerUpManager.applyPowerUpEffect)
+     * The claim was checked by InputValidator.validatePowerUp
+     */
+    applyPowerUp(room, player, effect) {
+        if (!player.isAlive) return false;
+
+        const powerUp = POWER_UPS[effect];
+        switch (effect) {
+            case 'super_attack':
+                player.hasSuperAttack = true;
+                break;
+
+            case 'super_speed':
+                // InputValidator lets the player move faster while this lasts
+                player.superSpeedTime = powerUp.duration;
+                break;
+
+            case 'health_boost':
+                player.health = Math.min(player.maxHealth, player.health + powerUp.heal);
+                player.maxHealth += powerUp.maxHealthBonus;
+                break;
+
+            case 'shield':
+                player.shieldTime = powerUp.duration;
+                break;
+
+            case 'time_slow':
+                if (room.combat) {
+                    room.combat.timeSlowTime = powerUp.duration;
+                }
+                break;
+        }
+        return true;
+    }
+
+    /**
+     * Spend the player's super attack on every enemy around them
+     * (mirrors PowerUpManager.executeSuperAttack; distances between top-left corners, like the client)
+     */
+    useSuperAttack(room, player) {
+        if (!room.combat || !player.isAlive || !player.hasSuperAttack) return [];
+
+        player.hasSuperAttack = false;
+        const { radius, damage } = POWER_UPS.super_attack;
+
+        const hitEnemyIds = [];
+        for (const enemy of room.combat.enemies.values()) {
+            if (!enemy.isAlive) continue;
+
+            if (this.getDistanceToPlayer(enemy, player) <= radius) {
+                this.damageEnemy(room, enemy, damage, player.id, this.getPlayerCenter(player));
+                hitEnemyIds.push(enemy.id);
+            }
+        }
+
+        return hitEnemyIds;
+    }
+
+    /**
+     * The player's ability while its effect lasts, if it's the given one
+     */
+    getActiveAbility(player, key) {
+        const ability = getCharacterAbility(player.characterType);
+        return ability.key === key && player.abilityTime > 0 ? ability : null;
+    }
+
+    /**
+     * Engineer turrets shoot the nearest enemy in range (mirrors AbilitySystem.updateTurret)
+     * Returns true while any turret is up
+     */
+    updateTurrets(room, dt) {
+        const combat = room.combat;
+        if (combat.turrets.length === 0) return false;
+
+        const ability = getCharacterAbility('engineer');
+        for (const turret of combat.turrets) {
+            turret.timeLeft -= dt;
+            turret.fireTimer -= dt;
+            turret.shotTime = Math.max(0, turret.shotTime - dt);
+
+            let target = null;
+            let closestDistance = ability.range;
+            for (const enemy of combat.enemies.values()) {
+                if (!enemy.isAlive) continue;
+
+                const center = this.getEnemyCenter(enemy);
+                const distance = this.getDistance(turret.x, turret.y, center.x, center.y);
+                if (distance <= closestDistance) {
+                    target = enemy;
+                    closestDistance = distance;
+                }
+            }
+
+            if (!target) continue;
+
+            const targetCenter = this.getEnemyCenter(target);
+            turret.angle = Math.atan2(targetCenter.y - turret.y, targetCenter.x - turret.x);
+
+            if (turret.fireTimer <= 0) {
+                turret.fireTimer = ability.fireInterval;
+                turret.shotAt = { x: Math.round(targetCenter.x), y: Math.round(targetCenter.y) };
+                turret.shotTime = TURRET_SHOT_TIME;
+                this.damageEnemy(room, target, ability.damage, turret.ownerId, turret);
+            }
+        }
+
+        combat.turrets = combat.turrets.filter(turret => turret.timeLeft > 0);
+        return true;
+    }
+
+    isInSwingRange(player, enemy) {
+        const half = this.config.playerSize / 2;
+        const playerCenterX = player.position.x + half;
+        const playerCenterY = player.position.y + half;
+        const enemyCenterX = enemy.x + enemy.width / 2;
+        const enemyCenterY = enemy.y + enemy.height / 2;
+
+        const distance = this.getDistance(playerCenterX, playerCenterY, enemyCenterX, enemyCenterY);
+        if (distance > this.config.playerAttackRange) {
+            return false;
+        }
+
+        const angleToEnemy = Math.atan2(enemyCenterY - playerCenterY, enemyCenterX - playerCenterX);
+
+        let playerAngle;
+        switch (player.direction) {
+            case 'right': playerAngle = 0; break;
+            case 'down': playerAngle = Math.PI / 2; break;
+            case 'left': playerAngle = Math.PI; break;
+            case 'up': playerAngle = -Math.PI / 2; break;
+            default: playerAngle = 0;
+        }
+
+        // Normalize angle difference to [-π, π]
+        let angleDiff = angleToEnemy - playerAngle;
+        while (angleDiff > Math.PI) angleDiff -= 2 * Math.PI;
+        while (angleDiff < -Math.PI) angleDiff += 2 * Math.PI;
+
+        return Math.abs(angleDiff) <= this.config.swingAngle / 2;
+    }
+
+    /**
+     * Damage an enemy from a point (the attacking player or their turret), crediting playerId
+     */
+    damageEnemy(room, enemy, damage, playerId, source) {
+        // Shields soak most of a hit from the front
+        if (enemy.archetype.shieldArc) {
+            const center = this.getEnemyCenter(enemy);
+            const angle = Math.atan2(source.y - center.y, source.x - center.x);
+            if (Math.abs(normalizeAngle(angle - enemy.facing)) <= enemy.archetype.shieldArc / 2) {
+                damage = Math.round(damage * (1 - enemy.archetype.shieldReduction));
+            }
+        }
+        if (enemy.isBoss) {
+            damage = Math.round(damage * this.getBossDamageMultiplier(enemy));
+        }
+
+        enemy.health = Math.max(0, enemy.health - damage);
+
+        if (enemy.health === 0) {
+            enemy.isAlive = false;
+
+            this.gameStateManager.emit('enemyDefeated', {
+                roomCode: room.code,
+                enemyId: enemy.id,
+                enemyType: enemy.type,
+                playerId
+            });
+        }
+    }
+
+    damagePlayer(room, player, damage, enemyId) {
+        if (!player.isAlive || player.shieldTime > 0) return;
+
+        // Taunting warriors take less, raging berserkers more
+        const ability = this.getActiveAbility(player, 'taunt') || this.getActiveAbility(player, 'rage');
+        if (ability) {
+            damage = Math.round(damage * ability.damageTaken);
+        }
+
+        player.health = Math.max(0, player.health - damage);
+
+        if (player.health === 0) {
+            player.isAlive = false;
+            player.velocity.x = 0;
+            player.velocity.y = 0;
+
+            this.gameStateManager.emit('playerDied', {
+                roomCode: room.code,
+                playerId: player.id,
+                playerName: player.name,
+                enemyId
+            });
+        }
+    }
+
+    /**
+     * Point enemy targets, taunts and turrets at a player's new id after they rejoin
+     */
+    renamePlayer(room, oldPlayerId, newPlayerId) {
+        if (!room.combat) return;
+
+        for (const enemy of room.combat.enemies.values()) {
+            if (enemy.targetId === oldPlayerId) {
+                enemy.targetId = newPlayerId;
+            }
+            if (enemy.tauntedBy === oldPlayerId) {
+                enemy.tauntedBy = newPlayerId;
+            }
+        }
+
+        for (const turret of room.combat.turrets) {
+            if (turret.ownerId === oldPlayerId) {
+                turret.ownerId = newPlayerId;
+            }
+        }
+    }
+
+    /**
+     * Serialize the roster for getRoomState
+     */
+    getEnemyStates(room) {
+        if (!room.combat) return [];
+
+        return Array.from(room.combat.enemies.values()).map(enemy => ({
+            id: enemy.id,
+            type: enemy.type,
+            x: Math.round(enemy.x),
+            y: Math.round(enemy.y),
+            direction: enemy.direction,
+            health: enemy.health,
+            maxHealth: enemy.maxHealth,
+            isAlive: enemy.isAlive,
+            targetId: enemy.targetId,
+            isInactive: enemy.isInactive,
+            state: enemy.state,
+            facing: Math.round(enemy.facing * 100) / 100,
+            phase: enemy.phaseIndex,
+            attack: enemy.attack
+        }));
+    }
+
+    /**
+     * Serialize the globs in flight for getRoomState
+     */
+    getProjectileStates(room) {
+        if (!room.combat) return [];
+
+        return room.combat.projectiles.map(projectile => ({
+            id: projectile.id,
+            x: Math.round(projectile.x),
+            y: Math.round(projectile.y),
+            vx: Math.round(projectile.vx),
+            vy: Math.round(projectile.vy),
+            radius: projectile.radius
+        }));
+    }
+
+    /**
+     * Serialize the engineer turrets for getRoomState
+     */
+    getTurretStates(room) {
+        if (!room.combat) return [];
+
+        return room.combat.turrets.map(turret => ({
+            id: turret.id,
+            x: Math.round(turret.x),
+            y: Math.round(turret.y),
+            angle: Math.round(turret.angle * 100) / 100,
+            timeLeft: Math.round(turret.timeLeft * 10) / 10,
+            shotAt: turret.shotTime > 0 ? turret.shotAt : null
+        }));
+    }
+
+    /**
+     * Serialize the wave director for getRoomState, tagged with its level so clients
+     * ignore a previous level's waves
+     */
+    getWaveState(room) {
+        if (!room.combat?.waveDirector) return null;
+
+        return { level: room.currentLevel, ...room.combat.waveDirector.getState() };
+    }
+
+    /**
+     * Size of the room's current level
+     */
+    getWorldBounds(room) {
+        return this.levelBounds[room.currentLevel] ||
+            { width: this.config.worldWidth, height: this.config.worldHeight };
+    }
+
+    /**
+     * Random spot inside a wave's spawn zone (or anywhere in the level) away from walls and players
+     */
+    findSafeSpawnPosition(room, zone = null) {
+        const world = this.getWorldBounds(room);
+        const margin = zone ? 0 : this.config.spawnMargin;
+        const area = zone || { x: 0, y: 0, width: world.width, height: world.height };
+        const size = ENEMY_TYPES.zombie.width;
+        const width = Math.max(0, area.width - margin * 2 - size);
+        const height = Math.max(0, area.height - margin * 2 - size);
+        let position = null;
+
+        for (let attempts = 0; attempts < 20; attempts++) {
+            position = {
+                x: area.x + margin + Math.random() * width,
+                y: area.y + margin + Math.random() * height
+            };
+
+            const isSafe = !this.collidesWithLevel(room, { ...position, width: size, height: size }) &&
+                this.getAlivePlayers(room).every(player =>
+                    this.getDistance(position.x, position.y, player.position.x, player.position.y) >= this.config.minSpawnDistance
+                );
+
+            if (isSafe) break;
+        }
+
+        return position;
+    }
+
+    getAlivePlayers(room) {
+        return Array.from(room.players.values()).filter(player => player.isAlive && player.connected);
+    }
+
+    /**
+     * Enemy-to-player distance the AI decides on (top-left corners, like the client)
+     */
+    getDistanceToPlayer(enemy, player) {
+        return this.getDistance(enemy.x, enemy.y, player.position.x, player.position.y);
+    }
+
+    getEnemyCenter(enemy) {
+        return { x: enemy.x + enemy.width / 2, y: enemy.y + enemy.height / 2 };
+    }
+
+    getPlayerCenter(player) {
+        const half = this.config.playerSize / 2;
+        return { x: player.position.x + half, y: player.position.y + half };
+    }
+
+    getDistance(x1, y1, x2, y2) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+}
+
+/**
+ * Wrap an angle to [-π, π]
+ */
+function normalizeAngle(angle) {
+    while (angle > Math.PI) angle -= 2 * Math.PI;
+    while (angle < -Math.PI) angle += 2 * Math.PI;
+    return angle;
+}
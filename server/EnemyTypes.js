@@ -0,0 +1,112 @@
+/**
+ * Enemy archetypes the combat simulation can spawn, by level file "type"
+ * Mirrors client/js/engine/EnemyTypes.js (health here in HP rather than hearts, no sprites)
+ */
+
+export const ENEMY_TYPES = {
+    weak_zombie: {
+        width: 28,
+        height: 28,
+        health: 25,
+        speed: 80,
+        attackDamage: 25,
+        attackRange: 40,
+        attackCooldown: 1.0,
+        detectionRange: 150,
+        behavior: 'melee'
+    },
+    zombie: {
+        width: 32,
+        height: 32,
+        health: 50,
+        speed: 100,
+        attackDamage: 25,
+        attackRange: 40,
+        attackCooldown: 1.0,
+        detectionRange: 180,
+        behavior: 'melee'
+    },
+    fast_zombie: {
+        width: 26,
+        height: 26,
+        health: 25,
+        speed: 170,
+        attackDamage: 25,
+        attackRange: 36,
+        attackCooldown: 0.8,
+        detectionRange: 260,
+        behavior: 'runner',
+        lungeRange: 140,
+        lungeSpeed: 380,
+        lungeDuration: 0.35,
+        recoverDuration: 0.8
+    },
+    spitter_zombie: {
+        width: 30,
+        height: 30,
+        health: 50,
+        speed: 70,
+        attackDamage: 25,
+        attackRange: 320,
+        attackCooldown: 2.2,
+        detectionRange: 360,
+        behavior: 'ranged',
+        preferredRange: 240,
+        fleeRange: 120,
+        windUp: 0.5,
+        projectileSpeed: 260,
+        projectileRadius: 6
+    },
+    irradiated_zombie: {
+        width: 32,
+        height: 32,
+        health: 50,
+        speed: 120,
+        attackDamage: 50,
+        attackRange: 50,
+        attackCooldown: 0,
+        detectionRange: 220,
+        behavior: 'exploder',
+        fuseTime: 1.0,
+        blastRadius: 110
+    },
+    shielded_zombie: {
+        width: 44,
+        height: 44,
+        health: 150,
+        speed: 55,
+        attackDamage: 50,
+        attackRange: 52,
+        attackCooldown: 1.6,
+        detectionRange: 220,
+        behavior: 'tank',
+        shieldArc: Math.PI / 2,
+        shieldReduction: 0.8,
+        turnRate: 1.5
+    },
+    mutant_boss: {
+        width: 48,
+        height: 48,
+        health: 200,
+        speed: 45,
+        attackDamage: 50,
+        attackRange: 60,
+        attackCooldown: 1.5,
+        detectionRange: 250,
+        behavior: 'boss',
+        isBoss: true,
+        armor: 0.5,
+        vulnerableMultiplier: 1.5,
+        transitionDuration: 2.5,
+        phases: [
+            { threshold: 1, speed: 45, attackInterval: 3.5, attacks: ['slam'] },
+            { threshold: 0.66, speed: 60, attackInterval: 3.0, attacks: ['charge', 'slam'], story: 'boss_phase_2' },
+            { threshold: 0.33, speed: 75, attackInterval: 2.5, attacks: ['summon', 'charge', 'slam'], story: 'boss_phase_3' }
+        ],
+        attacks: {
+            slam: { windUp: 1.2, range: 130, radius: 150, damage: 50, recover: 1.5 },
+            charge: { windUp: 0.9, speed: 480, duration: 0.8, width: 60, damage: 50, recover: 2.0, wallStun: 3.0 },
+            summon: { windUp: 1.0, type: 'weak_zombie', count: 2, recover: 1.5 }
+        }
+    }
+};
@@ -1,33 +1,83 @@
 import { EventEmitter } from 'eventemitter3';
 import { v4 as uuidv4 } from 'uuid';
 import _ from 'lodash';
+import { CombatSimulation } from './CombatSimulation.js';
+import { createStateDelta } from './StateDelta.js';
+import { InputValidator } from './InputValidator.js';
+import { POWER_UPS } from './PowerUps.js';
+import { CHARACTER_TYPES, getCharacterStats } from './CharacterStats.js';
+import { DEFAULT_PARTY_SIZE, normalizePartySize } from './PartySize.js';
 
 /**
  * Proper multiplayer game state manager
  * Handles state synchronization, conflict resolution, and lag compensation
  */
 export class GameStateManager extends EventEmitter {
-    constructor() {
+    constructor(options = {}) {
         super();
         
         // Game rooms
         this.rooms = new Map();
         
+        // Optional storage adapter so games survive a server restart
+        this.storage = options.storage || null;
+        this.persistInterval = 5000; // Save changed rooms every 5 seconds
+        
         // State sync settings - reduced frequency to prevent jittering
-        this.syncInterval = 200; // 5 FPS state sync (reduced from 10 FPS)
-        this.fullSyncInterval = 2000; // Full sync every 2 seconds (reduced from 1 second)
+        this.syncInterval = 100; // 10 FPS state sync, affordable now that syncs are deltas
+        this.fullSyncInterval = 2000; // Clients more than 2 seconds behind get a full snapshot
+        this.maxSnapshotHistory = Math.ceil(this.fullSyncInterval / this.syncInterval);
+        
+        // Disconnected players keep their slot this long during a game
+        this.disconnectTimeout = 300000; // 5 minutes
+        
+        // Server-authoritative combat (enemies, damage, death)
+        this.combatSimulation = new CombatSimulation(this, options.levelRosters, options.levelTileMaps, options.levelBounds,
+            options.levelObstacles, options.levelHazards);
+        this.simulationInterval = 1000 / 60; // Simulation loop wakes at 60 FPS
+        
+        // Anti-cheat checks against character stats
+        this.inputValidator = new InputValidator(this);
         
         // Start sync loops
         this.startSyncLoops();
+        
+        // Start fixed-tick simulation
+        this.startSimulationLoop();
+        
+        if (this.storage) {
+            this.startPersistenceLoop();
+        }
     }
     
     /**
-     * Create a new game room
+     * Create a new game room for a party of 1-4 players
+     * With uniqueCharacters no two players may pick the same character; developer rooms
+     * (created from the client's developer mode) may jump between levels
      */
-    createRoom(hostPlayerId, hostPlayerName) {
-        const roomCode = this.generateRoomCode();
+    createRoom(hostPlayerId, hostPlayerName, partySize = DEFAULT_PARTY_SIZE, uniqueCharacters = false, developer = false) {
+        const room = this.createRoomState(this.generateRoomCode());
+        room.maxPlayers = normalizePartySize(partySize);
+        room.uniqueCharacters = Boolean(uniqueCharacters);
+        room.developer = Boolean(developer);
+        
+        // Store room first, then add host player
+        this.rooms.set(room.code, room);
         
-        const room = {
+        // Add host player
+        const hostPlayer = this.addPlayerToRoom(room.code, hostPlayerId, hostPlayerName, true);
+        
+        console.log(`🏠 Room ${room.code} created by ${hostPlayerName} for ${room.maxPlayers} players${room.uniqueCharacters ? ' (unique characters)' : ''}${room.developer ? ' (developer)' : ''}, host player:`, hostPlayer ? hostPlayer.name : 'failed');
+        console.log(`🏠 Room now has ${room.players.size} players`);
+        
+        return room;
+    }
+    
+    /**
+     * Fresh room state, shared by new and restored rooms
+     */
+    createRoomState(roomCode) {
+        return {
             code: roomCode,
             state: 'waiting', // waiting, playing, paused, ended
             currentLevel: 0,
@@ -37,29 +87,36 @@ export class GameStateManager extends EventEmitter {
             // Players
             players: new Map(),
             playerOrder: [], // For consistent ordering
+            viewers: new Map(), // connectionId -> read-only outside viewer
             
             // Game state
             gameObjects: new Map(),
+            combat: this.combatSimulation.createCombatState(),
+            simulationAccumulator: 0,
+            lastSimulationTime: Date.now(),
+            
+            // Story progress reported by clients (persisted)
+            progress: {
+                objectives: {}, // levelNumber -> completed objective names
+                sacrifices: [] // { playerName, levelNumber, timestamp }
+            },
             
             // Sync tracking
             stateVersion: 0,
             lastFullSync: 0,
+            snapshots: new Map(), // stateVersion -> snapshot, base for deltas
+            persistedVersion: null, // stateVersion last written to storage
+            
+            // Anti-cheat violations and player reports
+            suspicionLog: [],
             
             // Settings
-            maxPlayers: 3,
+            maxPlayers: DEFAULT_PARTY_SIZE, // Party size chosen when the room was created
+            uniqueCharacters: false, // Host rule: every player picks a different character
+            developer: false, // Created in developer mode: level jumps are allowed
+            maxViewers: 10,
             tickRate: 60 // Server tick rate
         };
-        
-        // Store room first, then add host player
-        this.rooms.set(roomCode, room);
-        
-        // Add host player
-        const hostPlayer = this.addPlayerToRoom(roomCode, hostPlayerId, hostPlayerName, true);
-        
-        console.log(`🏠 Room ${roomCode} created by ${hostPlayerName}, host player:`, hostPlayer ? hostPlayer.name : 'failed');
-        console.log(`🏠 Room now has ${room.players.size} players`);
-        
-        return room;
     }
     
     /**
@@ -84,7 +141,29 @@ export class GameStateManager extends EventEmitter {
             }
         }
         
-        const player = {
+        const player = this.createPlayerState(room, playerId, playerName, isHost);
+        
+        room.players.set(playerId, player);
+        room.playerOrder.push(playerId);
+        room.lastUpdate = Date.now();
+        room.stateVersion++;
+        
+        console.log(`👤 Added player ${player.name} to room ${roomCode}, room now has ${room.players.size} players`);
+        
+        this.emit('playerJoined', { roomCode, player });
+        
+        return player;
+    }
+    
+    /**
+     * Fresh player state, shared by new and restored players
+     */
+    createPlayerState(room, playerId, playerName, isHost = false) {
+        // Newcomers start as the first character nobody has, if duplicates are forbidden
+        const characterType = CHARACTER_TYPES.find(type => !room.uniqueCharacters || !this.isCharacterTaken(room, type));
+        const stats = getCharacterStats(characterType);
+        
+        return {
             id: playerId,
             name: playerName,
             isHost: isHost,
@@ -94,30 +173,95 @@ export class GameStateManager extends EventEmitter {
             // Game state
             position: { x: 100 + (room.players.size * 50), y: 100 },
             velocity: { x: 0, y: 0 },
-            health: 100,
-            maxHealth: 100,
+            health: stats.health * 25,
+            maxHealth: stats.health * 25,
             isAlive: true,
             
+            // Character, picked in the waiting room
+            characterType,
+            
+            // Combat state
+            direction: 'down',
+            strength: stats.strength,
+            attackCooldown: 0,
+            dashCooldown: 0,
+            dashTime: 0,
+            isDashing: false,
+            abilityCooldown: 0,
+            abilityTime: 0, // Seconds the ability's effect has left
+            superSpeedTime: 0, // Seconds of the super_speed power-up left
+            shieldTime: 0, // Seconds of the shield power-up left
+            hasSuperAttack: false, // Holding a super_attack power-up
+            powerUpBudget: 1, // Power-ups the player may still claim, refilled over time
+            
             // Network state
             lastUpdate: Date.now(),
             lastInput: Date.now(),
             inputBuffer: [],
+            lastProcessedInput: 0, // Sequence of the last applied move, for client reconciliation
+            ackedVersion: -1, // Last stateVersion the client applied (-1: none yet)
+            
+            // Movement validation
+            moveBudget: null, // Pixels the player may still move, refilled over time
+            lastMoveCheck: 0,
+            correctionGraceUntil: 0,
+            violations: 0,
             
             // Lag compensation
             ping: 0,
             lastPingTime: 0
         };
+    }
+    
+    /**
+     * Add a read-only outside viewer to a game in progress
+     */
+    addViewer(roomCode, viewerId, viewerName) {
+        const room = this.rooms.get(roomCode);
+        if (!room) {
+            throw new Error('Room not found');
+        }
         
-        room.players.set(playerId, player);
-        room.playerOrder.push(playerId);
-        room.lastUpdate = Date.now();
-        room.stateVersion++;
+        if (room.state !== 'playing' && room.state !== 'paused') {
+            throw new Error('Game has not started yet');
+        }
         
-        console.log(`👤 Added player ${player.name} to room ${roomCode}, room now has ${room.players.size} players`);
+        if (room.viewers.size >= room.maxViewers) {
+            throw new Error('Too many viewers');
+        }
         
-        this.emit('playerJoined', { roomCode, player });
+        const viewer = {
+            id: viewerId,
+            name: String(viewerName || 'Viewer').slice(0, 20),
+            joinedAt: Date.now(),
+            ackedVersion: -1
+        };
+        room.viewers.set(viewerId, viewer);
         
-        return player;
+        console.log(`👀 ${viewer.name} is watching room ${roomCode} (${room.viewers.size} viewers)`);
+        return viewer;
+    }
+    
+    removeViewer(roomCode, viewerId) {
+        const room = this.rooms.get(roomCode);
+        if (room?.viewers.delete(viewerId)) {
+            console.log(`👀 Viewer left room ${roomCode} (${room.viewers.size} viewers)`);
+        }
+    }
+    
+    /**
+     * Name to show on a spectator ping/reaction, or null if the sender can't spectate
+     * Outside viewers and dead players can signal; living players are busy playing
+     */
+    getSpectatorName(roomCode, connectionId) {
+        const room = this.rooms.get(roomCode);
+        if (!room) return null;
+        
+        const viewer = room.viewers.get(connectionId);
+        if (viewer) return viewer.name;
+        
+        const player = room.players.get(connectionId);
+        return player && !player.isAlive ? player.name : null;
     }
     
     /**
@@ -139,11 +283,139 @@ export class GameStateManager extends EventEmitter {
         
         // Clean up empty rooms
         if (room.players.size === 0) {
-            this.rooms.delete(roomCode);
+            this.deleteRoom(roomCode);
             console.log(`Room ${roomCode} deleted - empty`);
         }
     }
     
+    /**
+     * Handle a dropped connection
+     * Players in a running game keep their slot so they can rejoin
+     */
+    handlePlayerDisconnect(roomCode, playerId) {
+        const room = this.rooms.get(roomCode);
+        if (!room) return;
+        
+        const player = room.players.get(playerId);
+        if (!player) return;
+        
+        // Nothing to preserve before the game starts
+        if (room.state === 'waiting') {
+            this.removePlayerFromRoom(roomCode, playerId);
+            return;
+        }
+        
+        player.connected = false;
+        player.disconnectedAt = Date.now();
+        room.lastUpdate = Date.now();
+        room.stateVersion++;
+        
+        this.emit('playerDisconnected', { roomCode, playerId, playerName: player.name });
+        
+        // Pause the game until everyone is back
+        if (room.state === 'playing') {
+            room.state = 'paused';
+            this.emit('gamePaused', {
+                roomCode,
+                reason: `${player.name} disconnected`,
+                disconnectedPlayer: player.name
+            });
+        }
+        
+        setTimeout(() => {
+            this.cleanupDisconnectedPlayer(roomCode, player.name);
+        }, this.disconnectTimeout);
+    }
+    
+    /**
+     * Reattach a disconnected player to their slot under a new connection id
+     */
+    rejoinPlayer(roomCode, playerName, newPlayerId) {
+        const room = this.rooms.get(roomCode);
+        if (!room) {
+            throw new Error('Room no longer exists');
+        }
+        
+        // Find player by name (since the connection id changes on reconnection)
+        const player = Array.from(room.players.values()).find(p => p.name === playerName);
+        if (!player) {
+            throw new Error('Player not found in room');
+        }
+        
+        if (player.connected && player.id !== newPlayerId) {
+            throw new Error('Player is already connected');
+        }
+        
+        const oldPlayerId = player.id;
+        
+        // Re-key the player under the new connection id
+        room.players.delete(oldPlayerId);
+        player.id = newPlayerId;
+        player.ackedVersion = -1;
+        player.connected = true;
+        player.disconnectedAt = null;
+        player.inputBuffer = [];
+        player.lastProcessedInput = 0;
+        player.moveBudget = null;
+        room.players.set(newPlayerId, player);
+        room.playerOrder = room.playerOrder.map(id => id === oldPlayerId ? newPlayerId : id);
+        this.combatSimulation.renamePlayer(room, oldPlayerId, newPlayerId);
+        
+        room.lastUpdate = Date.now();
+        room.stateVersion++;
+        
+        this.emit('playerReconnected', { roomCode, playerId: newPlayerId, oldPlayerId, playerName });
+        
+        // Resume game if it was paused due to disconnections
+        const allConnected = Array.from(room.players.values()).every(p => p.connected);
+        if (allConnected && room.state === 'paused') {
+            room.state = 'playing';
+            room.lastSimulationTime = Date.now();
+            this.emit('gameResumed', { roomCode, message: 'All players reconnected' });
+        }
+        
+        return player;
+    }
+    
+    /**
+     * Drop a player who never came back
+     */
+    cleanupDisconnectedPlayer(roomCode, playerName) {
+        const room = this.rooms.get(roomCode);
+        if (!room) return;
+        
+        const player = Array.from(room.players.values()).find(p => p.name === playerName);
+        if (!player || player.connected) return; // Player reconnected
+        
+        console.log(`Cleaning up disconnected player: ${playerName} from room ${roomCode}`);
+        
+        room.players.delete(player.id);
+        room.playerOrder = room.playerOrder.filter(id => id !== player.id);
+        room.lastUpdate = Date.now();
+        room.stateVersion++;
+        
+        this.emit('playerLeft', { roomCode, playerId: player.id, playerName, reason: 'timeout' });
+        
+        const connectedPlayers = Array.from(room.players.values()).filter(p => p.connected);
+        if (connectedPlayers.length === 0) {
+            this.deleteRoom(roomCode);
+            console.log(`Room ${roomCode} deleted - no connected players`);
+            return;
+        }
+        
+        // The game goes on with whoever is left: the party shrinks, so enemies scale
+        // down and stand-ins cover the co-op mechanics, down to a single player
+        if (room.state === 'playing' || room.state === 'paused') {
+            room.maxPlayers = room.players.size;
+        }
+        
+        if (room.state === 'paused' && connectedPlayers.length === room.players.size) {
+            room.state = 'playing';
+            room.lastSimulationTime = Date.now();
+            this.emit('gameResumed', { roomCode, message: 'Remaining players reconnected' });
+        }
+    }
+    
     /**
      * Handle player input with lag compensation
      */
@@ -156,16 +428,21 @@ export class GameStateManager extends EventEmitter {
         
         // Add timestamp and sequence number
         input.timestamp = Date.now();
-        input.sequence = (input.sequence || 0);
+        input.sequence = Number.isInteger(input.sequence) ? input.sequence : 0;
         
         // Validate input
-        if (!this.validateInput(input, player)) {
+        if (!this.validateInput(room, input, player)) {
             console.warn(`Invalid input from ${player.name}:`, input);
             return false;
         }
         
+        // Check speed, dash cooldown and attack rate against the character's stats
+        if (!this.enforceCharacterLimits(room, player, input)) {
+            return false;
+        }
+        
         // Apply input immediately for responsiveness
-        this.applyPlayerInput(player, input);
+        this.applyPlayerInput(room, player, input);
         
         // Store in buffer for reconciliation
         player.inputBuffer.push(input);
@@ -188,48 +465,150 @@ export class GameStateManager extends EventEmitter {
     /**
      * Validate player input
      */
-    validateInput(input, player) {
+    validateInput(room, input, player) {
         if (!input.type) return false;
         
         switch (input.type) {
             case 'move':
-                // Validate movement bounds and speed
-                if (input.x < 0 || input.x > 1920 || input.y < 0 || input.y > 1080) {
+                if (!Number.isFinite(input.x) || !Number.isFinite(input.y)) {
                     return false;
                 }
                 
-                // Speed check removed for compatibility
-                // Basic position update without speed validation
+                // Validate movement bounds (speed is checked in enforceCharacterLimits)
+                const world = this.combatSimulation.getWorldBounds(room);
+                if (input.x < 0 || input.x > world.width || input.y < 0 || input.y > world.height) {
+                    return false;
+                }
                 return true;
                 
             case 'attack':
             case 'dash':
             case 'interact':
+            case 'superAttack':
                 return true;
                 
+            case 'ability':
+                return typeof input.ability === 'string';
+                
+            case 'powerUp':
+                return Object.hasOwn(POWER_UPS, input.effect);
+                
             default:
                 return false;
         }
     }
     
+    /**
+     * Anti-cheat checks; corrects over-long moves and rejects early dashes, attacks and abilities
+     */
+    enforceCharacterLimits(room, player, input) {
+        // Dead players' inputs are ignored in applyPlayerInput anyway
+        if (!player.isAlive) return true;
+        
+        switch (input.type) {
+            case 'move': {
+                const correction = this.inputValidator.validateMove(room, player, input);
+                if (correction) {
+                    input.x = correction.position.x;
+                    input.y = correction.position.y;
+                    input.corrected = true;
+                    
+                    if (correction.notify) {
+                        this.emit('positionCorrected', {
+                            roomCode: room.code,
+                            playerId: player.id,
+                            position: correction.position,
+                            sequence: input.sequence
+                        });
+                    }
+                }
+                return true;
+            }
+                
+            case 'dash':
+                return this.inputValidator.validateDash(room, player);
+                
+            case 'attack':
+                return this.inputValidator.validateAttack(room, player);
+                
+            case 'ability':
+                return this.inputValidator.validateAbility(room, player, input);
+                
+            case 'powerUp':
+                return this.inputValidator.validatePowerUp(room, player, input);
+                
+            case 'superAttack':
+                return this.inputValidator.validateSuperAttack(room, player);
+                
+            default:
+                return true;
+        }
+    }
+    
+    /**
+     * Record a cheat report from one player about another
+     */
+    reportCheat(roomCode, reporterId, report) {
+        const room = this.rooms.get(roomCode);
+        const reporter = room?.players.get(reporterId);
+        const suspect = room?.players.get(report?.suspectedPlayerId);
+        if (!reporter || !suspect || reporter === suspect) return false;
+        
+        this.inputValidator.recordSuspicion(room, suspect, 'player_report', {
+            reason: String(report.reason || '').slice(0, 200)
+        }, reporter);
+        return true;
+    }
+    
+    /**
+     * Suspicion log for a room (exposed through the debug API)
+     */
+    getSuspicionLog(roomCode) {
+        const room = this.rooms.get(roomCode);
+        return room ? [...room.suspicionLog] : null;
+    }
+    
     /**
      * Apply player input to game state
      */
-    applyPlayerInput(player, input) {
+    applyPlayerInput(room, player, input) {
+        // Dead players can't act
+        if (!player.isAlive) return;
+        
         switch (input.type) {
             case 'move':
                 player.position.x = input.x;
                 player.position.y = input.y;
                 player.velocity.x = input.vx || 0;
                 player.velocity.y = input.vy || 0;
+                if (input.direction) {
+                    player.direction = input.direction;
+                }
+                player.lastProcessedInput = Math.max(player.lastProcessedInput, input.sequence);
                 break;
                 
             case 'attack':
-                // Handle attack logic
+                // Damage is resolved against the server's enemy roster
+                input.hitEnemyIds = this.combatSimulation.resolvePlayerAttack(room, player, input);
                 break;
                 
             case 'dash':
-                // Handle dash logic
+                if (input.direction) {
+                    player.direction = input.direction;
+                }
+                this.combatSimulation.startDash(player);
+                break;
+                
+            case 'ability':
+                this.combatSimulation.useAbility(room, player);
+                break;
+                
+            case 'powerUp':
+                this.combatSimulation.applyPowerUp(room, player, input.effect);
+                break;
+                
+            case 'superAttack':
+                input.hitEnemyIds = this.combatSimulation.useSuperAttack(room, player);
                 break;
         }
         
@@ -247,19 +626,30 @@ export class GameStateManager extends EventEmitter {
             roomCode,
             state: room.state,
             currentLevel: room.currentLevel,
+            partySize: room.maxPlayers,
+            uniqueCharacters: room.uniqueCharacters,
             stateVersion: room.stateVersion,
             timestamp: Date.now(),
             
             players: Array.from(room.players.values()).map(player => ({
                 id: player.id,
                 name: player.name,
+                characterType: player.characterType,
                 position: { ...player.position },
                 velocity: { ...player.velocity },
                 health: player.health,
+                maxHealth: player.maxHealth,
                 isAlive: player.isAlive,
+                isDashing: player.isDashing,
+                lastProcessedInput: player.lastProcessedInput,
                 connected: player.connected,
                 ready: player.ready
-            }))
+            })),
+            
+            enemies: this.combatSimulation.getEnemyStates(room),
+            projectiles: this.combatSimulation.getProjectileStates(room),
+            turrets: this.combatSimulation.getTurretStates(room),
+            waves: this.combatSimulation.getWaveState(room)
         };
         
         if (full) {
@@ -276,29 +666,172 @@ export class GameStateManager extends EventEmitter {
      */
     startGame(roomCode) {
         const room = this.rooms.get(roomCode);
-        if (!room) return false;
+        if (!room || room.state !== 'waiting') return false;
         
-        if (room.players.size !== room.maxPlayers) {
+        if (!this.areAllPlayersReady(roomCode)) {
             return false;
         }
         
-        // Check if all players are ready
-        for (const [, player] of room.players) {
-            if (!player.ready) {
-                return false;
-            }
-        }
-        
         room.state = 'playing';
         room.currentLevel = 0;
         room.lastUpdate = Date.now();
+        room.lastSimulationTime = Date.now();
+        room.simulationAccumulator = 0;
         room.stateVersion++;
         
+        this.combatSimulation.startLevel(room, room.currentLevel);
+        
         this.emit('gameStarted', { roomCode });
         
         return true;
     }
     
+    /**
+     * Move the room on to the next level and reset its enemy roster
+     * Only the level after the current one is accepted, and only if the level files
+     * have it; anything else is refused and logged as suspicious. Developer rooms may
+     * jump to any level the files have
+     */
+    changeRoomLevel(roomCode, levelNumber, playerId) {
+        const room = this.rooms.get(roomCode);
+        if (!room || room.state !== 'playing') return false;
+        
+        // Every client reports the transition, only the first one counts
+        if (room.developer) {
+            if (levelNumber === room.currentLevel || !this.combatSimulation.hasLevel(levelNumber)) return false;
+        } else if (Number.isInteger(levelNumber) && levelNumber <= room.currentLevel) {
+            return false;
+        }
+        
+        const nextLevel = room.currentLevel + 1;
+        if (!room.developer && (levelNumber !== nextLevel || !this.combatSimulation.hasLevel(nextLevel))) {
+            const player = room.players.get(playerId);
+            if (player) {
+                this.inputValidator.recordSuspicion(room, player, 'level_skip', {
+                    levelNumber: Number.isInteger(levelNumber) ? levelNumber : String(levelNumber).slice(0, 40),
+                    currentLevel: room.currentLevel
+                });
+            }
+            return false;
+        }
+        
+        room.currentLevel = levelNumber;
+        room.lastUpdate = Date.now();
+        room.stateVersion++;
+        
+        this.combatSimulation.startLevel(room, levelNumber);
+        this.persistRoom(room);
+        
+        this.emit('levelChanged', { roomCode, levelNumber });
+        
+        return true;
+    }
+    
+    /**
+     * End the game once every player is dead (sacrificed players included)
+     */
+    checkGameOver(room) {
+        if (room.state !== 'playing' || room.players.size === 0) return false;
+        if (Array.from(room.players.values()).some(player => player.isAlive)) return false;
+        
+        this.endGame(room, 'all_players_dead', 'Game over - every player has fallen');
+        return true;
+    }
+    
+    /**
+     * Finish a game: clients are told, the recording stops and the save is dropped
+     */
+    endGame(room, reason, message) {
+        room.state = 'ended';
+        room.lastUpdate = Date.now();
+        room.stateVersion++;
+        this.persistRoom(room);
+        
+        this.emit('gameEnded', { roomCode: room.code, reason, message });
+    }
+    
+    /**
+     * Record story progress reported by a client (objectives, sacrifices, game completion)
+     * Every client reports the same events, so duplicates are ignored
+     */
+    recordProgress(roomCode, playerId, progress) {
+        const room = this.rooms.get(roomCode);
+        if (!room || !room.players.has(playerId) || !progress) return false;
+        
+        const levelNumber = Number.isInteger(progress.levelNumber) ? progress.levelNumber : room.currentLevel;
+        
+        switch (progress.type) {
+            case 'objective': {
+                if (typeof progress.objective !== 'string') return false;
+                
+                const objectives = room.progress.objectives[levelNumber] || [];
+                if (objectives.includes(progress.objective)) return false;
+                
+                room.progress.objectives[levelNumber] = [...objectives, progress.objective];
+                this.emit('progressRecorded', {
+                    roomCode,
+                    progress: { type: 'objective', objective: progress.objective, levelNumber }
+                });
+                break;
+            }
+                
+            case 'sacrifice': {
+                const sacrificed = room.players.get(progress.playerId);
+                if (!sacrificed) return false;
+                
+                const alreadyRecorded = room.progress.sacrifices.some(
+                    sacrifice => sacrifice.playerName === sacrificed.name && sacrifice.levelNumber === levelNumber
+                );
+                if (alreadyRecorded) return false;
+                
+                room.progress.sacrifices.push({
+                    playerName: sacrificed.name,
+                    levelNumber,
+                    timestamp: Date.now()
+                });
+                
+                // Sacrificed players stay dead
+                sacrificed.health = 0;
+                sacrificed.isAlive = false;
+                
+                this.emit('progressRecorded', {
+                    roomCode,
+                    progress: { type: 'sacrifice', playerId: sacrificed.id, playerName: sacrificed.name, levelNumber }
+                });
+                this.checkGameOver(room);
+                break;
+            }
+                
+            case 'gameCompleted': {
+                // Only clearing the final level, enemies and all, ends the game
+                if (room.state !== 'playing' || levelNumber !== room.currentLevel) return false;
+                if (this.combatSimulation.hasLevel(levelNumber + 1) || !this.combatSimulation.isLevelCleared(room)) return false;
+                
+                this.endGame(room, 'completed', 'Game completed - every level cleared');
+                return true;
+            }
+                
+            default:
+                return false;
+        }
+        
+        room.lastUpdate = Date.now();
+        room.stateVersion++;
+        this.persistRoom(room);
+        
+        return true;
+    }
+    
+    /**
+     * Check whether the room is full and every player is ready
+     */
+    areAllPlayersReady(roomCode) {
+        const room = this.rooms.get(roomCode);
+        if (!room || room.players.size !== room.maxPlayers) return false;
+        
+        return Array.from(room.players.values()).every(p => p.ready);
+    }
+    
     /**
      * Set player ready status
      */
@@ -318,6 +851,56 @@ export class GameStateManager extends EventEmitter {
         return true;
     }
     
+    /**
+     * Pick a player's character in the waiting room
+     * Throws with the reason when the pick isn't allowed
+     */
+    selectCharacter(roomCode, playerId, characterType) {
+        const room = this.rooms.get(roomCode);
+        const player = room?.players.get(playerId);
+        if (!player) return false;
+        
+        if (room.state !== 'waiting') {
+            throw new Error('Characters are locked once the game starts');
+        }
+        
+        if (!CHARACTER_TYPES.includes(characterType)) {
+            throw new Error('Unknown character');
+        }
+        
+        if (room.uniqueCharacters && this.isCharacterTaken(room, characterType, playerId)) {
+            throw new Error('Another player already picked that character');
+        }
+        
+        const stats = getCharacterStats(characterType);
+        Object.assign(player, {
+            characterType,
+            health: stats.health * 25,
+            maxHealth: stats.health * 25,
+            strength: stats.strength
+        });
+        room.lastUpdate = Date.now();
+        room.stateVersion++;
+        
+        console.log(`🎭 ${player.name} picked ${characterType} in room ${roomCode}`);
+        
+        this.emit('characterSelected', { roomCode, playerId, characterType });
+        
+        return true;
+    }
+    
+    /**
+     * Whether a player other than exceptPlayerId has picked the character
+     */
+    isCharacterTaken(room, characterType, exceptPlayerId = null) {
+        for (const [id, player] of room.players) {
+            if (id !== exceptPlayerId && player.characterType === characterType) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
     /**
      * Update player ping
      */
@@ -343,30 +926,252 @@ export class GameStateManager extends EventEmitter {
         return code;
     }
     
+    /**
+     * Remove a room from memory and storage
+     */
+    deleteRoom(roomCode) {
+        if (!this.rooms.delete(roomCode)) return;
+        
+        this.emit('roomDeleted', { roomCode });
+        
+        if (this.storage) {
+            this.storage.deleteRoom(roomCode).catch(error => {
+                console.error(`Failed to delete saved room ${roomCode}:`, error);
+            });
+        }
+    }
+    
+    /**
+     * Save changed rooms periodically
+     */
+    startPersistenceLoop() {
+        setInterval(() => {
+            for (const room of this.rooms.values()) {
+                if (room.stateVersion !== room.persistedVersion) {
+                    this.persistRoom(room);
+                }
+            }
+        }, this.persistInterval);
+    }
+    
+    /**
+     * Write a room snapshot to storage; only games in progress are kept
+     */
+    persistRoom(room) {
+        if (!this.storage) return;
+        
+        if (room.state === 'playing' || room.state === 'paused') {
+            room.persistedVersion = room.stateVersion;
+            this.storage.saveRoom(room.code, this.serializeRoom(room)).catch(error => {
+                console.error(`Failed to save room ${room.code}:`, error);
+            });
+        } else if (room.persistedVersion !== null) {
+            // Lobbies and finished games have nothing to recover
+            room.persistedVersion = null;
+            this.storage.deleteRoom(room.code).catch(error => {
+                console.error(`Failed to delete saved room ${room.code}:`, error);
+            });
+        } else {
+            room.persistedVersion = room.stateVersion;
+        }
+    }
+    
+    /**
+     * Plain-object snapshot of everything needed to resume a room
+     * Players are keyed by name because connection ids change on rejoin
+     */
+    serializeRoom(room) {
+        return {
+            code: room.code,
+            state: room.state,
+            currentLevel: room.currentLevel,
+            createdAt: room.createdAt,
+            savedAt: Date.now(),
+            maxPlayers: room.maxPlayers,
+            uniqueCharacters: room.uniqueCharacters,
+            developer: room.developer,
+            progress: room.progress,
+            
+            players: room.playerOrder
+                .map(id => room.players.get(id))
+                .filter(Boolean)
+                .map(player => ({
+                    name: player.name,
+                    isHost: player.isHost,
+                    characterType: player.characterType,
+                    position: { ...player.position },
+                    health: player.health,
+                    maxHealth: player.maxHealth,
+                    strength: player.strength,
+                    isAlive: player.isAlive
+                }))
+        };
+    }
+    
+    /**
+     * Load saved rooms after a restart
+     * Restored games start paused with every player disconnected, waiting for rejoinRoom
+     */
+    async restoreRooms() {
+        if (!this.storage) return 0;
+        
+        const snapshots = await this.storage.loadRooms();
+        for (const snapshot of snapshots) {
+            try {
+                this.restoreRoom(snapshot);
+            } catch (error) {
+                console.error(`Failed to restore room ${snapshot?.code}:`, error);
+            }
+        }
+        
+        return this.rooms.size;
+    }
+    
+    restoreRoom(snapshot) {
+        const room = this.createRoomState(snapshot.code);
+        room.state = 'paused';
+        room.currentLevel = snapshot.currentLevel;
+        room.createdAt = snapshot.createdAt;
+        room.maxPlayers = normalizePartySize(snapshot.maxPlayers);
+        room.uniqueCharacters = Boolean(snapshot.uniqueCharacters);
+        room.developer = Boolean(snapshot.developer);
+        room.progress = snapshot.progress || room.progress;
+        
+        for (const saved of snapshot.players) {
+            // Placeholder id until the player rejoins under a new connection
+            const player = this.createPlayerState(room, `restored-${uuidv4()}`, saved.name, saved.isHost);
+            Object.assign(player, {
+                characterType: saved.characterType,
+                position: { ...saved.position },
+                health: saved.health,
+                maxHealth: saved.maxHealth,
+                strength: saved.strength,
+                isAlive: saved.isAlive,
+                connected: false,
+                disconnectedAt: Date.now()
+            });
+            
+            room.players.set(player.id, player);
+            room.playerOrder.push(player.id);
+            
+            setTimeout(() => {
+                this.cleanupDisconnectedPlayer(room.code, player.name);
+            }, this.disconnectTimeout);
+        }
+        
+        // Enemies aren't saved; the level's roster starts over
+        this.combatSimulation.startLevel(room, room.currentLevel);
+        
+        room.persistedVersion = room.stateVersion;
+        this.rooms.set(room.code, room);
+        
+        console.log(`♻️ Restored room ${room.code} at level ${room.currentLevel} with ${room.players.size} players`);
+        return room;
+    }
+    
     /**
      * Start synchronization loops
      */
     startSyncLoops() {
-        // Fast sync for active game states
+        // Per-player delta sync for active game states
         setInterval(() => {
             for (const [roomCode, room] of this.rooms) {
-                if (room.state === 'playing') {
-                    const state = this.getRoomState(roomCode, false);
-                    this.emit('stateSync', { roomCode, state });
+                if (room.state !== 'playing') continue;
+                
+                const snapshot = this.getRoomState(roomCode, true);
+                this.recordSnapshot(room, snapshot);
+                this.emit('roomSnapshot', { roomCode, snapshot });
+                
+                for (const player of room.players.values()) {
+                    if (!player.connected) continue;
+                    
+                    const state = this.getStateForPlayer(room, player, snapshot);
+                    this.emit('stateSync', { roomCode, playerId: player.id, state });
+                }
+                
+                // Viewers ack versions like players, so they get deltas too
+                for (const viewer of room.viewers.values()) {
+                    const state = this.getStateForPlayer(room, viewer, snapshot);
+                    this.emit('stateSync', { roomCode, playerId: viewer.id, state });
                 }
             }
         }, this.syncInterval);
+    }
+    
+    /**
+     * Keep recent snapshots so deltas can be built against any acked version
+     */
+    recordSnapshot(room, snapshot) {
+        room.snapshots.set(snapshot.stateVersion, snapshot);
         
-        // Full sync for reliability
+        while (room.snapshots.size > this.maxSnapshotHistory) {
+            const oldestVersion = room.snapshots.keys().next().value;
+            room.snapshots.delete(oldestVersion);
+        }
+    }
+    
+    /**
+     * Delta against the player's last acked snapshot, or a full snapshot
+     * when that version is no longer in the history
+     */
+    getStateForPlayer(room, player, snapshot) {
+        const base = room.snapshots.get(player.ackedVersion);
+        if (!base) {
+            room.lastFullSync = Date.now();
+            return snapshot;
+        }
+        
+        return createStateDelta(base, snapshot);
+    }
+    
+    /**
+     * Record the last state version a client applied
+     */
+    acknowledgeState(roomCode, playerId, stateVersion) {
+        const room = this.rooms.get(roomCode);
+        const player = room?.players.get(playerId) || room?.viewers.get(playerId);
+        if (!player || !Number.isInteger(stateVersion)) return;
+        
+        // Acks can arrive out of order; never move backwards
+        if (stateVersion > player.ackedVersion && stateVersion <= room.stateVersion) {
+            player.ackedVersion = stateVersion;
+        }
+    }
+    
+    /**
+     * Start the fixed-tick combat simulation
+     */
+    startSimulationLoop() {
         setInterval(() => {
-            for (const [roomCode, room] of this.rooms) {
-                if (room.state === 'playing') {
-                    const state = this.getRoomState(roomCode, true);
-                    this.emit('fullStateSync', { roomCode, state });
-                    room.lastFullSync = Date.now();
+            const now = Date.now();
+            
+            for (const room of this.rooms.values()) {
+                if (room.state !== 'playing') {
+                    room.lastSimulationTime = now;
+                    continue;
                 }
+                
+                const tickDuration = 1 / room.tickRate;
+                room.simulationAccumulator += (now - room.lastSimulationTime) / 1000;
+                room.lastSimulationTime = now;
+                
+                // Cap catch-up work after a stall
+                room.simulationAccumulator = Math.min(room.simulationAccumulator, tickDuration * 5);
+                
+                let changed = false;
+                while (room.simulationAccumulator >= tickDuration) {
+                    changed = this.combatSimulation.step(room, tickDuration) || changed;
+                    room.simulationAccumulator -= tickDuration;
+                }
+                
+                if (changed) {
+                    room.lastUpdate = now;
+                    room.stateVersion++;
+                }
+                
+                this.checkGameOver(room);
             }
-        }, this.fullSyncInterval);
+        }, this.simulationInterval);
     }
     
     /**
@@ -376,7 +1181,10 @@ export class GameStateManager extends EventEmitter {
         return Array.from(this.rooms.entries()).map(([code, room]) => ({
             code,
             playerCount: room.players.size,
+            partySize: room.maxPlayers,
+            viewerCount: room.viewers.size,
             state: room.state,
+            developer: room.developer,
             players: Array.from(room.players.values()).map(p => ({
                 name: p.name,
                 connected: p.connected,
@@ -0,0 +1,206 @@
+import { getCharacterSpeed, getCharacterAbility } from './CharacterStats.js';
+import { POWER_UPS } from './PowerUps.js';
+
+/**
+ * Server-side validation of player movement, dashes, attacks, abilities and power-ups
+ *
+ * Movement uses a distance budget that refills at the character's top speed,
+ * so bursts of delayed packets aren't mistaken for speed hacks. Violations
+ * are written to the room's suspicion log.
+ */
+export class InputValidator {
+    constructor(gameStateManager) {
+        this.gameStateManager = gameStateManager;
+
+        this.config = {
+            speedTolerance: 1.25, // Allow 25% over top speed for jitter and rounding
+            maxBurst: 0.5, // Seconds of movement that can be banked while standing still
+            dashSpeedMultiplier: 4, // Matches Player.tryDash
+            dashDuration: 0.2,
+            cooldownLeeway: 0.15, // Seconds of early dashes/attacks forgiven for latency
+            minReportedExcess: 4, // Pixels over budget before a speed violation is logged
+            correctionGrace: 1000, // ms after a correction while in-flight inputs still use the old position
+            maxLogEntries: 100
+        };
+    }
+
+    /**
+     * Check a move against the player's movement budget
+     * Returns { position, notify } when the move went too far, otherwise null.
+     * `notify` is false while the client is still catching up with an earlier correction.
+     */
+    validateMove(room, player, input, now = Date.now()) {
+        const speed = this.getTopSpeed(player);
+        const burstBudget = speed * this.config.maxBurst;
+
+        if (player.moveBudget === null) {
+            player.moveBudget = burstBudget;
+        } else {
+            // Refill up to the burst cap; dash grants may sit above it until spent
+            const elapsed = Math.max(0, now - player.lastMoveCheck) / 1000;
+            if (player.moveBudget < burstBudget) {
+                player.moveBudget = Math.min(burstBudget, player.moveBudget + speed * elapsed);
+            }
+        }
+        player.lastMoveCheck = now;
+
+        const dx = input.x - player.position.x;
+        const dy = input.y - player.position.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        if (distance <= player.moveBudget) {
+            player.moveBudget -= distance;
+            return null;
+        }
+
+        // Move only as far as the budget allows
+        const ratio = player.moveBudget / distance;
+        const corrected = {
+            x: Math.round(player.position.x + dx * ratio),
+            y: Math.round(player.position.y + dy * ratio)
+        };
+
+        const excess = distance - player.moveBudget;
+        player.moveBudget = 0;
+
+        // Inputs sent before the client saw our last correction overshoot too; clamp them quietly
+        if (now < player.correctionGraceUntil) {
+            return { position: corrected, notify: false };
+        }
+        player.correctionGraceUntil = now + this.config.correctionGrace;
+
+        if (excess >= this.config.minReportedExcess) {
+            this.recordSuspicion(room, player, 'speed', {
+                distance: Math.round(distance),
+                excess: Math.round(excess),
+                characterType: player.characterType
+            });
+        }
+
+        return { position: corrected, notify: true };
+    }
+
+    /**
+     * Fastest the player may move right now in px/s, tolerance included
+     */
+    getTopSpeed(player) {
+        const multiplier = player.superSpeedTime > 0 ? POWER_UPS.super_speed.speedMultiplier : 1;
+        return getCharacterSpeed(player.characterType) * multiplier * this.config.speedTolerance;
+    }
+
+    /**
+     * Check a dash against the cooldown; grants the extra dash distance when allowed
+     */
+    validateDash(room, player) {
+        if (player.dashCooldown > this.config.cooldownLeeway) {
+            this.recordSuspicion(room, player, 'dash_cooldown', {
+                remaining: Number(player.dashCooldown.toFixed(2))
+            });
+            return false;
+        }
+
+        // Forgive the last few milliseconds of cooldown lost to latency
+        player.dashCooldown = 0;
+
+        if (!player.isDashing) {
+            const speed = this.getTopSpeed(player);
+            player.moveBudget += speed * (this.config.dashSpeedMultiplier - 1) * this.config.dashDuration;
+        }
+
+        return true;
+    }
+
+    /**
+     * Check an attack against the attack rate
+     * (damage always comes from the server's character stats, see CombatSimulation.resolvePlayerAttack)
+     */
+    validateAttack(room, player) {
+        if (player.attackCooldown > this.config.cooldownLeeway) {
+            this.recordSuspicion(room, player, 'attack_rate', {
+                remaining: Number(player.attackCooldown.toFixed(2))
+            });
+            return false;
+        }
+
+        player.attackCooldown = 0;
+        return true;
+    }
+
+    /**
+     * Check an ability against the player's character and its cooldown
+     */
+    validateAbility(room, player, input) {
+        const ability = getCharacterAbility(player.characterType);
+        if (input.ability !== ability.key) {
+            this.recordSuspicion(room, player, 'ability_mismatch', {
+                ability: String(input.ability).slice(0, 40),
+                characterType: player.characterType
+            });
+            return false;
+        }
+
+        if (player.abilityCooldown > this.config.cooldownLeeway) {
+            this.recordSuspicion(room, player, 'ability_cooldown', {
+                remaining: Number(player.abilityCooldown.toFixed(2))
+            });
+            return false;
+        }
+
+        player.abilityCooldown = 0;
+        return true;
+    }
+
+    /**
+     * Check a power-up pickup against the player's claim budget
+     * (clients spawn their own power-ups, see server/PowerUps.js)
+     */
+    validatePowerUp(room, player, input) {
+        if (player.powerUpBudget < 1) {
+            this.recordSuspicion(room, player, 'power_up_rate', {
+                effect: input.effect,
+                budget: Number(player.powerUpBudget.toFixed(2))
+            });
+            return false;
+        }
+
+        player.powerUpBudget -= 1;
+        return true;
+    }
+
+    /**
+     * Check a super attack against the super_attack power-up it needs
+     */
+    validateSuperAttack(room, player) {
+        if (!player.hasSuperAttack) {
+            this.recordSuspicion(room, player, 'super_attack_unearned');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Append an entry to the room's suspicion log
+     */
+    recordSuspicion(room, player, type, details = {}, reporter = null) {
+        const entry = {
+            timestamp: Date.now(),
+            playerId: player.id,
+            playerName: player.name,
+            type,
+            details
+        };
+
+        if (reporter) {
+            entry.reportedBy = reporter.name;
+        }
+
+        player.violations = (player.violations || 0) + 1;
+        room.suspicionLog.push(entry);
+        if (room.suspicionLog.length > this.config.maxLogEntries) {
+            room.suspicionLog.shift();
+        }
+
+        console.warn(`🚨 Suspicious ${type} from ${player.name} in room ${room.code}:`, details);
+        return entry;
+    }
+}
@@ -0,0 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TileMap } from './TileMap.js';
+import { ENEMY_TYPES } from './EnemyTypes.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Level files shared with the client (see client/js/engine/LevelSchema.js for the full format)
+export const DEFAULT_LEVEL_DIRECTORY = path.join(__dirname, '../client/data/levels');
+
+// Wave triggers the WaveDirector understands
+const WAVE_TRIGGERS = ['time', 'boss_defeated', 'previous_cleared'];
+
+// Generic object types that are solid unless the file says otherwise (mirrors LevelObject.js)
+const SOLID_OBJECT_TYPES = ['wall', 'crate'];
+
+// Scripted objects enemies route around on the client (Level2, Level4 and Level5 scripts)
+const SCRIPTED_OBSTACLE_TYPES = ['elevator', 'hold_mechanism', 'exit_door', 'reactor_controls'];
+
+/**
+ * Read the enemy waves of every level file listed in the manifest
+ * Returns { levelNumber: waves } for CombatSimulation; throws naming the file and wave
+ * when the data can't be used
+ */
+export function loadLevelRosters(directory = DEFAULT_LEVEL_DIRECTORY) {
+    const rosters = {};
+    for (const { file, level } of readLevels(directory)) {
+        const waves = level.enemies || [];
+        waves.forEach((wave, index) => {
+            const problem = checkWave(wave);
+            if (problem) {
+                throw new Error(`${file}: enemies[${index}] ${problem}`);
+            }
+        });
+
+        rosters[level.number] = waves;
+    }
+
+    return rosters;
+}
+
+/**
+ * Read the tile layer of every level file that has one
+ * Returns { levelNumber: TileMap } so server-side enemies collide with walls and doors
+ * and hazard floor hurts players
+ */
+export function loadLevelTileMaps(directory = DEFAULT_LEVEL_DIRECTORY) {
+    const tileMaps = {};
+    for (const { file, level } of readLevels(directory)) {
+        if (level.tiles === undefined) continue;
+
+        const rows = level.tiles?.rows;
+        if (!Array.isArray(rows) || rows.some(row => typeof row !== 'string')) {
+            throw new Error(`${file}: tiles.rows must be a list of strings`);
+        }
+        tileMaps[level.number] = new TileMap(level.tiles);
+    }
+
+    return tileMaps;
+}
+
+/**
+ * Read the play area size of every level file that sets one
+ * Returns { levelNumber: { width, height } }; other levels use the 1920x1080 default
+ */
+export function loadLevelBounds(directory = DEFAULT_LEVEL_DIRECTORY) {
+    const levelBounds = {};
+    for (const { file, level } of readLevels(directory)) {
+        if (level.bounds === undefined) continue;
+
+        const { width, height } = level.bounds || {};
+        if (!(Number.isFinite(width) && width >= 1 && Number.isFinite(height) && height >= 1)) {
+            throw new Error(`${file}: bounds needs a positive width and height`);
+        }
+        levelBounds[level.number] = { width, height };
+    }
+
+    return levelBounds;
+}
+
+/**
+ * Read the objects that block enemies in every level file
+ * Returns { levelNumber: [{ x, y, width, height }] } for server-side pathfinding;
+ * scripted doors count as closed, as tile doors do unless the legend opens them
+ */
+export function loadLevelObstacles(directory = DEFAULT_LEVEL_DIRECTORY) {
+    const levelObstacles = {};
+    for (const { level } of readLevels(directory)) {
+        levelObstacles[level.number] = (level.objects || [])
+            .filter(object => object.solid ?? (SOLID_OBJECT_TYPES.includes(object.type) || SCRIPTED_OBSTACLE_TYPES.includes(object.type)))
+            .map(({ x, y, width, height }) => ({ x, y, width, height }));
+    }
+
+    return levelObstacles;
+}
+
+/**
+ * Read the hazard zones of every level file
+ * Returns { levelNumber: [{ type, x, y, width, height, damagePerSecond }] } so the server
+ * deals hazard damage in multiplayer
+ */
+export function loadLevelHazards(directory = DEFAULT_LEVEL_DIRECTORY) {
+    const levelHazards = {};
+    for (const { file, level } of readLevels(directory)) {
+        const hazards = level.hazards || [];
+        hazards.forEach((hazard, index) => {
+            const numbers = [hazard?.x, hazard?.y, hazard?.width, hazard?.height, hazard?.damagePerSecond];
+            if (!numbers.every(Number.isFinite)) {
+                throw new Error(`${file}: hazards[${index}] needs x, y, width, height and damagePerSecond`);
+            }
+        });
+
+        levelHazards[level.number] = hazards.map(({ type, x, y, width, height, damagePerSecond }) =>
+            ({ type, x, y, width, height, damagePerSecond }));
+    }
+
+    return levelHazards;
+}
+
+/**
+ * A level as the shared PathfindingService sees it: its size, tile walls and solid objects
+ */
+export class NavigationLevel {
+    constructor(bounds, tileMap, obstacles) {
+        this.bounds = bounds;
+        this.tileMap = tileMap || null;
+        this.obstacles = obstacles || [];
+    }
+
+    getNavigationObstacles() {
+        return this.obstacles;
+    }
+}
+
+/**
+ * The level files listed in the manifest, as { file, level }
+ */
+function readLevels(directory) {
+    const manifest = readJSON(path.join(directory, 'index.json'));
+    if (!Array.isArray(manifest.levels)) {
+        throw new Error(`${path.join(directory, 'index.json')}: levels must be a list of level file names`);
+    }
+
+    return manifest.levels.map(file => {
+        const level = readJSON(path.join(directory, file));
+        if (!Number.isInteger(level.number)) {
+            throw new Error(`${file}: number must be a whole number`);
+        }
+        return { file, level };
+    });
+}
+
+function readJSON(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to read level data ${filePath}: ${error.message}`);
+    }
+}
+
+function checkWave(wave) {
+    if (typeof wave?.type !== 'string') return 'needs an enemy type';
+    if (!ENEMY_TYPES[wave.type]) return `has unknown enemy type "${wave.type}"`;
+    if (wave.positions !== undefined && (!Array.isArray(wave.positions) || wave.positions.length === 0)) {
+        return 'positions must be a non-empty list';
+    }
+    if (wave.positions === undefined && !(Number.isInteger(wave.count) && wave.count > 0)) {
+        return 'needs a count or positions';
+    }
+    if (wave.trigger !== undefined && !WAVE_TRIGGERS.includes(wave.trigger)) {
+        return `has unknown trigger "${wave.trigger}"`;
+    }
+    if (wave.maxAlive !== undefined && !(Number.isInteger(wave.maxAlive) && wave.maxAlive > 0)) {
+        return 'maxAlive must be a positive whole number';
+    }
+    return null;
+}
@@ -0,0 +1,26 @@
+/**
+ * Party size limits and scaling shared by server systems
+ * Mirrored on the client in client/js/engine/PartySize.js.
+ */
+export const MIN_PARTY_SIZE = 1;
+export const MAX_PARTY_SIZE = 4;
+export const DEFAULT_PARTY_SIZE = 3;
+
+// Party size the levels were designed around
+export const DESIGN_PARTY_SIZE = 3;
+
+/**
+ * Clamp a requested party size, falling back to the default
+ */
+export function normalizePartySize(partySize) {
+    const size = Number(partySize);
+    if (!Number.isInteger(size)) return DEFAULT_PARTY_SIZE;
+    return Math.max(MIN_PARTY_SIZE, Math.min(MAX_PARTY_SIZE, size));
+}
+
+/**
+ * Enemy count for a party, scaled from the count designed for three players
+ */
+export function scaleEnemyCount(count, partySize) {
+    return Math.max(1, Math.round(count * partySize / DESIGN_PARTY_SIZE));
+}
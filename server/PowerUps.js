@@ -0,0 +1,17 @@
+/**
+ * Power-up effects the server applies when a client reports a pickup
+ * Mirrors PowerUpManager.createPowerUpTypes on the client. Each client spawns its own
+ * power-ups, so the server never sees them; instead a player may claim one per client
+ * spawn interval, banking a few. Times are in seconds.
+ */
+export const POWER_UP_SPAWN_INTERVAL = 15; // PowerUpManager.spawnInterval
+export const MAX_BANKED_POWER_UPS = 5;
+
+export const POWER_UPS = {
+    super_attack: { radius: 150, damage: 100 }, // Held until the player uses it
+    super_speed: { duration: 8, speedMultiplier: 2.5 },
+    health_boost: { heal: 50, maxHealthBonus: 25 },
+    shield: { duration: 5 }, // No damage taken
+    multi_shot: { duration: 10 }, // Nothing to apply: swings already hit every enemy in reach
+    time_slow: { duration: 6, enemySpeedMultiplier: 0.3 } // Slows every enemy in the room
+};
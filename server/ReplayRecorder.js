@@ -0,0 +1,242 @@
+import { createStateDelta } from './StateDelta.js';
+
+export const REPLAY_FORMAT_VERSION = 1;
+
+/**
+ * Records every game into a replay the client can play back (client/js/engine/ReplayPlayer.js)
+ *
+ * A replay is an ordered list of { time, type, data } events, where time is
+ * milliseconds since recording started:
+ *   snapshot     - full room state (a keyframe to seek from)
+ *   delta        - room state as a delta against the previous snapshot/delta
+ *   playerAction - an input the server accepted, as broadcast to other players
+ *   levelChange  - the room moved to a new level
+ *   combatEvent  - an enemy kill or player death resolved by the server
+ *   progress     - an objective or sacrifice reported by the clients
+ */
+export class ReplayRecorder {
+    constructor(gameStateManager, storage = null) {
+        this.gameStateManager = gameStateManager;
+        this.storage = storage;
+
+        this.keyframeInterval = 2000; // ms between full snapshots (bounds seek cost)
+        // Stop recording a runaway game rather than run out of memory; capped by time, not event
+        // count, since four players log ~90 events a second (moves plus syncs)
+        this.maxDuration = 2 * 60 * 60 * 1000; // ms, two hours from the start of the game
+
+        // roomCode -> recording in progress
+        this.recordings = new Map();
+
+        this.setupStateEvents();
+    }
+
+    /**
+     * Record GameStateManager events for every room
+     */
+    setupStateEvents() {
+        const gsm = this.gameStateManager;
+
+        gsm.on('gameStarted', ({ roomCode }) => {
+            this.startRecording(roomCode);
+        });
+
+        gsm.on('roomSnapshot', ({ roomCode, snapshot }) => {
+            this.recordSnapshot(roomCode, snapshot);
+        });
+
+        gsm.on('playerInput', ({ roomCode, playerId, input }) => {
+            this.recordEvent(roomCode, 'playerAction', {
+                playerId,
+                action: { ...input },
+                timestamp: input.timestamp,
+                validated: true
+            }, input.timestamp);
+        });
+
+        gsm.on('levelChanged', ({ roomCode, levelNumber }) => {
+            this.recordEvent(roomCode, 'levelChange', { levelNumber });
+
+            // Checkpoint so a crash mid-game keeps the earlier levels
+            this.saveRecording(this.recordings.get(roomCode));
+        });
+
+        gsm.on('enemyDefeated', ({ roomCode, enemyId, enemyType, playerId }) => {
+            this.recordEvent(roomCode, 'combatEvent', { type: 'enemyDefeated', enemyId, enemyType, playerId });
+        });
+
+        gsm.on('enemyExploded', ({ roomCode, enemyId, x, y, radius }) => {
+            this.recordEvent(roomCode, 'combatEvent', { type: 'enemyExploded', enemyId, x, y, radius });
+        });
+
+        gsm.on('bossSlam', ({ roomCode, enemyId, x, y, radius }) => {
+            this.recordEvent(roomCode, 'combatEvent', { type: 'bossSlam', enemyId, x, y, radius });
+        });
+
+        gsm.on('playerDied', ({ roomCode, playerId, playerName, enemyId }) => {
+            this.recordEvent(roomCode, 'combatEvent', { type: 'playerDied', playerId, playerName, enemyId });
+        });
+
+        gsm.on('progressRecorded', ({ roomCode, progress }) => {
+            this.recordEvent(roomCode, 'progress', progress);
+        });
+
+        gsm.on('gameEnded', ({ roomCode, reason }) => {
+            this.stopRecording(roomCode, reason);
+        });
+
+        gsm.on('roomDeleted', ({ roomCode }) => {
+            this.stopRecording(roomCode, 'room_closed');
+        });
+    }
+
+    /**
+     * Begin a new recording for a room
+     */
+    startRecording(roomCode) {
+        const room = this.gameStateManager.rooms.get(roomCode);
+        if (!room) return null;
+
+        const startedAt = Date.now();
+        const recording = {
+            version: REPLAY_FORMAT_VERSION,
+            id: `${roomCode}-${startedAt}`,
+            roomCode,
+            startedAt,
+            endedAt: null,
+            endReason: null,
+            keyframeInterval: this.keyframeInterval,
+            truncated: false,
+            players: room.playerOrder
+                .map(id => room.players.get(id))
+                .filter(Boolean)
+                .map(player => ({ id: player.id, name: player.name, characterType: player.characterType })),
+            events: [],
+
+            // Not saved: base for the next delta and time of the last keyframe
+            lastSnapshot: null,
+            lastKeyframeAt: -Infinity
+        };
+
+        this.recordings.set(roomCode, recording);
+        console.log(`🎬 Recording replay ${recording.id}`);
+        return recording;
+    }
+
+    /**
+     * Recording for a room, starting one for games that were already running
+     * (e.g. rooms restored after a restart)
+     */
+    getRecording(roomCode) {
+        const recording = this.recordings.get(roomCode);
+        if (recording) return recording;
+
+        const room = this.gameStateManager.rooms.get(roomCode);
+        if (room && (room.state === 'playing' || room.state === 'paused')) {
+            return this.startRecording(roomCode);
+        }
+
+        return null;
+    }
+
+    /**
+     * Append an event; returns false once the recording has run for maxDuration
+     */
+    recordEvent(roomCode, type, data, timestamp = Date.now()) {
+        const recording = this.getRecording(roomCode);
+        if (!recording || recording.truncated) return false;
+
+        const time = Math.max(0, timestamp - recording.startedAt);
+        if (time > this.maxDuration) {
+            recording.truncated = true;
+            console.warn(`🎬 Replay ${recording.id} reached ${this.maxDuration / 60000} minutes with ${recording.events.length} events, recording stopped`);
+            return false;
+        }
+
+        recording.events.push({ time, type, data });
+        return true;
+    }
+
+    /**
+     * Store a sync snapshot as a keyframe or as a delta against the previous one
+     */
+    recordSnapshot(roomCode, snapshot) {
+        const recording = this.getRecording(roomCode);
+        if (!recording) return;
+
+        const previous = recording.lastSnapshot;
+        if (previous && previous.stateVersion === snapshot.stateVersion) return; // Nothing changed
+
+        const time = snapshot.timestamp - recording.startedAt;
+        const isKeyframe = !previous || time - recording.lastKeyframeAt >= this.keyframeInterval;
+        const recorded = isKeyframe
+            ? this.recordEvent(roomCode, 'snapshot', snapshot, snapshot.timestamp)
+            : this.recordEvent(roomCode, 'delta', createStateDelta(previous, snapshot), snapshot.timestamp);
+
+        if (recorded) {
+            recording.lastSnapshot = snapshot;
+            if (isKeyframe) {
+                recording.lastKeyframeAt = time;
+            }
+        }
+    }
+
+    /**
+     * Finish a room's recording and save it
+     */
+    stopRecording(roomCode, reason = null) {
+        const recording = this.recordings.get(roomCode);
+        if (!recording) return;
+
+        this.recordings.delete(roomCode);
+        recording.endedAt = Date.now();
+        recording.endReason = reason;
+
+        console.log(`🎬 Replay ${recording.id} finished with ${recording.events.length} events`);
+        this.saveRecording(recording);
+    }
+
+    saveRecording(recording) {
+        if (!this.storage || !recording || recording.events.length === 0) return;
+
+        this.storage.saveReplay(recording.id, this.serializeRecording(recording)).catch(error => {
+            console.error(`Failed to save replay ${recording.id}:`, error);
+        });
+    }
+
+    /**
+     * Plain replay object as written to storage and served to the client
+     */
+    serializeRecording(recording) {
+        const { lastSnapshot, lastKeyframeAt, ...replay } = recording;
+        const lastEvent = replay.events[replay.events.length - 1];
+
+        return {
+            ...replay,
+            duration: lastEvent ? lastEvent.time : 0
+        };
+    }
+
+    /**
+     * Id of the replay currently being recorded for a room, if any
+     */
+    getRecordingId(roomCode) {
+        return this.recordings.get(roomCode)?.id || null;
+    }
+
+    /**
+     * A replay by id: the live recording if the game is still running, otherwise from storage
+     */
+    async getReplay(replayId) {
+        for (const recording of this.recordings.values()) {
+            if (recording.id === replayId) {
+                return this.serializeRecording(recording);
+            }
+        }
+
+        return this.storage ? this.storage.loadReplay(replayId) : null;
+    }
+
+    async listReplays() {
+        return this.storage ? this.storage.listReplays() : [];
+    }
+}
@@ -0,0 +1,84 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { WriteQueue } from './WriteQueue.js';
+
+// Replay ids end up in file names; keep them to a safe character set
+const REPLAY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * File-backed replay storage, one JSON file per recorded game
+ *
+ * Storage adapters used by ReplayRecorder implement:
+ *   saveReplay(replayId, replay) -> Promise
+ *   loadReplay(replayId)         -> Promise<replay|null>
+ *   listReplays()                -> Promise<{ id, size, savedAt }[]>
+ */
+export class FileReplayStorage {
+    constructor(directory) {
+        this.directory = directory;
+
+        // Serialize writes per replay so overlapping saves never share a temp file
+        this.writeQueue = new WriteQueue();
+    }
+
+    getReplayPath(replayId) {
+        if (!REPLAY_ID_PATTERN.test(replayId)) {
+            throw new Error(`Invalid replay id: ${replayId}`);
+        }
+        return path.join(this.directory, `${replayId}.json`);
+    }
+
+    /**
+     * Save a replay, replacing the file atomically
+     */
+    saveReplay(replayId, replay) {
+        return this.writeQueue.enqueue(replayId, async () => {
+            const filePath = this.getReplayPath(replayId);
+            await fs.mkdir(this.directory, { recursive: true });
+
+            const tempPath = `${filePath}.tmp`;
+            await fs.writeFile(tempPath, JSON.stringify(replay));
+            await fs.rename(tempPath, filePath);
+        });
+    }
+
+    /**
+     * Read a saved replay, or null if there is none with that id
+     */
+    async loadReplay(replayId) {
+        if (!REPLAY_ID_PATTERN.test(replayId)) return null;
+
+        try {
+            const content = await fs.readFile(this.getReplayPath(replayId), 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Saved replays, newest first
+     */
+    async listReplays() {
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const replays = [];
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            const stats = await fs.stat(path.join(this.directory, file));
+            replays.push({
+                id: path.basename(file, '.json'),
+                size: stats.size,
+                savedAt: stats.mtimeMs
+            });
+        }
+
+        return replays.sort((a, b) => b.savedAt - a.savedAt);
+    }
+}
@@ -0,0 +1,438 @@
+// Reactions spectators may send (must match SpectatorManager.reactionKeys on the client)
+const SPECTATOR_REACTIONS = ['👍', '👎', '❗', '❓'];
+
+/**
+ * Room engine shared by every transport
+ * Routes client events into the GameStateManager and broadcasts its events back
+ */
+export class RoomServer {
+    constructor(gameStateManager, transport) {
+        this.gameStateManager = gameStateManager;
+        this.transport = transport;
+
+        this.setupStateEvents();
+        this.transport.onConnection((connection, info) => this.handleConnection(connection, info));
+    }
+
+    /**
+     * Send the current player list to everyone in a room
+     */
+    broadcastRoomUpdate(roomCode, extra = {}) {
+        const roomState = this.gameStateManager.getRoomState(roomCode);
+        if (!roomState) return;
+
+        this.transport.broadcast(roomCode, 'roomUpdate', {
+            players: roomState.players,
+            partySize: roomState.partySize,
+            uniqueCharacters: roomState.uniqueCharacters,
+            gameState: roomState.state,
+            ...extra
+        });
+    }
+
+    /**
+     * Forward GameStateManager events to the clients in each room
+     */
+    setupStateEvents() {
+        const gsm = this.gameStateManager;
+
+        gsm.on('playerJoined', ({ roomCode, player }) => {
+            console.log(`📢 Player joined ${roomCode}: ${player.name}`);
+
+            this.broadcastRoomUpdate(roomCode);
+            this.transport.broadcast(roomCode, 'playerJoined', {
+                playerId: player.id,
+                playerName: player.name
+            });
+        });
+
+        gsm.on('playerLeft', ({ roomCode, playerId, playerName, reason }) => {
+            this.broadcastRoomUpdate(roomCode);
+            this.transport.broadcast(roomCode, 'playerLeft', {
+                playerId,
+                playerName,
+                reason
+            });
+        });
+
+        gsm.on('playerDisconnected', ({ roomCode, playerId, playerName }) => {
+            console.log(`${playerName} disconnected from room ${roomCode}`);
+
+            this.transport.broadcast(roomCode, 'playerDisconnected', { playerId, playerName });
+            this.broadcastRoomUpdate(roomCode);
+        });
+
+        gsm.on('playerReconnected', ({ roomCode, playerId, playerName }) => {
+            console.log(`${playerName} (${playerId}) rejoined room ${roomCode}`);
+
+            this.transport.broadcast(roomCode, 'playerReconnected', { playerId, playerName }, playerId);
+            this.broadcastRoomUpdate(roomCode);
+        });
+
+        gsm.on('gamePaused', ({ roomCode, reason, disconnectedPlayer }) => {
+            this.transport.broadcast(roomCode, 'gamePaused', { reason, disconnectedPlayer });
+        });
+
+        gsm.on('gameResumed', ({ roomCode, message }) => {
+            console.log(`Game resumed in room ${roomCode}`);
+            this.transport.broadcast(roomCode, 'gameResumed', { message });
+        });
+
+        gsm.on('gameEnded', ({ roomCode, reason, message }) => {
+            this.transport.broadcast(roomCode, 'gameEnded', { reason, message });
+        });
+
+        gsm.on('characterSelected', ({ roomCode }) => {
+            this.broadcastRoomUpdate(roomCode);
+        });
+
+        gsm.on('playerReady', ({ roomCode }) => {
+            const allReady = gsm.areAllPlayersReady(roomCode);
+            this.broadcastRoomUpdate(roomCode, { allReady });
+
+            // Auto-start game if all players ready
+            if (allReady) {
+                console.log(`All players ready in room ${roomCode}, starting game in 3 seconds...`);
+                setTimeout(() => this.startGame(roomCode), 3000);
+            }
+        });
+
+        gsm.on('gameStarted', ({ roomCode }) => {
+            console.log(`Game started in room ${roomCode}`);
+        });
+
+        gsm.on('playerInput', ({ roomCode, playerId, input }) => {
+            // Broadcast input to other players for immediate feedback
+            this.transport.broadcast(roomCode, 'playerAction', {
+                playerId,
+                action: input,
+                timestamp: Date.now(),
+                validated: true
+            }, playerId);
+        });
+
+        gsm.on('positionCorrected', ({ playerId, position, sequence }) => {
+            // Only the offending client needs to snap back
+            this.transport.sendTo(playerId, 'positionCorrection', { position, sequence });
+        });
+
+        gsm.on('levelChanged', ({ roomCode, levelNumber }) => {
+            console.log(`Room ${roomCode} advanced to level ${levelNumber}`);
+        });
+
+        gsm.on('enemyDefeated', ({ roomCode, enemyId, enemyType, playerId }) => {
+            this.transport.broadcast(roomCode, 'combatEvent', {
+                type: 'enemyDefeated',
+                enemyId,
+                enemyType,
+                playerId
+            });
+        });
+
+        gsm.on('enemyExploded', ({ roomCode, enemyId, x, y, radius }) => {
+            this.transport.broadcast(roomCode, 'combatEvent', {
+                type: 'enemyExploded',
+                enemyId,
+                x,
+                y,
+                radius
+            });
+        });
+
+        gsm.on('bossSlam', ({ roomCode, enemyId, x, y, radius }) => {
+            this.transport.broadcast(roomCode, 'combatEvent', {
+                type: 'bossSlam',
+                enemyId,
+                x,
+                y,
+                radius
+            });
+        });
+
+        gsm.on('bossPhaseChanged', ({ roomCode, phase }) => {
+            console.log(`👹 Boss entered phase ${phase + 1} in room ${roomCode}`);
+        });
+
+        gsm.on('playerDied', ({ roomCode, playerId, playerName, enemyId }) => {
+            console.log(`💀 ${playerName} died in room ${roomCode}`);
+            this.transport.broadcast(roomCode, 'combatEvent', {
+                type: 'playerDied',
+                playerId,
+                playerName,
+                enemyId
+            });
+        });
+
+        gsm.on('stateSync', ({ playerId, state }) => {
+            // Each client gets a delta against the version it last acknowledged
+            this.transport.sendTo(playerId, 'gameStateSync', state);
+        });
+    }
+
+    /**
+     * Start the game once the ready countdown finishes
+     */
+    startGame(roomCode) {
+        if (!this.gameStateManager.startGame(roomCode)) return;
+
+        const roomState = this.gameStateManager.getRoomState(roomCode);
+        console.log(`🎮 Starting game in room ${roomCode} with ${roomState.players.length} players`);
+
+        this.transport.broadcast(roomCode, 'gameStart', {
+            level: roomState.currentLevel,
+            partySize: roomState.partySize,
+            players: roomState.players
+        });
+    }
+
+    /**
+     * Wire up every client event for one connection
+     */
+    handleConnection(connection, info = {}) {
+        const gsm = this.gameStateManager;
+        console.log(`✅ Player connected: ${connection.id} from ${info.address || 'unknown'}`);
+
+        // Handle room creation (older clients send just the player name)
+        connection.on('createRoom', (data) => {
+            const playerName = typeof data === 'string' ? data : data?.playerName;
+
+            try {
+                const room = gsm.createRoom(connection.id, playerName, data?.partySize, data?.uniqueCharacters === true,
+                    data?.developer === true);
+                connection.join(room.code);
+                connection.roomCode = room.code;
+
+                connection.emit('roomCreated', {
+                    roomCode: room.code,
+                    playerId: connection.id,
+                    playerName: playerName,
+                    partySize: room.maxPlayers,
+                    uniqueCharacters: room.uniqueCharacters,
+                    developer: room.developer,
+                    isHost: true
+                });
+
+                // Immediately send room update to show the creator in the player list
+                this.broadcastRoomUpdate(room.code);
+            } catch (error) {
+                connection.emit('createError', { message: error.message });
+            }
+        });
+
+        // Handle room joining
+        connection.on('joinRoom', (data) => {
+            const roomCode = (data?.roomCode || '').toUpperCase();
+            const playerName = data?.playerName;
+
+            try {
+                // Join the transport room first so the join broadcast reaches this client
+                connection.join(roomCode);
+                const player = gsm.addPlayerToRoom(roomCode, connection.id, playerName);
+                if (!player) {
+                    throw new Error('Room not found');
+                }
+                connection.roomCode = roomCode;
+
+                connection.emit('roomJoined', {
+                    roomCode: roomCode,
+                    playerId: connection.id,
+                    playerName: playerName,
+                    partySize: gsm.rooms.get(roomCode)?.maxPlayers,
+                    uniqueCharacters: gsm.rooms.get(roomCode)?.uniqueCharacters,
+                    isHost: false
+                });
+            } catch (error) {
+                connection.leave(roomCode);
+                connection.emit('joinError', { message: error.message });
+            }
+        });
+
+        // Handle room rejoining after disconnection
+        connection.on('rejoinRoom', (data) => {
+            const roomCode = (data?.roomCode || '').toUpperCase();
+
+            try {
+                gsm.rejoinPlayer(roomCode, data?.playerName, connection.id);
+                connection.join(roomCode);
+                connection.roomCode = roomCode;
+
+                const roomState = gsm.getRoomState(roomCode, true);
+                connection.emit('rejoinSuccess', {
+                    roomCode: roomCode,
+                    playerId: connection.id,
+                    playerName: data.playerName,
+                    gameState: roomState.state,
+                    currentLevel: roomState.currentLevel
+                });
+                connection.emit('gameStateSync', roomState);
+            } catch (error) {
+                connection.emit('rejoinError', { message: error.message });
+            }
+        });
+
+        // Handle read-only outside viewers
+        connection.on('spectateRoom', (data) => {
+            const roomCode = (data?.roomCode || '').toUpperCase();
+
+            try {
+                gsm.addViewer(roomCode, connection.id, data?.viewerName);
+                connection.join(roomCode);
+                connection.viewingRoom = roomCode;
+
+                const roomState = gsm.getRoomState(roomCode, true);
+                connection.emit('spectateJoined', {
+                    roomCode: roomCode,
+                    level: roomState.currentLevel,
+                    partySize: roomState.partySize,
+                    gameState: roomState.state,
+                    players: roomState.players
+                });
+                connection.emit('gameStateSync', roomState);
+            } catch (error) {
+                connection.emit('spectateError', { message: error.message });
+            }
+        });
+
+        // Handle pings and reactions from dead players and viewers
+        connection.on('spectatorSignal', (data) => {
+            const roomCode = connection.roomCode || connection.viewingRoom;
+            const from = roomCode ? gsm.getSpectatorName(roomCode, connection.id) : null;
+            if (!from || !data) return;
+
+            // At most two signals a second per connection
+            const now = Date.now();
+            if (now - (connection.lastSignalAt || 0) < 500) return;
+            connection.lastSignalAt = now;
+
+            let signal;
+            if (data.type === 'ping' && Number.isFinite(data.x) && Number.isFinite(data.y)) {
+                signal = { type: 'ping', x: Math.round(data.x), y: Math.round(data.y) };
+            } else if (data.type === 'reaction' && SPECTATOR_REACTIONS.includes(data.reaction)) {
+                signal = {
+                    type: 'reaction',
+                    reaction: data.reaction,
+                    targetId: typeof data.targetId === 'string' ? data.targetId : null
+                };
+            } else {
+                return;
+            }
+
+            this.transport.broadcast(roomCode, 'spectatorSignal', { ...signal, from }, connection.id);
+        });
+
+        // Handle player ready status
+        connection.on('playerReady', () => {
+            const roomCode = connection.roomCode;
+            if (!roomCode) return;
+
+            // Toggle ready status
+            const roomState = gsm.getRoomState(roomCode);
+            const player = roomState?.players.find(p => p.id === connection.id);
+            if (player) {
+                gsm.setPlayerReady(roomCode, connection.id, !player.ready);
+            }
+        });
+
+        // Handle character picks in the waiting room
+        connection.on('selectCharacter', (data) => {
+            const roomCode = connection.roomCode;
+            if (!roomCode) return;
+
+            try {
+                gsm.selectCharacter(roomCode, connection.id, data?.characterType);
+            } catch (error) {
+                connection.emit('characterError', { message: error.message });
+            }
+        });
+
+        // Handle player actions with proper state management
+        connection.on('playerAction', (action) => {
+            const roomCode = connection.roomCode;
+            if (roomCode && action) {
+                gsm.handlePlayerInput(roomCode, connection.id, action);
+            }
+        });
+
+        // Handle basic game messages
+        connection.on('gameMessage', (data) => {
+            const roomCode = connection.roomCode;
+            if (roomCode) {
+                // Relay message to all players in room except sender
+                this.transport.broadcast(roomCode, 'gameMessage', {
+                    playerId: connection.id,
+                    ...data
+                }, connection.id);
+            }
+        });
+
+        // Handle story progress (objectives, sacrifices) so it survives a restart
+        connection.on('progressUpdate', (data) => {
+            const roomCode = connection.roomCode;
+            if (roomCode && data) {
+                gsm.recordProgress(roomCode, connection.id, data);
+            }
+        });
+
+        // Handle cheat reports about other players
+        connection.on('reportCheat', (data) => {
+            const roomCode = connection.roomCode;
+            if (roomCode && data) {
+                gsm.reportCheat(roomCode, connection.id, data);
+            }
+        });
+
+        // Handle state synchronization requests
+        connection.on('requestStateSync', () => {
+            const roomCode = connection.roomCode || connection.viewingRoom;
+            const roomState = roomCode ? gsm.getRoomState(roomCode, true) : null;
+            if (roomState) {
+                connection.emit('gameStateSync', roomState);
+            }
+        });
+
+        // Handle state version acknowledgements for delta sync
+        connection.on('stateAck', (data) => {
+            const roomCode = connection.roomCode || connection.viewingRoom;
+            if (roomCode && data) {
+                gsm.acknowledgeState(roomCode, connection.id, data.stateVersion);
+            }
+        });
+
+        // Handle level transitions reported by clients
+        connection.on('levelChange', (data) => {
+            const roomCode = connection.roomCode;
+            if (roomCode && data) {
+                gsm.changeRoomLevel(roomCode, data.levelNumber, connection.id);
+            }
+        });
+
+        // Handle ping for latency monitoring
+        connection.on('ping', (timestamp) => {
+            const roomCode = connection.roomCode;
+            if (roomCode) {
+                gsm.updatePlayerPing(roomCode, connection.id, Date.now() - timestamp);
+            }
+            connection.emit('pong', timestamp);
+        });
+
+        // Handle disconnection
+        connection.on('disconnect', (reason) => {
+            console.log(`❌ Player disconnected: ${connection.id}, reason: ${reason}`);
+
+            const roomCode = connection.roomCode;
+            if (roomCode) {
+                gsm.handlePlayerDisconnect(roomCode, connection.id);
+            }
+
+            if (connection.viewingRoom) {
+                gsm.removeViewer(connection.viewingRoom, connection.id);
+            }
+        });
+
+        // Basic connection confirmation
+        connection.emit('connected', {
+            message: 'Connected to Sacrifices Must Be Made server',
+            playerId: connection.id
+        });
+    }
+}
@@ -0,0 +1,71 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { WriteQueue } from './WriteQueue.js';
+
+/**
+ * File-backed room storage, one JSON snapshot per room
+ *
+ * Storage adapters used by GameStateManager implement:
+ *   saveRoom(roomCode, snapshot) -> Promise
+ *   deleteRoom(roomCode)         -> Promise
+ *   loadRooms()                  -> Promise<snapshot[]>
+ * so a SQLite (or any other) backend can be swapped in without touching the game code.
+ */
+export class FileRoomStorage {
+    constructor(directory) {
+        this.directory = directory;
+
+        // Serialize writes per room so an older snapshot never lands after a newer one
+        this.writeQueue = new WriteQueue();
+    }
+
+    getRoomPath(roomCode) {
+        return path.join(this.directory, `${roomCode}.json`);
+    }
+
+    /**
+     * Save a room snapshot, replacing the file atomically
+     */
+    saveRoom(roomCode, snapshot) {
+        return this.writeQueue.enqueue(roomCode, async () => {
+            await fs.mkdir(this.directory, { recursive: true });
+
+            const filePath = this.getRoomPath(roomCode);
+            const tempPath = `${filePath}.tmp`;
+            await fs.writeFile(tempPath, JSON.stringify(snapshot));
+            await fs.rename(tempPath, filePath);
+        });
+    }
+
+    /**
+     * Remove a room's snapshot if it exists
+     */
+    deleteRoom(roomCode) {
+        return this.writeQueue.enqueue(roomCode, () => fs.rm(this.getRoomPath(roomCode), { force: true }));
+    }
+
+    /**
+     * Read every saved room, skipping files that can't be parsed
+     */
+    async loadRooms() {
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const snapshots = [];
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            try {
+                const content = await fs.readFile(path.join(this.directory, file), 'utf8');
+                snapshots.push(JSON.parse(content));
+            } catch (error) {
+                console.warn(`Skipping unreadable room snapshot ${file}:`, error.message);
+            }
+        }
+
+        return snapshots;
+    }
+}
@@ -0,0 +1,49 @@
+import { Server } from 'socket.io';
+
+/**
+ * Socket.IO transport for the RoomServer
+ *
+ * A transport hands the RoomServer one connection object per client and
+ * delivers room broadcasts and direct sends. Connections must expose `id`, `on(event, fn)`,
+ * `emit(event, data)`, `join(roomCode)` and `leave(roomCode)`, which a
+ * Socket.IO socket already does.
+ */
+export class SocketIOTransport {
+    constructor(httpServer, options = {}) {
+        this.io = new Server(httpServer, {
+            cors: {
+                origin: "*",
+                methods: ["GET", "POST"],
+                allowedHeaders: ["*"],
+                credentials: false
+            },
+            allowEIO3: true, // Allow Engine.IO v3 clients
+            transports: ['websocket', 'polling'],
+            ...options
+        });
+    }
+
+    /**
+     * Register the handler for new client connections
+     */
+    onConnection(handler) {
+        this.io.on('connection', (socket) => {
+            handler(socket, { address: socket.handshake.address });
+        });
+    }
+
+    /**
+     * Send an event to every connection in a room, optionally skipping one
+     */
+    broadcast(roomCode, event, data, exceptId = null) {
+        const target = exceptId ? this.io.to(roomCode).except(exceptId) : this.io.to(roomCode);
+        target.emit(event, data);
+    }
+
+    /**
+     * Send an event to a single connection
+     */
+    sendTo(connectionId, event, data) {
+        this.io.to(connectionId).emit(event, data);
+    }
+}
@@ -0,0 +1,93 @@
+import _ from 'lodash';
+
+/**
+ * Delta compression for room state snapshots
+ *
+ * Entity lists (arrays of objects with an `id`, like players and enemies)
+ * are diffed per entity and per field; every other top-level value is sent
+ * whole when it changes. The client rebuilds the full state with
+ * applyStateDelta in client/js/network/StateDelta.js.
+ */
+
+// Keys that describe the snapshot itself and are always sent
+const HEADER_KEYS = ['roomCode', 'stateVersion', 'timestamp'];
+
+/**
+ * Build a delta that turns `base` into `current`
+ */
+export function createStateDelta(base, current) {
+    const delta = {
+        delta: true,
+        baseVersion: base.stateVersion,
+        changes: {},
+        entities: {}
+    };
+
+    for (const key of HEADER_KEYS) {
+        delta[key] = current[key];
+    }
+
+    for (const [key, value] of Object.entries(current)) {
+        if (HEADER_KEYS.includes(key)) continue;
+
+        if (isEntityList(value) && isEntityList(base[key])) {
+            const entityDelta = diffEntities(base[key], value);
+            const reordered = !_.isEqual(entityDelta.order, base[key].map(entity => entity.id));
+            if (entityDelta.updated.length > 0 || entityDelta.removed.length > 0 || reordered) {
+                delta.entities[key] = entityDelta;
+            }
+        } else if (!_.isEqual(base[key], value)) {
+            delta.changes[key] = value;
+        }
+    }
+
+    // Keys dropped since the base snapshot
+    for (const key of Object.keys(base)) {
+        if (!(key in current) && !HEADER_KEYS.includes(key)) {
+            delta.changes[key] = null;
+        }
+    }
+
+    return delta;
+}
+
+/**
+ * Diff two entity lists by id, keeping only changed fields
+ */
+function diffEntities(baseList, currentList) {
+    const baseById = new Map(baseList.map(entity => [entity.id, entity]));
+    const currentIds = new Set();
+    const updated = [];
+
+    for (const entity of currentList) {
+        currentIds.add(entity.id);
+        const baseEntity = baseById.get(entity.id);
+
+        // New entities are sent whole
+        if (!baseEntity) {
+            updated.push(entity);
+            continue;
+        }
+
+        const changedFields = {};
+        for (const [field, value] of Object.entries(entity)) {
+            if (!_.isEqual(baseEntity[field], value)) {
+                changedFields[field] = value;
+            }
+        }
+
+        if (Object.keys(changedFields).length > 0) {
+            updated.push({ id: entity.id, ...changedFields });
+        }
+    }
+
+    const removed = baseList
+        .filter(entity => !currentIds.has(entity.id))
+        .map(entity => entity.id);
+
+    return { updated, removed, order: currentList.map(entity => entity.id) };
+}
+
+function isEntityList(value) {
+    return Array.isArray(value) && value.every(item => item && typeof item === 'object' && 'id' in item);
+}
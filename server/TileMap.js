@@ -0,0 +1,115 @@
+/**
+ * Tile layer of a level on the server: solid tiles for enemy movement and hazard floor
+ * for player damage
+ * Mirrors the collision rules of client/js/engine/TileMap.js: walls and closed doors are
+ * solid, doors the legend marks "open" aren't. Doors keep their legend state here; the
+ * client opens the rest once the enemies are cleared ("opensWhen") or from level scripts,
+ * neither of which leaves enemies for them to block.
+ */
+const DEFAULT_TILE_SIZE = 60;
+
+// Characters every level can use without a legend (as on the client)
+const DEFAULT_TILE_LEGEND = {
+    '#': 'wall',
+    'D': 'door',
+    'R': 'radiation',
+    'F': 'fire',
+    'E': 'electric'
+};
+
+const HAZARD_TILE_TYPES = ['radiation', 'fire', 'electric'];
+
+// Hazard tile damage per second unless the legend sets damagePerSecond
+const HAZARD_TILE_DAMAGE = {
+    radiation: 10,
+    fire: 15,
+    electric: 20
+};
+
+const FLOOR_TILE = Object.freeze({ type: 'floor' });
+
+export class TileMap {
+    constructor(tiles) {
+        this.tileSize = tiles.size || DEFAULT_TILE_SIZE;
+        this.rows = tiles.rows;
+
+        // Tile definitions by character; a level's legend can add or redefine characters
+        this.legend = {};
+        for (const [character, entry] of Object.entries({ ...DEFAULT_TILE_LEGEND, ...tiles.legend })) {
+            const tile = typeof entry === 'string' ? { type: entry } : { ...entry };
+            if (tile.type === 'door') {
+                tile.open = !!tile.open;
+            } else if (HAZARD_TILE_TYPES.includes(tile.type)) {
+                tile.damagePerSecond = tile.damagePerSecond ?? HAZARD_TILE_DAMAGE[tile.type];
+            }
+            this.legend[character] = tile;
+        }
+    }
+
+    getTile(column, row) {
+        return this.legend[this.rows[row]?.[column]] || FLOOR_TILE;
+    }
+
+    isSolid(column, row) {
+        return this.isSolidTile(this.getTile(column, row));
+    }
+
+    /**
+     * Walls and closed doors block movement
+     */
+    isSolidTile(tile) {
+        return tile.type === 'wall' || (tile.type === 'door' && !tile.open);
+    }
+
+    /**
+     * Call back with the position of every solid tile (used by the shared NavigationGrid)
+     */
+    forEachSolidTile(callback) {
+        this.rows.forEach((characters, row) => {
+            for (let column = 0; column < characters.length; column++) {
+                if (this.isSolid(column, row)) {
+                    callback(column, row);
+                }
+            }
+        });
+    }
+
+    /**
+     * Doors never open or close here, so routes never change with them
+     */
+    getDoorSignature() {
+        return '';
+    }
+
+    /**
+     * Tiles under a rectangle, as tile definitions
+     */
+    getTilesUnder(box) {
+        const firstColumn = Math.floor(box.x / this.tileSize);
+        const lastColumn = Math.ceil((box.x + box.width) / this.tileSize) - 1;
+        const firstRow = Math.floor(box.y / this.tileSize);
+        const lastRow = Math.ceil((box.y + box.height) / this.tileSize) - 1;
+
+        const tiles = [];
+        for (let row = firstRow; row <= lastRow; row++) {
+            for (let column = firstColumn; column <= lastColumn; column++) {
+                tiles.push(this.getTile(column, row));
+            }
+        }
+        return tiles;
+    }
+
+    /**
+     * Whether a rectangle overlaps a solid tile
+     */
+    collidesWith(box) {
+        return this.getTilesUnder(box).some(tile => this.isSolidTile(tile));
+    }
+
+    /**
+     * Hazard tile definitions under a rectangle (each kind once)
+     */
+    getHazardsUnder(box) {
+        return Array.from(new Set(this.getTilesUnder(box).filter(tile => HAZARD_TILE_TYPES.includes(tile.type))));
+    }
+}
@@ -0,0 +1,28 @@
+/**
+ * Runs async tasks one at a time per key, in the order they were queued
+ * Storage backends use it so writes to the same file never overlap.
+ */
+export class WriteQueue {
+    constructor() {
+        // key -> promise of the last task queued for it
+        this.pending = new Map();
+    }
+
+    /**
+     * Run a task once every earlier task for the key has settled
+     * Resolves or rejects with the task's own result; a failed task doesn't block later ones
+     */
+    enqueue(key, task) {
+        const previous = this.pending.get(key) || Promise.resolve();
+        const next = previous.catch(() => {}).then(task);
+
+        this.pending.set(key, next);
+        next.finally(() => {
+            if (this.pending.get(key) === next) {
+                this.pending.delete(key);
+            }
+        }).catch(() => {});
+
+        return next;
+    }
+}
@@ -0,0 +1,134 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { CombatSimulation } from '../server/CombatSimulation.js';
+import { TileMap } from '../server/TileMap.js';
+
+// Level 1: radiation floor in the second column, a fire zone further right
+const TILES = { size: 60, rows: ['.R....', '.R....'] };
+const FIRE_ZONE = { type: 'fire', x: 240, y: 0, width: 120, height: 120, damagePerSecond: 15 };
+
+function createPlayer(fields = {}) {
+  return {
+    id: 'p1',
+    name: 'Alice',
+    position: { x: 0, y: 0 },
+    velocity: { x: 0, y: 0 },
+    health: 100,
+    maxHealth: 100,
+    isAlive: true,
+    connected: true,
+    superSpeedTime: 0,
+    shieldTime: 0,
+    hasSuperAttack: false,
+    ...fields
+  };
+}
+
+describe('CombatSimulation', () => {
+  let gameStateManager;
+  let simulation;
+  let room;
+  let player;
+
+  beforeEach(() => {
+    gameStateManager = { emit: vi.fn() };
+    simulation = new CombatSimulation(gameStateManager, { 1: [] }, { 1: new TileMap(TILES) }, {}, { 1: [] },
+      { 1: [FIRE_ZONE] });
+    player = createPlayer();
+    room = { code: 'ABCD', currentLevel: 1, players: new Map([[player.id, player]]) };
+    room.combat = simulation.createCombatState();
+  });
+
+  describe('hazards', () => {
+    it('damages players on hazard tiles once per second', () => {
+      player.position = { x: 70, y: 20 };
+
+      expect(simulation.updateHazards(room, 0.5)).toBe(false);
+      expect(player.health).toBe(100);
+
+      expect(simulation.updateHazards(room, 0.5)).toBe(true);
+      expect(player.health).toBe(90);
+    });
+
+    it('damages players in hazard zones', () => {
+      player.position = { x: 260, y: 20 };
+      simulation.updateHazards(room, 1);
+
+      expect(player.health).toBe(85);
+    });
+
+    it('goes by the collision box, not the sprite', () => {
+      // The sprite reaches 2px into the radiation column, the collision box doesn't
+      player.position = { x: 30, y: 20 };
+      simulation.updateHazards(room, 1);
+
+      expect(player.health).toBe(100);
+    });
+
+    it('reports players the hazards kill', () => {
+      player.position = { x: 70, y: 20 };
+      player.health = 5;
+      simulation.updateHazards(room, 1);
+
+      expect(player.isAlive).toBe(false);
+      expect(gameStateManager.emit).toHaveBeenCalledWith('playerDied',
+        { roomCode: 'ABCD', playerId: 'p1', playerName: 'Alice', enemyId: null });
+    });
+
+    it('leaves players on plain floor alone', () => {
+      player.position = { x: 150, y: 20 };
+      simulation.updateHazards(room, 1);
+
+      expect(player.health).toBe(100);
+    });
+  });
+
+  describe('power-ups', () => {
+    it('blocks damage while the shield lasts', () => {
+      simulation.applyPowerUp(room, player, 'shield');
+      simulation.damagePlayer(room, player, 40, 'enemy_1');
+      expect(player.health).toBe(100);
+
+      simulation.updatePlayerTimers(player, 5);
+      simulation.damagePlayer(room, player, 40, 'enemy_1');
+      expect(player.health).toBe(60);
+    });
+
+    it('heals and raises max health with a health boost', () => {
+      player.health = 30;
+      simulation.applyPowerUp(room, player, 'health_boost');
+
+      expect(player.health).toBe(80);
+      expect(player.maxHealth).toBe(125);
+    });
+
+    it('spends a held super attack on enemies in range', () => {
+      const near = simulation.spawnEnemy(room, 'zombie', 100, 0);
+      const far = simulation.spawnEnemy(room, 'zombie', 400, 0);
+
+      expect(simulation.useSuperAttack(room, player)).toEqual([]);
+
+      simulation.applyPowerUp(room, player, 'super_attack');
+      expect(simulation.useSuperAttack(room, player)).toEqual([near.id]);
+      expect(near.health).toBeLessThan(near.maxHealth);
+      expect(far.health).toBe(far.maxHealth);
+      expect(player.hasSuperAttack).toBe(false);
+    });
+
+    it('slows enemies down during time slow', () => {
+      simulation.startLevel(room, 1);
+      const enemy = simulation.spawnEnemy(room, 'zombie', 100, 300);
+      enemy.velocity = { x: 100, y: 0 };
+      simulation.applyPowerUp(room, player, 'time_slow');
+
+      simulation.moveEnemy(room, enemy, 1);
+      expect(enemy.x).toBeCloseTo(130);
+
+      // Back to full speed once it wears off
+      simulation.step(room, 6);
+      const x = enemy.x;
+      enemy.velocity = { x: 100, y: 0 };
+      simulation.moveEnemy(room, enemy, 1);
+      expect(enemy.x).toBeCloseTo(x + 100);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { EntityInterpolator } from '../client/js/engine/EntityInterpolator.js';
+
+describe('EntityInterpolator', () => {
+  let interpolator;
+
+  // Snapshots arrive the moment the server sends them, so the clock offset is zero
+  function receive(entityId, serverTime, x, y) {
+    vi.setSystemTime(serverTime);
+    interpolator.addSnapshot(entityId, serverTime, x, y);
+  }
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    interpolator = new EntityInterpolator({ interpolationDelay: 100, maxExtrapolation: 150 });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('returns null for unknown entities', () => {
+    expect(interpolator.sample('missing', 1000)).toBeNull();
+  });
+
+  it('holds a single snapshot in place', () => {
+    receive('e1', 1000, 50, 60);
+
+    expect(interpolator.sample('e1', 1500)).toEqual({ x: 50, y: 60 });
+  });
+
+  it('blends between the snapshots around the render time', () => {
+    receive('e1', 1000, 0, 0);
+    receive('e1', 1100, 100, 200);
+    receive('e1', 1200, 200, 200);
+
+    // Rendering 100ms in the past: 1150 is halfway between the last two snapshots
+    expect(interpolator.sample('e1', 1250)).toEqual({ x: 150, y: 200 });
+    expect(interpolator.sample('e1', 1125)).toEqual({ x: 25, y: 50 });
+  });
+
+  it('extrapolates along the last velocity when snapshots run late', () => {
+    receive('e1', 1000, 0, 0);
+    receive('e1', 1100, 100, 0);
+
+    // 50ms past the newest snapshot at 1ms per pixel
+    expect(interpolator.sample('e1', 1250)).toEqual({ x: 150, y: 0 });
+  });
+
+  it('caps extrapolation', () => {
+    receive('e1', 1000, 0, 0);
+    receive('e1', 1100, 100, 0);
+
+    expect(interpolator.sample('e1', 5000)).toEqual({ x: 250, y: 0 });
+  });
+
+  it('drops out-of-order snapshots and updates duplicates', () => {
+    receive('e1', 1000, 0, 0);
+    receive('e1', 1100, 100, 0);
+    interpolator.addSnapshot('e1', 1050, 999, 999);
+    interpolator.addSnapshot('e1', 1100, 120, 0);
+
+    expect(interpolator.buffers.get('e1')).toEqual([
+      { time: 1000, x: 0, y: 0 },
+      { time: 1100, x: 120, y: 0 }
+    ]);
+  });
+
+  it('keeps only a short history', () => {
+    for (let time = 1000; time <= 5000; time += 100) {
+      receive('e1', time, time, 0);
+    }
+
+    const buffer = interpolator.buffers.get('e1');
+    expect(buffer[0].time).toBeGreaterThanOrEqual(5000 - interpolator.bufferDuration);
+  });
+
+  it('adopts a faster clock estimate straight away', () => {
+    vi.setSystemTime(1300);
+    interpolator.addSnapshot('e1', 1000, 0, 0);
+    expect(interpolator.clockOffset).toBe(300);
+
+    vi.setSystemTime(1320);
+    interpolator.addSnapshot('e1', 1100, 0, 0);
+    expect(interpolator.clockOffset).toBe(220);
+  });
+
+  it('forgets entities that are no longer in the state', () => {
+    receive('e1', 1000, 0, 0);
+    receive('e2', 1000, 0, 0);
+
+    interpolator.retain(new Set(['e2']));
+
+    expect(interpolator.sample('e1', 1000)).toBeNull();
+    expect(interpolator.sample('e2', 1000)).not.toBeNull();
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { GameStateManager } from '../server/GameStateManager.js';
+
+// Three levels without enemies; level 2 is the last one
+const LEVEL_DATA = {
+  levelRosters: { 0: [], 1: [], 2: [] },
+  levelTileMaps: {},
+  levelBounds: {},
+  levelObstacles: {},
+  levelHazards: {}
+};
+
+describe('GameStateManager', () => {
+  let gsm;
+  let room;
+  let gameEnded;
+
+  beforeEach(() => {
+    // Fake timers keep the sync and simulation loops under the test's control
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    gsm = new GameStateManager(LEVEL_DATA);
+    room = gsm.createRoom('p1', 'Alice', 2);
+    gsm.addPlayerToRoom(room.code, 'p2', 'Bob');
+    gsm.setPlayerReady(room.code, 'p1');
+    gsm.setPlayerReady(room.code, 'p2');
+    gsm.startGame(room.code);
+
+    gameEnded = vi.fn();
+    gsm.on('gameEnded', gameEnded);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('game end', () => {
+    it('ends the game once every player is dead', () => {
+      const [alice, bob] = room.players.values();
+
+      gsm.combatSimulation.damagePlayer(room, alice, 1000, 'enemy_1');
+      vi.advanceTimersByTime(100);
+      expect(gameEnded).not.toHaveBeenCalled();
+
+      gsm.combatSimulation.damagePlayer(room, bob, 1000, 'enemy_1');
+      vi.advanceTimersByTime(100);
+      expect(gameEnded).toHaveBeenCalledTimes(1);
+      expect(gameEnded).toHaveBeenCalledWith(expect.objectContaining({ roomCode: room.code, reason: 'all_players_dead' }));
+      expect(room.state).toBe('ended');
+    });
+
+    it('ends the game when the final level is cleared', () => {
+      expect(gsm.recordProgress(room.code, 'p1', { type: 'gameCompleted', levelNumber: 0 })).toBe(false);
+
+      gsm.changeRoomLevel(room.code, 1, 'p1');
+      gsm.changeRoomLevel(room.code, 2, 'p1');
+      expect(gsm.recordProgress(room.code, 'p1', { type: 'gameCompleted', levelNumber: 2 })).toBe(true);
+      expect(gsm.recordProgress(room.code, 'p2', { type: 'gameCompleted', levelNumber: 2 })).toBe(false);
+
+      expect(gameEnded).toHaveBeenCalledTimes(1);
+      expect(gameEnded).toHaveBeenCalledWith(expect.objectContaining({ roomCode: room.code, reason: 'completed' }));
+    });
+
+    it('keeps the final level going while enemies are left', () => {
+      gsm.changeRoomLevel(room.code, 1, 'p1');
+      gsm.changeRoomLevel(room.code, 2, 'p1');
+      gsm.combatSimulation.spawnEnemy(room, 'zombie', 500, 500);
+
+      expect(gsm.recordProgress(room.code, 'p1', { type: 'gameCompleted', levelNumber: 2 })).toBe(false);
+      expect(gameEnded).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('level changes', () => {
+    it('moves on one level at a time and logs skips', () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(gsm.changeRoomLevel(room.code, 2, 'p1')).toBe(false);
+      expect(gsm.getSuspicionLog(room.code).map(entry => entry.type)).toEqual(['level_skip']);
+
+      expect(gsm.changeRoomLevel(room.code, 1, 'p1')).toBe(true);
+      expect(gsm.changeRoomLevel(room.code, 1, 'p2')).toBe(false);
+      expect(room.currentLevel).toBe(1);
+    });
+
+    it('lets developer rooms jump to any level without logging it', () => {
+      const devRoom = gsm.createRoom('d1', 'Dev', 1, false, true);
+      gsm.setPlayerReady(devRoom.code, 'd1');
+      gsm.startGame(devRoom.code);
+
+      expect(gsm.changeRoomLevel(devRoom.code, 2, 'd1')).toBe(true);
+      expect(gsm.changeRoomLevel(devRoom.code, 0, 'd1')).toBe(true);
+      expect(gsm.changeRoomLevel(devRoom.code, 7, 'd1')).toBe(false);
+      expect(devRoom.currentLevel).toBe(0);
+      expect(gsm.getSuspicionLog(devRoom.code)).toEqual([]);
+    });
+  });
+});
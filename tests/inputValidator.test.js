@@ -0,0 +1,146 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { InputValidator } from '../server/InputValidator.js';
+
+// Warriors top out at 100 px/s, so the budget refills at 125 px/s and banks 62.5 px
+const REFILL = 125;
+const BURST = 62.5;
+
+function createPlayer(fields = {}) {
+  return {
+    id: 'p1',
+    name: 'Alice',
+    characterType: 'warrior',
+    position: { x: 0, y: 0 },
+    moveBudget: null,
+    lastMoveCheck: 0,
+    correctionGraceUntil: 0,
+    dashCooldown: 0,
+    attackCooldown: 0,
+    isDashing: false,
+    superSpeedTime: 0,
+    powerUpBudget: 1,
+    ...fields
+  };
+}
+
+describe('InputValidator', () => {
+  let validator;
+  let room;
+  let player;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    validator = new InputValidator(null);
+    room = { code: 'ABCD', suspicionLog: [] };
+    player = createPlayer();
+  });
+
+  describe('move budget', () => {
+    it('starts with a full burst budget', () => {
+      expect(validator.validateMove(room, player, { x: 60, y: 0 }, 0)).toBeNull();
+      expect(player.moveBudget).toBeCloseTo(BURST - 60);
+    });
+
+    it('clamps a move past the budget and logs it', () => {
+      const result = validator.validateMove(room, player, { x: 200, y: 0 }, 0);
+
+      expect(result).toEqual({ position: { x: 63, y: 0 }, notify: true });
+      expect(player.moveBudget).toBe(0);
+      expect(room.suspicionLog).toHaveLength(1);
+      expect(room.suspicionLog[0]).toMatchObject({ playerId: 'p1', type: 'speed' });
+      expect(player.violations).toBe(1);
+    });
+
+    it('refills at top speed over time', () => {
+      validator.validateMove(room, player, { x: BURST, y: 0 }, 0);
+      player.position = { x: BURST, y: 0 };
+
+      // A quarter second later there is a quarter second of movement available
+      expect(validator.validateMove(room, player, { x: BURST + REFILL / 4, y: 0 }, 250)).toBeNull();
+      expect(validator.validateMove(room, player, { x: BURST + REFILL / 4 + 5, y: 0 }, 250)).not.toBeNull();
+    });
+
+    it('never banks more than the burst cap', () => {
+      validator.validateMove(room, player, { x: 0, y: 0 }, 0);
+      validator.validateMove(room, player, { x: 0, y: 0 }, 60000);
+
+      expect(player.moveBudget).toBe(BURST);
+    });
+
+    it('accepts steady movement at top speed', () => {
+      for (let tick = 1; tick <= 60; tick++) {
+        const x = tick * 100 / 20;
+        expect(validator.validateMove(room, player, { x, y: 0 }, tick * 50)).toBeNull();
+        player.position = { x, y: 0 };
+      }
+      expect(room.suspicionLog).toHaveLength(0);
+    });
+
+    it('clamps in-flight inputs quietly after a correction', () => {
+      validator.validateMove(room, player, { x: 200, y: 0 }, 0);
+      const result = validator.validateMove(room, player, { x: 400, y: 0 }, 100);
+
+      expect(result.notify).toBe(false);
+      expect(room.suspicionLog).toHaveLength(1);
+    });
+
+    it('does not log overshoots within the reporting margin', () => {
+      validator.validateMove(room, player, { x: BURST + 2, y: 0 }, 0);
+
+      expect(room.suspicionLog).toHaveLength(0);
+    });
+
+    it('adds the dash distance to the budget', () => {
+      validator.validateMove(room, player, { x: 0, y: 0 }, 0);
+      expect(validator.validateDash(room, player)).toBe(true);
+
+      // Four times top speed for the 0.2 second dash
+      expect(player.moveBudget).toBeCloseTo(BURST + REFILL * 3 * 0.2);
+      expect(validator.validateMove(room, player, { x: 135, y: 0 }, 0)).toBeNull();
+    });
+
+    it('allows super speed while the power-up lasts', () => {
+      player.superSpeedTime = 8;
+
+      // 2.5 times top speed, every 50ms for three seconds
+      for (let tick = 1; tick <= 60; tick++) {
+        const x = tick * 250 / 20;
+        expect(validator.validateMove(room, player, { x, y: 0 }, tick * 50)).toBeNull();
+        player.position = { x, y: 0 };
+      }
+      expect(room.suspicionLog).toHaveLength(0);
+
+      // Afterwards only the banked distance is left
+      player.superSpeedTime = 0;
+      expect(validator.validateMove(room, player, { x: player.position.x + 200, y: 0 }, 3050)).not.toBeNull();
+    });
+  });
+
+  it('rejects power-up claims past the budget', () => {
+    expect(validator.validatePowerUp(room, player, { effect: 'super_speed' })).toBe(true);
+    expect(validator.validatePowerUp(room, player, { effect: 'super_speed' })).toBe(false);
+    expect(room.suspicionLog.map(entry => entry.type)).toEqual(['power_up_rate']);
+  });
+
+  it('rejects dashes and attacks still on cooldown', () => {
+    player.dashCooldown = 1;
+    player.attackCooldown = 0.1;
+
+    expect(validator.validateDash(room, player)).toBe(false);
+    expect(validator.validateAttack(room, player)).toBe(true);
+    expect(room.suspicionLog.map(entry => entry.type)).toEqual(['dash_cooldown']);
+  });
+
+  it('rejects abilities from another character', () => {
+    expect(validator.validateAbility(room, player, { ability: 'dash_chain' })).toBe(false);
+    expect(validator.validateAbility(room, player, { ability: 'taunt' })).toBe(true);
+  });
+
+  it('keeps the suspicion log bounded', () => {
+    for (let i = 0; i < validator.config.maxLogEntries + 10; i++) {
+      validator.recordSuspicion(room, player, 'test');
+    }
+
+    expect(room.suspicionLog).toHaveLength(validator.config.maxLogEntries);
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { parseLevelData, serializeLevelData, LevelValidationError } from '../client/js/engine/LevelSchema.js';
+
+const LEVEL_DIRECTORY = join(dirname(fileURLToPath(import.meta.url)), '../client/data/levels');
+const SCRIPT_NAMES = ['Level0', 'Level1', 'Level2', 'Level3', 'Level4', 'Level5'];
+
+function validationErrors(data) {
+  try {
+    parseLevelData(data, 'test.json', SCRIPT_NAMES);
+  } catch (error) {
+    expect(error).toBeInstanceOf(LevelValidationError);
+    return error.errors;
+  }
+  return [];
+}
+
+function level(fields = {}) {
+  return { number: 7, name: 'Test Level', objectives: ['defeat_all_enemies'], ...fields };
+}
+
+describe('LevelSchema', () => {
+  it('fills in defaults for a minimal generic level', () => {
+    const config = parseLevelData(level());
+
+    expect(config).toMatchObject({
+      type: 'generic',
+      script: null,
+      bounds: { width: 1920, height: 1080 },
+      objects: [],
+      enemies: [],
+      sacrificeType: 'none',
+      puzzleType: null
+    });
+  });
+
+  it('reports every problem at once', () => {
+    const errors = validationErrors({
+      number: -1,
+      name: '',
+      objectives: [],
+      colour: 'red',
+      enemies: [{ type: 'dragon', count: 0 }]
+    });
+
+    expect(errors).toEqual([
+      'unknown field "colour"',
+      'number must be a whole number of 0 or more',
+      'name must be a non-empty string',
+      'objectives must be a non-empty list',
+      expect.stringMatching(/^enemies\[0\]\.type must be one of /),
+      'enemies[0].count must be a whole number of 1 or more (or give positions)'
+    ]);
+  });
+
+  it('names the source file in the error message', () => {
+    expect(() => parseLevelData(null, 'broken.json')).toThrow(/Invalid level file broken\.json/);
+  });
+
+  it('rejects scripts that are not registered', () => {
+    expect(validationErrors(level({ script: 'Level99' }))).toEqual([
+      expect.stringMatching(/^script "Level99" is not a known level script/)
+    ]);
+  });
+
+  it('keeps scripted features out of generic levels', () => {
+    const errors = validationErrors(level({
+      objectives: ['escape'],
+      objects: [{ type: 'elevator', x: 0, y: 0, width: 50, height: 50 }],
+      sacrificeType: 'elevator_button'
+    }));
+
+    expect(errors).toHaveLength(3);
+    expect(errors.every(error => error.includes('needs a level script'))).toBe(true);
+  });
+
+  it('checks positions against the level bounds', () => {
+    const errors = validationErrors(level({
+      bounds: { width: 800, height: 600 },
+      objects: [{ type: 'crate', x: 780, y: 10, width: 40, height: 40 }],
+      npcs: [{ type: 'scientist', name: 'Bob', x: 900, y: 10 }]
+    }));
+
+    expect(errors).toEqual([
+      'objects[0] extends outside the 800x600 level',
+      'npcs[0] (900, 10) is outside the 800x600 level'
+    ]);
+  });
+
+  it('requires an exit for reach_exit', () => {
+    expect(validationErrors(level({ objectives: ['reach_exit'] }))).toEqual([
+      'objective "reach_exit" needs an object of type "exit"'
+    ]);
+  });
+
+  describe('tiles', () => {
+    it('accepts rows made of legend characters', () => {
+      const config = parseLevelData(level({
+        tiles: { size: 60, legend: { '~': 'fire' }, rows: ['####', '#.~#', '#D.#', '####'] }
+      }));
+
+      expect(config.tiles.rows).toHaveLength(4);
+    });
+
+    it('reports rows that do not fit the level or use unknown characters', () => {
+      const errors = validationErrors(level({
+        bounds: { width: 240, height: 120 },
+        tiles: { size: 60, rows: ['#####', '#..?', '####'] }
+      }));
+
+      expect(errors).toEqual([
+        'tiles.rows has 3 rows; the level fits 2 at size 60',
+        'tiles.rows[0] has 5 tiles; the level fits 4 at size 60',
+        'tiles.rows[1] column 3 uses "?", which is not in the legend'
+      ]);
+    });
+
+    it('rejects enemy positions inside walls', () => {
+      const errors = validationErrors(level({
+        tiles: { rows: ['###', '#..'] },
+        enemies: [{ type: 'zombie', positions: [{ x: 30, y: 30 }, { x: 90, y: 90 }] }]
+      }));
+
+      expect(errors).toEqual(['enemies[0].positions[0] (30, 30) is inside a wall or door tile']);
+    });
+
+    it('checks door and hazard legend entries', () => {
+      const errors = validationErrors(level({
+        tiles: {
+          legend: { 'd': { type: 'door', open: 'yes', opensWhen: 'never' }, 'x': 'lava' },
+          rows: ['d']
+        }
+      }));
+
+      expect(errors).toEqual([
+        'tiles.legend["d"].open must be true or false',
+        'tiles.legend["d"].opensWhen must be one of enemies_cleared',
+        expect.stringMatching(/^tiles\.legend\["x"\] type must be one of /)
+      ]);
+    });
+  });
+
+  it('serializes back to the same level data', () => {
+    const data = level({
+      bounds: { width: 2400, height: 1080 },
+      objectives: [{ id: 'survive', description: 'Hold out' }],
+      objects: [{ type: 'wall', x: 0, y: 0, width: 100, height: 20, solid: true }]
+    });
+
+    expect(serializeLevelData(parseLevelData(data))).toEqual(data);
+  });
+
+  it('accepts every shipped level file', () => {
+    const { levels } = JSON.parse(readFileSync(join(LEVEL_DIRECTORY, 'index.json'), 'utf8'));
+
+    for (const file of levels) {
+      const data = JSON.parse(readFileSync(join(LEVEL_DIRECTORY, file), 'utf8'));
+      expect(() => parseLevelData(data, file, SCRIPT_NAMES)).not.toThrow();
+    }
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import { NavigationGrid, PathfindingService } from '../client/js/shared/Pathfinding.js';
+import { TileMap } from '../server/TileMap.js';
+import { NavigationLevel } from '../server/LevelData.js';
+
+// 10x10 grid of 10px cells with no clearance, so rects block exactly the cells they cover
+function createGrid(...rects) {
+  const grid = new NavigationGrid({ width: 100, height: 100 }, 10, 0);
+  rects.forEach(rect => grid.blockRect(rect));
+  return grid;
+}
+
+function pathLength(cells) {
+  let length = 0;
+  for (let i = 1; i < cells.length; i++) {
+    length += Math.hypot(cells[i].column - cells[i - 1].column, cells[i].row - cells[i - 1].row);
+  }
+  return length;
+}
+
+describe('NavigationGrid', () => {
+  it('walks straight across an open grid', () => {
+    const cells = createGrid().findPath({ column: 0, row: 5 }, { column: 9, row: 5 });
+
+    expect(cells).toHaveLength(10);
+    expect(cells.every(cell => cell.row === 5)).toBe(true);
+  });
+
+  it('goes around a wall through the gap', () => {
+    // Wall down column 5 with a gap at the bottom row
+    const grid = createGrid({ x: 50, y: 0, width: 10, height: 90 });
+    const cells = grid.findPath({ column: 0, row: 0 }, { column: 9, row: 0 });
+
+    expect(cells[0]).toEqual({ column: 0, row: 0 });
+    expect(cells[cells.length - 1]).toEqual({ column: 9, row: 0 });
+    expect(cells).toContainEqual({ column: 5, row: 9 });
+    expect(cells.every(cell => grid.isWalkable(cell.column, cell.row))).toBe(true);
+  });
+
+  it('finds the shortest route', () => {
+    const cells = createGrid().findPath({ column: 0, row: 0 }, { column: 9, row: 3 });
+
+    // Three diagonal steps and six straight ones
+    expect(pathLength(cells)).toBeCloseTo(3 * Math.SQRT2 + 6);
+  });
+
+  it('never cuts a blocked corner', () => {
+    const grid = createGrid({ x: 10, y: 0, width: 10, height: 10 });
+    const cells = grid.findPath({ column: 0, row: 0 }, { column: 2, row: 1 });
+
+    expect(cells[1]).toEqual({ column: 0, row: 1 });
+  });
+
+  it('heads for the closest reachable cell when the goal is walled in', () => {
+    // Box around the bottom-right corner
+    const grid = createGrid({ x: 70, y: 70, width: 30, height: 10 }, { x: 70, y: 70, width: 10, height: 30 });
+    const cells = grid.findPath({ column: 0, row: 0 }, { column: 9, row: 9 });
+    const last = cells[cells.length - 1];
+
+    expect(grid.isWalkable(last.column, last.row)).toBe(true);
+    expect(Math.max(9 - last.column, 9 - last.row)).toBe(3);
+  });
+
+  it('returns null when the start is boxed in', () => {
+    const grid = createGrid({ x: 10, y: 0, width: 10, height: 20 }, { x: 0, y: 10, width: 10, height: 10 });
+
+    expect(grid.findPath({ column: 0, row: 0 }, { column: 9, row: 9 })).toBeNull();
+  });
+
+  it('grows blocked rects by the clearance', () => {
+    const grid = new NavigationGrid({ width: 100, height: 100 }, 10, 5);
+    grid.blockRect({ x: 40, y: 40, width: 20, height: 20 });
+
+    expect(grid.isWalkable(3, 5)).toBe(false);
+    expect(grid.isWalkable(2, 5)).toBe(true);
+    expect(grid.isWalkable(6, 6)).toBe(false);
+    expect(grid.isWalkable(7, 6)).toBe(true);
+  });
+
+  it('checks line of sight against blocked cells', () => {
+    const grid = createGrid({ x: 50, y: 0, width: 10, height: 50 });
+
+    expect(grid.hasLineOfSight(5, 5, 95, 5)).toBe(false);
+    expect(grid.hasLineOfSight(5, 75, 95, 75)).toBe(true);
+  });
+});
+
+describe('PathfindingService', () => {
+  // Server level: a tile wall down column 2 with a gap in the bottom row
+  const level = new NavigationLevel(
+    { width: 300, height: 300 },
+    new TileMap({ size: 60, rows: ['..#..', '..#..', '..#..', '..#..', '.....'] }),
+    []
+  );
+
+  it('routes around tile walls on the server level', () => {
+    const service = new PathfindingService({ cellSize: 30, clearance: 0 });
+    service.update(0, level);
+
+    const path = service.requestPath('e1', { x: 30, y: 30 }, { x: 270, y: 30 });
+
+    expect(path[path.length - 1]).toEqual({ x: 270, y: 30 });
+    expect(path.some(point => point.y > 240)).toBe(true);
+    expect(service.hasLineOfSight({ x: 30, y: 30 }, { x: 270, y: 30 })).toBe(false);
+  });
+
+  it('walks through doors the legend opens and around closed ones', () => {
+    const rows = ['..#..', '..A..', '..#..', '..D..', '..#..'];
+    const doorLevel = new NavigationLevel(
+      { width: 300, height: 300 },
+      new TileMap({ size: 60, legend: { A: { type: 'door', open: true } }, rows }),
+      []
+    );
+    const service = new PathfindingService({ cellSize: 30, clearance: 0 });
+    service.update(0, doorLevel);
+
+    expect(service.hasLineOfSight({ x: 30, y: 90 }, { x: 270, y: 90 })).toBe(true);
+    expect(service.hasLineOfSight({ x: 30, y: 210 }, { x: 270, y: 210 })).toBe(false);
+  });
+
+  it('queues searches over the per-frame budget', () => {
+    const service = new PathfindingService({ cellSize: 30, clearance: 0, searchesPerFrame: 1 });
+    service.update(0, level);
+
+    expect(service.requestPath('e1', { x: 30, y: 30 }, { x: 270, y: 30 })).not.toBeNull();
+    expect(service.requestPath('e2', { x: 30, y: 90 }, { x: 270, y: 90 })).toBeNull();
+
+    service.update(1 / 60, level);
+    expect(service.requestPath('e2', { x: 30, y: 90 }, { x: 270, y: 90 })).not.toBeNull();
+  });
+
+  it('rebuilds the grid when an obstacle moves', () => {
+    const obstacles = [{ x: 0, y: 120, width: 60, height: 60 }];
+    const movingLevel = new NavigationLevel({ width: 300, height: 300 }, null, obstacles);
+    const service = new PathfindingService({ cellSize: 30, clearance: 0 });
+
+    service.update(0, movingLevel);
+    expect(service.hasLineOfSight({ x: 30, y: 15 }, { x: 30, y: 285 })).toBe(false);
+
+    obstacles[0].x = 200;
+    service.update(0, movingLevel);
+    expect(service.hasLineOfSight({ x: 30, y: 15 }, { x: 30, y: 285 })).toBe(true);
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { Player } from '../client/js/engine/Player.js';
+
+describe('Player', () => {
+  let player;
+
+  beforeEach(() => {
+    player = new Player({ id: 'p1', x: 100, y: 100, name: 'Alice', isLocal: true });
+  });
+
+  it('supports the old positional constructor', () => {
+    const legacy = new Player('p2', 10, 20, '#ff0000');
+
+    expect(legacy.id).toBe('p2');
+    expect(legacy.x).toBe(10);
+    expect(legacy.y).toBe(20);
+    expect(legacy.color).toBe('#ff0000');
+    expect(legacy.isLocal).toBe(false);
+  });
+
+  it('dies when health runs out and ignores damage afterwards', () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    player.takeDamage(40);
+    expect(player.health).toBe(60);
+
+    player.takeDamage(100);
+    expect(player.health).toBe(0);
+    expect(player.isAlive).toBe(false);
+
+    player.takeDamage(10);
+    player.heal(50);
+    expect(player.health).toBe(0);
+  });
+
+  it('takes no damage while invincible or shielded', () => {
+    player.isInvincible = true;
+    player.takeDamage(50);
+    player.isInvincible = false;
+    player.invulnerable = true;
+    player.takeDamage(50);
+
+    expect(player.health).toBe(100);
+  });
+
+  it('never heals past max health', () => {
+    player.takeDamage(30);
+    player.heal(100);
+
+    expect(player.health).toBe(player.maxHealth);
+  });
+
+  it('collides using its padded bounds', () => {
+    const touching = new Player({ id: 'p2', x: 100 + player.width - player.collisionPadding * 2 - 1, y: 100 });
+    const apart = new Player({ id: 'p3', x: 100 + player.width - player.collisionPadding * 2, y: 100 });
+
+    expect(player.isCollidingWith(touching)).toBe(true);
+    expect(player.isCollidingWith(apart)).toBe(false);
+  });
+
+  describe('client-side prediction', () => {
+    let networkManager;
+
+    beforeEach(() => {
+      networkManager = { sendPlayerAction: vi.fn() };
+      player.setNetworkManager(networkManager);
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    it('numbers move inputs and keeps them until the server processes them', () => {
+      player.sendMovementAction();
+      player.x += 10;
+      player.sendMovementAction();
+
+      const sequences = networkManager.sendPlayerAction.mock.calls.map(([action]) => action.sequence);
+      expect(sequences).toEqual([1, 2]);
+      expect(player.pendingInputs).toHaveLength(2);
+
+      player.reconcile(100, 100, 1);
+      expect(player.pendingInputs.map(input => input.sequence)).toEqual([2]);
+      expect(player.x).toBe(110);
+    });
+
+    it('shifts the current position by the server correction', () => {
+      player.sendMovementAction();
+      player.x += 10;
+      player.sendMovementAction();
+      player.x += 10;
+
+      // The server put input 1 five pixels further left than predicted
+      player.reconcile(95, 100, 1);
+
+      expect(player.x).toBe(115);
+      expect(player.pendingInputs[0].x).toBe(105);
+    });
+
+    it('sends move inputs at the fixed input rate, not every frame', () => {
+      // One second of 60 FPS frames, moving every frame
+      for (let frame = 0; frame < 60; frame++) {
+        player.x += 3;
+        player.updateInputSending(1 / 60);
+      }
+
+      expect(networkManager.sendPlayerAction).toHaveBeenCalledTimes(player.inputRate);
+      expect(player.inputSequence).toBe(player.inputRate);
+    });
+
+    it('sends nothing while the player stands still', () => {
+      player.updateInputSending(1 / 60);
+      for (let frame = 0; frame < 60; frame++) {
+        player.updateInputSending(1 / 60);
+      }
+
+      expect(networkManager.sendPlayerAction).toHaveBeenCalledTimes(1);
+    });
+
+    it('sends the first move after standing still straight away', () => {
+      player.updateInputSending(1 / 60);
+      player.updateInputSending(1);
+      player.x += 3;
+      player.updateInputSending(1 / 60);
+
+      expect(networkManager.sendPlayerAction).toHaveBeenCalledTimes(2);
+      expect(networkManager.sendPlayerAction.mock.calls[1][0].x).toBe(103);
+    });
+
+    it('only sends actions for the local player', () => {
+      const remote = new Player({ id: 'p2' });
+      remote.setNetworkManager(networkManager);
+      remote.sendMovementAction();
+
+      expect(networkManager.sendPlayerAction).not.toHaveBeenCalled();
+    });
+  });
+});
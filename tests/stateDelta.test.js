@@ -0,0 +1,132 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createStateDelta } from '../server/StateDelta.js';
+import { applyStateDelta } from '../client/js/network/StateDelta.js';
+import { GameStateManager } from '../server/GameStateManager.js';
+
+function snapshot(stateVersion, fields = {}) {
+  return {
+    roomCode: 'ABCD',
+    stateVersion,
+    timestamp: 1000 + stateVersion,
+    currentLevel: 1,
+    players: [
+      { id: 'p1', x: 100, y: 100, health: 100 },
+      { id: 'p2', x: 200, y: 200, health: 100 }
+    ],
+    enemies: [],
+    ...fields
+  };
+}
+
+describe('StateDelta', () => {
+  it('rebuilds the current state from the base and the delta', () => {
+    const base = snapshot(1);
+    const current = snapshot(2, {
+      currentLevel: 2,
+      players: [
+        { id: 'p1', x: 110, y: 100, health: 100 },
+        { id: 'p2', x: 200, y: 200, health: 100 }
+      ],
+      enemies: [{ id: 'e1', x: 50, y: 50, type: 'melee' }]
+    });
+
+    const delta = createStateDelta(base, current);
+
+    expect(delta.baseVersion).toBe(1);
+    expect(delta.changes).toEqual({ currentLevel: 2 });
+    expect(delta.entities.players.updated).toEqual([{ id: 'p1', x: 110 }]);
+    expect(delta.entities.enemies.updated).toEqual([{ id: 'e1', x: 50, y: 50, type: 'melee' }]);
+    expect(applyStateDelta(base, delta)).toEqual(current);
+  });
+
+  it('sends removed entities and dropped keys', () => {
+    const base = snapshot(1, { bossHealth: 500 });
+    const current = snapshot(2, { players: [{ id: 'p2', x: 200, y: 200, health: 100 }] });
+    delete current.bossHealth;
+
+    const delta = createStateDelta(base, current);
+
+    expect(delta.entities.players.removed).toEqual(['p1']);
+    expect(delta.changes).toEqual({ bossHealth: null });
+    expect(applyStateDelta(base, delta)).toEqual(current);
+  });
+
+  it('leaves unchanged entity lists out of the delta', () => {
+    const delta = createStateDelta(snapshot(1), snapshot(2));
+
+    expect(delta.entities).toEqual({});
+    expect(delta.changes).toEqual({});
+  });
+
+  it('keeps the server order of entities', () => {
+    const base = snapshot(1);
+    const current = snapshot(2, { players: [...base.players].reverse() });
+
+    const state = applyStateDelta(base, createStateDelta(base, current));
+
+    expect(state.players.map(player => player.id)).toEqual(['p2', 'p1']);
+  });
+
+  describe('acknowledged bases', () => {
+    let gsm;
+    let room;
+    let player;
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      gsm = new GameStateManager();
+      room = gsm.createRoom('p1', 'Alice');
+      player = room.players.get('p1');
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      vi.restoreAllMocks();
+    });
+
+    function recordVersions(count) {
+      for (let version = 1; version <= count; version++) {
+        room.stateVersion = version;
+        gsm.recordSnapshot(room, snapshot(version, { players: [{ id: 'p1', x: version, y: 0 }] }));
+      }
+    }
+
+    it('sends a delta against the acked snapshot', () => {
+      recordVersions(3);
+      gsm.acknowledgeState(room.code, 'p1', 2);
+
+      const state = gsm.getStateForPlayer(room, player, snapshot(4));
+
+      expect(state.delta).toBe(true);
+      expect(state.baseVersion).toBe(2);
+    });
+
+    it('ignores acks for versions the server has not sent or older than the last ack', () => {
+      recordVersions(3);
+      gsm.acknowledgeState(room.code, 'p1', 3);
+      gsm.acknowledgeState(room.code, 'p1', 2);
+      gsm.acknowledgeState(room.code, 'p1', 99);
+
+      expect(player.ackedVersion).toBe(3);
+    });
+
+    it('evicts old snapshots and falls back to a full snapshot', () => {
+      recordVersions(gsm.maxSnapshotHistory + 5);
+      gsm.acknowledgeState(room.code, 'p1', 2);
+
+      expect(room.snapshots.size).toBe(gsm.maxSnapshotHistory);
+      expect(room.snapshots.has(2)).toBe(false);
+
+      const full = snapshot(room.stateVersion + 1);
+      expect(gsm.getStateForPlayer(room, player, full)).toBe(full);
+    });
+
+    it('sends a full snapshot before the first ack', () => {
+      recordVersions(3);
+      const full = snapshot(4);
+
+      expect(gsm.getStateForPlayer(room, player, full)).toBe(full);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { WaveDirector } from '../server/WaveDirector.js';
+
+function createPlayers(count, health = 100, alive = count) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: `p${index}`,
+    health: index < alive ? health : 0,
+    maxHealth: 100,
+    isAlive: index < alive
+  }));
+}
+
+// Host that records spawns; enemies stay alive until the test kills them
+function createHost(players) {
+  const host = {
+    enemies: [],
+    players,
+    spawnEnemy: vi.fn((type, x, y) => {
+      const enemy = { type, x, y, archetype: { isBoss: type === 'mutant_boss' } };
+      host.enemies.push(enemy);
+      return enemy;
+    }),
+    findSpawnPosition: vi.fn(() => ({ x: 500, y: 500 })),
+    getAliveEnemies: () => host.enemies,
+    getPlayers: () => host.players,
+    announce: vi.fn()
+  };
+  return host;
+}
+
+describe('WaveDirector', () => {
+  let host;
+  let director;
+
+  beforeEach(() => {
+    host = createHost(createPlayers(3, 50));
+    director = new WaveDirector(host);
+  });
+
+  describe('scaling', () => {
+    it('spawns the designed count for three players at middling health', () => {
+      director.start([{ type: 'zombie', count: 6 }], 3);
+      director.update(0.1);
+
+      expect(host.spawnEnemy).toHaveBeenCalledTimes(6);
+    });
+
+    it('scales wave sizes with the party size', () => {
+      director.start([{ type: 'zombie', count: 6 }], 1);
+      director.update(0.1);
+      expect(host.spawnEnemy).toHaveBeenCalledTimes(2);
+
+      host.enemies = [];
+      host.spawnEnemy.mockClear();
+      director.start([{ type: 'zombie', count: 6 }], 4);
+      director.update(0.1);
+      expect(host.spawnEnemy).toHaveBeenCalledTimes(8);
+    });
+
+    it('sends bigger waves at a healthy party and smaller ones at a battered party', () => {
+      host.players = createPlayers(3, 100);
+      director.start([{ type: 'zombie', count: 6 }], 3);
+      director.update(0.1);
+      expect(host.spawnEnemy).toHaveBeenCalledTimes(8);
+
+      host.enemies = [];
+      host.spawnEnemy.mockClear();
+      host.players = createPlayers(3, 10, 1);
+      director.start([{ type: 'zombie', count: 6 }], 3);
+      director.update(0.1);
+      expect(host.spawnEnemy).toHaveBeenCalledTimes(5);
+    });
+
+    it('never scales a boss', () => {
+      host.players = createPlayers(4, 100);
+      director.start([{ type: 'mutant_boss', count: 1 }], 4);
+      director.update(0.1);
+
+      expect(host.spawnEnemy).toHaveBeenCalledTimes(1);
+      expect(host.announce).toHaveBeenCalledWith('Boss incoming!');
+    });
+
+    it('scales maxAlive with the party size', () => {
+      director.start([{ type: 'zombie', count: 6, maxAlive: 3, spawnInterval: 1 }], 1);
+      director.update(0.1);
+
+      expect(host.spawnEnemy).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('holds a wave back until its delay has passed', () => {
+    director.start([{ type: 'zombie', count: 3, spawnDelay: 2 }], 3);
+
+    director.update(1.5);
+    expect(host.spawnEnemy).not.toHaveBeenCalled();
+
+    director.update(1);
+    expect(host.spawnEnemy).toHaveBeenCalledTimes(3);
+  });
+
+  it('refills a wave one at a time as enemies die', () => {
+    director.start([{ type: 'zombie', count: 6, maxAlive: 2, spawnInterval: 1 }], 3);
+
+    director.update(0.1);
+    expect(host.enemies).toHaveLength(2);
+
+    // Still at the cap
+    director.update(0.1);
+    director.update(1);
+    expect(host.enemies).toHaveLength(2);
+
+    host.enemies.pop();
+    director.update(0.1);
+    expect(host.enemies).toHaveLength(2);
+    expect(host.spawnEnemy).toHaveBeenCalledTimes(3);
+  });
+
+  it('starts previous_cleared waves once the field is empty', () => {
+    director.start([
+      { type: 'zombie', count: 3 },
+      { type: 'fast_zombie', count: 3, trigger: 'previous_cleared' }
+    ], 3);
+
+    director.update(0.1);
+    director.update(0.1);
+    expect(host.spawnEnemy).toHaveBeenCalledTimes(3);
+
+    host.enemies = [];
+    director.update(0.1);
+    expect(host.spawnEnemy).toHaveBeenCalledTimes(6);
+    expect(host.announce).toHaveBeenLastCalledWith('Wave 2 incoming');
+    expect(director.hasPendingWaves()).toBe(false);
+  });
+
+  it('starts boss_defeated waves after the boss dies', () => {
+    director.start([
+      { type: 'mutant_boss', count: 1 },
+      { type: 'zombie', count: 3, trigger: 'boss_defeated' }
+    ], 3);
+
+    director.update(0.1);
+    director.update(0.1);
+    expect(host.spawnEnemy).toHaveBeenCalledTimes(1);
+
+    host.enemies = [];
+    director.update(0.1);
+    expect(host.spawnEnemy).toHaveBeenCalledTimes(4);
+  });
+
+  it('uses fixed positions before spawn zones', () => {
+    director.start([{ type: 'zombie', positions: [{ x: 10, y: 20 }, { x: 30, y: 40 }] }], 3);
+    director.update(0.1);
+
+    expect(host.spawnEnemy).toHaveBeenCalledWith('zombie', 10, 20);
+    expect(host.spawnEnemy).toHaveBeenCalledWith('zombie', 30, 40);
+    expect(host.findSpawnPosition).not.toHaveBeenCalled();
+  });
+});
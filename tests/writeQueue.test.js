@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { WriteQueue } from '../server/WriteQueue.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('WriteQueue', () => {
+  it('runs tasks for one key in the order they were queued', async () => {
+    const queue = new WriteQueue();
+    const order = [];
+
+    await Promise.all([
+      queue.enqueue('room', async () => { await delay(20); order.push('first'); }),
+      queue.enqueue('room', async () => { order.push('second'); })
+    ]);
+
+    expect(order).toEqual(['first', 'second']);
+  });
+
+  it('runs tasks for different keys side by side', async () => {
+    const queue = new WriteQueue();
+    const order = [];
+
+    await Promise.all([
+      queue.enqueue('a', async () => { await delay(20); order.push('a'); }),
+      queue.enqueue('b', async () => { order.push('b'); })
+    ]);
+
+    expect(order).toEqual(['b', 'a']);
+  });
+
+  it('keeps going after a failed task', async () => {
+    const queue = new WriteQueue();
+
+    const failed = queue.enqueue('room', async () => { throw new Error('disk full'); });
+    const next = queue.enqueue('room', async () => 'saved');
+
+    await expect(failed).rejects.toThrow('disk full');
+    await expect(next).resolves.toBe('saved');
+    expect(queue.pending.size).toBe(0);
+  });
+});